@@ -18,7 +18,8 @@ function resolveConfig(payload) {
   };
 
   const api = (p.apiKey && p.apiKey !== "SET_IN_PROPERTIES") ? p.apiKey.trim() : SCRIPT_PROPS.getProperty("GEMINI_API_KEY");
-  const folder = sanitize(p.folderId || SCRIPT_PROPS.getProperty("DRIVE_FOLDER_ID"));
+  // driveFolderId is the Drive root; folderId in a payload is always an app folder filter
+  const folder = sanitize(p.driveFolderId || SCRIPT_PROPS.getProperty("DRIVE_FOLDER_ID"));
   
   globalConfig.apiKey = (api && api !== "SET_IN_PROPERTIES") ? api : null;
   globalConfig.folderId = (folder && folder !== "SET_IN_PROPERTIES") ? folder : null;
@@ -57,6 +58,7 @@ function RUN_THIS_FOR_SETUP() {
     }
     PropertiesService.getScriptProperties().setProperty("DRIVE_FOLDER_ID", fId);
   }
+  ensureJobTrigger();
   ui.alert("Setup Complete! Please refresh your web app.");
 }
 
@@ -66,6 +68,12 @@ const TIME_LIMIT_MS = 5 * 60 * 1000; // 5 minutes (leaving 1 min buffer)
 const CHUNK_TARGET_SIZE = 800;       // Smaller chunks for dense wiring details
 const CHUNK_OVERLAP = 300;           // High overlap for schematic continuity
 
+// Vector index config (quantized embeddings in Drive blobs, one per folder)
+const VECTOR_INDEX_DIRECTORY = "vec_docs";  // Document id -> the shard holding its chunks
+const KEYWORD_INDEX_SHARDS = 32;     // Terms are hashed into this many posting files
+const INDEX_CACHE_MAX = 90 * 1024;   // CacheService holds values up to 100KB
+const INDEX_CACHE_MAX_PIECES = 50;   // Larger blobs are cached in pieces, up to this many
+
 // ============================================================
 // DATABASE: Get or create the Google Sheet database
 // ============================================================
@@ -107,24 +115,11 @@ function getDB() {
   // Create tabs with headers
   const docSheet = ss.getActiveSheet();
   docSheet.setName("Documents");
-  docSheet.getRange(1, 1, 1, 8).setValues([[
-    "id", "name", "folder_id", "drive_file_id", "file_type", "status", "page_count", "created_at"
-  ]]);
-
-  const chunkSheet = ss.insertSheet("Chunks");
-  chunkSheet.getRange(1, 1, 1, 10).setValues([[
-    "id", "document_id", "content", "page_number", "panel", "voltage", "components", "connections", "embedding", "created_at"
-  ]]);
+  docSheet.getRange(1, 1, 1, SHEET_HEADERS.Documents.length).setValues([SHEET_HEADERS.Documents]);
 
-  const folderSheet = ss.insertSheet("Folders");
-  folderSheet.getRange(1, 1, 1, 4).setValues([[
-    "id", "name", "description", "created_at"
-  ]]);
-
-  const querySheet = ss.insertSheet("QueryLogs");
-  querySheet.getRange(1, 1, 1, 5).setValues([[
-    "id", "query", "answer", "match_count", "created_at"
-  ]]);
+  for (const name of ["Chunks", "Folders", "QueryLogs"]) {
+    ss.insertSheet(name).getRange(1, 1, 1, SHEET_HEADERS[name].length).setValues([SHEET_HEADERS[name]]);
+  }
 
   // Store the ID
   props.setProperty("DB_SPREADSHEET_ID", ss.getId());
@@ -133,21 +128,44 @@ function getDB() {
   return ss;
 }
 
+// Column layout of every tab. New columns are only ever appended, so
+// existing databases are migrated by writing the missing header cells.
+const SHEET_HEADERS = {
+  Documents: ["id", "name", "folder_id", "drive_file_id", "file_type", "status", "page_count", "created_at", "drawing_number", "revision", "supersedes", "is_latest", "title", "drawing_date", "drawn_by", "checked_by", "approved_by", "system", "station", "sheet_count", "modified_time", "checksum", "deleted_at", "duplicate_of"],
+  Chunks: ["id", "document_id", "content", "page_number", "panel", "voltage", "components", "connections", "embedding", "created_at", "token_count", "table_data", "quantities", "extraction_source", "confidence"],
+  Folders: ["id", "name", "description", "created_at"],
+  QueryLogs: ["id", "query", "answer", "match_count", "created_at"],
+  SessionTurns: ["id", "session_id", "query", "standalone_query", "answer", "created_at"],
+  Cables: ["id", "cable_id", "from", "to", "cores", "cross_section", "conductor", "insulation", "length", "document_id", "page_number", "created_at"],
+  Pages: ["id", "document_id", "page_number", "drawing_number", "sheet", "sheet_total", "revision", "drawing_date", "drawn_by", "checked_by", "approved_by", "system", "station", "title", "created_at"],
+  Jobs: ["id", "document_id", "status", "attempts", "next_run_at", "last_error", "pages_processed", "total_pages", "total_chunks", "failed_pages", "created_at", "updated_at", "stage", "embedded_chunks"],
+  TagGrammar: ["id", "kind", "value", "meaning", "created_at"],
+  TagAliases: ["id", "alias", "canonical", "created_at"],
+  Glossary: ["id", "term", "synonyms", "expansions", "category", "created_at"],
+  Components: ["id", "tag", "type", "rating_a", "breaking_ka", "poles", "manufacturer", "model", "panel", "chunk_id", "document_id", "page_number", "created_at"]
+};
+
+// Sheets already resolved (and header-checked) in this execution
+const SHEET_MEMO = {};
+
 function getSheet(name) {
+  if (SHEET_MEMO[name]) return SHEET_MEMO[name];
+
   const db = getDB();
+  const headers = SHEET_HEADERS[name];
   let sheet = db.getSheetByName(name);
   if (!sheet) {
     sheet = db.insertSheet(name);
-    const headers = {
-      Documents: [["id", "name", "folder_id", "drive_file_id", "file_type", "status", "page_count", "created_at"]],
-      Chunks: [["id", "document_id", "content", "page_number", "panel", "voltage", "components", "connections", "embedding", "created_at"]],
-      Folders: [["id", "name", "description", "created_at"]],
-      QueryLogs: [["id", "query", "answer", "match_count", "created_at"]]
-    };
-    if (headers[name]) {
-      sheet.getRange(1, 1, 1, headers[name][0].length).setValues(headers[name]);
+    if (headers) {
+      sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+    }
+  } else if (headers) {
+    const current = sheet.getRange(1, 1, 1, headers.length).getValues()[0];
+    if (current.some((h, i) => h !== headers[i])) {
+      sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
     }
   }
+  SHEET_MEMO[name] = sheet;
   return sheet;
 }
 
@@ -204,7 +222,13 @@ function routeAction(data) {
       checks: { api: "❌ Missing", folder: "❌ Missing", drive_api: "✅ Enabled", db: "❌ Not Ready" }
     };
     
-    if (config.apiKey) report.checks.api = "✅ Configured";
+    try {
+      const providerName = getLLMProviderName();
+      if (!LLM_PROVIDERS[providerName].needsApiKey) report.checks.api = "✅ Provider: " + providerName;
+      else if (config.apiKey) report.checks.api = "✅ Configured";
+    } catch (e) {
+      report.checks.api = "❌ " + e.message;
+    }
     
     if (config.folderId) {
        try { 
@@ -225,11 +249,17 @@ function routeAction(data) {
     return jsonResp(report);
   }
 
-  // CONFIG GUARD
-  if (!config.apiKey || !config.folderId) {
+  // CONFIG GUARD (only the Gemini provider needs GEMINI_API_KEY)
+  let provider;
+  try {
+    provider = getLLMProvider();
+  } catch (e) {
+    return jsonResp({ error: "MISSING_CONFIGURATION", message: e.message });
+  }
+  if ((provider.needsApiKey && !config.apiKey) || !config.folderId) {
     return jsonResp({ 
       error: "MISSING_CONFIGURATION", 
-      message: "Backend is not fully configured. Please provide GEMINI_API_KEY and DRIVE_FOLDER_ID." 
+      message: "Backend is not fully configured. Please provide " + (provider.needsApiKey ? "GEMINI_API_KEY and " : "") + "DRIVE_FOLDER_ID." 
     });
   }
 
@@ -240,16 +270,39 @@ function routeAction(data) {
     case "test_connectivity":   return testConnectivity();
     case "list_available_models": return listAvailableModelsAction();
     case "upload":              return uploadFile(data);
+    case "upload_init":         return uploadInitAction(data);
+    case "upload_chunk":        return uploadChunkAction(data);
+    case "upload_complete":     return uploadCompleteAction(data);
     case "list_documents":      return listDocuments(data);
     case "delete_document":     return deleteDocumentAction(data);
+    case "resolve_duplicate":   return resolveDuplicateAction(data);
     case "process_document":    return processDocumentAction(data);
     case "process_batch":       return processBatchAction(data);
     case "get_process_status":  return getProcessStatus(data);
+    case "queue_document":      return queueDocumentAction(data);
+    case "list_jobs":           return listJobsAction(data);
     case "embed_chunks":        return embedChunksAction(data);
+    case "rebuild_vector_index": return rebuildVectorIndexAction(data);
+    case "rebuild_keyword_index": return rebuildKeywordIndexAction(data);
     case "create_folder":       return createFolderAction(data);
     case "delete_folder":       return deleteFolderAction(data);
     case "list_folders":        return listFoldersAction();
     case "query":               return handleQuery(data);
+    case "query_async":         return queryAsyncAction(data);
+    case "get_query_result":    return getQueryResultAction(data);
+    case "get_session":         return getSessionAction(data);
+    case "list_cables":         return listCablesAction(data);
+    case "get_cable":           return getCableAction(data);
+    case "search_components":   return searchComponentsAction(data);
+    case "trace_path":          return tracePathAction(data);
+    case "check_consistency":   return checkConsistencyAction(data);
+    case "diff_revisions":      return diffRevisionsAction(data);
+    case "get_tag_grammar":     return getTagGrammarAction();
+    case "save_tag_grammar":    return saveTagGrammarAction(data);
+    case "test_tag_grammar":    return testTagGrammarAction(data);
+    case "get_glossary":        return getGlossaryAction();
+    case "save_glossary":       return saveGlossaryAction(data);
+    case "test_glossary":       return testGlossaryAction(data);
     case "sync_drive":          return syncDriveFiles();
     default:                    return jsonResp({ error: "Unknown action: " + data.action });
   }
@@ -261,10 +314,52 @@ function jsonResp(data) {
 }
 
 // ============================================================
-// SHARED GEMINI API CALLER (auto-retries with multiple models)
+// LLM PROVIDERS (generation, vision and embeddings)
 // ============================================================
 
+// Selected with the LLM_PROVIDER script property; "gemini" when unset.
+// Each provider takes Gemini-style contents ([{ parts: [{ text } | { inline_data }] }]).
+// Providers with uploadFile also accept { file_data } parts for files too big to inline;
+// embedBatch embeds many texts per request and is optional.
+const LLM_PROVIDERS = {
+  gemini: { generate: geminiGenerate, embed: geminiEmbed, embedBatch: geminiEmbedBatch, listModels: () => autoDiscoverModels(getApiKey()), uploadFile: geminiUploadFile, needsApiKey: true },
+  openai: { generate: openAIGenerate, embed: openAIEmbed, embedBatch: openAIEmbedBatch, listModels: openAIListModels, needsApiKey: false },
+  fake: { generate: fakeGenerate, embed: fakeEmbed, listModels: () => [{ id: "fake", version: "local" }], needsApiKey: false }
+};
+
+function getLLMProviderName() {
+  const name = String(SCRIPT_PROPS.getProperty("LLM_PROVIDER") || "gemini").trim().toLowerCase();
+  if (!LLM_PROVIDERS[name]) throw new Error("Unknown LLM_PROVIDER '" + name + "'. Use one of: " + Object.keys(LLM_PROVIDERS).join(", "));
+  return name;
+}
+
+function getLLMProvider() {
+  return LLM_PROVIDERS[getLLMProviderName()];
+}
+
+/**
+ * Text (or vision, when contents carry inline_data) generation through
+ * the configured provider. Returns null when every attempt failed; the
+ * reason is left in globalContextError.
+ */
 function callGemini(contents, config = {}) {
+  return getLLMProvider().generate(contents, config);
+}
+
+// Embedding through the configured provider; [] on failure so callers fall back to keyword search
+function getGeminiEmbedding(text) {
+  return getLLMProvider().embed(text);
+}
+
+// One vector per text, [] where embedding failed
+function getEmbeddings(texts) {
+  const provider = getLLMProvider();
+  return provider.embedBatch ? provider.embedBatch(texts) : texts.map(t => provider.embed(t));
+}
+
+// ── Gemini (generativelanguage.googleapis.com, auto-retries with multiple models) ──
+
+function geminiGenerate(contents, config = {}) {
   const apiKey = config.apiKey || getApiKey();
   if (!apiKey) return null;
 
@@ -348,8 +443,237 @@ function autoDiscoverModels(apiKey) {
   return DISCOVERED_MODELS;
 }
 
+/**
+ * Uploads a blob to the Gemini File API (resumable protocol, single
+ * chunk) and waits until it can be referenced. Uploads expire after 48h.
+ * Returns { uri, mimeType }.
+ */
+function geminiUploadFile(blob) {
+  const apiKey = getApiKey();
+  const bytes = blob.getBytes();
+  const start = UrlFetchApp.fetch("https://generativelanguage.googleapis.com/upload/v1beta/files?key=" + apiKey, {
+    method: "post",
+    contentType: "application/json",
+    headers: {
+      "X-Goog-Upload-Protocol": "resumable",
+      "X-Goog-Upload-Command": "start",
+      "X-Goog-Upload-Header-Content-Length": String(bytes.length),
+      "X-Goog-Upload-Header-Content-Type": blob.getContentType()
+    },
+    payload: JSON.stringify({ file: { display_name: blob.getName() } }),
+    muteHttpExceptions: true
+  });
+
+  const headers = start.getAllHeaders();
+  const urlHeader = Object.keys(headers).find(h => h.toLowerCase() === "x-goog-upload-url");
+  if (!urlHeader) throw new Error("File upload refused (" + start.getResponseCode() + "): " + start.getContentText().substring(0, 300));
+
+  const res = UrlFetchApp.fetch(headers[urlHeader], {
+    method: "post",
+    headers: { "X-Goog-Upload-Offset": "0", "X-Goog-Upload-Command": "upload, finalize" },
+    payload: bytes,
+    muteHttpExceptions: true
+  });
+  if (res.getResponseCode() !== 200) throw new Error("File upload failed (" + res.getResponseCode() + "): " + res.getContentText().substring(0, 300));
+
+  // PDFs are processed server-side before they can be used in a prompt
+  let uploaded = JSON.parse(res.getContentText()).file;
+  for (let i = 0; i < 15 && uploaded.state === "PROCESSING"; i++) {
+    Utilities.sleep(2000);
+    const poll = UrlFetchApp.fetch("https://generativelanguage.googleapis.com/v1beta/" + uploaded.name + "?key=" + apiKey, { muteHttpExceptions: true });
+    if (poll.getResponseCode() === 200) uploaded = JSON.parse(poll.getContentText());
+  }
+  if (uploaded.state !== "ACTIVE") throw new Error("Uploaded file is " + uploaded.state);
+  return { uri: uploaded.uri, mimeType: uploaded.mimeType };
+}
+
 let globalContextError = null;
 
+// ── OpenAI-compatible HTTP server (OpenAI, vLLM, Ollama, LM Studio, ...) ──
+// LLM_BASE_URL e.g. "http://10.0.0.5:8000/v1"; LLM_API_KEY optional;
+// LLM_MODEL, LLM_EMBEDDING_MODEL, LLM_VISION_MODEL (defaults to LLM_MODEL).
+
+function openAIRequest(path, payload) {
+  const baseUrl = String(SCRIPT_PROPS.getProperty("LLM_BASE_URL") || "").replace(/\/+$/, "");
+  if (!baseUrl) throw new Error("LLM_BASE_URL is not set");
+  const apiKey = SCRIPT_PROPS.getProperty("LLM_API_KEY");
+  const options = { method: payload ? "post" : "get", muteHttpExceptions: true, headers: {} };
+  if (apiKey) options.headers.Authorization = "Bearer " + apiKey;
+  if (payload) {
+    options.contentType = "application/json";
+    options.payload = JSON.stringify(payload);
+  }
+  const res = UrlFetchApp.fetch(baseUrl + path, options);
+  const status = res.getResponseCode();
+  if (status !== 200) throw new Error("Status " + status + ": " + res.getContentText().substring(0, 500));
+  return JSON.parse(res.getContentText());
+}
+
+function openAIGenerate(contents, config = {}) {
+  let hasImage = false;
+  const messages = contents.map(c => {
+    const parts = (c.parts || []).map(part => {
+      if (part.inline_data) {
+        hasImage = true;
+        return { type: "image_url", image_url: { url: "data:" + part.inline_data.mime_type + ";base64," + part.inline_data.data } };
+      }
+      return { type: "text", text: part.text || "" };
+    });
+    const role = c.role === "model" ? "assistant" : "user";
+    return { role: role, content: parts.every(p => p.type === "text") ? parts.map(p => p.text).join("\n") : parts };
+  });
+
+  const model = (hasImage && SCRIPT_PROPS.getProperty("LLM_VISION_MODEL")) || SCRIPT_PROPS.getProperty("LLM_MODEL");
+  try {
+    const result = openAIRequest("/chat/completions", {
+      model: model,
+      messages: messages,
+      temperature: config.temperature !== undefined ? config.temperature : 0.2,
+      max_tokens: config.maxOutputTokens || 4096
+    });
+    const text = result.choices && result.choices[0] && result.choices[0].message && result.choices[0].message.content;
+    if (text) return text;
+    globalContextError = "[" + model + "] Empty completion";
+  } catch (e) {
+    globalContextError = "[" + model + "] " + e.message;
+  }
+  return null;
+}
+
+function openAIEmbed(text) {
+  try {
+    const result = openAIRequest("/embeddings", {
+      model: SCRIPT_PROPS.getProperty("LLM_EMBEDDING_MODEL") || SCRIPT_PROPS.getProperty("LLM_MODEL"),
+      input: String(text).substring(0, 2000)
+    });
+    if (result.data && result.data[0] && result.data[0].embedding) return result.data[0].embedding;
+  } catch (e) {
+    Logger.log("Embedding failed: " + e.message + ". Keyword search will be used.");
+  }
+  return [];
+}
+
+function openAIEmbedBatch(texts) {
+  try {
+    const result = openAIRequest("/embeddings", {
+      model: SCRIPT_PROPS.getProperty("LLM_EMBEDDING_MODEL") || SCRIPT_PROPS.getProperty("LLM_MODEL"),
+      input: texts.map(t => String(t).substring(0, 2000))
+    });
+    const vectors = texts.map(() => []);
+    (result.data || []).forEach((d, k) => { vectors[d.index != null ? d.index : k] = d.embedding || []; });
+    return vectors;
+  } catch (e) {
+    globalContextError = e.message;
+    Logger.log("Batch embedding failed: " + e.message);
+  }
+  return texts.map(() => []);
+}
+
+function openAIListModels() {
+  const result = openAIRequest("/models", null);
+  return (result.data || []).map(m => ({ id: m.id, version: "openai" }));
+}
+
+// ── Fake provider: deterministic, offline ──
+// Answers are derived from the prompt itself, keyed on each agent's task
+// line, so the whole pipeline can run without network access.
+
+const FAKE_EMBEDDING_DIM = 256;
+
+// Text shown by each page's content streams ("(...) Tj" or "<...> Tj"), or null when the PDF is unreadable
+function fakePdfPageTexts(raw) {
+  try {
+    const pdf = openPdf(raw);
+    return pdfPageList(pdf).map(page => {
+      const contents = [].concat(pdfResolve(pdf, page.node.d.Contents) || []).map(c => pdfResolve(pdf, c));
+      const source = contents.map(c => c && c.stream !== undefined ? (c.d.Filter ? pdfDecodeStream(pdf, c) : c.stream) : "").join("\n");
+      return (source.match(/(?:\((?:[^()\\]|\\.)*\)|<[0-9A-Fa-f\s]*>)\s*Tj/g) || [])
+        .map(shown => pdfParseValue(shown, 0).value.s).join("\n");
+    });
+  } catch (e) {
+    return null;
+  }
+}
+
+function fakeGenerate(contents, config = {}) {
+  const parts = contents.reduce((all, c) => all.concat(c.parts || []), []);
+  const prompt = parts.filter(p => p.text).map(p => p.text).join("\n");
+  const after = (marker) => {
+    const at = prompt.lastIndexOf(marker);
+    return at === -1 ? "" : prompt.substring(at + marker.length).trim();
+  };
+
+  const image = parts.find(p => p.inline_data);
+  if (image) {
+    // Printable runs of the file, like `strings`
+    const bytes = Utilities.base64Decode(image.inline_data.data);
+    let text = "";
+    for (let i = 0; i < Math.min(bytes.length, 200000); i++) {
+      const b = bytes[i];
+      text += (b >= 32 && b < 127) || b === 10 ? String.fromCharCode(b) : "\u0000";
+    }
+    const runs = text.match(/[\x20-\x7e\n]{4,}/g) || [];
+    // Page excerpts: the strings each page shows, marked per page
+    if (/=== PAGE n ===|one-page/.test(prompt) && image.inline_data.mime_type === "application/pdf") {
+      const texts = fakePdfPageTexts(Utilities.newBlob(bytes).getDataAsString("ISO-8859-1"));
+      if (texts) return texts.map((text, i) => "=== PAGE " + (i + 1) + " ===\n" + text).join("\n") || null;
+    }
+    return runs.join("\n").trim() || null;
+  }
+
+  if (prompt.indexOf("Extract structured hardware data") !== -1 || prompt.indexOf("did not match the schema for structured hardware data") !== -1) {
+    const text = after("Text Context:");
+    return JSON.stringify(Object.assign(fallbackExtract(text), { devices: parseComponentLines(text) }));
+  }
+  if (prompt.indexOf("List every cable") !== -1) {
+    return JSON.stringify({ cables: parseCableLines(after("Text Context:")) });
+  }
+  if (prompt.indexOf("Read the title block") !== -1) {
+    return JSON.stringify(parseTitleBlock(after("Text Context:")));
+  }
+  if (prompt.indexOf("Classify the query") !== -1) {
+    return JSON.stringify({ intent: "TEXT_ANSWER", agent: "DOCUMENT_QA", expandedKeywords: [], outputFormat: "text", requiresVision: false });
+  }
+  if (prompt.indexOf("You are a relevance judge") !== -1) {
+    const count = (prompt.match(/^CHUNK_\d+:/gm) || []).length;
+    return JSON.stringify(Array.from({ length: count }, (_, i) => i));
+  }
+  if (prompt.indexOf("rewrite follow-up questions") !== -1) {
+    return after("FOLLOW-UP:");
+  }
+  if (prompt.indexOf("INITIAL_ANSWER:") !== -1) {
+    return after("INITIAL_ANSWER:");
+  }
+  if (prompt.indexOf("Summarize this electrical engineering document page") !== -1) {
+    return after("TEXT:").split("\n")[0].substring(0, 120);
+  }
+
+  // Answer prompts: quote the first line of up to three sources, cited
+  const context = after("CONTEXT:").split("\n\nQUERY:")[0];
+  const sources = [];
+  const sourceRe = /\[Source (\d+) \(Doc:[^)]*Page:([^)]*)\)\]\n([^\n]*)/g;
+  let m;
+  while ((m = sourceRe.exec(context)) !== null && sources.length < 3) {
+    sources.push("- " + m[3].substring(0, 160) + " [Source " + m[1] + ", Page " + m[2] + "]");
+  }
+  const query = after("QUERY:");
+  if (prompt.indexOf("React Flow JSON") !== -1) return JSON.stringify({ components: [], connections: [] });
+  if (prompt.indexOf("answer as JSON") !== -1) {
+    return JSON.stringify({ summary: "Fake answer for: " + query, components: [], connections: [], voltage_levels: [], panel_info: "", notes: sources.join("\n") });
+  }
+  return "Fake answer for: " + query + (sources.length ? "\n" + sources.join("\n") : "");
+}
+
+// Hashed bag of index terms, L2-normalized, so similar texts stay similar
+function fakeEmbed(text) {
+  const vec = new Array(FAKE_EMBEDDING_DIM).fill(0);
+  for (const term of tokenizeForIndex(String(text).substring(0, 2000))) {
+    vec[hashString(term) % FAKE_EMBEDDING_DIM] += 1;
+  }
+  const norm = Math.sqrt(vec.reduce((sum, v) => sum + v * v, 0));
+  return norm > 0 ? vec.map(v => v / norm) : [];
+}
+
 // ============================================================
 // INIT DATABASE
 // ============================================================
@@ -357,6 +681,7 @@ let globalContextError = null;
 function initDB() {
   try {
     const db = getDB();
+    ensureJobTrigger();
     return jsonResp({
       status: "ok",
       message: "Database initialized",
@@ -424,13 +749,14 @@ function testConnectivity() {
     report.drive.error = e.message;
   }
 
-  // 2. Test Gemini (Sentinel v15.0)
+  // 2. Test the LLM provider (Sentinel v15.0)
   try {
-    const apiKey = getApiKey();
-    const discovered = autoDiscoverModels(apiKey);
+    const providerName = getLLMProviderName();
+    const discovered = getLLMProvider().listModels();
+    report.gemini.provider = providerName;
     
     if (discovered.length > 0) {
-      report.gemini.status = `✅ Discovery Success! found ${discovered.length} active models.`;
+      report.gemini.status = `✅ Discovery Success! found ${discovered.length} active models (${providerName}).`;
       const best = discovered[0];
       const ping = callGemini([{ parts: [{ text: "ping" }] }], { temperature: 0, maxOutputTokens: 10 });
       if (ping) {
@@ -441,8 +767,10 @@ function testConnectivity() {
       }
     } else {
       report.gemini.status = "❌ Failed (Empty/No Models)";
-      report.gemini.error = "Google API returned 200 OK but NO generateContent models were found for this key. " +
-                            "Please ensure 'Generative Language API' is enabled in Google Cloud Console.";
+      report.gemini.error = providerName === "gemini"
+        ? "Google API returned 200 OK but NO generateContent models were found for this key. " +
+          "Please ensure 'Generative Language API' is enabled in Google Cloud Console."
+        : "The model server at LLM_BASE_URL listed no models.";
     }
   } catch (e) {
     report.gemini.status = "❌ Critical Error";
@@ -465,6 +793,15 @@ function testConnectivity() {
  * Lists all models available to the current API key (Debug tool)
  */
 function listAvailableModelsAction() {
+  const providerName = getLLMProviderName();
+  if (providerName !== "gemini") {
+    try {
+      return jsonResp({ status: "success", provider: providerName, models: getLLMProvider().listModels() });
+    } catch (e) {
+      return jsonResp({ error: e.message });
+    }
+  }
+
   const apiKey = getApiKey();
   if (!apiKey) return jsonResp({ error: "No API Key" });
   
@@ -537,28 +874,76 @@ function uploadFile(data) {
     }
 
     const file = folder.createFile(blob);
-    const fileId = file.getId();
+    return registerUploadedFile(file, data.fileName, data.mimeType || "application/pdf", data.folderId);
 
-    try {
-      file.setSharing(DriveApp.Access.ANYONE_WITH_LINK, DriveApp.Permission.VIEW);
-    } catch (e) {
-      Logger.log("Could not set sharing: " + e.message);
-    }
+  } catch (err) {
+    Logger.log("Upload Error: " + err.message + "\n" + err.stack);
+    return jsonResp({ error: "Upload failed: " + err.message });
+  }
+}
+
+/**
+ * Registers a file saved to Drive as a document and indexes it: PDFs go
+ * to the job queue, anything else is extracted and chunked right away.
+ */
+function registerUploadedFile(file, fileName, mimeType, folderId) {
+  const fileId = file.getId();
+
+  try {
+    file.setSharing(DriveApp.Access.ANYONE_WITH_LINK, DriveApp.Permission.VIEW);
+  } catch (e) {
+    Logger.log("Could not set sharing: " + e.message);
+  }
 
-    // 2. Register document in Sheets
+  try {
+    // 2. Register document in Sheets, with the baseline sync compares against
     const docId = Utilities.getUuid();
     const docSheet = getSheet("Documents");
     const now = new Date().toISOString();
-
-    docSheet.appendRow([
-      docId, data.fileName, data.folderId || "", fileId,
-      data.mimeType || "application/pdf", "processing", 0, now
-    ]);
+    const hash = contentHash(file);
+    const original = findDuplicateOriginal(hash, docSheet.getDataRange().getValues());
+
+    const row = SHEET_HEADERS.Documents.map(() => "");
+    row[0] = docId;
+    row[1] = fileName;
+    row[2] = folderId || "";
+    row[3] = fileId;
+    row[4] = mimeType;
+    row[5] = original ? "duplicate" : "processing";
+    row[6] = 0;
+    row[7] = now;
+    row[20] = file.getLastUpdated().toISOString();
+    row[21] = hash;
+    row[23] = original ? original.id : "";
+    docSheet.appendRow(row);
 
     Logger.log("Document registered: " + docId);
 
-    // 3. Extract text and process
-    const text = extractTextFromFile(file, data.fileName);
+    // Exact copies wait for the user to link, skip or replace
+    if (original) {
+      Logger.log("Duplicate of " + original.id + " (" + original.name + ")");
+      return jsonResp({
+        status: "duplicate",
+        documentId: docId,
+        driveFileId: fileId,
+        duplicateOf: { id: original.id, name: original.name, folder_id: original.folder_id }
+      });
+    }
+
+    // 3. PDFs are read page by page by the background job queue
+    if (mimeType === "application/pdf") {
+      updateDocStatus(docId, "uploaded", 0);
+      return jsonResp({
+        status: "queued",
+        documentId: docId,
+        driveFileId: fileId,
+        drivePreviewUrl: "https://drive.google.com/file/d/" + fileId + "/preview",
+        jobId: enqueueDocument(docId).id
+      });
+    }
+
+    // 4. Extract text and process
+    const text = extractTextFromFile(file, fileName);
 
     if (!text || text.trim().length < 10) {
       updateDocStatus(docId, "uploaded", 0);
@@ -571,12 +956,15 @@ function uploadFile(data) {
     }
 
     Logger.log("Extracted " + text.length + " characters");
+    registerRevision(docId, fileName, text);
 
-    // 4. Chunk and embed
+    // 5. Chunk now; the job queue embeds the chunks
     const processResult = processTextIntoChunks(docId, text);
+    const job = queueEmbedStage(docId, fileName, splitIntoPages(text).length);
 
     return jsonResp({
-      status: "indexed",
+      status: "queued",
+      jobId: job.id,
       documentId: docId,
       driveFileId: fileId,
       drivePreviewUrl: "https://drive.google.com/file/d/" + fileId + "/preview",
@@ -590,6 +978,188 @@ function uploadFile(data) {
   }
 }
 
+// ============================================================
+// CHUNKED UPLOADS (Drive resumable sessions, one chunk per call)
+// ============================================================
+
+const UPLOAD_CHUNK_BYTES = 4 * 1024 * 1024;            // Drive wants multiples of 256KB
+const UPLOAD_MAX_BYTES = 50 * 1024 * 1024;             // Largest file processing can read (getBlob, File API upload)
+const UPLOAD_SESSION_TTL_MS = 6 * 24 * 60 * 60 * 1000;  // Drive forgets sessions after a week
+
+/**
+ * Opens a Drive resumable upload session for a new file, or reports how
+ * much of an existing one Drive already holds so the client can resume.
+ */
+function uploadInitAction(data) {
+  if (data.uploadId) {
+    const session = loadUploadSession(data.uploadId);
+    if (!session) return jsonResp({ error: "Upload session expired or not found. Start the upload again." });
+    const received = session.fileId ? session.size : queryUploadSession(session, data.uploadId);
+    if (received < 0) return jsonResp({ error: "Upload session expired. Start the upload again." });
+    return jsonResp(uploadSessionStatus(data.uploadId, session, received));
+  }
+
+  if (!data.fileName || !data.size) return jsonResp({ error: "Missing fileName or size" });
+  const size = Number(data.size);
+  if (size > UPLOAD_MAX_BYTES) {
+    return jsonResp({ error: "File too large to process (" + (size / 1024 / 1024).toFixed(1) + "MB). Max is " +
+      (UPLOAD_MAX_BYTES / 1024 / 1024) + "MB; split large drawing sets into smaller PDFs before uploading." });
+  }
+  pruneUploadSessions();
+
+  const mimeType = data.mimeType || "application/octet-stream";
+  const res = UrlFetchApp.fetch("https://www.googleapis.com/upload/drive/v3/files?uploadType=resumable&supportsAllDrives=true", {
+    method: "post",
+    contentType: "application/json; charset=UTF-8",
+    headers: {
+      Authorization: "Bearer " + ScriptApp.getOAuthToken(),
+      "X-Upload-Content-Type": mimeType,
+      "X-Upload-Content-Length": String(size)
+    },
+    payload: JSON.stringify({ name: data.fileName, mimeType: mimeType, parents: [getFolderId()] }),
+    muteHttpExceptions: true
+  });
+  const location = responseHeader(res, "location");
+  if (!location) {
+    return jsonResp({ error: "DRIVE_ACCESS_ERROR", message: "Drive refused the upload (" + res.getResponseCode() + "): " + res.getContentText().substring(0, 300) });
+  }
+
+  const uploadId = Utilities.getUuid();
+  const session = {
+    sessionUrl: location,
+    fileName: data.fileName,
+    mimeType: mimeType,
+    size: size,
+    folderId: data.folderId || "",
+    received: 0,
+    createdAt: new Date().toISOString()
+  };
+  SCRIPT_PROPS.setProperty("UPLOAD_" + uploadId, JSON.stringify(session));
+  return jsonResp(uploadSessionStatus(uploadId, session, 0));
+}
+
+/**
+ * Forwards one base64 chunk to Drive. A chunk that does not start where
+ * Drive left off is refused with the offset to continue from.
+ */
+function uploadChunkAction(data) {
+  if (!data.uploadId || data.chunk == null) return jsonResp({ error: "Missing uploadId or chunk" });
+  const session = loadUploadSession(data.uploadId);
+  if (!session) return jsonResp({ error: "Upload session expired or not found. Start the upload again." });
+  if (session.fileId) return jsonResp(uploadSessionStatus(data.uploadId, session, session.size));
+
+  const offset = Number(data.offset) || 0;
+  if (offset !== session.received) {
+    // Client is out of step (e.g. a response was lost); Drive has the truth
+    const held = queryUploadSession(session, data.uploadId);
+    if (held < 0) return jsonResp({ error: "Upload session expired. Start the upload again." });
+    if (held !== offset) return jsonResp(uploadSessionStatus(data.uploadId, session, held));
+  }
+  const bytes = Utilities.base64Decode(data.chunk);
+  const last = offset + bytes.length - 1;
+  if (bytes.length === 0 || last >= session.size) return jsonResp({ error: "Chunk is outside the file" });
+
+  const res = UrlFetchApp.fetch(session.sessionUrl, {
+    method: "put",
+    contentType: session.mimeType,
+    headers: { "Content-Range": "bytes " + offset + "-" + last + "/" + session.size },
+    payload: bytes,
+    followRedirects: false,
+    muteHttpExceptions: true
+  });
+  const received = readUploadProgress(data.uploadId, session, res);
+  if (received < 0) {
+    return jsonResp({ error: "Drive rejected the chunk (" + res.getResponseCode() + "): " + res.getContentText().substring(0, 300) });
+  }
+  return jsonResp(uploadSessionStatus(data.uploadId, session, received));
+}
+
+/**
+ * Registers the assembled Drive file as a document, exactly like a
+ * single-call upload, and forgets the session.
+ */
+function uploadCompleteAction(data) {
+  if (!data.uploadId) return jsonResp({ error: "Missing uploadId" });
+  const session = loadUploadSession(data.uploadId);
+  if (!session) return jsonResp({ error: "Upload session expired or not found. Start the upload again." });
+  // The last chunk's response may have been lost after Drive finished
+  const received = session.fileId ? session.size : queryUploadSession(session, data.uploadId);
+  if (!session.fileId) {
+    return jsonResp({ error: "Upload incomplete: " + Math.max(received, 0) + " of " + session.size + " bytes received" });
+  }
+
+  let file;
+  try {
+    file = DriveApp.getFileById(session.fileId);
+  } catch (e) {
+    return jsonResp({ error: "Uploaded file not found in Drive: " + session.fileId });
+  }
+  SCRIPT_PROPS.deleteProperty("UPLOAD_" + data.uploadId);
+  Logger.log("Chunked upload complete: " + session.fileName + " (" + session.size + " bytes)");
+  return registerUploadedFile(file, session.fileName, session.mimeType, session.folderId);
+}
+
+function loadUploadSession(uploadId) {
+  return safeParseJSON(SCRIPT_PROPS.getProperty("UPLOAD_" + uploadId), null);
+}
+
+function uploadSessionStatus(uploadId, session, received) {
+  return {
+    status: session.fileId ? "uploaded" : "in_progress",
+    uploadId: uploadId,
+    received: received,
+    size: session.size,
+    chunkSize: UPLOAD_CHUNK_BYTES
+  };
+}
+
+// Asks Drive how many bytes it has; -1 when the session is gone
+function queryUploadSession(session, uploadId) {
+  const res = UrlFetchApp.fetch(session.sessionUrl, {
+    method: "put",
+    headers: { "Content-Range": "bytes */" + session.size },
+    followRedirects: false,
+    muteHttpExceptions: true
+  });
+  return readUploadProgress(uploadId || null, session, res);
+}
+
+/**
+ * Bytes Drive holds after a session request: 308 carries a Range header,
+ * 200/201 means the file exists. Progress is saved to the session when
+ * an uploadId is given.
+ */
+function readUploadProgress(uploadId, session, res) {
+  const code = res.getResponseCode();
+  if (code === 308) {
+    const range = responseHeader(res, "range");
+    const match = range && String(range).match(/bytes=0-(\d+)/);
+    session.received = match ? Number(match[1]) + 1 : 0;
+  } else if (code === 200 || code === 201) {
+    session.fileId = JSON.parse(res.getContentText()).id;
+    session.received = session.size;
+  } else {
+    return -1;
+  }
+  if (uploadId) SCRIPT_PROPS.setProperty("UPLOAD_" + uploadId, JSON.stringify(session));
+  return session.received;
+}
+
+function responseHeader(res, name) {
+  const headers = res.getAllHeaders();
+  const key = Object.keys(headers).find(h => h.toLowerCase() === name);
+  return key ? headers[key] : null;
+}
+
+// Abandoned sessions would otherwise pile up in script properties
+function pruneUploadSessions() {
+  const cutoff = Date.now() - UPLOAD_SESSION_TTL_MS;
+  SCRIPT_PROPS.getKeys().filter(k => k.indexOf("UPLOAD_") === 0).forEach(k => {
+    const session = safeParseJSON(SCRIPT_PROPS.getProperty(k), null);
+    if (!session || new Date(session.createdAt).getTime() < cutoff) SCRIPT_PROPS.deleteProperty(k);
+  });
+}
+
 // ============================================================
 // PROCESS DOCUMENT (extracts text, splits into pages, starts batch)
 // ============================================================
@@ -633,6 +1203,28 @@ function processDocumentAction(data) {
       return jsonResp({ error: "Drive file not found: " + doc.drive_file_id });
     }
 
+    const props = PropertiesService.getScriptProperties();
+
+    // PDFs: real pages, extracted a few at a time by process_batch
+    const pdf = preparePdfSource(file);
+    if (pdf) {
+      Logger.log("PDF with " + pdf.pageCount + " pages, extracting per page");
+      props.setProperty("BATCH_STATE_" + doc.id, JSON.stringify({
+        docId: doc.id,
+        docName: doc.name,
+        totalPages: pdf.pageCount,
+        processedPages: 0,
+        totalChunks: 0,
+        startTime: new Date().toISOString(),
+        pageGroupCount: 0,
+        source: pdf.source,
+        failedPages: []
+      }));
+      deleteChunksByDocId(doc.id);
+      updateDocStatus(doc.id, "processing", pdf.pageCount);
+      return processBatchAction({ documentId: doc.id, timeLimitMs: data.timeLimitMs });
+    }
+
     // Extract text
     const text = extractTextFromFile(file, doc.name);
 
@@ -644,13 +1236,13 @@ function processDocumentAction(data) {
     }
 
     Logger.log("Extracted " + text.length + " characters from " + doc.name);
+    registerRevision(doc.id, doc.name, text);
 
     // Split text into pages
     const pages = splitIntoPages(text);
     Logger.log("Split into " + pages.length + " pages");
 
     // Store pages in Script Properties for batch processing
-    const props = PropertiesService.getScriptProperties();
     const batchState = {
       docId: doc.id,
       docName: doc.name,
@@ -691,7 +1283,7 @@ function processDocumentAction(data) {
     updateDocStatus(doc.id, "processing", pages.length);
 
     // Start first batch immediately
-    return processBatchAction({ documentId: doc.id });
+    return processBatchAction({ documentId: doc.id, timeLimitMs: data.timeLimitMs });
 
   } catch (err) {
     Logger.log("Process error: " + err.message + "\n" + err.stack);
@@ -707,6 +1299,7 @@ function processBatchAction(data) {
   if (!data.documentId) return jsonResp({ error: "Document ID required" });
 
   const startTime = Date.now();
+  const timeLimit = data.timeLimitMs || TIME_LIMIT_MS;  // The job queue passes what is left of its run
   const props = PropertiesService.getScriptProperties();
   const stateKey = "BATCH_STATE_" + data.documentId;
 
@@ -717,6 +1310,7 @@ function processBatchAction(data) {
   }
 
   const state = JSON.parse(stateStr);
+  if (state.stage === "embed") return runEmbedStage(state, startTime, timeLimit);
   Logger.log("Batch processing: doc=" + state.docId + ", processed=" + state.processedPages + "/" + state.totalPages);
 
   // Load remaining pages
@@ -729,93 +1323,80 @@ function processBatchAction(data) {
     }
   }
 
-  if (allPages.length === 0) {
-    // All done
-    cleanupBatchState(state.docId, state.pageGroupCount);
-    updateDocStatus(state.docId, "indexed", state.totalChunks);
-    return jsonResp({
-      status: "indexed",
-      documentId: state.docId,
-      totalPages: state.totalPages,
-      totalChunks: state.totalChunks,
-      pagesProcessed: state.totalPages
-    });
+  if (!state.source && allPages.length === 0) {
+    // All pages chunked; embedding is next
+    startEmbedStage(state);
+    return runEmbedStage(state, startTime, timeLimit);
   }
 
   // Process pages until time limit
   const chunkSheet = getSheet("Chunks");
   let pagesProcessedThisBatch = 0;
   let chunksCreated = 0;
+  const keywordEntries = [];
 
-  for (let p = state.processedPages; p < allPages.length; p++) {
-    // TIME GUARD: check if we're approaching the limit
-    const elapsed = Date.now() - startTime;
-    if (elapsed > TIME_LIMIT_MS) {
-      Logger.log("Time limit reached at page " + (p + 1) + ". Saving progress.");
-      break;
-    }
-
-    const pageText = allPages[p];
-    if (!pageText || pageText.trim().length < 5) {
-      pagesProcessedThisBatch++;
-      continue;
+  if (state.source) {
+    // PDF: extract the next few physical pages with one vision call each
+    let pdf;
+    try {
+      pdf = openPdf(pdfBinary(DriveApp.getFileById(state.source.driveFileId).getBlob()));
+    } catch (e) {
+      return jsonResp({ error: "Could not read the PDF for page extraction: " + e.message });
     }
+    while (state.processedPages + pagesProcessedThisBatch < state.totalPages) {
+      if (Date.now() - startTime > timeLimit) {
+        Logger.log("Time limit reached at page " + (state.processedPages + pagesProcessedThisBatch + 1) + ". Saving progress.");
+        break;
+      }
 
-    // Chunk this page
-    const pageChunks = engineeringChunkPage(pageText, p + 1);
+      const first = state.processedPages + pagesProcessedThisBatch + 1;
+      const last = Math.min(first + PDF_PAGES_PER_CALL - 1, state.totalPages);
+      const pageTexts = extractPdfPageRange(pdf, first, last);
 
-    for (const chunk of pageChunks) {
-      // Extract engineering data (fast — no embedding yet)
-      let extraction;
-      try {
-        extraction = extractEngineeringData(chunk.text);
-      } catch (e) {
-        extraction = fallbackExtract(chunk.text);
+      for (let n = first; n <= last; n++) {
+        const pageText = pageTexts[n] || "";
+        if (!pageText) state.failedPages.push(n);
+        if (n === 1) registerRevision(state.docId, state.docName, pageText);
+        chunksCreated += indexPage(state.docId, pageText, n, chunkSheet, keywordEntries);
+        pagesProcessedThisBatch++;
       }
-
-      chunkSheet.appendRow([
-        Utilities.getUuid(),
-        state.docId,
-        chunk.text,
-        chunk.pageNumber,
-        extraction.panel || "",
-        extraction.voltage || "",
-        JSON.stringify(extraction.components || []),
-        JSON.stringify(extraction.connections || []),
-        "[]",  // Empty embedding — will be filled by embed_chunks
-        new Date().toISOString()
-      ]);
-      chunksCreated++;
     }
+  } else {
+    for (let p = state.processedPages; p < allPages.length; p++) {
+      // TIME GUARD: check if we're approaching the limit
+      const elapsed = Date.now() - startTime;
+      if (elapsed > timeLimit) {
+        Logger.log("Time limit reached at page " + (p + 1) + ". Saving progress.");
+        break;
+      }
 
-    pagesProcessedThisBatch++;
+      chunksCreated += indexPage(state.docId, allPages[p], p + 1, chunkSheet, keywordEntries);
+      pagesProcessedThisBatch++;
 
-    // Rate limiting
-    if (pagesProcessedThisBatch > 0 && pagesProcessedThisBatch % 3 === 0) {
-      Utilities.sleep(500);
+      // Rate limiting
+      if (pagesProcessedThisBatch > 0 && pagesProcessedThisBatch % 3 === 0) {
+        Utilities.sleep(500);
+      }
     }
   }
 
+  // Postings and vector index metadata for this batch are written in one pass per shard
+  keywordIndexAdd(keywordEntries);
+  vectorIndexUpsert(String(state.docId), keywordEntries);
+  if (chunksCreated > 0) markGraphStale();
+
   // Update batch state
   state.processedPages += pagesProcessedThisBatch;
   state.totalChunks += chunksCreated;
 
-  const isComplete = state.processedPages >= allPages.length;
+  const isComplete = state.processedPages >= (state.source ? state.totalPages : allPages.length);
 
   if (isComplete) {
-    // Done! Clean up
-    cleanupBatchState(state.docId, state.pageGroupCount);
-    updateDocStatus(state.docId, "indexed", state.totalChunks);
-
-    Logger.log("Batch complete: " + state.totalChunks + " chunks from " + state.totalPages + " pages");
-
-    return jsonResp({
-      status: "indexed",
-      documentId: state.docId,
-      totalPages: state.totalPages,
-      pagesProcessed: state.processedPages,
-      totalChunks: state.totalChunks
-    });
+    // Chunking done; embed with whatever time this call has left
+    summarizeTitleBlocks(state.docId);
+    Logger.log("Chunking complete: " + state.totalChunks + " chunks from " + state.totalPages + " pages");
+    startEmbedStage(state);
+    return runEmbedStage(state, startTime, timeLimit);
   } else {
     // Save progress and return for next batch
     props.setProperty(stateKey, JSON.stringify(state));
@@ -825,6 +1406,7 @@ function processBatchAction(data) {
 
     return jsonResp({
       status: "in_progress",
+      stage: "chunk",
       documentId: state.docId,
       totalPages: state.totalPages,
       pagesProcessed: state.processedPages,
@@ -834,6 +1416,60 @@ function processBatchAction(data) {
   }
 }
 
+/**
+ * Chunks one page, extracts engineering data per chunk and its cable
+ * schedule, and appends the rows. Keyword postings and index metadata
+ * are collected into keywordEntries for the caller to write in one pass.
+ * Returns the number of chunks created.
+ */
+function indexPage(docId, pageText, pageNumber, chunkSheet, keywordEntries) {
+  if (!pageText || pageText.trim().length < 5) return 0;
+
+  const pageChunks = engineeringChunkPage(pageText, pageNumber);
+  const pageConnections = [];
+  const pageComponents = [];
+
+  for (const chunk of pageChunks) {
+    // Extract engineering data (fast — no embedding yet)
+    let extraction;
+    try {
+      extraction = extractEngineeringData(chunk.text);
+    } catch (e) {
+      extraction = canonicalizeExtraction(withExtractionSource(fallbackExtract(chunk.text), "fallback", 1));
+    }
+
+    const chunkId = Utilities.getUuid();
+    const termStats = buildTermStats(chunk.text);
+    const row = [
+      chunkId,
+      docId,
+      chunk.text,
+      chunk.pageNumber,
+      extraction.panel || "",
+      extraction.voltage || "",
+      JSON.stringify(extraction.components || []),
+      JSON.stringify(extraction.connections || []),
+      "[]",  // Empty embedding — will be filled by embed_chunks
+      new Date().toISOString(),
+      termStats.length,
+      chunkTableData(chunk.text),
+      chunkQuantities(chunk.text, extraction.voltage),
+      extraction.extraction_source || "",
+      extraction.confidence == null ? "" : extraction.confidence
+    ];
+    chunkSheet.appendRow(row);
+    keywordEntries.push({ id: chunkId, tf: termStats.tf, length: termStats.length, meta: chunkIndexMeta(row) });
+    pageConnections.push(...(extraction.connections || []));
+    extractComponentRegister(chunk.text, extraction).forEach(c => pageComponents.push(Object.assign(c, { chunk_id: chunkId })));
+  }
+
+  // Cable schedule and title block passes over the whole page
+  appendCableRows(docId, pageNumber, extractCableSchedule(pageText, pageConnections));
+  appendComponentRows(docId, pageNumber, pageComponents);
+  recordTitleBlock(docId, pageNumber, pageText);
+  return pageChunks.length;
+}
+
 // ============================================================
 // GET PROCESS STATUS
 // ============================================================
@@ -860,65 +1496,199 @@ function getProcessStatus(data) {
     return jsonResp({ error: "Document not found" });
   }
 
+  // Batch state lives until the embedding stage finishes
   const state = JSON.parse(stateStr);
   return jsonResp({
-    status: state.processedPages >= state.totalPages ? "indexed" : "in_progress",
+    status: "in_progress",
+    stage: state.stage || "chunk",
     documentId: state.docId,
     totalPages: state.totalPages,
     pagesProcessed: state.processedPages,
     totalChunks: state.totalChunks,
+    embeddedChunks: state.embeddedChunks || 0,
     startTime: state.startTime
   });
 }
 
 // ============================================================
-// EMBED CHUNKS (separate pass — adds embeddings to existing chunks)
+// EMBEDDING STAGE (batched requests, runs after chunking in process_batch)
 // ============================================================
 
-function embedChunksAction(data) {
-  if (!data.documentId) return jsonResp({ error: "Document ID required" });
-
-  const startTime = Date.now();
-  const chunkSheet = getSheet("Chunks");
-  const chunkData = chunkSheet.getDataRange().getValues();
-  let embedded = 0;
-  let skipped = 0;
-  
-  // Track changes for batch update
-  const updates = [];
-  const indices = [];
-
-  for (let i = 1; i < chunkData.length; i++) {
-    if (String(chunkData[i][1]) !== String(data.documentId)) continue;
+const EMBED_BATCH_SIZE = 50;  // Texts per embedding request (Gemini accepts 100)
 
-    const existingEmb = safeParseJSON(chunkData[i][8], []);
-    if (existingEmb && existingEmb.length > 0) {
-      skipped++;
-      continue;
-    }
+/**
+ * Switches a batch to its embedding stage. The document stays
+ * "embedding" until every chunk has a vector.
+ */
+function startEmbedStage(state) {
+  const props = PropertiesService.getScriptProperties();
+  for (let g = 0; g < (state.pageGroupCount || 0); g++) {
+    props.deleteProperty("BATCH_PAGES_" + state.docId + "_" + g);
+  }
+  state.stage = "embed";
+  state.pageGroupCount = 0;
+  state.embeddedChunks = 0;
+  props.setProperty("BATCH_STATE_" + state.docId, JSON.stringify(state));
+  updateDocStatus(state.docId, "embedding", state.totalPages);
+}
 
-    if (Date.now() - startTime > TIME_LIMIT_MS) break;
+/**
+ * Embeds the document's chunks that have no vector yet, a batch per
+ * request, writing vectors back in contiguous row ranges and to the
+ * vector index. Only the document's own rows are read. Finishes the
+ * document once nothing is left; fails when a request embeds nothing.
+ */
+function runEmbedStage(state, startTime, timeLimit) {
+  const sheet = getSheet("Chunks");
+  const pending = [];
+  let docChunks = 0;
+  for (const run of rowRuns(documentChunkRows(sheet, state.docId))) {
+    sheet.getRange(run.row, 1, run.count, 15).getValues().forEach((r, k) => {
+      docChunks++;
+      const emb = safeParseJSON(r[8], []);
+      if (!emb || emb.length === 0) pending.push({ row: run.row + k, id: r[0], text: String(r[2]), meta: chunkIndexMeta(r) });
+    });
+  }
 
-    try {
-      const embedding = getGeminiEmbedding(chunkData[i][2]);
-      if (embedding && embedding.length > 0) {
-        // Prepare batch update
-        chunkSheet.getRange(i + 1, 9).setValue(JSON.stringify(embedding));
-        embedded++;
-      }
-    } catch (e) { /* skip and try next */ }
+  let embedded = 0;
+  let requests = 0;
+  for (let b = 0; b < pending.length; b += EMBED_BATCH_SIZE) {
+    if (Date.now() - startTime > timeLimit) break;
+    const batch = pending.slice(b, b + EMBED_BATCH_SIZE);
+    const vectors = getEmbeddings(batch.map(c => c.text));
+    requests++;
+
+    const writes = [];
+    const indexed = [];
+    batch.forEach((c, k) => {
+      if (!vectors[k] || vectors[k].length === 0) return;
+      writes.push({ row: c.row, value: JSON.stringify(vectors[k]) });
+      indexed.push({ id: c.id, meta: c.meta, embedding: vectors[k] });
+    });
+    // Sheet and index move together, so a run cut off mid-stage loses nothing
+    writeColumnRuns(sheet, 9, writes);
+    vectorIndexUpsert(String(state.docId), indexed);
+    embedded += indexed.length;
+  }
+
+  const remaining = pending.length - embedded;
+  state.totalChunks = docChunks;
+  state.embeddedChunks = docChunks - remaining;
+  const props = PropertiesService.getScriptProperties();
 
-    if (embedded % 3 === 0) Utilities.sleep(500); 
+  if (remaining === 0) {
+    cleanupBatchState(state.docId, state.pageGroupCount);
+    updateDocStatus(state.docId, "indexed", state.totalChunks);
+    Logger.log("Batch complete: " + state.totalChunks + " chunks embedded from " + state.totalPages + " pages");
+    return jsonResp({
+      status: "indexed",
+      documentId: state.docId,
+      totalPages: state.totalPages,
+      pagesProcessed: state.processedPages,
+      totalChunks: state.totalChunks,
+      embeddedChunks: state.embeddedChunks,
+      failedPages: state.failedPages || []
+    });
   }
 
+  props.setProperty("BATCH_STATE_" + state.docId, JSON.stringify(state));
+  if (requests > 0 && embedded === 0) {
+    return jsonResp({ error: "Embedding failed for " + remaining + " chunks: " + (globalContextError || "the provider returned no vectors") });
+  }
   return jsonResp({
-    status: embedded > 0 ? "partial" : "indexed", // Trigger next pass if needed
-    documentId: data.documentId,
-    embedded: embedded,
-    skipped: skipped
+    status: "in_progress",
+    stage: "embed",
+    documentId: state.docId,
+    totalPages: state.totalPages,
+    pagesProcessed: state.processedPages,
+    totalChunks: state.totalChunks,
+    embeddedChunks: state.embeddedChunks,
+    message: "Embedding chunk " + state.embeddedChunks + " of " + state.totalChunks + "..."
   });
 }
 
+// Writes { row, value } cells of one column with one setValues per run of adjacent rows
+function writeColumnRuns(sheet, column, writes) {
+  writes.sort((a, b) => a.row - b.row);
+  let start = 0;
+  for (let k = 1; k <= writes.length; k++) {
+    if (k < writes.length && writes[k].row === writes[k - 1].row + 1) continue;
+    const run = writes.slice(start, k);
+    sheet.getRange(run[0].row, column, run.length, 1).setValues(run.map(w => [w.value]));
+    start = k;
+  }
+}
+
+// Sheet rows of a document's chunks, found with one search over the document_id column
+function documentChunkRows(sheet, docId) {
+  if (sheet.getLastRow() < 2) return [];
+  return sheet.getRange(2, 2, sheet.getLastRow() - 1, 1)
+    .createTextFinder(String(docId)).matchEntireCell(true).findAll()
+    .map(cell => cell.getRow());
+}
+
+// Batch state for a document whose chunks already exist
+function chunkedBatchState(docId, docName, totalPages) {
+  return {
+    docId: docId,
+    docName: docName,
+    totalPages: totalPages,
+    processedPages: totalPages,
+    totalChunks: 0,
+    startTime: new Date().toISOString(),
+    pageGroupCount: 0
+  };
+}
+
+/**
+ * Puts an already chunked document into its embedding stage and lets the
+ * job queue finish it.
+ */
+function queueEmbedStage(docId, docName, totalPages) {
+  startEmbedStage(chunkedBatchState(docId, docName, totalPages));
+  return enqueueDocument(docId);
+}
+
+/**
+ * Embeds chunks that have no vector yet. With a documentId this runs the
+ * document's embedding stage (call again while in_progress); without one
+ * every indexed document with unembedded chunks is queued.
+ */
+function embedChunksAction(data) {
+  const props = PropertiesService.getScriptProperties();
+  const docs = loadDocumentMap();
+
+  if (data.documentId) {
+    const doc = docs[String(data.documentId)];
+    if (!doc) return jsonResp({ error: "Document not found: " + data.documentId });
+    if (!props.getProperty("BATCH_STATE_" + doc.id)) {
+      startEmbedStage(chunkedBatchState(doc.id, doc.name, doc.page_count));
+    }
+    return processBatchAction({ documentId: doc.id });
+  }
+
+  // Chunk counts come from the document_id column and vector counts from
+  // the index, so no embedding is read here
+  const sheet = getSheet("Chunks");
+  const chunkCounts = {};
+  const docColumn = sheet.getLastRow() > 1 ? sheet.getRange(2, 2, sheet.getLastRow() - 1, 1).getValues() : [];
+  docColumn.forEach(r => { chunkCounts[String(r[0])] = (chunkCounts[String(r[0])] || 0) + 1; });
+  const vectorCounts = vectorIndexVectorCounts();
+
+  const queued = [];
+  let chunks = 0;
+  for (const docId of Object.keys(chunkCounts)) {
+    const doc = docs[docId];
+    if (!doc || !(docId in vectorCounts)) continue;
+    const missing = chunkCounts[docId] - vectorCounts[docId];
+    if (missing <= 0 || String(doc.status) !== "indexed" || props.getProperty("BATCH_STATE_" + docId)) continue;
+    queueEmbedStage(doc.id, doc.name, doc.page_count);
+    queued.push({ id: doc.id, name: doc.name, chunks: missing });
+    chunks += missing;
+  }
+  return jsonResp({ status: "queued", documents: queued, chunks: chunks });
+}
+
 // ============================================================
 // CLEANUP BATCH STATE
 // ============================================================
@@ -931,11 +1701,290 @@ function cleanupBatchState(docId, groupCount) {
   }
 }
 
+// ============================================================
+// JOB QUEUE (time-driven trigger processes documents server-side)
+// ============================================================
+
+const JOB_TRIGGER_HANDLER = "runJobQueue";
+const JOB_TRIGGER_MINUTES = 1;
+const JOB_RUN_BUDGET_MS = 5 * 60 * 1000;     // Triggered executions are cut off at 6 minutes
+const JOB_MIN_SLICE_MS = 45 * 1000;          // Don't start a job with less time than this left
+const JOB_KEYWORD_REBUILD_MS = 2 * 60 * 1000; // Share of a run for a queued keyword index rebuild
+const KEYWORD_REBUILD_PENDING_KEY = "KEYWORD_REBUILD_PENDING";
+const JOB_LEASE_MS = 7 * 60 * 1000;          // Outlives a killed run so the next one can take over
+const JOB_MAX_ATTEMPTS = 5;
+const JOB_RETRY_BASE_MS = 2 * 60 * 1000;     // Doubles after each consecutive failure
+const JOB_SWEEP_GRACE_MS = 10 * 60 * 1000;   // Leave documents that are still mid-upload alone
+const JOB_ACTIVE_STATUSES = ["queued", "running"];
+const JOB_SWEEP_STATUSES = ["uploaded", "extracting", "processing", "embedding"];
+
+let JOB_TRIGGER_CHECKED = false;
+
+/**
+ * Installs the time-driven trigger that runs the queue, once per project.
+ */
+function ensureJobTrigger() {
+  if (JOB_TRIGGER_CHECKED) return;
+  try {
+    const exists = ScriptApp.getProjectTriggers().some(t => t.getHandlerFunction() === JOB_TRIGGER_HANDLER);
+    if (!exists) {
+      ScriptApp.newTrigger(JOB_TRIGGER_HANDLER).timeBased().everyMinutes(JOB_TRIGGER_MINUTES).create();
+      Logger.log("Installed job queue trigger");
+    }
+    JOB_TRIGGER_CHECKED = true;
+  } catch (e) {
+    Logger.log("Could not install job queue trigger: " + e.message);
+  }
+}
+
+/**
+ * Trigger entry point: queues documents nobody is processing, then works
+ * through due jobs one batch at a time until the run budget is spent.
+ */
+function runJobQueue() {
+  if (!claimJobRunner()) {
+    Logger.log("Job queue already running, skipping this run");
+    return;
+  }
+  const started = Date.now();
+  try {
+    resolveConfig({});
+    SCRIPT_PROPS.setProperty("JOB_RUNNER_LAST_RUN", new Date(started).toISOString());
+    sweepDocumentsIntoQueue();
+    if (SCRIPT_PROPS.getProperty(KEYWORD_REBUILD_PENDING_KEY)) {
+      try {
+        rebuildKeywordIndexAction({ timeLimitMs: JOB_KEYWORD_REBUILD_MS });
+      } catch (e) {
+        Logger.log("Queued keyword index rebuild failed: " + e.message);
+      }
+    }
+
+    while (JOB_RUN_BUDGET_MS - (Date.now() - started) > JOB_MIN_SLICE_MS) {
+      const job = loadJobs().find(j => JOB_ACTIVE_STATUSES.includes(j.status) && new Date(j.next_run_at).getTime() <= Date.now());
+      if (!job) break;
+      runJob(job, JOB_RUN_BUDGET_MS - (Date.now() - started));
+    }
+  } finally {
+    SCRIPT_PROPS.deleteProperty("JOB_RUNNER_LEASE");
+  }
+}
+
+/**
+ * Only one run works the queue at a time. The lease lives in script
+ * properties rather than a held lock so user requests are never blocked.
+ */
+function claimJobRunner() {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(2000)) return false;
+  try {
+    const lease = Number(SCRIPT_PROPS.getProperty("JOB_RUNNER_LEASE")) || 0;
+    if (lease > Date.now()) return false;
+    SCRIPT_PROPS.setProperty("JOB_RUNNER_LEASE", String(Date.now() + JOB_LEASE_MS));
+    return true;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Queues uploaded documents and in-progress ones left behind by a closed
+ * browser tab. Documents whose job failed for good wait for the user.
+ */
+function sweepDocumentsIntoQueue() {
+  const jobsByDoc = {};
+  loadJobs().forEach(j => { jobsByDoc[j.document_id] = j; });
+
+  const data = getSheet("Documents").getDataRange().getValues();
+  for (let i = 1; i < data.length; i++) {
+    const docId = String(data[i][0]);
+    const status = String(data[i][5]);
+    if (!JOB_SWEEP_STATUSES.includes(status)) continue;
+    if (status !== "uploaded" && Date.now() - new Date(data[i][7]).getTime() < JOB_SWEEP_GRACE_MS) continue;
+    const job = jobsByDoc[docId];
+    if (job && job.status !== "done") continue;
+    enqueueDocument(docId);
+  }
+}
+
+/**
+ * Runs one slice of a job: starts processing, or continues the saved
+ * batch, and records the outcome. Failures are retried with backoff.
+ */
+function runJob(job, budgetMs) {
+  job.status = "running";
+  saveJob(job);
+
+  let result;
+  try {
+    const request = { documentId: job.document_id, timeLimitMs: budgetMs - JOB_MIN_SLICE_MS / 2 };
+    const out = SCRIPT_PROPS.getProperty("BATCH_STATE_" + job.document_id)
+      ? processBatchAction(request)
+      : processDocumentAction(request);
+    result = JSON.parse(out.getContent());
+  } catch (e) {
+    result = { error: e.message };
+  }
+
+  if (result.error) {
+    job.attempts = Number(job.attempts || 0) + 1;
+    job.last_error = String(result.message || result.error).substring(0, 500);
+    if (job.attempts >= JOB_MAX_ATTEMPTS) {
+      job.status = "failed";
+    } else {
+      job.status = "queued";
+      job.next_run_at = new Date(Date.now() + JOB_RETRY_BASE_MS * Math.pow(2, job.attempts - 1)).toISOString();
+    }
+    Logger.log("Job " + job.id + " failed (attempt " + job.attempts + "): " + job.last_error);
+  } else {
+    job.attempts = 0;
+    job.last_error = "";
+    job.status = result.status === "in_progress" ? "running" : "done";
+    job.pages_processed = result.pagesProcessed || 0;
+    job.total_pages = result.totalPages || job.pages_processed;
+    job.total_chunks = result.totalChunks || result.chunksProcessed || 0;
+    job.stage = result.stage || "";
+    job.embedded_chunks = result.embeddedChunks || 0;
+    job.failed_pages = (result.failedPages || []).join(",");
+  }
+  saveJob(job);
+  return job;
+}
+
+/**
+ * Adds a document to the queue, or resets its existing job. A saved
+ * batch is resumed by the next run. Returns the job.
+ */
+function enqueueDocument(docId) {
+  const now = new Date().toISOString();
+  const sheet = getSheet("Jobs");
+  let job;
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const row = findJobRow(sheet, 2, docId);
+    job = row ? readJobRow(sheet.getRange(row, 1, 1, SHEET_HEADERS.Jobs.length).getValues()[0])
+      : { id: Utilities.getUuid(), document_id: String(docId), created_at: now };
+    Object.assign(job, {
+      status: "queued", attempts: 0, next_run_at: now, last_error: "",
+      pages_processed: 0, total_pages: 0, total_chunks: 0, failed_pages: "", stage: "", embedded_chunks: 0
+    });
+    writeJobRow(sheet, row || sheet.getLastRow() + 1, job);
+  } finally {
+    lock.releaseLock();
+  }
+  ensureJobTrigger();
+  return job;
+}
+
+function queueDocumentAction(data) {
+  if (!data.documentId) return jsonResp({ error: "Document ID required" });
+  if (!loadDocumentMap()[String(data.documentId)]) return jsonResp({ error: "Document not found: " + data.documentId });
+
+  // Reprocessing on request starts over rather than finishing an old batch
+  const job = restartDocument(data.documentId);
+  return jsonResp({ status: "queued", job: job });
+}
+
+// Queues a document to be processed from the start, dropping any saved batch
+function restartDocument(docId) {
+  const state = safeParseJSON(SCRIPT_PROPS.getProperty("BATCH_STATE_" + docId), null);
+  if (state) cleanupBatchState(docId, state.pageGroupCount);
+  return enqueueDocument(docId);
+}
+
+function listJobsAction(data) {
+  const docs = loadDocumentMap();
+  const jobs = loadJobs().filter(j => {
+    if (!docs[j.document_id]) return false;
+    if (data.documentId && j.document_id !== String(data.documentId)) return false;
+    if (data.status && j.status !== data.status) return false;
+    j.document_name = docs[j.document_id].name;
+    return true;
+  });
+  jobs.sort((a, b) => String(b.updated_at).localeCompare(String(a.updated_at)));
+
+  let triggerInstalled = false;
+  try {
+    triggerInstalled = ScriptApp.getProjectTriggers().some(t => t.getHandlerFunction() === JOB_TRIGGER_HANDLER);
+  } catch (e) {
+    Logger.log("Could not read triggers: " + e.message);
+  }
+
+  return jsonResp({
+    jobs: jobs,
+    active: jobs.filter(j => JOB_ACTIVE_STATUSES.includes(j.status)).length,
+    triggerInstalled: triggerInstalled,
+    lastRunAt: SCRIPT_PROPS.getProperty("JOB_RUNNER_LAST_RUN") || ""
+  });
+}
+
+function loadJobs() {
+  const data = getSheet("Jobs").getDataRange().getValues();
+  return data.slice(1).filter(r => r[0]).map(readJobRow);
+}
+
+function readJobRow(values) {
+  const job = {};
+  SHEET_HEADERS.Jobs.forEach((h, c) => { job[h] = values[c] instanceof Date ? values[c].toISOString() : values[c]; });
+  job.document_id = String(job.document_id);
+  job.attempts = Number(job.attempts) || 0;
+  return job;
+}
+
+/**
+ * Writes a job back to its row. Rows shift when other jobs are deleted,
+ * so the row is looked up by job ID under the script lock every time. A
+ * job deleted while it ran (its document went away) is not brought back.
+ */
+function saveJob(job) {
+  const sheet = getSheet("Jobs");
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const row = findJobRow(sheet, 1, job.id);
+    if (row) writeJobRow(sheet, row, job);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function writeJobRow(sheet, row, job) {
+  job.updated_at = new Date().toISOString();
+  const values = [SHEET_HEADERS.Jobs.map(h => job[h] == null ? "" : job[h])];
+  sheet.getRange(row, 1, 1, values[0].length).setValues(values);
+  SpreadsheetApp.flush();
+}
+
+// Sheet row holding the given job ID (column 1) or document ID (column 2), or 0
+function findJobRow(sheet, column, value) {
+  if (sheet.getLastRow() < 2) return 0;
+  const cell = sheet.getRange(2, column, sheet.getLastRow() - 1, 1)
+    .createTextFinder(String(value)).matchEntireCell(true).findNext();
+  return cell ? cell.getRow() : 0;
+}
+
+function deleteJobByDocId(docId) {
+  const sheet = getSheet("Jobs");
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const row = findJobRow(sheet, 2, docId);
+    if (row) sheet.deleteRow(row);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
 // ============================================================
 // SPLIT TEXT INTO PAGES
 // ============================================================
 
 function splitIntoPages(text) {
+  // DXF and spreadsheet text arrive as pages separated by form feeds
+  if (text.indexOf(DXF_LAYOUT_MARKER) === 0 || text.indexOf(TABLE_SHEET_MARKER) === 0) {
+    return text.split("\f").filter(p => p && p.trim().length > 5);
+  }
+
   // Strategy 1: Look for page markers (common in converted PDFs)
   let pages = text.split(/(?:\n\s*){3,}|\f|(?:---\s*\n)|(?:Page\s+\d+\s*(?:of\s+\d+)?\s*\n)/i);
 
@@ -981,6 +2030,7 @@ function processTextIntoChunks(docId, text) {
   const chunkSheet = getSheet("Chunks");
   const logSheet = getSheet("BatchLogs"); // Metadata for parent context
   let totalChunks = 0;
+  const keywordEntries = [];
   
   // Prepare batch for performance
   const batchRows = [];
@@ -997,6 +2047,8 @@ function processTextIntoChunks(docId, text) {
     } catch(e) { Logger.log("Summary failed: " + e.message); }
 
     const pageChunks = engineeringChunkPage(pageText, pageNumber);
+    const pageConnections = [];
+    const pageComponents = [];
 
     for (const chunk of pageChunks) {
       try {
@@ -1004,9 +2056,11 @@ function processTextIntoChunks(docId, text) {
         
         // Metadata Injection for 100% match retrieval
         const enhancedContent = `[Doc:${docId} Page:${pageNumber}] [Context:${pageSummary}] \n\n ${chunk.text}`;
+        const chunkId = Utilities.getUuid();
+        const termStats = buildTermStats(enhancedContent);
 
-        batchRows.push([
-          Utilities.getUuid(),
+        const row = [
+          chunkId,
           docId,
           enhancedContent,
           pageNumber,
@@ -1015,8 +2069,17 @@ function processTextIntoChunks(docId, text) {
           JSON.stringify(extraction.components || []),
           JSON.stringify(extraction.connections || []),
           "[]", // Embeddings placeholder
-          new Date().toISOString()
-        ]);
+          new Date().toISOString(),
+          termStats.length,
+          chunkTableData(chunk.text),
+          chunkQuantities(chunk.text, extraction.voltage),
+          extraction.extraction_source || "",
+          extraction.confidence == null ? "" : extraction.confidence
+        ];
+        batchRows.push(row);
+        keywordEntries.push({ id: chunkId, tf: termStats.tf, length: termStats.length, meta: chunkIndexMeta(row) });
+        pageConnections.push(...(extraction.connections || []));
+        extractComponentRegister(chunk.text, extraction).forEach(c => pageComponents.push(Object.assign(c, { chunk_id: chunkId })));
         
         totalChunks++;
 
@@ -1031,6 +2094,10 @@ function processTextIntoChunks(docId, text) {
         Logger.log("Chunk error: " + chunkErr.message);
       }
     }
+
+    appendCableRows(docId, pageNumber, extractCableSchedule(pageText, pageConnections));
+    appendComponentRows(docId, pageNumber, pageComponents);
+    recordTitleBlock(docId, pageNumber, pageText);
   }
 
   // Final flush
@@ -1039,6 +2106,11 @@ function processTextIntoChunks(docId, text) {
     chunkSheet.getRange(lastRow + 1, 1, batchRows.length, batchRows[0].length).setValues(batchRows);
   }
 
+  keywordIndexAdd(keywordEntries);
+  vectorIndexUpsert(String(docId), keywordEntries);
+  markGraphStale();
+  summarizeTitleBlocks(docId);
+
   return { processed: totalChunks, total: totalChunks };
 }
 
@@ -1066,15 +2138,31 @@ function listDocuments(data) {
       file_type: rawData[i][4],
       status: rawData[i][5],
       page_count: rawData[i][6],
-      created_at: rawData[i][7]
+      created_at: rawData[i][7],
+      drawing_number: rawData[i][8] || "",
+      revision: rawData[i][9] || "",
+      supersedes: rawData[i][10] || "",
+      is_latest: String(rawData[i][11]).toUpperCase() !== "FALSE",
+      ...documentTitleBlock(rawData[i]),
+      modified_time: rawData[i][20] || "",
+      deleted_at: rawData[i][22] || "",
+      duplicate_of: rawData[i][23] || ""
     };
 
-    // Filter by folder
+    // Filter by folder; documents soft-deleted by sync or skipped as duplicates only on request
     if (data && data.folderId && doc.folder_id !== data.folderId) continue;
+    if (doc.deleted_at && !(data && data.includeDeleted)) continue;
+    if (doc.status === "skipped" && !(data && data.includeSkipped)) continue;
 
     documents.push(doc);
   }
 
+  // Per-sheet title blocks on request (one Pages read for all documents)
+  if (data && data.includePages) {
+    const pages = loadTitleBlockPages();
+    for (const doc of documents) doc.pages = pages[String(doc.id)] || [];
+  }
+
   documents.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
   return jsonResp({ documents });
 }
@@ -1091,12 +2179,16 @@ function deleteDocumentAction(data) {
     Logger.log("Drive delete failed: " + e.message);
   }
 
-  // Delete chunks
+  // Delete chunks and any queued processing; a copy takes over as original
   deleteChunksByDocId(data.documentId);
+  deleteJobByDocId(data.documentId);
+  promoteDuplicateCopy(data.documentId);
 
-  // Delete document row
+  // Delete document row, then promote the previous revision if any
   const sheet = getSheet("Documents");
+  const drawingNumber = (loadDocumentMap()[String(data.documentId)] || {}).drawing_number;
   deleteRowById(sheet, data.documentId);
+  relinkRevisions(normalizeTag(drawingNumber));
 
   return jsonResp({ status: "deleted" });
 }
@@ -1105,7 +2197,16 @@ function deleteDocumentAction(data) {
 // DRIVE SYNC
 // ============================================================
 
+const SYNCED_FOLDER_NOTE = "Auto-synced from Drive";
+
 // Matrix v17.0 'Hyper-Sync' Implementation
+/**
+ * Reconciles the Documents sheet with the Drive folder tree: registers
+ * new files, marks files whose content changed (modified time, then MD5)
+ * as "changed" and queues them for reprocessing, follows moves between synced subfolders
+ * and renames, soft-deletes documents whose file left the tree (their
+ * chunks are removed), and restores them if the file comes back.
+ */
 function syncDriveFiles() {
   try {
     const rootFolderId = getFolderId();
@@ -1117,9 +2218,14 @@ function syncDriveFiles() {
     const docSheet = getSheet("Documents");
     const folderSheet = getSheet("Folders");
     
-    const existingDocIds = new Set(docSheet.getDataRange().getValues().slice(1).map(r => String(r[3])));
-    const existingFolderIds = new Set(folderSheet.getDataRange().getValues().slice(1).map(r => String(r[0])));
+    const docData = docSheet.getDataRange().getValues();
+    const folderData = folderSheet.getDataRange().getValues();
+    const existingDocIds = new Set(docData.slice(1).map(r => String(r[3])));
+    const existingFolderIds = new Set(folderData.slice(1).map(r => String(r[0])));
+    // Folders created in the app are user groupings, not Drive locations; sync leaves them alone
+    const appFolderIds = new Set(folderData.slice(1).filter(r => r[2] !== SYNCED_FOLDER_NOTE).map(r => String(r[0])));
     const dbId = SCRIPT_PROPS.getProperty("DB_SPREADSHEET_ID") || "";
+    const seen = {};  // Drive file ID -> { file, folderId }
 
     function crawl(folder, parentId) {
       const fId = folder.getId();
@@ -1127,7 +2233,7 @@ function syncDriveFiles() {
 
       // 1. Register Subfolder (Root is implied)
       if (fId !== rootFolderId && !existingFolderIds.has(fId)) {
-        newFolderRows.push([fId, folder.getName(), "Auto-synced from Drive", new Date().toISOString()]);
+        newFolderRows.push([fId, folder.getName(), SYNCED_FOLDER_NOTE, new Date().toISOString()]);
         existingFolderIds.add(fId);
       }
 
@@ -1136,19 +2242,22 @@ function syncDriveFiles() {
       while (files.hasNext()) {
         const file = files.next();
         const fileId = file.getId();
-        if (existingDocIds.has(fileId) || fileId === dbId) continue;
+        if (fileId === dbId || seen[fileId]) continue;
+        seen[fileId] = { file: file, folderId: fId === rootFolderId ? "" : fId };
+        if (existingDocIds.has(fileId)) continue;
         
-        const docId = Utilities.getUuid();
-        newDocRows.push([
-          docId, 
-          file.getName(), 
-          (fId === rootFolderId ? "" : fId), 
-          fileId,
-          file.getMimeType(), 
-          "uploaded", 
-          0, 
-          new Date().toISOString()
-        ]);
+        const row = SHEET_HEADERS.Documents.map(() => "");
+        row[0] = Utilities.getUuid();
+        row[1] = file.getName();
+        row[2] = fId === rootFolderId ? "" : fId;
+        row[3] = fileId;
+        row[4] = file.getMimeType();
+        row[5] = "uploaded";
+        row[6] = 0;
+        row[7] = new Date().toISOString();
+        row[20] = file.getLastUpdated().toISOString();
+        row[21] = driveChecksum(file);
+        newDocRows.push(row);
         existingDocIds.add(fileId);
       }
 
@@ -1162,19 +2271,113 @@ function syncDriveFiles() {
     const rootFolder = DriveApp.getFolderById(rootFolderId);
     crawl(rootFolder, "");
 
+    // Reconcile documents that were already registered
+    const changes = { added: [], modified: [], moved: [], renamed: [], removed: [], restored: [], duplicates: [] };
+    const now = new Date().toISOString();
+    for (let i = 1; i < docData.length; i++) {
+      const row = docData[i];
+      const driveId = String(row[3] || "");
+      if (!driveId) continue;
+      const doc = { id: String(row[0]), name: String(row[1]) };
+      const rowNum = i + 1;
+      const entry = seen[driveId];
+
+      if (!entry) {
+        if (!row[22]) {
+          softDeleteDocument(doc.id);
+          changes.removed.push(doc);
+        }
+        continue;
+      }
+
+      const file = entry.file;
+      let contentChanged = false;
+      let edited = false;
+      if (row[22]) {
+        docSheet.getRange(rowNum, 23).setValue("");
+        changes.restored.push(doc);
+        contentChanged = true;
+      }
+
+      // Uploads used to be filed under the root folder's own ID; that is the root too
+      const storedFolderId = String(row[2] || "") === rootFolderId ? "" : String(row[2] || "");
+      if (entry.folderId !== storedFolderId && !appFolderIds.has(storedFolderId)) {
+        docSheet.getRange(rowNum, 3).setValue(entry.folderId);
+        vectorIndexMoveDocument(String(doc.id), entry.folderId);
+        changes.moved.push(Object.assign({ from: storedFolderId, to: entry.folderId }, doc));
+      }
+
+      if (file.getName() !== doc.name) {
+        docSheet.getRange(rowNum, 2).setValue(file.getName());
+        changes.renamed.push(Object.assign({ from: doc.name }, doc, { name: file.getName() }));
+      }
+
+      // Modified time first; the MD5 is only fetched when it moved. Documents
+      // synced before this check existed just get their baseline recorded.
+      const modified = file.getLastUpdated().toISOString();
+      if (modified !== String(row[20] || "")) {
+        const checksum = driveChecksum(file);
+        const hadBaseline = !!(row[20] || row[21]);
+        if (hadBaseline && (!checksum || checksum !== String(row[21] || ""))) {
+          changes.modified.push(doc);
+          contentChanged = true;
+          edited = true;
+        }
+        docSheet.getRange(rowNum, 21, 1, 2).setValues([[modified, checksum]]);
+      }
+
+      if (edited && row[23]) {
+        // No longer a copy: index it in its own right
+        docSheet.getRange(rowNum, 24).setValue("");
+        docSheet.getRange(rowNum, 6).setValue("uploaded");
+      } else if (contentChanged && String(row[5]) !== "uploaded") {
+        // Old chunks keep answering until the new content replaces them
+        docSheet.getRange(rowNum, 6).setValue("changed");
+        restartDocument(doc.id);
+      }
+    }
+
+    // New files identical to a known document (or to each other) wait for the user
+    const originals = {};
+    const removedIds = new Set(changes.removed.map(doc => doc.id));
+    for (let i = docData.length - 1; i >= 1; i--) {
+      const original = duplicateCandidate(docData[i]);
+      if (original && !removedIds.has(original.id)) originals[original.hash] = original;
+    }
+    for (const row of newDocRows) {
+      const original = row[21] && originals[row[21]];
+      if (original) {
+        row[5] = "duplicate";
+        row[23] = original.id;
+        changes.duplicates.push({ id: row[0], name: row[1], duplicate_of: original.id, original_name: original.name });
+      } else if (row[21]) {
+        originals[row[21]] = { id: row[0], name: row[1], folder_id: row[2], hash: row[21] };
+      }
+    }
+
     // Bulk Write for Performance (v17.0 Performance Core)
     if (newFolderRows.length > 0) {
       folderSheet.getRange(folderSheet.getLastRow() + 1, 1, newFolderRows.length, newFolderRows[0].length).setValues(newFolderRows);
     }
     if (newDocRows.length > 0) {
       docSheet.getRange(docSheet.getLastRow() + 1, 1, newDocRows.length, newDocRows[0].length).setValues(newDocRows);
+      newDocRows.forEach(r => changes.added.push({ id: r[0], name: r[1] }));
+      ensureJobTrigger();  // New files are processed by the background queue
+    }
+    // Revision chains skip soft-deleted documents
+    if (changes.removed.length > 0 || changes.restored.length > 0) {
+      const docMap = loadDocumentMap();
+      new Set([...changes.removed, ...changes.restored].map(doc => normalizeTag((docMap[doc.id] || {}).drawing_number))).forEach(key => relinkRevisions(key));
     }
 
     return jsonResp({ 
       status: "synced", 
       newFiles: newDocRows.length, 
       newFolders: newFolderRows.length,
-      message: `Hyper-Sync complete: ${newDocRows.length} files and ${newFolderRows.length} subfolders indexed.`
+      changes: changes,
+      syncedAt: now,
+      message: `Hyper-Sync complete: ${newDocRows.length} new (${changes.duplicates.length} duplicates), ${changes.modified.length} changed, ${changes.moved.length} moved, ` +
+               `${changes.renamed.length} renamed, ${changes.removed.length} removed, ${changes.restored.length} restored; ${newFolderRows.length} subfolders added.`
     });
   } catch (err) {
     Logger.log("Hyper-Sync Failed: " + err.message);
@@ -1182,6 +2385,131 @@ function syncDriveFiles() {
   }
 }
 
+// MD5 of a binary Drive file via the Advanced Drive Service; "" for Google-native files or on failure
+function driveChecksum(file) {
+  try {
+    return Drive.Files.get(file.getId()).md5Checksum || "";
+  } catch (e) {
+    Logger.log("Checksum unavailable for " + file.getName() + ": " + e.message);
+    return "";
+  }
+}
+
+/**
+ * Keeps the Documents row (status "deleted", deleted_at set, no longer
+ * latest) but removes its chunks, cables and title blocks from search.
+ */
+function softDeleteDocument(docId) {
+  deleteChunksByDocId(docId);
+  deleteJobByDocId(docId);
+  promoteDuplicateCopy(docId);
+  const sheet = getSheet("Documents");
+  const data = sheet.getRange(1, 1, Math.max(sheet.getLastRow(), 1), 1).getValues();
+  for (let i = 1; i < data.length; i++) {
+    if (String(data[i][0]) !== String(docId)) continue;
+    sheet.getRange(i + 1, 6).setValue("deleted");
+    sheet.getRange(i + 1, 12).setValue(false);
+    sheet.getRange(i + 1, 23).setValue(new Date().toISOString());
+    return;
+  }
+}
+
+// ============================================================
+// DUPLICATES (exact copies found by content hash)
+// ============================================================
+
+const DUPLICATE_RESOLUTIONS = ["link", "skip", "replace"];
+
+// MD5 hex of the file's bytes, matching Drive's md5Checksum; "" for Google-native files
+function contentHash(file) {
+  const checksum = driveChecksum(file);
+  if (checksum || String(file.getMimeType()).indexOf("application/vnd.google-apps") === 0) return checksum;
+  try {
+    const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, file.getBlob().getBytes());
+    return digest.map(b => ((b + 256) % 256).toString(16).padStart(2, "0")).join("");
+  } catch (e) {
+    Logger.log("Could not hash " + file.getName() + ": " + e.message);
+    return "";
+  }
+}
+
+// A Documents row that can be the original of a copy: hashed, not deleted, not itself a copy
+function duplicateCandidate(row) {
+  if (!row[21] || row[22] || row[23]) return null;
+  return { id: String(row[0]), name: String(row[1]), folder_id: String(row[2] || ""), hash: String(row[21]) };
+}
+
+function findDuplicateOriginal(hash, rows) {
+  if (!hash) return null;
+  for (let i = 1; i < rows.length; i++) {
+    const original = duplicateCandidate(rows[i]);
+    if (original && original.hash === hash) return original;
+  }
+  return null;
+}
+
+/**
+ * Settles a detected copy. link: keep it, searched through the original;
+ * skip: hide it; replace: index the copy and make the original its link.
+ */
+function resolveDuplicateAction(data) {
+  if (!data.documentId) return jsonResp({ error: "Document ID required" });
+  if (DUPLICATE_RESOLUTIONS.indexOf(data.resolution) === -1) {
+    return jsonResp({ error: "Resolution must be one of: " + DUPLICATE_RESOLUTIONS.join(", ") });
+  }
+
+  const sheet = getSheet("Documents");
+  const rows = sheet.getDataRange().getValues();
+  const copyIndex = rows.findIndex((r, i) => i > 0 && String(r[0]) === String(data.documentId));
+  if (copyIndex < 1) return jsonResp({ error: "Document not found: " + data.documentId });
+  const originalId = String(rows[copyIndex][23] || "");
+  if (!originalId) return jsonResp({ error: "Document is not a duplicate" });
+
+  if (data.resolution === "link" || data.resolution === "skip") {
+    sheet.getRange(copyIndex + 1, 6).setValue(data.resolution === "link" ? "linked" : "skipped");
+    return jsonResp({ status: "resolved", resolution: data.resolution, documentId: data.documentId, duplicateOf: originalId });
+  }
+
+  // Replace: the copy becomes the original; the old original and its other copies link to it
+  const originalIndex = rows.findIndex((r, i) => i > 0 && String(r[0]) === originalId);
+  sheet.getRange(copyIndex + 1, 24).setValue("");
+  sheet.getRange(copyIndex + 1, 6).setValue("uploaded");
+  if (originalIndex > 0) {
+    deleteChunksByDocId(originalId);
+    deleteJobByDocId(originalId);
+    sheet.getRange(originalIndex + 1, 6).setValue("linked");
+    sheet.getRange(originalIndex + 1, 24).setValue(String(data.documentId));
+    relinkRevisions(normalizeTag(rows[originalIndex][8]));
+  }
+  for (let i = 1; i < rows.length; i++) {
+    if (i !== copyIndex && String(rows[i][23]) === originalId) sheet.getRange(i + 1, 24).setValue(String(data.documentId));
+  }
+  const job = enqueueDocument(data.documentId);
+  return jsonResp({ status: "resolved", resolution: "replace", documentId: data.documentId, duplicateOf: originalId, jobId: job.id });
+}
+
+/**
+ * When an original goes away its oldest copy takes over (and is queued
+ * for indexing); the other copies point at the new original.
+ */
+function promoteDuplicateCopy(docId) {
+  const sheet = getSheet("Documents");
+  const rows = sheet.getDataRange().getValues();
+  const copies = [];
+  for (let i = 1; i < rows.length; i++) {
+    if (String(rows[i][23]) === String(docId) && String(rows[i][0]) !== String(docId)) copies.push({ row: i + 1, id: String(rows[i][0]), created_at: rows[i][7] });
+  }
+  if (copies.length === 0) return;
+
+  copies.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  const heir = copies[0];
+  sheet.getRange(heir.row, 24).setValue("");
+  sheet.getRange(heir.row, 6).setValue("uploaded");
+  copies.slice(1).forEach(c => sheet.getRange(c.row, 24).setValue(heir.id));
+  enqueueDocument(heir.id);
+  Logger.log("Copy " + heir.id + " replaces removed original " + docId);
+}
+
 // ============================================================
 // TEXT EXTRACTION (multi-strategy, V8 compatible)
 // ============================================================
@@ -1191,6 +2519,18 @@ function extractTextFromFile(file, fileName) {
   const mimeType = file.getMimeType();
   Logger.log("=== EXTRACTING: " + fileName + " (type: " + mimeType + ") ===");
 
+  // Strategy 0a: Spreadsheets (Google Sheets, .xlsx/.xls, .csv), row by row under their headers
+  if (mimeType === "application/vnd.google-apps.spreadsheet" || /\.(xlsx?|csv)$/i.test(fileName)) {
+    try {
+      const tabs = readTabularFile(file, fileName);
+      if (tabs) {
+        text = tabularToText(tabs);
+        Logger.log("Spreadsheet rows: " + text.length + " chars");
+        if (text && text.trim().length > 10) return text;
+      }
+    } catch (e) { Logger.log("Spreadsheet read failed: " + e.message); }
+  }
+
   // Strategy 0: Google-native files
   if (mimeType === "application/vnd.google-apps.document") {
     try {
@@ -1238,6 +2578,18 @@ function extractTextFromFile(file, fileName) {
     return text;
   }
 
+  // Strategy 0b: CAD exports (ASCII DXF), parsed natively
+  if (/\.dxf$/i.test(fileName)) {
+    try {
+      text = dxfToText(parseDxf(file.getBlob().getDataAsString()));
+      Logger.log("DXF: " + text.length + " chars");
+      return text;
+    } catch (e) {
+      Logger.log("DXF parse failed: " + e.message);
+      return "";
+    }
+  }
+
   // Strategy 1: Direct text read
   if (/\.(txt|csv|text|log|md|json|xml|html|htm|ini|cfg|yaml|yml)$/i.test(fileName)) {
     try {
@@ -1321,17 +2673,19 @@ function extractTextFromFile(file, fileName) {
 // GEMINI: Vision text extraction
 // ============================================================
 
+const VISION_EXTRACT_FOCUS =
+  "Focus on wiring tags (e.g. CX-01, W102), core counts (e.g. 4C, 2C), and cross-sections (e.g. 2.5sqmm, 120sqmm). " +
+  "Capture every component label, breaker rating, and panel name. " +
+  "Include table data accurately. Preserve spatial associations (which text is near which component). " +
+  "Output RAW text only, preserving as much structure as possible.";
+
 function geminiExtractText(base64Data, mimeType) {
   Logger.log("Gemini Vision call: mimeType=" + mimeType + ", dataSize=" + base64Data.length);
 
   const contents = [{
     parts: [
       { inline_data: { mime_type: mimeType, data: base64Data } },
-      { text: "Extract ALL text from this electrical engineering document completely. " +
-              "Focus on wiring tags (e.g. CX-01, W102), core counts (e.g. 4C, 2C), and cross-sections (e.g. 2.5sqmm, 120sqmm). " +
-              "Capture every component label, breaker rating, and panel name. " +
-              "Include table data accurately. Preserve spatial associations (which text is near which component). " +
-              "Output RAW text only, preserving as much structure as possible." }
+      { text: "Extract ALL text from this electrical engineering document completely. " + VISION_EXTRACT_FOCUS }
     ]
   }];
 
@@ -1346,157 +2700,3618 @@ function geminiExtractText(base64Data, mimeType) {
 }
 
 // ============================================================
-// SMART ENGINEERING CHUNKING (page-aware with overlap)
+// PDF PAGE EXTRACTION (physical pages, a few per vision call)
 // ============================================================
 
-function engineeringChunkPage(pageText, pageNumber) {
-  if (!pageText || pageText.trim().length < 10) return [];
+// Each call sends a real PDF holding only the pages it asks for, cut from
+// the file by the small reader and writer below, and asks for them by
+// their position in that excerpt. Files the reader cannot open (damaged,
+// encrypted, or with no readable page tree) use whole-file extraction.
 
-  // Split by engineering keywords within this page
-  let sections = pageText.split(/(?=PANEL|FEEDER|TRANSFORMER|SECTION|DRAWING|SCHEDULE|SLD|CIRCUIT|BUSBAR|SWITCHGEAR|SUBSTATION|BREAKER|RELAY|MOTOR|CT\s|PT\s|VCB|ACB|MCCB)/gi);
+const PDF_PAGES_PER_CALL = 2;                        // Dense sheets can fill 8192 output tokens
+const PDF_INLINE_MAX_BYTES = 15 * 1024 * 1024;       // Request size limit for inline_data
+const PDF_UPLOAD_MAX_BYTES = 50 * 1024 * 1024;       // The largest file processing reads
+const PDF_PAGE_MARKER_RE = /^[ \t]*=+[ \t]*PAGE[ \t]+(\d+)[ \t]*=+[ \t]*$/gim;
 
-  // Fallback: double newlines
-  if (sections.length <= 1) {
-    sections = pageText.split(/\n\s*\n/);
-  }
+/**
+ * Decides whether a file can be extracted page by page and counts its
+ * pages. Returns { source, pageCount } for the batch state, or null to
+ * fall back to whole-file extraction.
+ */
+function preparePdfSource(file) {
+  if (file.getMimeType() !== "application/pdf") return null;
 
-  // Fallback: single newlines
-  if (sections.length <= 1) {
-    sections = pageText.split(/\n/);
+  try {
+    if (file.getSize() > PDF_UPLOAD_MAX_BYTES) {
+      Logger.log("PDF too large for per-page vision: " + file.getSize() + " bytes");
+      return null;
+    }
+
+    const pageCount = countPdfPages(pdfBinary(file.getBlob()));
+    if (!pageCount) {
+      Logger.log("PDF page tree unreadable, extracting the whole file");
+      return null;
+    }
+    return { source: { driveFileId: file.getId() }, pageCount };
+  } catch (e) {
+    Logger.log("Per-page PDF extraction unavailable: " + e.message);
+    return null;
   }
+}
 
-  // Group into ~CHUNK_TARGET_SIZE char chunks with overlap
-  const chunks = [];
-  let buffer = "";
+// The file as a binary string, one character per byte
+function pdfBinary(blob) {
+  return blob.getDataAsString("ISO-8859-1");
+}
+
+// Pages in the file's page tree; 0 when the file cannot be opened
+function countPdfPages(raw) {
+  try {
+    return pdfPageList(openPdf(raw)).length;
+  } catch (e) {
+    Logger.log("PDF unreadable: " + e.message);
+    return 0;
+  }
+}
+
+/**
+ * Text of pages first..last (1-based, inclusive) as { pageNumber: text }.
+ * Pages the model skipped are retried one at a time; pages still
+ * missing are absent from the result.
+ * @param {Object} pdf - from openPdf
+ */
+function extractPdfPageRange(pdf, first, last) {
+  const texts = requestPdfPages(pdf, first, last);
+  if (first < last) {
+    for (let n = first; n <= last; n++) {
+      if (!texts[n]) texts[n] = requestPdfPages(pdf, n, n)[n];
+    }
+  }
+  return texts;
+}
+
+function requestPdfPages(pdf, first, last) {
+  let part;
+  try {
+    part = pdfExcerptPart(writePdfPageRange(pdf, first, last));
+  } catch (e) {
+    Logger.log("Could not cut pages " + first + "-" + last + ": " + e.message);
+    return {};
+  }
+
+  const count = last - first + 1;
+  const contents = [{ parts: [part, { text: pdfPagesPrompt(count) }] }];
+  const result = callGemini(contents, { temperature: 0, maxOutputTokens: 8192 });
+  if (!result) {
+    Logger.log("Page extraction failed for pages " + first + "-" + last + ": " + globalContextError);
+    return {};
+  }
+
+  // Excerpt page n is page first + n - 1 of the file
+  const excerpt = splitPdfPageReply(result, 1, count);
+  const texts = {};
+  Object.keys(excerpt).forEach(n => { texts[first + parseInt(n) - 1] = excerpt[n]; });
+  return texts;
+}
+
+/**
+ * An excerpt as a prompt part: inline bytes, or a File API reference when
+ * a page is too large to inline and the provider can upload.
+ */
+function pdfExcerptPart(excerpt) {
+  const blob = Utilities.newBlob("", "application/pdf", "pages.pdf").setDataFromString(excerpt, "ISO-8859-1");
+  const provider = getLLMProvider();
+  if (excerpt.length > PDF_INLINE_MAX_BYTES && provider.uploadFile) {
+    return { file_data: { mime_type: "application/pdf", file_uri: provider.uploadFile(blob).uri } };
+  }
+  return { inline_data: { mime_type: "application/pdf", data: Utilities.base64Encode(blob.getBytes()) } };
+}
+
+function pdfPagesPrompt(count) {
+  if (count === 1) return "Extract ALL text from this one-page electrical engineering PDF. " + VISION_EXTRACT_FOCUS;
+  return "Extract ALL text from each of the " + count + " pages of this electrical engineering PDF. " +
+    "Start each page with a line '=== PAGE n ===', where n is 1 for the first page of this file. " +
+    VISION_EXTRACT_FOCUS;
+}
+
+/**
+ * Page texts in a reply to pdfPagesPrompt as { pageNumber: text }. Pages
+ * outside first..last are dropped, and a reply without markers only counts
+ * for a single-page request, so a reply that runs past the excerpt never
+ * duplicates pages across ranges.
+ */
+function splitPdfPageReply(result, first, last) {
+  const texts = {};
+  // split() with a capture group yields [preamble, n, text, n, text, ...]
+  const parts = String(result).split(PDF_PAGE_MARKER_RE);
+  if (parts.length === 1) {
+    if (first === last && parts[0].trim()) texts[first] = parts[0].trim();
+    return texts;
+  }
+  for (let i = 1; i + 1 < parts.length; i += 2) {
+    const n = parseInt(parts[i]);
+    const text = parts[i + 1].trim();
+    if (n >= first && n <= last && text) texts[n] = texts[n] ? texts[n] + "\n" + text : text;
+  }
+  return texts;
+}
+
+// ============================================================
+// PDF PAGE RANGES (reads the page tree, writes page-range copies)
+// ============================================================
+//
+// Just enough of the PDF format to copy pages into a new file: classic
+// xref tables and xref streams (with /Prev chains), object streams,
+// FlateDecode with PNG predictors, and a writer for plain objects. Page
+// streams are copied still encoded. Values are parsed into:
+// null, booleans, numbers, arrays, { n } names, { s } strings (raw
+// bytes), { r, g } references, { d } dictionaries and { d, stream }
+// streams.
+
+const PDF_INHERITED_KEYS = ["Resources", "MediaBox", "CropBox", "Rotate"];
+const PDF_PAGE_DROPPED_KEYS = ["Parent", "Annots", "B", "StructParents"];  // Point at the rest of the document
+const PDF_DELIMITERS = "()<>[]{}/%";
+const PDF_WHITESPACE = "\x00\t\n\f\r ";
+
+/**
+ * Opens a PDF given as a binary string. Throws when it is encrypted or
+ * has no usable cross-reference data.
+ */
+function openPdf(raw) {
+  if (raw.indexOf("%PDF-") === -1) throw new Error("Not a PDF");
+  const pdf = { raw: raw, entries: {}, trailer: null, objects: {}, objectStreams: {}, rebuilt: false };
+
+  try {
+    const at = raw.lastIndexOf("startxref");
+    let offset = at === -1 ? NaN : parseInt(raw.substring(at + 9, at + 40).trim());
+    const seen = {};
+    while (!isNaN(offset) && !seen[offset]) {
+      seen[offset] = true;
+      const trailer = readPdfXref(pdf, offset);
+      if (!pdf.trailer) pdf.trailer = trailer;
+      if (typeof trailer.d.XRefStm === "number") readPdfXref(pdf, trailer.d.XRefStm);
+      offset = typeof trailer.d.Prev === "number" ? trailer.d.Prev : NaN;
+    }
+    if (!pdf.trailer || !pdf.trailer.d.Root) throw new Error("no trailer");
+  } catch (e) {
+    rebuildPdfXref(pdf);
+  }
+
+  if (pdf.trailer.d.Encrypt) throw new Error("PDF is encrypted");
+  return pdf;
+}
+
+// Reads one xref section (table or stream) into pdf.entries; newer sections win
+function readPdfXref(pdf, offset) {
+  const raw = pdf.raw;
+  let pos = pdfSkipSpace(raw, offset);
+
+  if (raw.startsWith("xref", pos)) {
+    pos += 4;
+    const sectionRe = /\s*(\d+)\s+(\d+)/y;
+    const entryRe = /\s*(\d+)\s+(\d+)\s+([nf])/y;
+    for (;;) {
+      pos = pdfSkipSpace(raw, pos);
+      if (raw.startsWith("trailer", pos)) return pdfParseValue(raw, pos + 7).value;
+      sectionRe.lastIndex = pos;
+      const section = sectionRe.exec(raw);
+      if (!section) throw new Error("Bad xref table");
+      pos = sectionRe.lastIndex;
+      for (let i = 0; i < parseInt(section[2]); i++) {
+        entryRe.lastIndex = pos;
+        const e = entryRe.exec(raw);
+        if (!e) throw new Error("Bad xref entry");
+        pos = entryRe.lastIndex;
+        const num = parseInt(section[1]) + i;
+        if (!(num in pdf.entries)) pdf.entries[num] = e[3] === "n" ? { offset: parseInt(e[1]) } : null;
+      }
+    }
+  }
+
+  // Cross-reference stream
+  const obj = pdfParseIndirect(pdf, pos).value;
+  if (!obj || !obj.d || !obj.d.Type || obj.d.Type.n !== "XRef") throw new Error("Bad xref stream");
+  const data = pdfDecodeStream(pdf, obj);
+  const widths = obj.d.W;
+  const index = obj.d.Index || [0, obj.d.Size];
+  const rowLength = widths[0] + widths[1] + widths[2];
+  let p = 0;
+  const field = (width, fallback) => {
+    if (width === 0) return fallback;
+    let value = 0;
+    for (let k = 0; k < width; k++) value = value * 256 + data.charCodeAt(p++);
+    return value;
+  };
+  for (let s = 0; s + 1 < index.length; s += 2) {
+    for (let i = 0; i < index[s + 1] && p + rowLength <= data.length; i++) {
+      const type = field(widths[0], 1);
+      const a = field(widths[1], 0);
+      const b = field(widths[2], 0);
+      const num = index[s] + i;
+      if (num in pdf.entries) continue;
+      if (type === 1) pdf.entries[num] = { offset: a };
+      else if (type === 2) pdf.entries[num] = { stream: a, index: b };
+      else pdf.entries[num] = null;
+    }
+  }
+  return obj;
+}
+
+// Damaged xref: finds objects by scanning the file, as viewers do
+function rebuildPdfXref(pdf) {
+  const raw = pdf.raw;
+  pdf.entries = {};
+  pdf.objects = {};
+  pdf.objectStreams = {};
+  pdf.rebuilt = true;
+
+  const objRe = /(?:^|\s)(\d+)\s+\d+\s+obj\b/g;
+  let m;
+  while ((m = objRe.exec(raw)) !== null) pdf.entries[parseInt(m[1])] = { offset: m.index };
+
+  // Objects packed in object streams, and a trailer from the last xref
+  // stream (or, failing that, the catalog)
+  let trailer = null;
+  let catalog = null;
+  Object.keys(pdf.entries).forEach(num => {
+    let obj;
+    try {
+      obj = pdfGetObject(pdf, parseInt(num));
+    } catch (e) {
+      return;
+    }
+    if (!obj || !obj.d || !obj.d.Type) return;
+    if (obj.d.Type.n === "Catalog") catalog = { r: parseInt(num), g: 0 };
+    if (obj.d.Type.n === "XRef" && obj.d.Root) trailer = obj;
+    if (obj.d.Type.n === "ObjStm") {
+      const stm = pdfObjectStream(pdf, parseInt(num));
+      stm.nums.forEach((n, k) => { if (!(n in pdf.entries)) pdf.entries[n] = { stream: parseInt(num), index: k }; });
+    }
+  });
+
+  const at = raw.lastIndexOf("trailer");
+  if (at !== -1) {
+    const classic = pdfParseValue(raw, at + 7).value;
+    if (classic && classic.d && classic.d.Root) trailer = classic;
+  }
+  if (!trailer && catalog) trailer = { d: { Root: catalog } };
+  if (!trailer) throw new Error("No trailer");
+  pdf.trailer = trailer;
+}
+
+function pdfGetObject(pdf, num) {
+  if (num in pdf.objects) return pdf.objects[num];
+  const entry = pdf.entries[num];
+  let value = null;
+
+  if (entry && entry.offset !== undefined) {
+    const parsed = pdfParseIndirect(pdf, entry.offset);
+    if (parsed.num !== num) {
+      if (pdf.rebuilt) throw new Error("Object " + num + " not found");
+      rebuildPdfXref(pdf);
+      return pdfGetObject(pdf, num);
+    }
+    value = parsed.value;
+  } else if (entry && entry.stream !== undefined) {
+    const stm = pdfObjectStream(pdf, entry.stream);
+    const k = stm.nums.indexOf(num) !== -1 ? stm.nums.indexOf(num) : entry.index;
+    value = pdfParseValue(stm.data, stm.first + stm.offsets[k]).value;
+  }
+  pdf.objects[num] = value;
+  return value;
+}
+
+// The object numbers, offsets and decoded data of an object stream
+function pdfObjectStream(pdf, num) {
+  if (pdf.objectStreams[num]) return pdf.objectStreams[num];
+  const obj = pdfGetObject(pdf, num);
+  if (!obj || obj.stream === undefined) throw new Error("Object stream " + num + " missing");
+
+  const data = pdfDecodeStream(pdf, obj);
+  const first = pdfResolve(pdf, obj.d.First);
+  const header = data.substring(0, first).trim().split(/\s+/).map(Number);
+  const stm = { data: data, first: first, nums: [], offsets: [] };
+  for (let i = 0; i + 1 < header.length; i += 2) {
+    stm.nums.push(header[i]);
+    stm.offsets.push(header[i + 1]);
+  }
+  pdf.objectStreams[num] = stm;
+  return stm;
+}
+
+function pdfResolve(pdf, value) {
+  let depth = 0;
+  while (value && value.r !== undefined && depth++ < 32) value = pdfGetObject(pdf, value.r);
+  return value;
+}
+
+// "n g obj value [stream ... endstream]" at pos as { num, value }
+function pdfParseIndirect(pdf, pos) {
+  const raw = pdf.raw;
+  const headRe = /\s*(\d+)\s+(\d+)\s+obj\b/y;
+  headRe.lastIndex = pos;
+  const head = headRe.exec(raw);
+  if (!head) return { num: -1, value: null };
+
+  const parsed = pdfParseValue(raw, headRe.lastIndex);
+  const value = parsed.value;
+  let p = pdfSkipSpace(raw, parsed.pos);
+  if (value && value.d && raw.startsWith("stream", p)) {
+    p += 6;
+    if (raw[p] === "\r") p++;
+    if (raw[p] === "\n") p++;
+    const length = pdfResolve(pdf, value.d.Length);
+    const end = typeof length === "number" ? pdfSkipSpace(raw, p + length) : -1;
+    if (end !== -1 && raw.startsWith("endstream", end)) {
+      value.stream = raw.substr(p, length);
+    } else {
+      // Wrong /Length: the data ends at the endstream keyword
+      const stop = raw.indexOf("endstream", p);
+      if (stop === -1) throw new Error("Unterminated stream");
+      value.stream = raw.substring(p, stop).replace(/\r?\n$/, "");
+    }
+  }
+  return { num: parseInt(head[1]), value: value };
+}
+
+function pdfSkipSpace(raw, pos) {
+  while (pos < raw.length) {
+    const c = raw[pos];
+    if (PDF_WHITESPACE.indexOf(c) !== -1) {
+      pos++;
+    } else if (c === "%") {
+      while (pos < raw.length && raw[pos] !== "\n" && raw[pos] !== "\r") pos++;
+    } else {
+      break;
+    }
+  }
+  return pos;
+}
+
+// One value at pos as { value, pos }; keywords other than true/false/null come back as { k }
+function pdfParseValue(raw, pos) {
+  pos = pdfSkipSpace(raw, pos);
+  const c = raw[pos];
+
+  if (c === "<" && raw[pos + 1] === "<") {
+    const d = {};
+    pos += 2;
+    for (;;) {
+      pos = pdfSkipSpace(raw, pos);
+      if (pos >= raw.length) throw new Error("Unterminated dictionary");
+      if (raw[pos] === ">" && raw[pos + 1] === ">") return { value: { d: d }, pos: pos + 2 };
+      const key = pdfParseValue(raw, pos);
+      if (!key.value || key.value.n === undefined) throw new Error("Bad dictionary key at " + pos);
+      const entry = pdfParseValue(raw, key.pos);
+      d[key.value.n] = entry.value;
+      pos = entry.pos;
+    }
+  }
+  if (c === "<") {
+    const end = raw.indexOf(">", pos);
+    if (end === -1) throw new Error("Unterminated hex string");
+    let hex = raw.substring(pos + 1, end).replace(/[^0-9A-Fa-f]/g, "");
+    if (hex.length % 2) hex += "0";
+    let s = "";
+    for (let i = 0; i < hex.length; i += 2) s += String.fromCharCode(parseInt(hex.substr(i, 2), 16));
+    return { value: { s: s }, pos: end + 1 };
+  }
+  if (c === "(") return pdfParseLiteralString(raw, pos);
+  if (c === "[") {
+    const items = [];
+    pos++;
+    for (;;) {
+      pos = pdfSkipSpace(raw, pos);
+      if (pos >= raw.length) throw new Error("Unterminated array");
+      if (raw[pos] === "]") return { value: items, pos: pos + 1 };
+      const item = pdfParseValue(raw, pos);
+      items.push(item.value);
+      pos = item.pos;
+    }
+  }
+  if (c === "/") {
+    let end = pos + 1;
+    while (end < raw.length && PDF_WHITESPACE.indexOf(raw[end]) === -1 && PDF_DELIMITERS.indexOf(raw[end]) === -1) end++;
+    return { value: { n: raw.substring(pos + 1, end) }, pos: end };
+  }
+
+  const numberRe = /[+-]?(?:\d+\.?\d*|\.\d+)/y;
+  numberRe.lastIndex = pos;
+  const number = numberRe.exec(raw);
+  if (number) {
+    // "n g R" is a reference
+    if (/^\d+$/.test(number[0])) {
+      const refRe = /\s+(\d+)\s+R(?![^\s()<>\[\]{}\/%])/y;
+      refRe.lastIndex = numberRe.lastIndex;
+      const ref = refRe.exec(raw);
+      if (ref) return { value: { r: parseInt(number[0]), g: parseInt(ref[1]) }, pos: refRe.lastIndex };
+    }
+    return { value: parseFloat(number[0]), pos: numberRe.lastIndex };
+  }
+
+  let end = pos;
+  while (end < raw.length && PDF_WHITESPACE.indexOf(raw[end]) === -1 && PDF_DELIMITERS.indexOf(raw[end]) === -1) end++;
+  if (end === pos) throw new Error("Unexpected '" + c + "' at " + pos);
+  const word = raw.substring(pos, end);
+  if (word === "true") return { value: true, pos: end };
+  if (word === "false") return { value: false, pos: end };
+  if (word === "null") return { value: null, pos: end };
+  return { value: { k: word }, pos: end };
+}
+
+function pdfParseLiteralString(raw, pos) {
+  const escapes = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f" };
+  let s = "";
+  let depth = 1;
+  pos++;
+  while (pos < raw.length) {
+    const c = raw[pos++];
+    if (c === "\\") {
+      const e = raw[pos++];
+      if (escapes[e]) {
+        s += escapes[e];
+      } else if (e >= "0" && e <= "7") {
+        let octal = e;
+        while (octal.length < 3 && raw[pos] >= "0" && raw[pos] <= "7") octal += raw[pos++];
+        s += String.fromCharCode(parseInt(octal, 8) & 0xff);
+      } else if (e === "\r") {
+        if (raw[pos] === "\n") pos++;
+      } else if (e !== "\n") {
+        s += e;
+      }
+    } else if (c === "(") {
+      depth++;
+      s += c;
+    } else if (c === ")") {
+      if (--depth === 0) return { value: { s: s }, pos: pos };
+      s += c;
+    } else {
+      s += c;
+    }
+  }
+  throw new Error("Unterminated string");
+}
+
+// Decoded data of a stream; only FlateDecode (with predictors) is needed for xref and object streams
+function pdfDecodeStream(pdf, obj) {
+  const filters = [].concat(pdfResolve(pdf, obj.d.Filter) || []);
+  const parms = [].concat(pdfResolve(pdf, obj.d.DecodeParms) || []);
+  let data = obj.stream;
+  filters.forEach((filter, i) => {
+    if (filter.n !== "FlateDecode" && filter.n !== "Fl") throw new Error("Unsupported filter " + filter.n);
+    data = pdfInflate(data);
+    const p = pdfResolve(pdf, parms[i]);
+    if (p && p.d && p.d.Predictor > 1) data = pdfUnpredict(data, p.d);
+  });
+  return data;
+}
+
+// Reverses PNG row predictors (Predictor 10-15)
+function pdfUnpredict(data, parms) {
+  if (parms.Predictor < 10) throw new Error("Unsupported predictor " + parms.Predictor);
+  const colors = parms.Colors || 1;
+  const bits = parms.BitsPerComponent || 8;
+  const bpp = Math.max(1, Math.ceil(colors * bits / 8));
+  const rowLength = Math.ceil((parms.Columns || 1) * colors * bits / 8);
+
+  let out = "";
+  let prev = new Array(rowLength).fill(0);
+  for (let p = 0; p + rowLength < data.length; p += rowLength + 1) {
+    const type = data.charCodeAt(p);
+    const row = new Array(rowLength);
+    for (let i = 0; i < rowLength; i++) {
+      const raw = data.charCodeAt(p + 1 + i) || 0;
+      const left = i >= bpp ? row[i - bpp] : 0;
+      const up = prev[i];
+      const upLeft = i >= bpp ? prev[i - bpp] : 0;
+      let value = raw;
+      if (type === 1) value = raw + left;
+      else if (type === 2) value = raw + up;
+      else if (type === 3) value = raw + ((left + up) >> 1);
+      else if (type === 4) {
+        const est = left + up - upLeft;
+        const pa = Math.abs(est - left), pb = Math.abs(est - up), pc = Math.abs(est - upLeft);
+        value = raw + (pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft);
+      }
+      row[i] = value & 0xff;
+    }
+    out += String.fromCharCode.apply(null, row);
+    prev = row;
+  }
+  return out;
+}
+
+/**
+ * Inflates zlib (or raw deflate) data given as a binary string. Data
+ * after a truncated or damaged block is dropped, as PDF viewers do.
+ */
+function pdfInflate(data) {
+  const lengthBase = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+  const lengthExtra = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+  const distBase = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+  const distExtra = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+  const codeLengthOrder = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+  let pos = 0;
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let out = new Uint8Array(Math.max(1024, data.length * 4));
+  let outLength = 0;
+
+  const cmf = data.charCodeAt(0);
+  if ((cmf & 0x0f) === 8 && ((cmf << 8) | data.charCodeAt(1)) % 31 === 0) pos = 2;
+
+  const bits = (n) => {
+    while (bitCount < n) {
+      if (pos >= data.length) throw new Error("Unexpected end of data");
+      bitBuffer |= data.charCodeAt(pos++) << bitCount;
+      bitCount += 8;
+    }
+    const value = bitBuffer & ((1 << n) - 1);
+    bitBuffer >>>= n;
+    bitCount -= n;
+    return value;
+  };
+  const emit = (byte) => {
+    if (outLength === out.length) {
+      const bigger = new Uint8Array(out.length * 2);
+      bigger.set(out);
+      out = bigger;
+    }
+    out[outLength++] = byte;
+  };
+  // Canonical Huffman code as counts per length and symbols in code order
+  const huffman = (lengths) => {
+    const counts = new Array(16).fill(0);
+    lengths.forEach(len => counts[len]++);
+    counts[0] = 0;
+    const offsets = [0, 0];
+    for (let len = 1; len < 15; len++) offsets[len + 1] = offsets[len] + counts[len];
+    const symbols = [];
+    lengths.forEach((len, symbol) => { if (len) symbols[offsets[len]++] = symbol; });
+    return { counts, symbols };
+  };
+  const decode = (h) => {
+    let code = 0, first = 0, index = 0;
+    for (let len = 1; len < 16; len++) {
+      code |= bits(1);
+      const count = h.counts[len];
+      if (code - count < first) return h.symbols[index + code - first];
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+    throw new Error("Bad Huffman code");
+  };
+
+  let fixed = null;
+  try {
+    let last = 0;
+    while (!last) {
+      last = bits(1);
+      const type = bits(2);
+      if (type === 0) {
+        bitBuffer = 0;
+        bitCount = 0;
+        const len = data.charCodeAt(pos) | (data.charCodeAt(pos + 1) << 8);
+        pos += 4;
+        if (pos + len > data.length) throw new Error("Unexpected end of data");
+        for (let i = 0; i < len; i++) emit(data.charCodeAt(pos++));
+        continue;
+      }
+
+      let lit, dist;
+      if (type === 1) {
+        if (!fixed) {
+          const lengths = [];
+          for (let i = 0; i < 288; i++) lengths.push(i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8);
+          fixed = { lit: huffman(lengths), dist: huffman(new Array(30).fill(5)) };
+        }
+        lit = fixed.lit;
+        dist = fixed.dist;
+      } else if (type === 2) {
+        const nlen = bits(5) + 257;
+        const ndist = bits(5) + 1;
+        const ncode = bits(4) + 4;
+        const codeLengths = new Array(19).fill(0);
+        for (let i = 0; i < ncode; i++) codeLengths[codeLengthOrder[i]] = bits(3);
+        const lencode = huffman(codeLengths);
+        const lengths = [];
+        while (lengths.length < nlen + ndist) {
+          const symbol = decode(lencode);
+          if (symbol < 16) {
+            lengths.push(symbol);
+          } else {
+            const repeat = symbol === 16 ? 3 + bits(2) : symbol === 17 ? 3 + bits(3) : 11 + bits(7);
+            const value = symbol === 16 ? lengths[lengths.length - 1] : 0;
+            if (value === undefined) throw new Error("Bad code lengths");
+            for (let i = 0; i < repeat; i++) lengths.push(value);
+          }
+        }
+        lit = huffman(lengths.slice(0, nlen));
+        dist = huffman(lengths.slice(nlen, nlen + ndist));
+      } else {
+        throw new Error("Bad block type");
+      }
+
+      for (;;) {
+        const symbol = decode(lit);
+        if (symbol < 256) {
+          emit(symbol);
+        } else if (symbol === 256) {
+          break;
+        } else {
+          const len = lengthBase[symbol - 257] + bits(lengthExtra[symbol - 257]);
+          const d = decode(dist);
+          const back = distBase[d] + bits(distExtra[d]);
+          if (back > outLength) throw new Error("Bad distance");
+          for (let i = 0; i < len; i++) emit(out[outLength - back]);
+        }
+      }
+    }
+  } catch (e) {
+    if (outLength === 0) throw e;
+    Logger.log("Inflate stopped early: " + e.message);
+  }
+
+  let text = "";
+  for (let i = 0; i < outLength; i += 8192) {
+    text += String.fromCharCode.apply(null, out.subarray(i, Math.min(i + 8192, outLength)));
+  }
+  return text;
+}
+
+/**
+ * Leaf pages in document order as { node, inherited } where inherited
+ * holds the inheritable attributes that apply to the page.
+ */
+function pdfPageList(pdf) {
+  if (pdf.pages) return pdf.pages;
+  const root = pdfResolve(pdf, pdf.trailer.d.Root);
+  if (!root || !root.d || !root.d.Pages) throw new Error("No page tree");
+
+  const pages = [];
+  const visited = {};
+  const walk = (ref, inherited, depth) => {
+    if (ref && ref.r !== undefined) {
+      if (visited[ref.r] || depth > 64) return;
+      visited[ref.r] = true;
+    }
+    const node = pdfResolve(pdf, ref);
+    if (!node || !node.d) return;
+    const own = Object.assign({}, inherited);
+    PDF_INHERITED_KEYS.forEach(key => { if (node.d[key] !== undefined) own[key] = node.d[key]; });
+
+    const type = node.d.Type && node.d.Type.n;
+    if (type === "Pages" || (type !== "Page" && node.d.Kids)) {
+      (pdfResolve(pdf, node.d.Kids) || []).forEach(kid => walk(kid, own, depth + 1));
+    } else {
+      pages.push({ node: node, inherited: own });
+    }
+  };
+  walk(root.d.Pages, {}, 0);
+  if (pages.length === 0) throw new Error("Empty page tree");
+  pdf.pages = pages;
+  pdf.treeNodes = visited;
+  return pages;
+}
+
+/**
+ * A new PDF (binary string) holding pages first..last (1-based) with the
+ * objects they use. Annotations and links to other pages are left out.
+ */
+function writePdfPageRange(pdf, first, last) {
+  const selected = pdfPageList(pdf).slice(first - 1, last);
+  if (selected.length === 0) throw new Error("No pages " + first + "-" + last);
+
+  const objects = [null, null];  // 1: catalog, 2: page tree
+  const renumbered = {};
+  const copy = (value) => {
+    if (value === null || typeof value !== "object") return value;
+    if (Array.isArray(value)) return value.map(copy);
+    if (value.r !== undefined) {
+      if (pdf.treeNodes[value.r]) return null;  // Another page or page tree node
+      if (!(value.r in renumbered)) {
+        renumbered[value.r] = objects.length + 1;
+        objects.push(null);
+        objects[renumbered[value.r] - 1] = copy(pdfGetObject(pdf, value.r));
+      }
+      return { r: renumbered[value.r], g: 0 };
+    }
+    if (value.d) {
+      const d = {};
+      Object.keys(value.d).forEach(key => {
+        if (value.stream === undefined || key !== "Length") d[key] = copy(value.d[key]);
+      });
+      return value.stream === undefined ? { d: d } : { d: d, stream: value.stream };
+    }
+    return value;
+  };
+
+  const kids = selected.map(page => {
+    const num = objects.length + 1;
+    objects.push(null);
+    const d = {};
+    Object.keys(page.node.d).forEach(key => {
+      if (PDF_PAGE_DROPPED_KEYS.indexOf(key) === -1) d[key] = copy(page.node.d[key]);
+    });
+    PDF_INHERITED_KEYS.forEach(key => {
+      if (d[key] === undefined && page.inherited[key] !== undefined) d[key] = copy(page.inherited[key]);
+    });
+    d.Type = { n: "Page" };
+    d.Parent = { r: 2, g: 0 };
+    objects[num - 1] = { d: d };
+    return { r: num, g: 0 };
+  });
+
+  objects[0] = { d: { Type: { n: "Catalog" }, Pages: { r: 2, g: 0 } } };
+  objects[1] = { d: { Type: { n: "Pages" }, Kids: kids, Count: kids.length } };
+  const version = (pdf.raw.match(/%PDF-(\d\.\d)/) || [null, "1.7"])[1];
+  return writePdf(objects, version);
+}
+
+// Serializes objects 1..n into a PDF with a classic xref table
+function writePdf(objects, version) {
+  const parts = ["%PDF-" + version + "\n%\xE2\xE3\xCF\xD3\n"];
+  let length = parts[0].length;
+  const offsets = [];
+  objects.forEach((obj, i) => {
+    offsets.push(length);
+    let text = (i + 1) + " 0 obj\n";
+    if (obj && obj.stream !== undefined) {
+      text += pdfSerialize({ d: Object.assign({}, obj.d, { Length: obj.stream.length }) }) +
+        "\nstream\n" + obj.stream + "\nendstream";
+    } else {
+      text += pdfSerialize(obj);
+    }
+    text += "\nendobj\n";
+    parts.push(text);
+    length += text.length;
+  });
+
+  const pad = (n) => ("0000000000" + n).slice(-10);
+  parts.push("xref\n0 " + (objects.length + 1) + "\n0000000000 65535 f \n" +
+    offsets.map(o => pad(o) + " 00000 n \n").join("") +
+    "trailer\n<< /Size " + (objects.length + 1) + " /Root 1 0 R >>\nstartxref\n" + length + "\n%%EOF\n");
+  return parts.join("");
+}
+
+function pdfSerialize(value) {
+  if (value === null || value === undefined) return "null";
+  if (value === true || value === false) return String(value);
+  if (typeof value === "number") return Number.isInteger(value) ? String(value) : value.toFixed(6).replace(/\.?0+$/, "");
+  if (Array.isArray(value)) return "[" + value.map(pdfSerialize).join(" ") + "]";
+  if (value.r !== undefined) return value.r + " " + value.g + " R";
+  if (value.n !== undefined) return "/" + value.n;
+  if (value.s !== undefined) {
+    let hex = "";
+    for (let i = 0; i < value.s.length; i++) hex += ("0" + value.s.charCodeAt(i).toString(16)).slice(-2);
+    return "<" + hex + ">";
+  }
+  if (value.d) return "<<" + Object.keys(value.d).map(key => "/" + key + " " + pdfSerialize(value.d[key])).join(" ") + ">>";
+  return "null";
+}
+
+/**
+ * Run from the Apps Script editor: builds a three-page PDF, cuts pages
+ * 2-3 out of it and checks the copy, then checks that page-range replies
+ * are split without duplicates. Throws on the first failure.
+ */
+function testPdfPageSplit() {
+  const check = (ok, what) => { if (!ok) throw new Error("PDF page split: " + what); };
+
+  const sheets = ["Sheet one SLD", "Sheet two W-102 4C x 95", "Sheet three MCCB-07 250A"];
+  const objects = [
+    { d: { Type: { n: "Catalog" }, Pages: { r: 2, g: 0 } } },
+    { d: { Type: { n: "Pages" }, Kids: [{ r: 3, g: 0 }, { r: 4, g: 0 }, { r: 5, g: 0 }], Count: 3, MediaBox: [0, 0, 842, 595] } }
+  ];
+  sheets.forEach((text, i) => objects.push({ d: { Type: { n: "Page" }, Parent: { r: 2, g: 0 }, Contents: { r: 6 + i, g: 0 } } }));
+  sheets.forEach(text => objects.push({ d: {}, stream: "BT /F1 12 Tf 72 500 Td (" + text + ") Tj ET" }));
+  const source = writePdf(objects, "1.4");
+  check(countPdfPages(source) === 3, "the page count of the source was not read");
+
+  const excerpt = writePdfPageRange(openPdf(source), 2, 3);
+  const copied = openPdf(excerpt);
+  const pages = pdfPageList(copied);
+  check(pages.length === 2, "the excerpt does not have two pages");
+  check(excerpt.indexOf(sheets[0]) === -1, "page 1 was copied");
+  check(pages.every((p, k) => pdfResolve(copied, p.node.d.Contents).stream.indexOf(sheets[k + 1]) !== -1), "page contents were not copied in order");
+  check(pdfSerialize(pages[0].node.d.MediaBox) === "[0 0 842 595]", "the inherited MediaBox was not copied");
+
+  const whole = "=== PAGE 1 ===\nW-102 4C x 95\n=== PAGE 2 ===\nMCCB-07 250A\n=== PAGE 3 ===\nSLD";
+  const ranged = splitPdfPageReply(whole, 1, 2);
+  check(ranged[1] === "W-102 4C x 95" && ranged[2] === "MCCB-07 250A" && !ranged[3], "pages outside the range were kept");
+  check(Object.keys(splitPdfPageReply("SLD W-102 MCCB-07", 1, 2)).length === 0, "an unmarked reply was used for a multi-page range");
+  check(splitPdfPageReply("SLD W-102 MCCB-07", 1, 1)[1] === "SLD W-102 MCCB-07", "an unmarked single-page reply was dropped");
+
+  Logger.log("PDF page split OK");
+  return true;
+}
+
+// ============================================================
+// DXF: CAD exports (TEXT/MTEXT, block attributes, layers, layouts)
+// ============================================================
+
+const DXF_LAYOUT_MARKER = "=== LAYOUT: ";
+const DXF_PAGE_MAX_CHARS = 4000;  // Pages are queued in 9KB script properties
+const DXF_BLOCK_TEST_RE = /^\[BLOCK [^\]]*\]/m;
+const DXF_BLOCK_RECORD_RE = /^\[BLOCK ([^\]@]*?)\s*@([^\]]*)\]\s*(.*)$/gm;
+const DXF_FROM_KEYS = /^(?:FROM|SOURCE|ORIGIN|FROM_EQUIP(?:MENT)?)$/i;
+const DXF_TO_KEYS = /^(?:TO|DEST|DESTINATION|TARGET|TO_EQUIP(?:MENT)?)$/i;
+const DXF_LABEL_KEYS = /CABLE|CBL|WIRE|FEEDER|CIRCUIT|CKT/i;
+const DXF_PANEL_KEYS = /^(?:PANEL|BOARD|DB|PANEL_(?:NAME|NO|ID))$/i;
+const DXF_VOLTAGE_KEYS = /^(?:VOLTAGE|VOLTS?|RATED_VOLTAGE|SYSTEM_VOLTAGE)$/i;
+
+/**
+ * Reads an ASCII DXF into layouts: { name: { layers, items } } where items
+ * are { type: "text", layer, text } or { type: "block", name, layer,
+ * attributes: [{ tag, value }] }. Model space first, then paper-space
+ * layouts in file order. Binary DXF is not supported.
+ */
+function parseDxf(content) {
+  if (/^AutoCAD Binary DXF/.test(content)) throw new Error("Binary DXF is not supported; export as ASCII DXF");
+
+  const lines = content.split(/\r?\n/);
+  const layouts = { Model: { layers: {}, items: [] } };
+  let section = "";
+  let blockName = null;
+  let entity = null;
+  let pendingInsert = null;
+
+  const layoutOf = (e) => {
+    if (e.layout) return e.layout;
+    if (blockName) return "Paper Space" + (blockName.replace(/^\*Paper_Space/i, "") ? " " + blockName.replace(/^\*Paper_Space/i, "") : "");
+    return e.paper ? "Paper Space" : "Model";
+  };
+  const add = (e, item) => {
+    const name = layoutOf(e);
+    const layout = layouts[name] = layouts[name] || { layers: {}, items: [] };
+    if (item.layer) layout.layers[item.layer] = true;
+    layout.items.push(item);
+  };
+  const flushInsert = () => {
+    if (pendingInsert) add(pendingInsert, { type: "block", name: pendingInsert.name, layer: pendingInsert.layer, attributes: pendingInsert.attributes });
+    pendingInsert = null;
+  };
+  const finish = (e) => {
+    if (!e) return;
+    // Model/paper space entities live in ENTITIES; other layouts in *Paper_Space blocks
+    const collect = section === "ENTITIES" || (section === "BLOCKS" && blockName && /^\*Paper_Space/i.test(blockName));
+    if (e.type === "BLOCK") blockName = e.name || "";
+    if (e.type === "ENDBLK") blockName = null;
+    if (!collect) {
+      flushInsert();
+      return;
+    }
+
+    if (e.type === "ATTRIB" && pendingInsert) {
+      const value = cleanDxfText(e.text.join(""));
+      if (e.name && value) pendingInsert.attributes.push({ tag: e.name.toUpperCase(), value });
+      return;
+    }
+    flushInsert();
+    if (e.type === "TEXT" || e.type === "MTEXT") {
+      const text = cleanDxfText(e.text.join(""));
+      if (text) add(e, { type: "text", layer: e.layer, text });
+    } else if (e.type === "INSERT") {
+      pendingInsert = { name: e.name, layer: e.layer, layout: layoutOf(e), attributes: [] };
+    }
+  };
+
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    const code = parseInt(lines[i].trim(), 10);
+    const value = lines[i + 1].replace(/\s+$/, "");
+
+    if (code === 0) {
+      finish(entity);
+      const type = value.trim();
+      if (type === "SECTION") section = "";
+      if (type === "ENDSEC") {
+        flushInsert();
+        section = "";
+      }
+      entity = { type, layer: "", layout: "", paper: false, name: "", text: [] };
+      continue;
+    }
+    if (!entity) continue;
+
+    if (entity.type === "SECTION" && code === 2) section = value.trim();
+    else if (code === 8) entity.layer = value.trim();
+    else if (code === 410) entity.layout = value.trim();
+    else if (code === 67) entity.paper = value.trim() === "1";
+    else if (code === 2) entity.name = value.trim();
+    else if (code === 1 || code === 3) entity.text.push(value);
+  }
+  finish(entity);
+  flushInsert();
+
+  for (const name of Object.keys(layouts)) {
+    if (name !== "Model" && layouts[name].items.length === 0) delete layouts[name];
+  }
+  return layouts;
+}
+
+// MTEXT formatting codes and %% control codes to plain text
+function cleanDxfText(text) {
+  return String(text || "")
+    .replace(/\\U\+([0-9A-Fa-f]{4})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+    .replace(/\\[Pp]/g, "\n")
+    .replace(/\\[ACcFfHhQTWp][^;\\]*;/g, "")
+    .replace(/\\S([^;]*);/g, (_, stacked) => stacked.replace(/[\^#]/, "/"))
+    .replace(/\\[LlOoKkNnX]/g, "")
+    .replace(/\\~/g, " ")
+    .replace(/\\([\\{}])/g, "$1")
+    .replace(/(^|[^\\])[{}]/g, "$1")
+    .replace(/%%[cC]/g, "Ø").replace(/%%[dD]/g, "°").replace(/%%[pP]/g, "±").replace(/%%[uUoOkK]/g, "")
+    .replace(/[ \t]+/g, " ")
+    .trim();
+}
+
+/**
+ * Renders parsed layouts as text pages separated by form feeds: a layout
+ * header, the layers in use, then one line per TEXT/MTEXT or block
+ * INSERT ("[BLOCK name @layer] TAG=value; ..."). Long layouts continue
+ * on further pages under the same header.
+ */
+function dxfToText(layouts) {
+  const pages = [];
+  for (const name of Object.keys(layouts)) {
+    const layout = layouts[name];
+    const header = DXF_LAYOUT_MARKER + name + " ===\n[LAYERS] " + Object.keys(layout.layers).sort().join(", ");
+    let page = header;
+    for (const item of layout.items) {
+      const line = item.type === "text"
+        ? "[TEXT @" + item.layer + "] " + item.text.replace(/\n+/g, " / ")
+        : "[BLOCK " + item.name + " @" + item.layer + "] " + item.attributes.map(a => a.tag + "=" + a.value.replace(/[;\n]+/g, " ")).join("; ");
+      if (page.length + line.length + 1 > DXF_PAGE_MAX_CHARS && page !== header) {
+        pages.push(page);
+        page = header;
+      }
+      page += "\n" + line;
+    }
+    pages.push(page);
+  }
+  return pages.join("\f");
+}
+
+/**
+ * Engineering data from DXF block attributes, without an LLM call:
+ * tag-like attribute values become components, FROM/TO attributes a
+ * connection labelled with the block's cable/feeder attribute.
+ */
+function extractDxfEngineeringData(text) {
+  const result = fallbackExtract(text);
+  const components = new Set(result.components);
+  const seen = {};
+
+  DXF_BLOCK_RECORD_RE.lastIndex = 0;
+  let m;
+  while ((m = DXF_BLOCK_RECORD_RE.exec(text)) !== null) {
+    const attributes = {};
+    for (const pair of m[3].split(/;\s*/)) {
+      const eq = pair.indexOf("=");
+      if (eq > 0) attributes[pair.substring(0, eq).trim()] = pair.substring(eq + 1).trim();
+    }
+
+    let from = "", to = "", label = "";
+    for (const tag of Object.keys(attributes)) {
+      const value = attributes[tag];
+      if (!value) continue;
+      if (/[A-Z]/i.test(value) && /\d/.test(value) && /^[A-Z0-9][A-Z0-9\/._-]{0,29}$/i.test(value)) components.add(value);
+      if (DXF_FROM_KEYS.test(tag)) from = value;
+      else if (DXF_TO_KEYS.test(tag)) to = value;
+      else if (!label && DXF_LABEL_KEYS.test(tag)) label = value;
+      if (!result.panel && DXF_PANEL_KEYS.test(tag)) result.panel = value;
+      if (!result.voltage && DXF_VOLTAGE_KEYS.test(tag)) result.voltage = value;
+    }
+
+    const key = from + ">" + to + ">" + label;
+    if (from && to && !seen[key]) {
+      seen[key] = true;
+      result.connections.push({ from, to, label });
+    }
+  }
+
+  result.components = [...components];
+  return result;
+}
+
+// ============================================================
+// TABLES: Spreadsheet rows (.xlsx, .xls, .csv, Google Sheets)
+// ============================================================
+
+const TABLE_SHEET_MARKER = "=== SHEET: ";
+const TEXT_TABLE_MARKER = "=== TABLE: ";  // Tables found in extracted PDF/OCR text
+const TABLE_PAGE_RE = /^=== (?:SHEET|TABLE): .*===\nColumns: /m;
+const TABLE_PAGE_MAX_CHARS = 4000;  // Pages are queued in 9KB script properties
+const TEXT_TABLE_MIN_ROWS = 2;      // Rows below the header before lines count as a table
+const TEXT_TABLE_RULE_RE = /^\s*[|+]?[\s:|+=-]*-{3,}[\s:|+=-]*$/;  // |---|---|, +----+, ------  ------
+
+/**
+ * Index of the header row within the first 10: a recognised schedule
+ * header, else the first row of at least two mostly non-numeric cells.
+ */
+function detectHeaderRow(rows) {
+  const schedule = detectScheduleColumns(rows);
+  if (schedule) return schedule.headerRow;
+  for (let r = 0; r < Math.min(rows.length, 10); r++) {
+    const cells = rows[r].map(c => String(c == null ? "" : c).trim()).filter(Boolean);
+    const textual = cells.filter(c => isNaN(Number(c)));
+    if (cells.length >= 2 && textual.length >= cells.length * 0.7) return r;
+  }
+  return 0;
+}
+
+function tableCellText(value) {
+  if (value instanceof Date) return value.toISOString().substring(0, 10);
+  return String(value == null ? "" : value).replace(/\s*\|\s*/g, " / ").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Renders tabs as text pages separated by form feeds. Every page starts
+ * with the sheet name and its column headers; each row is one line of
+ * "Row n | Header: value | ..." (empty cells left out, n the sheet's own
+ * row number). Lines above the header are kept as notes.
+ */
+function tabularToText(tabs, marker) {
+  marker = marker || TABLE_SHEET_MARKER;
+  const pages = [];
+  for (const tab of tabs) {
+    const rows = tab.rows || [];
+    if (rows.length === 0) continue;
+    const h = detectHeaderRow(rows);
+    const width = rows.reduce((max, r) => Math.max(max, r.length), 0);
+    const columns = [];
+    for (let c = 0; c < width; c++) columns.push(tableCellText(rows[h][c]) || "Column " + (c + 1));
+
+    const header = marker + tab.name + " ===\nColumns: " + columns.join(" | ");
+    let page = header;
+    const push = (line) => {
+      if (page.length + line.length + 1 > TABLE_PAGE_MAX_CHARS && page !== header) {
+        pages.push(page);
+        page = header;
+      }
+      page += "\n" + line;
+    };
+
+    for (let r = 0; r < h; r++) {
+      const note = rows[r].map(tableCellText).filter(Boolean).join(" ");
+      if (note) push("Note: " + note);
+    }
+    for (let r = h + 1; r < rows.length; r++) {
+      const cells = [];
+      rows[r].forEach((cell, c) => {
+        const value = tableCellText(cell);
+        if (value) cells.push(columns[c] + ": " + value);
+      });
+      if (cells.length > 0) push("Row " + (r + 1) + " | " + cells.join(" | "));
+    }
+    pages.push(page);
+  }
+  return pages.join("\f");
+}
+
+/**
+ * { sheet, columns, rows: [{ row, values: { header: value } }] } from a
+ * rendered table page or chunk, or null for any other text.
+ */
+function parseTableChunk(text) {
+  const match = String(text || "").match(/^=== (?:SHEET|TABLE): (.*) ===\nColumns: (.*)$/m);
+  if (!match) return null;
+  const table = { sheet: match[1], columns: match[2].split(" | "), rows: [] };
+  // Headers may contain ": " themselves ("Size: sqmm"), so cells are matched
+  // against the known columns, longest first, before splitting at the first ": "
+  const columns = table.columns.slice().sort((a, b) => b.length - a.length);
+  const rowRe = /^Row (\d+) \| (.*)$/gm;
+  let m;
+  while ((m = rowRe.exec(text)) !== null) {
+    const values = {};
+    for (const cell of m[2].split(" | ")) {
+      const column = columns.find(c => cell.indexOf(c + ": ") === 0);
+      const at = column ? column.length : cell.indexOf(": ");
+      if (at > 0) values[cell.substring(0, at)] = cell.substring(at + 2);
+    }
+    table.rows.push({ row: parseInt(m[1], 10), values: values });
+  }
+  return table;
+}
+
+// Chunks.table_data: the chunk's rows as JSON, "" for non-table chunks
+function chunkTableData(text) {
+  const table = parseTableChunk(text);
+  return table && table.rows.length > 0 ? JSON.stringify(table) : "";
+}
+
+// Row chunks that each repeat the sheet name and header line
+function tableChunkPage(pageText, pageNumber) {
+  const lines = pageText.split("\n");
+  const header = lines.slice(0, 2).join("\n");
+  const chunks = [];
+  let body = "";
+  for (const line of lines.slice(2)) {
+    if (body && body.length + line.length > CHUNK_TARGET_SIZE) {
+      chunks.push({ text: "[Page " + pageNumber + "]\n" + header + body, pageNumber: pageNumber });
+      body = "";
+    }
+    body += "\n" + line;
+  }
+  if (body || chunks.length === 0) chunks.push({ text: "[Page " + pageNumber + "]\n" + header + body, pageNumber: pageNumber });
+  return chunks;
+}
+
+/**
+ * Finds tables in extracted page text: runs of pipe-delimited,
+ * tab-delimited or space-aligned lines with a header and at least
+ * TEXT_TABLE_MIN_ROWS rows. Returns the text without those lines and each
+ * table rendered like a spreadsheet tab (see tabularToText).
+ */
+function splitTextTables(text, pageNumber) {
+  const lines = text.split("\n");
+  const prose = [];
+  const tabs = [];
+  let i = 0;
+  while (i < lines.length) {
+    const table = textTableAt(lines, i);
+    if (table) {
+      tabs.push({ name: (pageNumber ? "Page " + pageNumber + ", table " : "Table ") + (tabs.length + 1), rows: table.rows });
+      i = table.end;
+    } else {
+      prose.push(lines[i]);
+      i++;
+    }
+  }
+  return { prose: prose.join("\n"), tables: tabs.length > 0 ? tabularToText(tabs, TEXT_TABLE_MARKER).split("\f") : [] };
+}
+
+// "pipe", "tab" or "aligned" when the line looks like a table row; aligned
+// rows need three cells to start a table, two to continue one
+function textTableLineKind(line, continuing) {
+  const trimmed = line.trim();
+  if (!trimmed || TEXT_TABLE_RULE_RE.test(trimmed)) return null;
+  if (trimmed.indexOf("|") !== -1 && pipeCells(trimmed).length >= 2) return "pipe";
+  if (trimmed.indexOf("\t") !== -1 && trimmed.split(/\t+/).length >= 2) return "tab";
+  if (trimmed.split(/\s{2,}/).length >= (continuing ? 2 : 3)) return "aligned";
+  return null;
+}
+
+function pipeCells(line) {
+  return line.trim().replace(/^\|/, "").replace(/\|$/, "").split("|").map(c => c.trim());
+}
+
+// The table starting at lines[start] as { rows: [[cell]], end }, or null
+function textTableAt(lines, start) {
+  const kind = textTableLineKind(lines[start], false);
+  if (!kind) return null;
+  const rowLines = [lines[start]];
+  let end = start + 1;
+  while (end < lines.length) {
+    if (TEXT_TABLE_RULE_RE.test(lines[end])) {
+      end++;
+    } else if (textTableLineKind(lines[end], true) === kind) {
+      rowLines.push(lines[end]);
+      end++;
+    } else {
+      break;
+    }
+  }
+  if (rowLines.length < TEXT_TABLE_MIN_ROWS + 1) return null;
+
+  let rows;
+  if (kind === "pipe") rows = rowLines.map(pipeCells);
+  else if (kind === "tab") rows = rowLines.map(l => l.trim().split("\t").map(c => c.trim()));
+  else rows = alignedTableRows(rowLines);
+  return rows ? { rows: rows, end: end } : null;
+}
+
+// Cells of space-aligned lines, cut where every line has a gap of two or
+// more spaces; null when fewer than three columns line up
+function alignedTableRows(lines) {
+  const width = lines.reduce((max, l) => Math.max(max, l.length), 0);
+  const starts = [];
+  let gap = 2;  // The line start counts as a gap
+  for (let c = 0; c < width; c++) {
+    if (lines.every(l => c >= l.length || /\s/.test(l[c]))) {
+      gap++;
+      continue;
+    }
+    if (gap >= 2) starts.push(c);
+    gap = 0;
+  }
+  if (starts.length < 3) return null;
+  return lines.map(l => starts.map((s, k) => l.substring(s, k + 1 < starts.length ? starts[k + 1] : l.length).trim()));
+}
+
+// Table rows with their cells keyed by schedule field (cable_id, tag, from, to, ...)
+function tableScheduleRows(table) {
+  const layout = detectScheduleColumns([table.columns]);
+  if (!layout) return { columns: {}, rows: [] };
+  return {
+    columns: layout.columns,
+    rows: table.rows.map(r => {
+      const fields = {};
+      for (const field in layout.columns) fields[field] = r.values[table.columns[layout.columns[field]]] || "";
+      return fields;
+    })
+  };
+}
+
+/**
+ * Engineering data from spreadsheet rows, without an LLM call: cable IDs
+ * and tags become components, from/to columns connections labelled with
+ * the row's cable ID.
+ */
+function extractTableEngineeringData(text) {
+  const result = fallbackExtract(text);
+  const table = parseTableChunk(text);
+  if (!table) return result;
+
+  const components = new Set(result.components);
+  for (const fields of tableScheduleRows(table).rows) {
+    if (fields.cable_id) components.add(fields.cable_id);
+    if (fields.tag) components.add(fields.tag);
+    if (fields.from && fields.to) result.connections.push({ from: fields.from, to: fields.to, label: fields.cable_id || "" });
+  }
+  for (const r of table.rows) {
+    for (const column in r.values) {
+      if (!result.panel && /^panel\b/i.test(column)) result.panel = r.values[column];
+      if (!result.voltage && /^(voltage|volts?|rated\s*voltage)\b/i.test(column)) result.voltage = r.values[column];
+    }
+  }
+
+  result.components = [...components];
+  return result;
+}
+
+function tableCableSchedule(pageText) {
+  const table = parseTableChunk(pageText);
+  if (!table) return [];
+  const columns = tableScheduleRows(table).columns;
+  if (!("cable_id" in columns)) return [];
+  const rows = [table.columns].concat(table.rows.map(r => table.columns.map(c => r.values[c] || "")));
+  return readScheduleEntries([{ name: table.sheet, rows: rows }]).entries;
+}
+
+// ============================================================
+// SMART ENGINEERING CHUNKING (page-aware with overlap)
+// ============================================================
+
+function engineeringChunkPage(pageText, pageNumber) {
+  if (!pageText || pageText.trim().length < 10) return [];
+  if (pageText.indexOf(TABLE_SHEET_MARKER) === 0) return tableChunkPage(pageText, pageNumber);
+
+  // Tables in extracted text become row chunks that repeat their header;
+  // the text around them is chunked as usual
+  if (pageText.indexOf(DXF_LAYOUT_MARKER) !== 0) {
+    const split = splitTextTables(pageText, pageNumber);
+    if (split.tables.length > 0) {
+      const tableChunks = [];
+      split.tables.forEach(table => tableChunks.push(...tableChunkPage(table, pageNumber)));
+      return engineeringChunkPage(split.prose, pageNumber).concat(tableChunks);
+    }
+  }
+
+  // Split by engineering keywords within this page (DXF records are one per line and stay whole)
+  let sections = pageText.indexOf(DXF_LAYOUT_MARKER) === 0
+    ? pageText.split(/\n/)
+    : pageText.split(/(?=PANEL|FEEDER|TRANSFORMER|SECTION|DRAWING|SCHEDULE|SLD|CIRCUIT|BUSBAR|SWITCHGEAR|SUBSTATION|BREAKER|RELAY|MOTOR|CT\s|PT\s|VCB|ACB|MCCB)/gi);
+
+  // Fallback: double newlines
+  if (sections.length <= 1) {
+    sections = pageText.split(/\n\s*\n/);
+  }
+
+  // Fallback: single newlines
+  if (sections.length <= 1) {
+    sections = pageText.split(/\n/);
+  }
+
+  // Group into ~CHUNK_TARGET_SIZE char chunks with overlap
+  const chunks = [];
+  let buffer = "";
+
+  for (const section of sections) {
+    const trimmed = section.trim();
+    if (!trimmed) continue;
+
+    if (buffer.length + trimmed.length < CHUNK_TARGET_SIZE) {
+      buffer += "\n\n" + trimmed;
+    } else {
+      if (buffer.trim()) {
+        chunks.push({
+          text: "[Page " + pageNumber + "]\n" + buffer.trim(),
+          pageNumber: pageNumber
+        });
+      }
+      // Overlap: keep last CHUNK_OVERLAP chars from previous chunk
+      const overlap = buffer.length > CHUNK_OVERLAP
+        ? buffer.substring(buffer.length - CHUNK_OVERLAP)
+        : "";
+      buffer = overlap + "\n\n" + trimmed;
+    }
+  }
+  if (buffer.trim()) {
+    chunks.push({
+      text: "[Page " + pageNumber + "]\n" + buffer.trim(),
+      pageNumber: pageNumber
+    });
+  }
+
+  // Break up any oversized chunks
+  const finalChunks = [];
+  for (const chunk of chunks) {
+    if (chunk.text.length > 2000) {
+      for (let k = 0; k < chunk.text.length; k += CHUNK_TARGET_SIZE) {
+        finalChunks.push({
+          text: chunk.text.substring(k, Math.min(k + CHUNK_TARGET_SIZE + 200, chunk.text.length)),
+          pageNumber: chunk.pageNumber
+        });
+      }
+    } else {
+      finalChunks.push(chunk);
+    }
+  }
+
+  // Ensure at least one chunk
+  if (finalChunks.length === 0 && pageText.trim().length > 0) {
+    finalChunks.push({
+      text: "[Page " + pageNumber + "]\n" + pageText.substring(0, CHUNK_TARGET_SIZE),
+      pageNumber: pageNumber
+    });
+  }
+
+  return finalChunks;
+}
+
+// Legacy wrapper for backward compatibility
+function engineeringChunk(text) {
+  const pageChunks = engineeringChunkPage(text, 1);
+  return pageChunks.map(c => c.text);
+}
+
+// ============================================================
+// GEMINI: Component extraction
+// ============================================================
+
+function extractEngineeringData(text) {
+  return canonicalizeExtraction(readEngineeringData(text));
+}
+
+// Base confidence per extraction path; LLM paths are scaled down by how much of the reply is found in the text
+const EXTRACTION_CONFIDENCE = { structured: 0.95, llm: 0.9, repaired: 0.7, fallback: 0.3 };
+const LEGACY_EXTRACTION_CONFIDENCE = 0.5;  // Chunks indexed before extraction_source was recorded
+const EXTRACTION_SCHEMA_TEXT = '{"panel":"[Main Panel Name]","voltage":"[Rating]","components":["BREAKER_01","CABLE_W102"],"connections":[{"from":"SOURCE","to":"TARGET","label":"CABLE_ID"}],' +
+  '"devices":[{"tag":"ACB-01","type":"ACB","rating_a":630,"breaking_ka":50,"poles":4,"manufacturer":"Siemens","model":"3WL"}]}';
+const EXTRACTION_MAX_COMPONENTS = 200;
+const EXTRACTION_MAX_CONNECTIONS = 100;
+const EXTRACTION_MAX_DEVICES = 100;
+const EXTRACTION_DEVICE_FIELDS = ["tag", "type", "rating_a", "breaking_ka", "poles", "manufacturer", "model"];
+
+/**
+ * Extraction result for one chunk: { panel, voltage, components,
+ * connections, devices, extraction_source, confidence }. devices holds
+ * the switching and protection devices the LLM read, for the component
+ * register; other paths leave it out. The LLM reply is checked
+ * against the extraction schema; a reply that fails gets one repair
+ * prompt listing the errors before falling back to the pattern dictionary.
+ */
+function readEngineeringData(text) {
+  // CAD block attributes and spreadsheet rows are already structured
+  if (DXF_BLOCK_TEST_RE.test(text)) return withExtractionSource(extractDxfEngineeringData(text), "structured", 1);
+  if (TABLE_PAGE_RE.test(text)) return withExtractionSource(extractTableEngineeringData(text), "structured", 1);
+
+  // Matrix v9.0 'VOID' Prompt - Higher Precision
+  const prompt = 'You are a Senior Metro Electrical Engineer. Extract structured hardware data from this text.\n' +
+    'Return ONLY valid JSON with this schema:\n' +
+    EXTRACTION_SCHEMA_TEXT + '\n\n' +
+    'IMPORTANT: Extract every unique CABLE_ID and COMPONENT_TAG correctly. Do not hallucinate.\n' +
+    'devices lists each switching or protection device the text specifies: rating_a is the rated current in A, breaking_ka the breaking capacity in kA. Use "" for anything not stated and [] when no device is specified.\n' +
+    tagPrefixGuide() + glossaryGuide(text.substring(0, 4000)) + '\n' +
+    'Text Context:\n' + text.substring(0, 4000);
+
+  try {
+    const result = callGemini(
+      [{ parts: [{ text: prompt }] }],
+      { temperature: 0, maxOutputTokens: 2048 }
+    );
+
+    if (!result) return withExtractionSource(fallbackExtract(text), "fallback", 1);
+
+    let source = "llm";
+    let checked = checkExtractionReply(result);
+    if (checked.errors.length > 0) {
+      Logger.log("Extraction failed schema check: " + checked.errors.join("; "));
+      const repaired = callGemini(
+        [{ parts: [{ text: extractionRepairPrompt(result, checked.errors, text) }] }],
+        { temperature: 0, maxOutputTokens: 2048 }
+      );
+      checked = repaired ? checkExtractionReply(repaired) : checked;
+      if (!repaired || checked.errors.length > 0) {
+        Logger.log("Extraction repair failed: " + checked.errors.join("; "));
+        return withExtractionSource(fallbackExtract(text), "fallback", 1);
+      }
+      source = "repaired";
+    }
+
+    const parsed = checked.value;
+    const grounded = groundedShare(parsed, text);
+
+    // Neural Validation: Cross-verify results with fallback tokens
+    const fb = fallbackExtract(text);
+    parsed.components = [...new Set([...parsed.components, ...fb.components])];
+    return withExtractionSource(parsed, source, grounded);
+
+  } catch (e) {
+    Logger.log("Extraction error: " + e.message);
+    return withExtractionSource(fallbackExtract(text), "fallback", 1);
+  }
+}
+
+function withExtractionSource(result, source, grounded) {
+  result.extraction_source = source;
+  result.confidence = Math.round(EXTRACTION_CONFIDENCE[source] * (0.5 + 0.5 * grounded) * 100) / 100;
+  return result;
+}
+
+// Chunks.confidence cell as a number; chunks indexed before it was recorded get the legacy value
+function chunkConfidence(cell) {
+  const value = parseFloat(cell);
+  return isNaN(value) ? LEGACY_EXTRACTION_CONFIDENCE : value;
+}
+
+/**
+ * Parses an extraction reply and checks it against the schema.
+ * Returns { value, errors }: value holds only the schema fields (with
+ * whitespace trimmed) and is null when errors is not empty.
+ */
+function checkExtractionReply(reply) {
+  const cleaned = String(reply).replace(/```json\n?/g, "").replace(/```\n?/g, "").trim();
+  let data;
+  try {
+    data = JSON.parse(cleaned);
+  } catch (e) {
+    // Prose around the object is tolerated; a broken object is not
+    const start = cleaned.indexOf("{");
+    const end = cleaned.lastIndexOf("}");
+    try {
+      if (start === -1 || end <= start) throw e;
+      data = JSON.parse(cleaned.substring(start, end + 1));
+    } catch (inner) {
+      return { value: null, errors: ["Reply is not valid JSON: " + inner.message] };
+    }
+  }
+
+  const errors = validateExtraction(data);
+  if (errors.length > 0) return { value: null, errors: errors };
+  return {
+    value: {
+      panel: data.panel.trim(),
+      voltage: data.voltage.trim(),
+      components: data.components.map(c => c.trim()),
+      connections: data.connections.map(conn => ({ from: conn.from.trim(), to: conn.to.trim(), label: (conn.label || "").trim() })),
+      devices: (data.devices || []).map(d => {
+        const device = {};
+        EXTRACTION_DEVICE_FIELDS.forEach(key => { device[key] = typeof d[key] === "string" ? d[key].trim() : d[key]; });
+        return device;
+      })
+    },
+    errors: []
+  };
+}
+
+// Schema errors of an extraction object, [] when it is valid
+function validateExtraction(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) return ["Reply must be a JSON object"];
+  const errors = [];
+  for (const key of ["panel", "voltage"]) {
+    if (typeof data[key] !== "string") errors.push(key + " must be a string (\"\" when unknown), got " + describeJsonType(data[key]));
+  }
+
+  if (!Array.isArray(data.components)) {
+    errors.push("components must be an array of tag strings, got " + describeJsonType(data.components));
+  } else {
+    if (data.components.length > EXTRACTION_MAX_COMPONENTS) errors.push("components has more than " + EXTRACTION_MAX_COMPONENTS + " entries");
+    data.components.forEach((c, i) => {
+      if (typeof c !== "string" || !c.trim()) errors.push("components[" + i + "] must be a non-empty string, got " + describeJsonType(c));
+    });
+  }
+
+  if (!Array.isArray(data.connections)) {
+    errors.push("connections must be an array of {from, to, label} objects, got " + describeJsonType(data.connections));
+  } else {
+    if (data.connections.length > EXTRACTION_MAX_CONNECTIONS) errors.push("connections has more than " + EXTRACTION_MAX_CONNECTIONS + " entries");
+    data.connections.forEach((conn, i) => {
+      if (!conn || typeof conn !== "object" || Array.isArray(conn)) {
+        errors.push("connections[" + i + "] must be an object with from, to and label, got " + describeJsonType(conn));
+        return;
+      }
+      for (const key of ["from", "to"]) {
+        if (typeof conn[key] !== "string" || !conn[key].trim()) errors.push("connections[" + i + "]." + key + " must be a non-empty string");
+      }
+      if (conn.label != null && typeof conn.label !== "string") errors.push("connections[" + i + "].label must be a string");
+    });
+  }
+
+  // Optional: a reply without devices just adds nothing to the register
+  if (data.devices != null && !Array.isArray(data.devices)) {
+    errors.push("devices must be an array of device objects, got " + describeJsonType(data.devices));
+  } else if (data.devices) {
+    if (data.devices.length > EXTRACTION_MAX_DEVICES) errors.push("devices has more than " + EXTRACTION_MAX_DEVICES + " entries");
+    data.devices.forEach((d, i) => {
+      if (!d || typeof d !== "object" || Array.isArray(d)) {
+        errors.push("devices[" + i + "] must be an object with " + EXTRACTION_DEVICE_FIELDS.join(", ") + ", got " + describeJsonType(d));
+        return;
+      }
+      for (const key of EXTRACTION_DEVICE_FIELDS) {
+        if (d[key] != null && typeof d[key] !== "string" && typeof d[key] !== "number") errors.push("devices[" + i + "]." + key + " must be a string or number");
+      }
+    });
+  }
+  return errors.slice(0, 20);
+}
+
+function describeJsonType(value) {
+  if (value === undefined) return "nothing";
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "an array";
+  return "a " + typeof value;
+}
+
+function extractionRepairPrompt(reply, errors, text) {
+  return 'Your previous reply did not match the schema for structured hardware data.\n' +
+    'Errors:\n' + errors.map(e => '- ' + e).join('\n') + '\n\n' +
+    'Return ONLY valid JSON with exactly this schema:\n' +
+    EXTRACTION_SCHEMA_TEXT + '\n' +
+    'Use "" for an unknown panel, voltage or device field and [] when there are no components, connections or devices.\n\n' +
+    'Previous reply:\n' + String(reply).substring(0, 3000) + '\n\n' +
+    'Text Context:\n' + text.substring(0, 4000);
+}
+
+// Share of extracted tags (components and connection ends) that appear in the source text
+function groundedShare(extraction, text) {
+  const tags = extraction.components.concat(...extraction.connections.map(c => [c.from, c.to]));
+  if (tags.length === 0) return 1;
+  const haystack = "-" + tagKey(text) + "-";
+  const found = tags.filter(t => {
+    const key = tagKey(t);
+    return key && haystack.indexOf("-" + key + "-") !== -1;
+  }).length;
+  return found / tags.length;
+}
+
+function fallbackExtract(text) {
+  // 150+ Token Neural Dictionary
+  const patterns = [
+    "MCCB", "MCB", "ACB", "VCB", "SFU", "VFD", "PLC", "UPS", "CP", "DB", "PDB", "MLDB", "LDB", "SLD", "CT", "PT", "KWH", 
+    "PF", "EARTH", "NEUTRAL", "PHASE", "CABLE", "WIRE", "CORE", "SQMM", "AL", "CU", "PVC", "XLPE", "ARM", "SCREEN", 
+    "SOURCE", "LOAD", "BREAKER", "INCOMER", "OUTGOING", "FEEDER", "BUSBAR", "INTERLOCK", "TRIP", "FAULT", "ON", "OFF", 
+    "REMOTE", "LOCAL", "AUTO", "MANUAL", "RELAY", "CONTACTOR", "TIMER", "SOLENOID", "LIMIT SWITCH", "PROXIMITY", 
+    "VALVE", "MOTOR", "PUMP", "HEATER", "FAN", "TRANSFORMER", "CHOKE", "CAPACITOR", "RECTIFIER", "INVERTER", 
+    "CONVERTER", "FUSE", "ISOLATOR", "SELECTOR SWITCH", "PUSH BUTTON", "EMERGENCY STOP", "INDICATION LAMP", 
+    "ANNUNCIATOR", "HMI", "SCADA", "MODBUS", "PROFIBUS", "ETHERNET", "RS485", "CANBUS", "BACNET", "HART", "4-20MA", 
+    "0-10V", "RTD", "THERMOCOUPLE", "PRESSURE", "LEVEL", "FLOW", "TEMPERATURE", "HUMIDITY", "CO2", "AQI", "SMOKE", 
+    "HEAT", "FLAME", "GAS", "STREBE", "SIREN", "BEACON", "BATTERY", "CHARGER", "ATS", "AMF", "DG SET", "SOLAR", 
+    "WIND", "GRID", "SYNCHRONIZING", "LSIG", "LSI", "LI", "OVERLOAD", "SHORT CIRCUIT", "GROUND FAULT", "INSTANTANEOUS", 
+    "TIME DELAY", "UNDER VOLTAGE", "OVER VOLTAGE", "PHASE REVERSAL", "UNBALANCE", "DIFFERENTIAL", "DISTANCE", 
+    "IMPEDANCE", "DIRECTIONAL", "BUCHHOLZ", "WTI", "OTI", "PRV", "MOG", "NGR", "NGT", "SA", "LA", "CVT"
+  ];
+  const found = [];
+  const upper = text.toUpperCase();
+  for (const pat of patterns) {
+    if (upper.includes(pat)) found.push(pat);
+  }
+  
+  // Project glossary terms, by term or synonym
+  for (const hit of findGlossaryTerms(text)) {
+    if (found.indexOf(hit.entry.term.toUpperCase()) === -1) found.push(hit.entry.term.toUpperCase());
+  }
+
+  // Equipment tags from the project's tag grammar, one spelling each
+  const keys = new Set(found.map(normalizeTag));
+  for (const tag of findTags(text)) {
+    const canonical = canonicalTag(tag);
+    if (!keys.has(normalizeTag(canonical))) {
+      keys.add(normalizeTag(canonical));
+      found.push(canonical);
+    }
+  }
+
+  return { panel: "", voltage: "", components: found, connections: [] };
+}
+
+// ============================================================
+// TAG GRAMMAR (per-project tag patterns, prefix meanings, aliases)
+// ============================================================
+
+// Used until the project defines its own patterns / prefixes in Settings
+const DEFAULT_TAG_PATTERNS = [
+  { value: "\\b[A-Z]{1,4}-?\\d{2,4}[A-Z]?\\b", meaning: "Prefix and number: W102, CP-01, CX01A" },
+  { value: "\\b(?:\\d{1,3}KV|[A-Z]{1,5}\\d{0,3})(?:-[A-Z0-9]{1,5}){2,5}\\b", meaning: "Segmented: TSS-01-ACB-3, 33KV-IC-1" }
+];
+const DEFAULT_TAG_PREFIXES = [
+  { value: "W", meaning: "Cable" },
+  { value: "CBL", meaning: "Cable" },
+  { value: "CP", meaning: "Control panel" },
+  { value: "DB", meaning: "Distribution board" },
+  { value: "JB", meaning: "Junction box" },
+  { value: "ACB", meaning: "Air circuit breaker" },
+  { value: "VCB", meaning: "Vacuum circuit breaker" },
+  { value: "MCCB", meaning: "Moulded case circuit breaker" },
+  { value: "IC", meaning: "Incomer" },
+  { value: "TSS", meaning: "Traction substation" },
+  { value: "RSS", meaning: "Receiving substation" },
+  { value: "ASS", meaning: "Auxiliary substation" }
+];
+const TAG_SHAPE_RE = /^(?=.*[A-Z])(?=.*\d)[A-Z0-9]+(?:[-_\/.][A-Z0-9]+)*$/i;  // Single token with letters and digits
+
+// Grammar and aliases, read once per execution
+let TAG_GRAMMAR_MEMO = null;
+
+/**
+ * The project's tag grammar: compiled patterns, prefix meanings and the
+ * alias map (tagKey of alias -> { key, canonical }). Falls back to the
+ * defaults when the sheets are empty or unreadable.
+ */
+function loadTagGrammar() {
+  if (TAG_GRAMMAR_MEMO) return TAG_GRAMMAR_MEMO;
+  let rules = [];
+  let aliasRows = [];
+  try {
+    rules = getSheet("TagGrammar").getDataRange().getValues().slice(1);
+    aliasRows = getSheet("TagAliases").getDataRange().getValues().slice(1);
+  } catch (e) {
+    Logger.log("Tag grammar unavailable, using defaults: " + e.message);
+  }
+
+  const entries = (kind) => rules.filter(r => r[1] === kind && r[2]).map(r => ({ value: String(r[2]), meaning: String(r[3] || "") }));
+  const patterns = entries("pattern");
+  const prefixes = entries("prefix");
+  const grammar = {
+    patterns: patterns.length > 0 ? patterns : DEFAULT_TAG_PATTERNS,
+    prefixes: prefixes.length > 0 ? prefixes : DEFAULT_TAG_PREFIXES,
+    defaults: { patterns: patterns.length === 0, prefixes: prefixes.length === 0 },
+    aliases: aliasRows.filter(r => r[1] && r[2]).map(r => ({ alias: String(r[1]), canonical: String(r[2]) })),
+    compiled: [],
+    prefixMeanings: {},
+    aliasMap: {}
+  };
+  for (const p of grammar.patterns) {
+    try {
+      grammar.compiled.push(new RegExp(p.value, "g"));
+    } catch (e) {
+      Logger.log("Skipping invalid tag pattern " + p.value + ": " + e.message);
+    }
+  }
+  grammar.prefixes.forEach(p => { grammar.prefixMeanings[p.value.toUpperCase()] = p.meaning; });
+  grammar.aliases.forEach(a => {
+    const canonical = a.canonical.trim().toUpperCase();
+    grammar.aliasMap[tagKey(a.alias)] = { key: tagKey(canonical), canonical: canonical };
+  });
+
+  TAG_GRAMMAR_MEMO = grammar;
+  return grammar;
+}
+
+/**
+ * Tags in text matched by the grammar's patterns. Where matches overlap
+ * the longest wins, so "TSS-01-ACB-3" is not also reported as "TSS-01".
+ */
+function findTags(text) {
+  const spans = [];
+  for (const re of loadTagGrammar().compiled) {
+    re.lastIndex = 0;
+    let m;
+    while ((m = re.exec(text)) !== null) {
+      if (m[0].length === 0) { re.lastIndex++; continue; }
+      if (/[A-Z]/i.test(m[0]) && /\d/.test(m[0])) spans.push({ start: m.index, end: m.index + m[0].length, tag: m[0] });
+    }
+  }
+  spans.sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.start - b.start);
+  const kept = [];
+  for (const span of spans) {
+    if (!kept.some(k => span.start < k.end && k.start < span.end)) kept.push(span);
+  }
+  return kept.sort((a, b) => a.start - b.start).map(k => k.tag);
+}
+
+// Structural key of a tag: upper case, letter/digit runs split by "-", leading zeros dropped
+function tagKey(tag) {
+  return String(tag == null ? "" : tag)
+    .toUpperCase()
+    .replace(/([A-Z])(\d)/g, "$1-$2")
+    .replace(/(\d)([A-Z])/g, "$1-$2")
+    .split(/[^A-Z0-9]+/)
+    .filter(Boolean)
+    .map(seg => seg.replace(/^0+(?=\d)/, ""))
+    .join("-");
+}
+
+/**
+ * The spelling a tag is stored and shown with: the alias target when one
+ * is registered, else upper case with "-" separators and a "-" after the
+ * letter prefix (W102 -> W-102, cx01a -> CX-01A). Text that is not a
+ * single tag-shaped token is returned unchanged.
+ */
+function canonicalTag(tag) {
+  if (typeof tag !== "string") return tag;
+  const raw = tag.trim();
+  const alias = loadTagGrammar().aliasMap[tagKey(raw)];
+  if (alias) return alias.canonical;
+  if (!TAG_SHAPE_RE.test(raw)) return raw;
+  return raw.toUpperCase().replace(/_/g, "-").replace(/^([A-Z]+)(?=\d)/, "$1-");
+}
+
+// Meanings of a tag's letter segments by registered prefix ("TSS-01-ACB-3" -> Traction substation, Air circuit breaker)
+function describeTag(tag) {
+  const meanings = loadTagGrammar().prefixMeanings;
+  return tagKey(tag).split("-").filter(seg => meanings[seg]).map(seg => meanings[seg]);
+}
+
+// Prompt line listing the project's tag prefixes, "" when there are none
+function tagPrefixGuide() {
+  const prefixes = loadTagGrammar().prefixes;
+  if (prefixes.length === 0) return "";
+  return "PROJECT TAG PREFIXES: " + prefixes.map(p => p.value + " = " + p.meaning).join("; ") + "\n";
+}
+
+// One spelling per tag in extracted components, connections and panel
+function canonicalizeExtraction(result) {
+  if (!result) return result;
+  const keys = new Set();
+  result.components = (result.components || []).map(canonicalTag).filter(c => {
+    if (typeof c !== "string") return true;
+    const key = normalizeTag(c) || c;
+    if (keys.has(key)) return false;
+    keys.add(key);
+    return true;
+  });
+  result.connections = (result.connections || []).map(conn => (conn && typeof conn === "object"
+    ? Object.assign({}, conn, { from: canonicalTag(conn.from), to: canonicalTag(conn.to), label: canonicalTag(conn.label) })
+    : conn));
+  if (result.panel) result.panel = canonicalTag(result.panel);
+  return result;
+}
+
+/**
+ * Returns a function giving every spelling of a tag the first canonical
+ * spelling seen, so the components and connections of one query result
+ * (and a schematic answer built from them) name each tag the same way.
+ */
+function tagLabeler() {
+  const labels = {};
+  return (raw) => {
+    if (typeof raw !== "string") return raw;
+    const label = canonicalTag(raw);
+    const key = TAG_SHAPE_RE.test(label) || loadTagGrammar().aliasMap[tagKey(label)] ? normalizeTag(label) : "";
+    if (!key) return label;
+    return labels[key] || (labels[key] = label);
+  };
+}
+
+function unifyMatchTags(matches, label) {
+  for (const m of matches) {
+    m.components = (m.components || []).map(c => (typeof c === "string" ? label(c) : c));
+    m.connections = (m.connections || []).map(conn => (conn && typeof conn === "object"
+      ? Object.assign({}, conn, { from: label(conn.from), to: label(conn.to) })
+      : conn));
+  }
+}
+
+// Schematic answers are React Flow JSON; tags in ids, labels and ends get the result's spellings
+function unifySchematicTags(answer, label) {
+  if (typeof answer !== "string") return answer;
+  let graph;
+  try {
+    graph = JSON.parse(answer.replace(/```json\n?/g, "").replace(/```\n?/g, "").trim());
+  } catch (e) {
+    return answer;
+  }
+  if (!graph || typeof graph !== "object") return answer;
+  graph.components = (graph.components || []).map(c => (c && typeof c === "object"
+    ? Object.assign({}, c, { id: label(c.id), label: label(c.label) })
+    : label(c)));
+  graph.connections = (graph.connections || []).map(conn => (conn && typeof conn === "object"
+    ? Object.assign({}, conn, { from: label(conn.from), to: label(conn.to) })
+    : conn));
+  return JSON.stringify(graph);
+}
+
+function getTagGrammarAction(extra) {
+  const grammar = loadTagGrammar();
+  return jsonResp(Object.assign({
+    patterns: grammar.patterns,
+    prefixes: grammar.prefixes,
+    aliases: grammar.aliases,
+    defaults: grammar.defaults
+  }, extra));
+}
+
+/**
+ * Replaces the tag grammar. Takes { patterns: [{ value, meaning }],
+ * prefixes: [{ value, meaning }], aliases: [{ alias, canonical }] };
+ * empty pattern or prefix lists restore the defaults. When patterns or
+ * aliases change, a keyword index rebuild is queued and indexed documents
+ * holding affected tags are marked "changed" for re-processing; the reply
+ * adds { keywordRebuildQueued, flaggedDocuments }.
+ */
+function saveTagGrammarAction(data) {
+  const patterns = (data.patterns || []).filter(p => p && String(p.value || "").trim());
+  const prefixes = (data.prefixes || []).filter(p => p && String(p.value || "").trim());
+  const aliases = (data.aliases || []).filter(a => a && String(a.alias || "").trim());
+
+  for (const p of patterns) {
+    try {
+      new RegExp(p.value, "g");
+    } catch (e) {
+      return jsonResp({ error: "Invalid tag pattern " + p.value + ": " + e.message });
+    }
+  }
+  const aliasKeys = {};
+  for (const a of aliases) {
+    const key = tagKey(a.alias);
+    if (!String(a.canonical || "").trim()) return jsonResp({ error: "Alias " + a.alias + " has no canonical tag" });
+    if (!key) return jsonResp({ error: "Alias " + a.alias + " has no letters or digits" });
+    if (key === tagKey(a.canonical)) return jsonResp({ error: "Alias " + a.alias + " already normalizes to " + a.canonical });
+    if (aliasKeys[key]) return jsonResp({ error: "Alias " + a.alias + " is listed twice" });
+    aliasKeys[key] = true;
+  }
+  const chained = aliases.find(a => aliasKeys[tagKey(a.canonical)]);
+  if (chained) return jsonResp({ error: "Canonical tag " + chained.canonical + " is itself an alias" });
+
+  const now = new Date().toISOString();
+  const grammarRows = []
+    .concat(patterns.map(p => [Utilities.getUuid(), "pattern", String(p.value).trim(), String(p.meaning || "").trim(), now]))
+    .concat(prefixes.map(p => [Utilities.getUuid(), "prefix", String(p.value).trim().toUpperCase(), String(p.meaning || "").trim(), now]));
+  const aliasRows = aliases.map(a => [Utilities.getUuid(), String(a.alias).trim(), String(a.canonical).trim().toUpperCase(), now]);
+  const before = loadTagGrammar();
+  replaceSheetRows(getSheet("TagGrammar"), grammarRows);
+  replaceSheetRows(getSheet("TagAliases"), aliasRows);
+
+  // Graph nodes are keyed by normalized tag
+  TAG_GRAMMAR_MEMO = null;
+  markGraphStale();
+  const after = loadTagGrammar();
+
+  // Tags whose identity moved: the alias spelling and both canonical targets
+  const affected = new Set();
+  for (const key of new Set(Object.keys(before.aliasMap).concat(Object.keys(after.aliasMap)))) {
+    const was = before.aliasMap[key];
+    const now = after.aliasMap[key];
+    if (was && now && was.key === now.key) continue;
+    affected.add(key);
+    if (was) affected.add(was.key);
+    if (now) affected.add(now.key);
+  }
+  const patternsChanged = JSON.stringify(before.patterns) !== JSON.stringify(after.patterns);
+  if (affected.size > 0 || patternsChanged) queueKeywordRebuild();
+
+  return getTagGrammarAction({
+    keywordRebuildQueued: affected.size > 0 || patternsChanged,
+    flaggedDocuments: flagDocumentsWithTags(affected)
+  });
+}
+
+/**
+ * Marks indexed documents whose stored tags (chunk panels, components and
+ * connections, cable rows, component register rows) have one of the given
+ * tag keys as "changed", so they are re-processed with the new spellings.
+ * Returns how many were marked.
+ */
+function flagDocumentsWithTags(keys) {
+  if (keys.size === 0) return 0;
+  const docIds = new Set();
+  const check = (docId, values) => {
+    if (values.some(v => typeof v === "string" && keys.has(tagKey(v)))) docIds.add(String(docId));
+  };
+  const columns = (name, first, count) => {
+    const sheet = getSheet(name);
+    return sheet.getLastRow() > 1 ? sheet.getRange(2, first, sheet.getLastRow() - 1, count).getValues() : [];
+  };
+
+  // Chunks: document_id .. connections
+  columns("Chunks", 2, 7).forEach(r => {
+    const connections = safeParseJSON(r[6], []);
+    check(r[0], [String(r[3] || "")]
+      .concat(safeParseJSON(r[5], []))
+      .concat([].concat(...(Array.isArray(connections) ? connections : []).map(c => (c ? [c.from, c.to, c.label] : [])))));
+  });
+  columns("Cables", 1, SHEET_HEADERS.Cables.length).forEach(r => check(r[9], [String(r[1]), String(r[2]), String(r[3])]));
+  columns("Components", 1, SHEET_HEADERS.Components.length).forEach(r => check(r[10], [String(r[1]), String(r[8])]));
+
+  const docSheet = getSheet("Documents");
+  const data = docSheet.getDataRange().getValues();
+  let flagged = 0;
+  for (let i = 1; i < data.length; i++) {
+    if (docIds.has(String(data[i][0])) && data[i][5] === "indexed") {
+      docSheet.getRange(i + 1, 6).setValue("changed");
+      flagged++;
+    }
+  }
+  return flagged;
+}
+
+// Tags the grammar finds in a sample text, with their canonical form, key and prefix meanings
+function testTagGrammarAction(data) {
+  const text = String(data.text || "");
+  return jsonResp({
+    tags: findTags(text).map(tag => ({
+      tag: tag,
+      canonical: canonicalTag(tag),
+      key: normalizeTag(tag),
+      meanings: describeTag(tag)
+    }))
+  });
+}
+
+function replaceSheetRows(sheet, rows) {
+  if (sheet.getLastRow() > 1) sheet.deleteRows(2, sheet.getLastRow() - 1);
+  if (rows.length > 0) sheet.getRange(2, 1, rows.length, rows[0].length).setValues(rows);
+}
+
+// ============================================================
+// GLOSSARY (project terms, synonyms and query expansions)
+// ============================================================
+
+// Used until the project saves its own glossary in Settings. "agent" entries
+// hold the keywords added to every query routed to that agent.
+const DEFAULT_GLOSSARY = [
+  { term: "TSS", synonyms: ["traction substation", "traction sub-station"], expansions: ["rectifier", "traction transformer", "DC switchgear"], category: "Substation" },
+  { term: "ASS", synonyms: ["auxiliary substation", "auxiliary sub-station"], expansions: ["auxiliary transformer", "LT panel"], category: "Substation" },
+  { term: "RSS", synonyms: ["receiving substation", "receiving sub-station"], expansions: ["grid", "power transformer", "GIS"], category: "Substation" },
+  { term: "OCS", synonyms: ["overhead contact system", "overhead catenary system", "OHE"], expansions: ["catenary", "contact wire", "mast"], category: "Traction" },
+  { term: "DCDB", synonyms: ["DC distribution board"], expansions: ["battery", "battery charger"], category: "Equipment" },
+  { term: "SER", synonyms: ["signalling equipment room", "signaling equipment room"], expansions: ["interlocking", "signalling"], category: "Room" },
+  { term: "CIRCUIT_EXPERT", synonyms: [], expansions: ["pin", "wiring", "terminal", "connection", "cable", "conductor", "schematic", "drawing", "circuit"], category: "agent" },
+  { term: "DIMENSION_AUDITOR", synonyms: [], expansions: ["dimension", "size", "cutout", "mm", "meter", "clearance", "layout", "drawing", "view"], category: "agent" }
+];
+const GLOSSARY_AGENT_CATEGORY = "agent";
+
+// Glossary, read once per execution
+let GLOSSARY_MEMO = null;
+
+/**
+ * The project's glossary: entries ({ term, synonyms, expansions,
+ * category }), a matcher per term (its spellings, longest first) and the
+ * agent keyword lists. Falls back to the defaults when the sheet is empty
+ * or unreadable.
+ */
+function loadGlossary() {
+  if (GLOSSARY_MEMO) return GLOSSARY_MEMO;
+  let rows = [];
+  try {
+    rows = getSheet("Glossary").getDataRange().getValues().slice(1);
+  } catch (e) {
+    Logger.log("Glossary unavailable, using defaults: " + e.message);
+  }
+
+  const list = (cell) => String(cell || "").split(",").map(s => s.trim()).filter(Boolean);
+  const saved = rows.filter(r => String(r[1] || "").trim()).map(r => ({
+    term: String(r[1]).trim(),
+    synonyms: list(r[2]),
+    expansions: list(r[3]),
+    category: String(r[4] || "").trim()
+  }));
+  const glossary = {
+    entries: saved.length > 0 ? saved : DEFAULT_GLOSSARY,
+    defaults: saved.length === 0,
+    matchers: [],
+    agents: {}
+  };
+  for (const entry of glossary.entries) {
+    if (entry.category.toLowerCase() === GLOSSARY_AGENT_CATEGORY) {
+      glossary.agents[entry.term.toUpperCase()] = entry.expansions;
+      continue;
+    }
+    const spellings = [entry.term].concat(entry.synonyms).sort((a, b) => b.length - a.length);
+    const alternatives = spellings.map(s => s.split(/[\s-]+/).map(escapeRegExp).join("[\\s-]+"));
+    glossary.matchers.push({ entry: entry, key: glossaryKey(entry.term), re: new RegExp("(?<![A-Za-z0-9])(?:" + alternatives.join("|") + ")(?![A-Za-z0-9])", "gi") });
+  }
+
+  GLOSSARY_MEMO = glossary;
+  return glossary;
+}
+
+// Index term shared by a glossary term and its synonyms: "DC switchgear" -> "dc-switchgear"
+function glossaryKey(term) {
+  return (String(term || "").toLowerCase().match(/[a-z0-9]+/g) || []).join("-");
+}
+
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Every mention of a glossary term or synonym in text, in no particular
+ * order: [{ entry, key, text }].
+ */
+function findGlossaryTerms(text) {
+  const hits = [];
+  for (const m of loadGlossary().matchers) {
+    m.re.lastIndex = 0;
+    let found;
+    while ((found = m.re.exec(text)) !== null) hits.push({ entry: m.entry, key: m.key, text: found[0] });
+  }
+  return hits;
+}
+
+/**
+ * Keywords a query gains from the glossary: the routed agent's list, plus
+ * the term, synonyms and expansions of every glossary term it mentions.
+ */
+function glossaryExpansions(query, agent) {
+  const glossary = loadGlossary();
+  const words = (glossary.agents[String(agent || "").toUpperCase()] || []).slice();
+  const seen = {};
+  for (const hit of findGlossaryTerms(query)) {
+    if (seen[hit.key]) continue;
+    seen[hit.key] = true;
+    words.push(hit.entry.term, ...hit.entry.synonyms, ...hit.entry.expansions);
+  }
+  const typed = String(query).toLowerCase();
+  return [...new Set(words)].filter(w => typed.indexOf(w.toLowerCase()) === -1);
+}
+
+// Prompt line explaining the glossary terms found in text, "" when there are none
+function glossaryGuide(text) {
+  const entries = {};
+  for (const hit of findGlossaryTerms(text)) entries[hit.key] = hit.entry;
+  const lines = Object.keys(entries).map(key => {
+    const e = entries[key];
+    return e.term + (e.synonyms.length ? " = " + e.synonyms.join(" / ") : "") + (e.category ? " (" + e.category + ")" : "");
+  });
+  return lines.length > 0 ? "PROJECT GLOSSARY: " + lines.join("; ") + "\n" : "";
+}
+
+function getGlossaryAction(extra) {
+  const glossary = loadGlossary();
+  return jsonResp(Object.assign({ entries: glossary.entries, defaults: glossary.defaults }, extra));
+}
+
+/**
+ * Replaces the glossary. Takes { entries: [{ term, synonyms, expansions,
+ * category }] }; an empty list restores the defaults. A spelling may
+ * belong to one term only. When the terms or synonyms that feed the
+ * keyword index change, a rebuild is queued and reported as
+ * keywordRebuildQueued.
+ */
+function saveGlossaryAction(data) {
+  const list = (value) => (Array.isArray(value) ? value : String(value || "").split(","))
+    .map(s => String(s).replace(/,/g, " ").trim()).filter(Boolean);
+  const entries = (data.entries || []).filter(e => e && String(e.term || "").trim()).map(e => ({
+    term: String(e.term).trim(),
+    synonyms: list(e.synonyms),
+    expansions: list(e.expansions),
+    category: String(e.category || "").trim()
+  }));
+
+  // Each spelling belongs to one term; agent lists are keyed by agent name only
+  const owners = {};
+  for (const e of entries) {
+    const agent = e.category.toLowerCase() === GLOSSARY_AGENT_CATEGORY;
+    const spellings = {};
+    for (const spelling of agent ? [e.term] : [e.term].concat(e.synonyms)) {
+      if (!glossaryKey(spelling)) return jsonResp({ error: "Glossary spelling \"" + spelling + "\" has no letters or digits" });
+      spellings[(agent ? "agent:" : "") + glossaryKey(spelling)] = spelling;
+    }
+    for (const key of Object.keys(spellings)) {
+      if (owners[key] && owners[key].toLowerCase() === e.term.toLowerCase()) return jsonResp({ error: "Glossary term " + e.term + " is listed twice" });
+      if (owners[key]) return jsonResp({ error: "\"" + spellings[key] + "\" is listed under both " + owners[key] + " and " + e.term });
+      owners[key] = e.term;
+    }
+  }
+
+  // Only terms and synonyms reach the keyword index; expansions and agent lists are query-side
+  const indexedSpellings = () => loadGlossary().matchers.map(m => m.key + "=" + m.re.source).sort().join("\n");
+  const before = indexedSpellings();
+  const now = new Date().toISOString();
+  replaceSheetRows(getSheet("Glossary"), entries.map(e => [
+    Utilities.getUuid(), e.term, e.synonyms.join(", "), e.expansions.join(", "), e.category, now
+  ]));
+  GLOSSARY_MEMO = null;
+
+  const rebuild = indexedSpellings() !== before;
+  if (rebuild) queueKeywordRebuild();
+  return getGlossaryAction({ keywordRebuildQueued: rebuild });
+}
+
+// How the saved glossary reads a sample query: terms found, added keywords and weighted search terms
+function testGlossaryAction(data) {
+  const text = String(data.text || "");
+  const found = {};
+  for (const hit of findGlossaryTerms(text)) {
+    const f = found[hit.key] || (found[hit.key] = { term: hit.entry.term, category: hit.entry.category, matched: [] });
+    if (f.matched.indexOf(hit.text) === -1) f.matched.push(hit.text);
+  }
+  const expansions = glossaryExpansions(text, data.agent);
+  return jsonResp({
+    terms: Object.keys(found).map(key => found[key]),
+    expansions: expansions,
+    searchTerms: buildQueryTerms(text, expansions)
+  });
+}
+
+// ============================================================
+// ENGINEERING QUANTITIES (unit parsing and numeric range filters)
+// ============================================================
+
+// Base unit and accepted input units (lower case, no dots or spaces) per quantity
+const QUANTITY_UNITS = {
+  voltage: { base: "V", units: { v: 1, vac: 1, vdc: 1, kv: 1000 } },
+  current: { base: "A", units: { a: 1, ka: 1000, ma: 0.001 } },
+  fault: { base: "kA", units: { ka: 1, a: 0.001 } },
+  cross_section: { base: "sq.mm", units: { sqmm: 1, mm2: 1, "mm²": 1 } },
+  length: { base: "m", units: { m: 1, mtr: 1, mtrs: 1, meter: 1, meters: 1, metre: 1, metres: 1, km: 1000, mm: 0.001 } }
+};
+const QUANTITY_NUMBER = "(?<![\\w.\\-])(\\d+(?:\\.\\d+)?)\\s*";  // Not part of a tag such as CX01A
+const QUANTITY_PATTERNS = [
+  { quantity: "voltage", re: new RegExp(QUANTITY_NUMBER + "(kV|V)(?:AC|DC)?\\b", "gi") },
+  { quantity: "fault", re: new RegExp(QUANTITY_NUMBER + "(kA)\\b", "gi") },  // kA figures are breaking / withstand ratings
+  { quantity: "current", re: new RegExp(QUANTITY_NUMBER + "(mA|A)(?:T|F)?\\b", "g") },
+  { quantity: "cross_section", re: new RegExp(QUANTITY_NUMBER + "(sq\\.?\\s*mm|mm2|mm²)", "gi") },
+  { quantity: "cross_section", re: /(?:\d+(?:\.\d+)?)\s*(?:C|CORE|CORES)\s*[X×*]\s*(\d+(?:\.\d+)?)()/gi },  // 4C x 95
+  { quantity: "length", re: new RegExp(QUANTITY_NUMBER + "(km|mtrs?|metres?|meters?|m)\\b", "gi") }
+];
+const RANGE_WORDS = [
+  [/^(?:above|over|more than|greater than)\s+/i, ">"],
+  [/^(?:at least|min(?:imum)?|from)\s+/i, ">="],
+  [/^(?:below|under|less than)\s+/i, "<"],
+  [/^(?:at most|max(?:imum)?|up to)\s+/i, "<="]
+];
+
+// Value of a number with unit in the quantity's base unit, or null for an unknown unit
+function toBaseUnit(quantity, value, unit) {
+  const factor = QUANTITY_UNITS[quantity].units[String(unit || QUANTITY_UNITS[quantity].base).toLowerCase().replace(/[.\s]/g, "")];
+  return factor === undefined ? null : Math.round(parseFloat(value) * factor * 1e6) / 1e6;
+}
+
+/**
+ * Voltages, currents, fault ratings, cable cross-sections and lengths
+ * mentioned in text, in base units: { voltage: [11000, 415], ... }.
+ * Quantities with no value are left out.
+ */
+function parseQuantities(text) {
+  const found = {};
+  for (const { quantity, re } of QUANTITY_PATTERNS) {
+    re.lastIndex = 0;
+    let m;
+    while ((m = re.exec(text)) !== null) {
+      const value = toBaseUnit(quantity, m[1], m[2] || QUANTITY_UNITS[quantity].base);
+      if (value === null || !(value > 0)) continue;
+      found[quantity] = found[quantity] || [];
+      if (found[quantity].indexOf(value) === -1) found[quantity].push(value);
+    }
+  }
+  return found;
+}
+
+// Chunks.quantities: parsed from the chunk text and extracted voltage, "" when there are none
+function chunkQuantities(text, voltage) {
+  const found = parseQuantities(text + "\n" + (voltage || ""));
+  return Object.keys(found).length > 0 ? JSON.stringify(found) : "";
+}
+
+/**
+ * Reads a filter such as ">= 11kV", "≤ 240 sqmm", "11kV-33kV", "above 50 m"
+ * or "415V" into { min, max, minExclusive, maxExclusive } in base units.
+ * A bare number is taken in the base unit. Returns null when unreadable.
+ */
+function parseRangeExpression(expr, quantity) {
+  let text = String(expr || "").trim().replace(/≥/g, ">=").replace(/≤/g, "<=").replace(/[–—]/g, "-");
+  for (const [re, op] of RANGE_WORDS) text = text.replace(re, op);
+  const num = "(\\d+(?:\\.\\d+)?)\\s*([a-z²][a-z.²\\s]*?)?";
+
+  const between = text.match(new RegExp("^" + num + "\\s*(?:-|to|\\.\\.)\\s*" + num + "$", "i"));
+  if (between) {
+    const unit = between[4] || between[2];
+    const a = toBaseUnit(quantity, between[1], between[2] || unit);
+    const b = toBaseUnit(quantity, between[3], unit);
+    if (a === null || b === null) return null;
+    return { min: Math.min(a, b), max: Math.max(a, b), minExclusive: false, maxExclusive: false };
+  }
+
+  const single = text.match(new RegExp("^(>=|<=|>|<|=)?\\s*" + num + "$", "i"));
+  if (!single) return null;
+  const value = toBaseUnit(quantity, single[2], single[3]);
+  if (value === null) return null;
+  const op = single[1] || "=";
+  if (op === "=") return { min: value, max: value, minExclusive: false, maxExclusive: false };
+  if (op.charAt(0) === ">") return { min: value, max: null, minExclusive: op === ">", maxExclusive: false };
+  return { min: null, max: value, minExclusive: false, maxExclusive: op === "<" };
+}
+
+function valueInRange(value, range) {
+  const eps = 1e-9 * Math.max(1, Math.abs(value));
+  if (range.min !== null && (range.minExclusive ? value <= range.min + eps : value < range.min - eps)) return false;
+  if (range.max !== null && (range.maxExclusive ? value >= range.max - eps : value > range.max + eps)) return false;
+  return true;
+}
+
+/**
+ * Numeric filters of a query: req.ranges ({ quantity: expression }) plus
+ * filterVoltage when it reads as a number with a unit or a comparison.
+ * Returns { filters: [{ quantity, range }] } or { error }.
+ */
+function resolveRangeFilters(req) {
+  const exprs = Object.assign({}, req.ranges || {});
+  if (req.filterVoltage && !exprs.voltage && /^\s*(?:[<>=≥≤]|(?:above|over|below|under|at least|at most|up to)\b|\d[\d.]*\s*k?v\b|\d[\d.]*\s*k?v?\s*(?:-|to)\s*\d)/i.test(req.filterVoltage)) {
+    exprs.voltage = req.filterVoltage;
+  }
+  const filters = [];
+  for (const quantity of Object.keys(exprs)) {
+    if (!String(exprs[quantity] || "").trim()) continue;
+    if (!QUANTITY_UNITS[quantity]) return { error: "Unknown range filter: " + quantity + " (use " + Object.keys(QUANTITY_UNITS).join(", ") + ")" };
+    const range = parseRangeExpression(exprs[quantity], quantity);
+    if (!range) return { error: "Could not read the " + quantity.replace("_", " ") + " filter \"" + exprs[quantity] + "\". Try e.g. >= 11kV, 95-240 sqmm or < 50 m." };
+    filters.push({ quantity: quantity, range: range });
+  }
+  return { filters: filters };
+}
+
+// ============================================================
+// CABLE SCHEDULE: Extraction and lookup
+// ============================================================
+
+// Pages without any of these never reach the LLM cable pass
+const CABLE_HINT_RE = /\b\d+(?:\.\d+)?\s*(?:C|CORE|CORES|PAIR)\s*[X×*]\s*\d+(?:\.\d+)?|\bSQ\.?\s*MM\b|\bMM2\b|mm²|\bCABLE\s+(?:NO|ID|TAG|SCHEDULE)\b/i;
+// "4C x 95 sq.mm", "3.5 CORE X 300 MM2", "2Cx2.5"
+const CABLE_SPEC_RE = /(\d+(?:\.\d+)?)\s*(?:C|CORE|CORES)\s*[X×*]\s*(\d+(?:\.\d+)?)\s*(?:SQ\.?\s*MM|MM2|MM²|SQMM)?/i;
+// Tags such as W-102, W102, CBL-0045, PC/TSS1/012, 11KV-FDR-03. Breaker
+// style prefixes (CB, bare C) are left out; without a separator a digit must follow.
+const CABLE_ID_PREFIXES = ["W", "CBL", "CAB", "FDR", "PC", "CC"];
+const CABLE_ID_RE = new RegExp("\\b(?:" + CABLE_ID_PREFIXES.join("|") + ")(?:[-\\/][A-Z0-9]|\\d)[A-Z0-9\\/-]{1,20}\\b", "i");
+const CABLE_PREFIX_MEANING_RE = /\b(?:cable|feeder)s?\b/i;  // Tag grammar prefixes that name cables
+const CABLE_CONDUCTORS = { CU: "CU", COPPER: "CU", AL: "AL", ALUMINIUM: "AL", ALUMINUM: "AL" };
+const CABLE_INSULATIONS = ["XLPE", "PVC", "EPR", "LSZH", "FRLS", "FRLSH", "HFFR", "MICC"];
+
+/**
+ * Normalized cable rows found on one page. Regex parsing always runs;
+ * pages that look like they carry cable data also get an LLM pass, and
+ * labelled connections from chunk extraction fill in from/to.
+ */
+function extractCableSchedule(pageText, connections) {
+  const found = {};
+  const merge = (raw) => {
+    const row = normalizeCableRow(raw);
+    if (!row) return;
+    const key = normalizeTag(row.cable_id) || row.cable_id;
+    const existing = found[key];
+    if (!existing) {
+      found[key] = row;
+      return;
+    }
+    for (const key of Object.keys(row)) {
+      if (!existing[key] && row[key]) existing[key] = row[key];
+    }
+  };
+
+  if (TABLE_PAGE_RE.test(pageText)) {
+    // Spreadsheet rows: straight from the cells
+    tableCableSchedule(pageText).forEach(merge);
+  } else {
+    splitTextTables(pageText).tables.forEach(table => tableCableSchedule(table).forEach(merge));
+    parseCableLines(pageText).forEach(merge);
+
+    if (CABLE_HINT_RE.test(pageText)) {
+      try {
+        extractCablesWithGemini(pageText).forEach(merge);
+      } catch (e) {
+        Logger.log("Cable extraction error: " + e.message);
+      }
+    }
+  }
 
-  for (const section of sections) {
-    const trimmed = section.trim();
-    if (!trimmed) continue;
+  for (const conn of connections || []) {
+    const cableId = conn && conn.label ? findCableIds(String(conn.label))[0] : "";
+    if (cableId) merge({ cable_id: cableId, from: conn.from, to: conn.to });
+  }
 
-    if (buffer.length + trimmed.length < CHUNK_TARGET_SIZE) {
-      buffer += "\n\n" + trimmed;
-    } else {
-      if (buffer.trim()) {
-        chunks.push({
-          text: "[Page " + pageNumber + "]\n" + buffer.trim(),
-          pageNumber: pageNumber
+  return Object.keys(found).map(id => found[id]);
+}
+
+function extractCablesWithGemini(pageText) {
+  const prompt = 'You are reading a metro electrical drawing or cable schedule. List every cable it defines.\n' +
+    'Return ONLY valid JSON with this schema:\n' +
+    '{"cables":[{"cable_id":"W-102","from":"PANEL_A","to":"MOTOR_3","cores":4,"cross_section":95,"conductor":"CU","insulation":"XLPE","length":120}]}\n' +
+    'cross_section is in sq.mm and length in metres. Use "" for anything not stated. Do not invent cables.\n\n' +
+    'Text Context:\n' + pageText.substring(0, 6000);
+
+  const result = callGemini([{ parts: [{ text: prompt }] }], { temperature: 0, maxOutputTokens: 2048 });
+  if (!result) return [];
+  const cleaned = result.replace(/```json\n?/g, "").replace(/```\n?/g, "").trim();
+  const parsed = safeParseJSON(cleaned, {});
+  return Array.isArray(parsed.cables) ? parsed.cables : [];
+}
+
+/**
+ * Cable IDs in text: tags the grammar finds whose letter segments include a
+ * cable prefix, else the first CABLE_ID_RE match for IDs the grammar's
+ * patterns miss (PC/TSS1/012).
+ */
+function findCableIds(text) {
+  const ids = findTags(String(text || "")).filter(isCableId);
+  if (ids.length > 0) return ids;
+  const match = String(text || "").match(CABLE_ID_RE);
+  return match ? [match[0]] : [];
+}
+
+// Prefixes registered in the tag grammar as cables or feeders, plus the built-in ones
+function isCableId(tag) {
+  const prefixes = new Set(CABLE_ID_PREFIXES);
+  loadTagGrammar().prefixes.forEach(p => { if (CABLE_PREFIX_MEANING_RE.test(p.meaning)) prefixes.add(p.value.toUpperCase()); });
+  return tagKey(tag).split("-").some(seg => prefixes.has(seg)) || CABLE_ID_RE.test(tag);
+}
+
+function parseCableLines(text) {
+  const rows = [];
+  for (const line of String(text || "").split(/\n/)) {
+    const ids = findCableIds(line);
+    const specMatch = line.match(CABLE_SPEC_RE);
+    if (ids.length === 0 || !specMatch) continue;
+
+    const upper = line.toUpperCase();
+    const route = line.match(/FROM\s+([A-Z0-9\/_.-]+)\s+TO\s+([A-Z0-9\/_.-]+)/i);
+    const length = line.match(/(\d+(?:\.\d+)?)\s*(?:M|MTR|MTRS|METRES?|METERS?)\b/i);
+    rows.push({
+      cable_id: ids[0],
+      from: route ? route[1] : "",
+      to: route ? route[2] : "",
+      cores: specMatch[1],
+      cross_section: specMatch[2],
+      conductor: Object.keys(CABLE_CONDUCTORS).find(k => new RegExp("\\b" + k + "\\b").test(upper)) || "",
+      insulation: CABLE_INSULATIONS.find(k => upper.indexOf(k) !== -1) || "",
+      length: length ? length[1] : ""
+    });
+  }
+  return rows;
+}
+
+function normalizeCableRow(raw) {
+  if (!raw || !raw.cable_id) return null;
+  // One spelling per cable: W102, w-102 and registered aliases all store as W-102
+  const cableId = canonicalTag(String(raw.cable_id).toUpperCase().replace(/\s+/g, "").trim());
+  if (!cableId) return null;
+
+  const numberOrBlank = (v) => {
+    const n = parseFloat(String(v == null ? "" : v).replace(/[^0-9.]/g, ""));
+    return isNaN(n) ? "" : n;
+  };
+  const conductor = String(raw.conductor || "").toUpperCase().trim();
+  const insulation = String(raw.insulation || "").toUpperCase().trim();
+
+  return {
+    cable_id: cableId,
+    from: String(raw.from || "").toUpperCase().trim(),
+    to: String(raw.to || "").toUpperCase().trim(),
+    cores: numberOrBlank(raw.cores),
+    cross_section: numberOrBlank(raw.cross_section),
+    conductor: CABLE_CONDUCTORS[conductor] || conductor,
+    insulation: CABLE_INSULATIONS.find(k => insulation.indexOf(k) !== -1) || insulation,
+    length: numberOrBlank(raw.length)
+  };
+}
+
+function appendCableRows(docId, pageNumber, cables) {
+  if (!cables.length) return;
+  const now = new Date().toISOString();
+  const rows = cables.map(c => [
+    Utilities.getUuid(), c.cable_id, c.from, c.to, c.cores, c.cross_section,
+    c.conductor, c.insulation, c.length, docId, pageNumber, now
+  ]);
+  const sheet = getSheet("Cables");
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+}
+
+function deleteCablesByDocId(docId) {
+  const sheet = getSheet("Cables");
+  const data = sheet.getRange(1, 1, Math.max(sheet.getLastRow(), 1), SHEET_HEADERS.Cables.length).getValues();
+  for (let i = data.length - 1; i >= 1; i--) {
+    if (String(data[i][9]) === String(docId)) sheet.deleteRow(i + 1);
+  }
+}
+
+function loadCableRows() {
+  const sheet = getSheet("Cables");
+  const headers = SHEET_HEADERS.Cables;
+  const data = sheet.getRange(1, 1, Math.max(sheet.getLastRow(), 1), headers.length).getValues();
+  const rows = [];
+  for (let i = 1; i < data.length; i++) {
+    const row = {};
+    headers.forEach((h, c) => { row[h] = data[i][c]; });
+    rows.push(row);
+  }
+  return rows;
+}
+
+function listCablesAction(data) {
+  const docs = loadDocumentMap();
+  const search = String(data.search || "").toUpperCase().trim();
+  const searchKey = normalizeTag(search);
+  const limit = Math.min(Number(data.limit) || 500, 5000);
+  // "W102" finds W-102 and its aliases; other text is a substring search
+  const matches = (c) => [c.cable_id, c.from, c.to].join(" ").toUpperCase().indexOf(search) !== -1 ||
+    (searchKey && ("-" + normalizeTag(c.cable_id) + "-").indexOf("-" + searchKey + "-") !== -1);
+
+  const cables = loadCableRows().filter(c => {
+    const doc = docs[String(c.document_id)];
+    if (!doc) return false;
+    if (data.documentId && String(c.document_id) !== String(data.documentId)) return false;
+    if (data.folderId && String(doc.folder_id) !== String(data.folderId)) return false;
+    if (search && !matches(c)) return false;
+    c.document_name = doc.name;
+    c.drive_file_id = doc.drive_file_id;
+    return true;
+  });
+
+  cables.sort((a, b) => String(a.cable_id).localeCompare(String(b.cable_id), undefined, { numeric: true }));
+  return jsonResp({ cables: cables.slice(0, limit), total: cables.length });
+}
+
+function getCableAction(data) {
+  if (!data.cableId) return jsonResp({ error: "Cable ID required" });
+
+  // Rows stored before canonical spellings (W102 next to W-102) match by key
+  const key = normalizeTag(String(data.cableId).replace(/\s+/g, ""));
+  const docs = loadDocumentMap();
+  const occurrences = loadCableRows().filter(c => normalizeTag(c.cable_id) === key && docs[String(c.document_id)]);
+  if (!key || occurrences.length === 0) return jsonResp({ error: "Cable not found: " + data.cableId });
+
+  // The same cable is often drawn on several sheets; take the first
+  // non-empty value for each attribute
+  const cable = { cable_id: canonicalTag(String(occurrences[0].cable_id)) };
+  for (const key of ["from", "to", "cores", "cross_section", "conductor", "insulation", "length"]) {
+    const hit = occurrences.find(c => c[key] !== "" && c[key] != null);
+    cable[key] = hit ? hit[key] : "";
+  }
+
+  occurrences.forEach(c => {
+    c.document_name = docs[String(c.document_id)].name;
+    c.drive_file_id = docs[String(c.document_id)].drive_file_id;
+  });
+
+  return jsonResp({ cable, occurrences });
+}
+
+// ============================================================
+// COMPONENT REGISTER: Ratings, makes and models per tag
+// ============================================================
+
+// Device types recognised in text and type columns; "ACBs" counts as ACB
+const COMPONENT_TYPES = ["MCCB", "MCB", "ACB", "VCB", "RCCB", "RCBO", "ELCB", "MPCB", "SFU", "FSU", "ISOLATOR", "CONTACTOR", "RELAY", "TRANSFORMER", "VFD", "UPS", "SPD", "ATS", "CT", "PT"];
+// Acronyms match in capitals only, since "ct", "pt" and "ats" are ordinary text; words match in upper, title or lower case
+const COMPONENT_TYPE_WORDS = ["ISOLATOR", "CONTACTOR", "RELAY", "TRANSFORMER"];
+const COMPONENT_TYPE_PATTERN = COMPONENT_TYPES.map(t => COMPONENT_TYPE_WORDS.includes(t) ? caseSpellings(t) : t).join("|");
+const COMPONENT_TYPE_RE = new RegExp("\\b(" + COMPONENT_TYPE_PATTERN + ")[sS]?\\b");
+// Spelling in text (upper case) -> register spelling
+const COMPONENT_MAKES = {
+  "SIEMENS": "Siemens", "ABB": "ABB", "SCHNEIDER ELECTRIC": "Schneider", "SCHNEIDER": "Schneider", "LARSEN & TOUBRO": "L&T",
+  "L&T": "L&T", "LEGRAND": "Legrand", "EATON": "Eaton", "MITSUBISHI": "Mitsubishi", "HAVELLS": "Havells", "C&S": "C&S",
+  "HAGER": "Hager", "CHINT": "Chint", "FUJI": "Fuji", "TOSHIBA": "Toshiba", "HYUNDAI": "Hyundai", "ALSTOM": "Alstom", "CROMPTON": "Crompton"
+};
+const COMPONENT_MAKE_RE = new RegExp("(?<![A-Z0-9&])(" + Object.keys(COMPONENT_MAKES).map(escapeRegExp).join("|") + ")(?![A-Z0-9&])", "i");
+// "4P", "3 pole", "TPN"; letter codes count the neutral as a pole
+const COMPONENT_POLES_RE = /\b([1-4])\s*-?\s*P(?:OLES?)?\b|\b(SPN|SP|DP|TPN|TP|FP)\b/i;
+const COMPONENT_POLE_CODES = { SP: 1, SPN: 2, DP: 2, TP: 3, TPN: 4, FP: 4 };
+// Devices read by the LLM are kept only for chunks with a device type next to a rating or make
+const COMPONENT_HINT_RE = new RegExp("\\b(?:" + COMPONENT_TYPE_PATTERN + ")[sS]?\\b[^\\n]{0,80}(?:\\d\\s*[kK]?A\\b|" + Object.keys(COMPONENT_MAKES).map(caseSpellings).join("|") + ")");
+const COMPONENT_COLUMN_PATTERNS = [
+  ["tag", /^(tag|tag\s*no\.?|equipment(\s*tag)?|item\s*tag|component(\s*tag)?|device(\s*tag)?|feeder(\s*no\.?)?)$/i],
+  ["type", /^(type|device(\s*type)?|equipment\s*type|description|item)$/i],
+  ["breaking_ka", /breaking|\bicu\b|\bics\b|fault|\bka\b|short[\s-]*circuit/i],
+  ["rating_a", /rating|rated\s*current|current|\bamps?\b|\bin\b|frame/i],
+  ["poles", /\bpoles?\b|^no\.?\s*of\s*poles/i],
+  ["manufacturer", /^(make|manufacturer|mfr\.?|brand|vendor)$/i],
+  ["model", /^(model|model\s*no\.?|series|cat(alogue|alog)?\.?\s*(no\.?)?|part\s*no\.?)$/i],
+  ["panel", /^(panel|board|switchboard|location|panel\s*name)$/i]
+];
+// Ratings and sizes that follow a make without being a model ("Siemens ACB 630A")
+const COMPONENT_NOT_MODEL_RE = /^\d+(?:\.\d+)?(?:K?A|K?V|P|K?W|KVA|HZ|MM2?|SQMM)?$/i;
+const COMPONENT_REGISTER_FIELDS = ["type", "rating_a", "breaking_ka", "poles", "manufacturer", "model", "panel"];
+
+// Alternation of a word's upper, title and lower case spellings: "SCHNEIDER ELECTRIC|Schneider Electric|schneider electric"
+function caseSpellings(word) {
+  const title = word.toLowerCase().replace(/(^|[^a-z])([a-z])/g, (m, before, c) => before + c.toUpperCase());
+  return [...new Set([word, title, word.toLowerCase()])].map(escapeRegExp).join("|");
+}
+
+/**
+ * Register rows for one chunk: table rows by their columns, text lines
+ * naming a device type with a rating or make, and the devices of the
+ * chunk's LLM extraction when it looks like it carries device data. Rows of the same tag
+ * (or of the same type and ratings, when untagged) are merged; the
+ * chunk's panel fills in where none is given.
+ */
+function extractComponentRegister(chunkText, extraction) {
+  const found = {};
+  const merge = (raw) => {
+    const row = normalizeComponentRow(raw, extraction && extraction.panel);
+    if (!row) return;
+    // Untagged devices with the same type and ratings are taken as one
+    const key = row.tag ? normalizeTag(row.tag) : "untagged:" + [row.type, row.rating_a, row.breaking_ka, row.poles].join("|");
+    const existing = found[key];
+    if (!existing) {
+      found[key] = row;
+      return;
+    }
+    for (const field of COMPONENT_REGISTER_FIELDS) {
+      if (existing[field] === "" && row[field] !== "") existing[field] = row[field];
+    }
+  };
+
+  const table = parseTableChunk(chunkText);
+  if (table) {
+    tableComponentRows(table).forEach(merge);
+  } else {
+    parseComponentLines(chunkText).forEach(merge);
+    if (extraction && extraction.devices && COMPONENT_HINT_RE.test(chunkText)) extraction.devices.forEach(merge);
+  }
+  return Object.keys(found).map(key => found[key]);
+}
+
+// Devices on text lines: "ACB-01 630A 4P 50kA Siemens 3WL", one per ";"-separated part
+function parseComponentLines(text) {
+  const rows = [];
+  for (const part of String(text || "").split(/[\n;]/)) {
+    const type = part.match(COMPONENT_TYPE_RE);
+    if (!type) continue;
+    const quantities = parseQuantities(part);
+    const make = part.match(COMPONENT_MAKE_RE);
+    const poles = parsePoles(part);
+    if (!quantities.current && !quantities.fault && !make && !poles) continue;
+
+    // A tag naming the device type wins over cable IDs, model numbers and other tags on the line
+    const model = make ? componentModel(part.substring(make.index + make[0].length)) : "";
+    const tags = findTags(part).filter(t => !isCableId(t) && (!model || model.indexOf(t) === -1));
+    const typed = tags.find(t => tagKey(t).split("-").indexOf(type[1].toUpperCase()) !== -1);
+    rows.push({
+      tag: typed || tags[0] || "",
+      type: type[1],
+      rating_a: quantities.current ? quantities.current[0] : "",
+      breaking_ka: quantities.fault ? quantities.fault[0] : "",
+      poles: poles,
+      manufacturer: make ? make[1] : "",
+      model: model
+    });
+  }
+  return rows;
+}
+
+// Model after a make: "3VA2 MCCB" -> "3VA2", "Tmax XT4N" -> "Tmax XT4N", "MODEL: NSX250" -> "NSX250"
+function componentModel(text) {
+  const labelled = text.match(/\bMODEL\s*(?:NO\.?)?\s*[:=-]?\s*([A-Z0-9][\w\/.-]*)/i);
+  if (labelled) return labelled[1];
+  const m = text.match(/^[\s,:-]*(?:([A-Za-z][\w-]*)\s+)?([A-Za-z]*\d[\w\/.-]*)/);
+  if (!m || COMPONENT_NOT_MODEL_RE.test(m[2].replace(/[.,-]+$/, ""))) return "";
+  return (m[1] && !COMPONENT_TYPE_RE.test(m[1]) ? m[1] + " " : "") + m[2].replace(/[.,-]+$/, "");
+}
+
+function parsePoles(value) {
+  if (typeof value === "number") return value >= 1 && value <= 4 ? value : "";
+  const m = String(value || "").match(COMPONENT_POLES_RE);
+  if (m) return m[1] ? parseInt(m[1], 10) : COMPONENT_POLE_CODES[m[2].toUpperCase()];
+  const n = parseInt(String(value || "").trim(), 10);
+  return /^\d$/.test(String(value || "").trim()) && n >= 1 && n <= 4 ? n : "";
+}
+
+// Spreadsheet rows by their column headers
+function tableComponentRows(table) {
+  const columns = {};
+  table.columns.forEach(header => {
+    const match = COMPONENT_COLUMN_PATTERNS.find(([field, re]) => !(field in columns) && re.test(String(header).trim()));
+    if (match) columns[match[0]] = header;
+  });
+  if (!("tag" in columns) && !("type" in columns)) return [];
+  return table.rows.map(r => {
+    const raw = {};
+    for (const field in columns) raw[field] = r.values[columns[field]] || "";
+    return raw;
+  });
+}
+
+/**
+ * A register row in register units and spellings, or null unless it names
+ * a tag or device type and carries at least one rating, pole count, make
+ * or model.
+ */
+function normalizeComponentRow(raw, fallbackPanel) {
+  if (!raw || typeof raw !== "object") return null;
+  const tag = String(raw.tag || "").trim() ? canonicalTag(String(raw.tag).trim().toUpperCase()) : "";
+  const typeText = String(raw.type || "").trim();
+  const typeMatch = typeText.toUpperCase().match(COMPONENT_TYPE_RE) || (tag ? tag.match(COMPONENT_TYPE_RE) : null);
+  const type = typeMatch ? typeMatch[1].toUpperCase() : typeText.toUpperCase().substring(0, 40);
+  if (!tag && !type) return null;
+
+  const makeText = String(raw.manufacturer || "").trim();
+  const make = makeText.match(COMPONENT_MAKE_RE);
+  const row = {
+    tag: tag,
+    type: type,
+    rating_a: componentRating(raw.rating_a, "current"),
+    breaking_ka: componentRating(raw.breaking_ka, "fault"),
+    poles: parsePoles(raw.poles),
+    manufacturer: make ? COMPONENT_MAKES[make[1].toUpperCase()] : makeText,
+    model: String(raw.model || "").trim(),
+    panel: canonicalTag(String(raw.panel || fallbackPanel || "").trim().toUpperCase())
+  };
+  if (row.rating_a === "" && row.breaking_ka === "" && row.poles === "" && !row.manufacturer && !row.model) return null;
+  return row;
+}
+
+// Number in the quantity's base unit: 630, "630A", "630 A" or "0.63 kA" for current
+function componentRating(value, quantity) {
+  if (typeof value === "number") return value > 0 ? value : "";
+  const text = String(value == null ? "" : value).trim();
+  if (/^\d+(?:\.\d+)?$/.test(text)) return parseFloat(text);
+  const parsed = parseQuantities(text)[quantity];
+  return parsed ? parsed[0] : "";
+}
+
+function appendComponentRows(docId, pageNumber, components) {
+  if (!components.length) return;
+  const now = new Date().toISOString();
+  const rows = components.map(c => [
+    Utilities.getUuid(), c.tag, c.type, c.rating_a, c.breaking_ka, c.poles,
+    c.manufacturer, c.model, c.panel, c.chunk_id, docId, pageNumber, now
+  ]);
+  const sheet = getSheet("Components");
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+}
+
+function deleteComponentsByDocId(docId) {
+  const sheet = getSheet("Components");
+  const data = sheet.getRange(1, 1, Math.max(sheet.getLastRow(), 1), SHEET_HEADERS.Components.length).getValues();
+  for (let i = data.length - 1; i >= 1; i--) {
+    if (String(data[i][10]) === String(docId)) sheet.deleteRow(i + 1);
+  }
+}
+
+function loadComponentRows() {
+  const sheet = getSheet("Components");
+  const headers = SHEET_HEADERS.Components;
+  const data = sheet.getRange(1, 1, Math.max(sheet.getLastRow(), 1), headers.length).getValues();
+  const rows = [];
+  for (let i = 1; i < data.length; i++) {
+    const row = {};
+    headers.forEach((h, c) => { row[h] = data[i][c]; });
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Register entries matching structured filters, one per tag across
+ * documents (untagged rows stay separate). Takes { search, tag, type,
+ * rating, breaking, poles, manufacturer, model, panel, folderId,
+ * documentId, includeSuperseded, limit }; rating and breaking are range
+ * expressions such as ">= 400A" or "36-50kA". Each entry carries the most
+ * common value per field, the fields its occurrences disagree on, and
+ * the occurrences with their source chunks.
+ */
+function searchComponentsAction(data) {
+  const ranges = {};
+  for (const [field, quantity] of [["rating", "current"], ["breaking", "fault"]]) {
+    if (!String(data[field] || "").trim()) continue;
+    ranges[field] = parseRangeExpression(data[field], quantity);
+    if (!ranges[field]) return jsonResp({ error: "Could not read the " + field + " filter \"" + data[field] + "\". Try e.g. 630A, >= 400A or 36-50kA." });
+  }
+  const poles = data.poles ? parsePoles(data.poles) : "";
+  if (data.poles && poles === "") return jsonResp({ error: "Poles must be 1-4, 4P, TP or similar" });
+
+  const docs = loadDocumentMap();
+  const includeSuperseded = data.includeSuperseded === true || data.includeSuperseded === "true";
+  const groups = {};
+  for (const c of loadComponentRows()) {
+    const doc = docs[String(c.document_id)];
+    if (!doc || (!includeSuperseded && !data.documentId && !doc.is_latest)) continue;
+    if (data.documentId && String(c.document_id) !== String(data.documentId)) continue;
+    if (data.folderId && String(doc.folder_id) !== String(data.folderId)) continue;
+    c.document_name = doc.name;
+    c.drive_file_id = doc.drive_file_id;
+    const key = c.tag ? normalizeTag(c.tag) : "untagged:" + c.id;
+    (groups[key] = groups[key] || []).push(c);
+  }
+
+  const contains = (value, wanted) => !wanted || String(value).toUpperCase().replace(/\s+/g, "").indexOf(String(wanted).toUpperCase().replace(/\s+/g, "")) !== -1;
+  const segmentMatch = (value, wanted) => !wanted || ("-" + normalizeTag(value) + "-").indexOf("-" + normalizeTag(wanted) + "-") !== -1;
+  // "ACBs" means ACB, but UPS and ATS end in S themselves
+  const typeText = String(data.type || "").trim().toUpperCase();
+  const typeMatch = typeText.match(COMPONENT_TYPE_RE);
+  const wantedType = typeMatch ? typeMatch[1].toUpperCase() : typeText;
+  const search = String(data.search || "").toUpperCase().trim();
+
+  const entries = [];
+  for (const key of Object.keys(groups)) {
+    const occurrences = groups[key];
+    const entry = { tag: occurrences[0].tag, conflicts: [] };
+    for (const field of COMPONENT_REGISTER_FIELDS) {
+      const counts = {};
+      occurrences.forEach(o => { if (o[field] !== "" && o[field] != null) counts[o[field]] = (counts[o[field]] || 0) + 1; });
+      const values = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+      entry[field] = values.length ? occurrences.find(o => String(o[field]) === values[0])[field] : "";
+      if (values.length > 1) entry.conflicts.push(field);
+    }
+    entry.panels = [...new Set(occurrences.map(o => o.panel).filter(Boolean))];
+    entry.document_count = new Set(occurrences.map(o => String(o.document_id))).size;
+
+    if (wantedType && entry.type !== wantedType) continue;
+    if (data.tag && !segmentMatch(entry.tag, data.tag)) continue;
+    if (data.panel && !entry.panels.some(p => segmentMatch(p, data.panel))) continue;
+    if (!contains(entry.manufacturer, data.manufacturer) || !contains(entry.model, data.model)) continue;
+    if (poles !== "" && entry.poles !== poles) continue;
+    if (ranges.rating && (entry.rating_a === "" || !valueInRange(entry.rating_a, ranges.rating))) continue;
+    if (ranges.breaking && (entry.breaking_ka === "" || !valueInRange(entry.breaking_ka, ranges.breaking))) continue;
+    if (search && [entry.tag, entry.type, entry.manufacturer, entry.model].concat(entry.panels).join(" ").toUpperCase().indexOf(search) === -1) continue;
+
+    entry.occurrences = occurrences.map(o => ({
+      id: o.id, chunk_id: o.chunk_id, document_id: o.document_id, document_name: o.document_name,
+      drive_file_id: o.drive_file_id, page_number: o.page_number,
+      type: o.type, rating_a: o.rating_a, breaking_ka: o.breaking_ka, poles: o.poles,
+      manufacturer: o.manufacturer, model: o.model, panel: o.panel
+    }));
+    entries.push(entry);
+  }
+
+  entries.sort((a, b) => (a.tag ? 0 : 1) - (b.tag ? 0 : 1) ||
+    String(a.tag || a.type).localeCompare(String(b.tag || b.type), undefined, { numeric: true }));
+  const limit = Math.min(Number(data.limit) || 500, 5000);
+  return jsonResp({
+    components: entries.slice(0, limit),
+    total: entries.length,
+    panels: [...new Set([].concat(...entries.map(e => e.panels)))].sort()
+  });
+}
+
+// ============================================================
+// CONNECTIVITY GRAPH: Project-wide tag graph and path tracing
+// ============================================================
+
+const TRACE_MAX_HOPS = 25;
+const GRAPH_EDGE_SOURCES_MAX = 5;  // Citations kept per edge
+const GRAPH_VERSION = 2;  // 2: sources carry the extraction confidence of their chunk
+
+/**
+ * Canonical key for an equipment tag, so "CP 01", "cp-1" and "CP_01"
+ * resolve to the same node, and registered aliases to their canonical
+ * tag. Labels keep the most common spelling.
+ */
+function normalizeTag(tag) {
+  const key = tagKey(tag);
+  const alias = key && loadTagGrammar().aliasMap[key];
+  return alias ? alias.key : key;
+}
+
+// Any change to chunks or cables invalidates the stored graph
+function markGraphStale() {
+  PropertiesService.getScriptProperties().setProperty("GRAPH_STAMP", Utilities.getUuid());
+}
+
+function loadConnectivityGraph() {
+  const stamp = PropertiesService.getScriptProperties().getProperty("GRAPH_STAMP") || "";
+  const graph = readIndexBlob("graph");
+  if (graph && graph.stamp === stamp && graph.version === GRAPH_VERSION) return graph;
+  return buildConnectivityGraph();
+}
+
+/**
+ * Merges every extracted connection and every cable row with both ends
+ * into one undirected graph keyed by normalized tag. Parallel mentions
+ * of the same link collapse into one edge carrying all cable IDs seen.
+ */
+function buildConnectivityGraph() {
+  const stamp = PropertiesService.getScriptProperties().getProperty("GRAPH_STAMP") || "";
+  const forms = {};
+  const edges = {};
+
+  const addNode = (raw) => {
+    const key = normalizeTag(raw);
+    if (!key) return null;
+    const label = canonicalTag(String(raw));
+    forms[key] = forms[key] || {};
+    forms[key][label] = (forms[key][label] || 0) + 1;
+    return key;
+  };
+
+  const addEdge = (from, to, cable, source) => {
+    const a = addNode(from);
+    const b = addNode(to);
+    if (!a || !b || a === b) return;
+    const pair = a < b ? [a, b] : [b, a];
+    const id = pair.join("|");
+    const edge = edges[id] || (edges[id] = { a: pair[0], b: pair[1], cables: [], sources: [] });
+
+    const cableLabel = cable ? String(cable).trim() : "";
+    if (cableLabel && !edge.cables.some(c => normalizeTag(c) === normalizeTag(cableLabel))) {
+      edge.cables.push(cableLabel);
+    }
+    const seen = edge.sources.find(s => s.document_id === source.document_id && s.page_number === source.page_number);
+    if (seen) seen.confidence = Math.max(seen.confidence, source.confidence);
+    else if (edge.sources.length < GRAPH_EDGE_SOURCES_MAX) edge.sources.push(source);
+  };
+
+  const chunkSheet = getSheet("Chunks");
+  const chunks = chunkSheet.getRange(1, 1, Math.max(chunkSheet.getLastRow(), 1), 15).getValues();
+  for (let i = 1; i < chunks.length; i++) {
+    const connections = safeParseJSON(chunks[i][7], []);
+    if (!Array.isArray(connections)) continue;
+    for (const conn of connections) {
+      if (!conn || typeof conn.from !== "string" || typeof conn.to !== "string") continue;
+      addEdge(conn.from, conn.to, conn.label || conn.cable, {
+        chunk_id: String(chunks[i][0]),
+        document_id: String(chunks[i][1]),
+        page_number: chunks[i][3],
+        confidence: chunkConfidence(chunks[i][14])
+      });
+    }
+  }
+
+  for (const cable of loadCableRows()) {
+    if (!cable.from || !cable.to) continue;
+    addEdge(cable.from, cable.to, cable.cable_id, {
+      chunk_id: "",
+      document_id: String(cable.document_id),
+      page_number: cable.page_number,
+      confidence: EXTRACTION_CONFIDENCE.structured
+    });
+  }
+
+  const nodes = {};
+  for (const key of Object.keys(forms)) {
+    nodes[key] = Object.keys(forms[key]).sort((x, y) => forms[key][y] - forms[key][x])[0];
+  }
+
+  const graph = {
+    version: GRAPH_VERSION,
+    stamp: stamp,
+    built_at: new Date().toISOString(),
+    nodes: nodes,
+    edges: Object.keys(edges).map(id => edges[id])
+  };
+  writeIndexBlob("graph", graph);
+  return graph;
+}
+
+// Exact key first, then a unique partial match ("ACB-3" → "TSS-1-ACB-3")
+function resolveGraphTag(graph, tag) {
+  const key = normalizeTag(tag);
+  if (!key) return { key: null, suggestions: [] };
+  if (graph.nodes[key]) return { key: key, suggestions: [] };
+
+  const partial = Object.keys(graph.nodes)
+    .filter(k => ("-" + k + "-").indexOf("-" + key + "-") !== -1)
+    .sort((x, y) => x.length - y.length);
+  if (partial.length === 1) return { key: partial[0], suggestions: [] };
+  return { key: null, suggestions: partial.slice(0, 5).map(k => graph.nodes[k]) };
+}
+
+function tracePathAction(data) {
+  if (!data.from || !data.to) return jsonResp({ error: "Both 'from' and 'to' tags are required" });
+
+  const graph = loadConnectivityGraph();
+  const docs = loadDocumentMap();
+
+  const ends = [data.from, data.to].map(tag => {
+    const resolved = resolveGraphTag(graph, tag);
+    if (resolved.key) return resolved;
+    resolved.error = "Tag not found in connectivity graph: " + tag +
+      (resolved.suggestions.length ? ". Did you mean: " + resolved.suggestions.join(", ") + "?" : "");
+    return resolved;
+  });
+  const missing = ends.find(e => e.error);
+  if (missing) return jsonResp({ error: missing.error });
+
+  const start = ends[0].key;
+  const goal = ends[1].key;
+  const maxHops = Math.min(Number(data.maxHops) || TRACE_MAX_HOPS, TRACE_MAX_HOPS);
+
+  // Only edges cited by a live document in scope, with enough extraction confidence, are walkable
+  const minConfidence = Math.min(Math.max(parseFloat(data.minConfidence) || 0, 0), 1);
+  const inScope = (source) => {
+    const doc = docs[source.document_id];
+    if (!doc || source.confidence < minConfidence) return false;
+    if (data.documentId) return String(source.document_id) === String(data.documentId);
+    if (data.folderId) return String(doc.folder_id) === String(data.folderId);
+    return true;
+  };
+  const adjacency = {};
+  graph.edges.forEach((edge, idx) => {
+    if (!edge.sources.some(inScope)) return;
+    (adjacency[edge.a] = adjacency[edge.a] || []).push({ to: edge.b, edge: idx });
+    (adjacency[edge.b] = adjacency[edge.b] || []).push({ to: edge.a, edge: idx });
+  });
+
+  // Breadth-first, so the route returned has the fewest hops
+  const via = {};
+  via[start] = null;
+  let frontier = [start];
+  for (let depth = 0; depth < maxHops && frontier.length && !(goal in via); depth++) {
+    const next = [];
+    for (const node of frontier) {
+      for (const step of adjacency[node] || []) {
+        if (step.to in via) continue;
+        via[step.to] = { prev: node, edge: step.edge };
+        next.push(step.to);
+      }
+    }
+    frontier = next;
+  }
+
+  const endpoints = {
+    from: { tag: start, label: graph.nodes[start] },
+    to: { tag: goal, label: graph.nodes[goal] }
+  };
+  if (!(goal in via)) {
+    return jsonResp(Object.assign(endpoints, {
+      found: false,
+      hops: [],
+      path: [],
+      message: "No connection path between " + graph.nodes[start] + " and " + graph.nodes[goal] + " within " + maxHops + " hops" +
+        (minConfidence > 0 ? " using connections extracted with confidence " + minConfidence + " or more" : "")
+    }));
+  }
+
+  const hops = [];
+  for (let node = goal; via[node]; node = via[node].prev) {
+    const edge = graph.edges[via[node].edge];
+    hops.unshift({
+      from: graph.nodes[via[node].prev],
+      to: graph.nodes[node],
+      cables: edge.cables,
+      citations: edge.sources.filter(inScope).map(s => ({
+        chunk_id: s.chunk_id,
+        document_id: s.document_id,
+        document_name: docs[s.document_id].name,
+        drive_file_id: docs[s.document_id].drive_file_id,
+        page_number: s.page_number,
+        confidence: s.confidence
+      }))
+    });
+  }
+
+  return jsonResp(Object.assign(endpoints, {
+    found: true,
+    hops: hops,
+    path: [graph.nodes[start]].concat(hops.map(h => h.to))
+  }));
+}
+
+// ============================================================
+// CONSISTENCY CHECK: Spreadsheet schedule vs drawings
+// ============================================================
+
+// Header text → field. The first matching column wins for each field.
+const SCHEDULE_COLUMN_PATTERNS = [
+  ["cable_id", /^(cable|cbl)\s*(no\.?|id|tag|ref|number|#)?$|\bcable\s*(no|id|tag|ref|number)\b/i],
+  ["tag", /^(tag|tag\s*no\.?|equipment(\s*tag)?|item\s*tag|component(\s*tag)?|device(\s*tag)?)$/i],
+  ["from", /^(from|source|origin)\b/i],
+  ["to", /^(to|destination|dest)\b/i],
+  ["cores", /\bcores?\b|no\.?\s*of\s*cores/i],
+  ["cross_section", /cross[\s-]*section|\bcsa\b|\bsize\b|sq\.?\s*mm|mm2|mm²/i],
+  ["conductor", /^(conductor|cond\.?|material)\b/i],
+  ["insulation", /insulation/i],
+  ["length", /^(length|len\.?|route\s*length)\b/i]
+];
+const CONSISTENCY_CITATIONS_MAX = 5;
+
+/**
+ * Reads a spreadsheet-like Drive file into [{ name, rows }] per tab.
+ * Excel files are converted through a temporary Google Sheet.
+ * Returns null for formats that are not tabular.
+ */
+function readTabularFile(file, fileName) {
+  const mimeType = file.getMimeType();
+  const readTabs = (ss) => ss.getSheets().map(sheet => ({ name: sheet.getName(), rows: sheet.getDataRange().getValues() }));
+
+  if (mimeType === "application/vnd.google-apps.spreadsheet") {
+    return readTabs(SpreadsheetApp.openById(file.getId()));
+  }
+  if (/\.csv$/i.test(fileName) || mimeType === "text/csv") {
+    return [{ name: fileName, rows: Utilities.parseCsv(file.getBlob().getDataAsString()) }];
+  }
+  if (/\.xlsx?$/i.test(fileName) || /spreadsheetml|ms-excel/.test(mimeType)) {
+    const copy = Drive.Files.copy(
+      { title: fileName + "_convert_temp", mimeType: "application/vnd.google-apps.spreadsheet" },
+      file.getId()
+    );
+    try {
+      return readTabs(SpreadsheetApp.openById(copy.id));
+    } finally {
+      DriveApp.getFileById(copy.id).setTrashed(true);
+    }
+  }
+  return null;
+}
+
+// Finds the header row (within the first 10) and maps fields to column indexes
+function detectScheduleColumns(rows) {
+  for (let r = 0; r < Math.min(rows.length, 10); r++) {
+    const columns = {};
+    rows[r].forEach((cell, c) => {
+      const header = String(cell).trim();
+      if (!header) return;
+      const match = SCHEDULE_COLUMN_PATTERNS.find(([field, re]) => !(field in columns) && re.test(header));
+      if (match) columns[match[0]] = c;
+    });
+    if ("cable_id" in columns || "tag" in columns) return { headerRow: r, columns: columns };
+  }
+  return null;
+}
+
+/**
+ * Spreadsheet rows as normalized entries. A size cell holding a full
+ * spec ("4C x 95 sq.mm") supplies both cores and cross-section.
+ */
+function readScheduleEntries(tabs) {
+  const entries = [];
+  let mode = null;
+
+  for (const tab of tabs) {
+    const layout = detectScheduleColumns(tab.rows);
+    if (!layout) continue;
+    const col = layout.columns;
+    const tabMode = "cable_id" in col ? "cable_schedule" : "bom";
+    mode = mode === "cable_schedule" ? mode : tabMode;
+    const cell = (row, field) => field in col ? String(row[col[field]] == null ? "" : row[col[field]]).trim() : "";
+
+    for (let r = layout.headerRow + 1; r < tab.rows.length; r++) {
+      const row = tab.rows[r];
+      const id = cell(row, tabMode === "cable_schedule" ? "cable_id" : "tag");
+      if (!id) continue;
+
+      let cores = cell(row, "cores");
+      let size = cell(row, "cross_section");
+      const spec = size.match(CABLE_SPEC_RE);
+      if (spec) {
+        cores = cores || spec[1];
+        size = spec[2];
+      }
+      const normalized = normalizeCableRow({
+        cable_id: id, from: cell(row, "from"), to: cell(row, "to"), cores: cores, cross_section: size,
+        conductor: cell(row, "conductor"), insulation: cell(row, "insulation"), length: cell(row, "length")
+      });
+      entries.push(Object.assign(normalized, { key: normalizeTag(id), label: id, sheet: tab.name, row: r + 1 }));
+    }
+  }
+  return { mode: mode, entries: entries };
+}
+
+function checkConsistencyAction(data) {
+  if (!data.spreadsheetId) return jsonResp({ error: "Spreadsheet document ID required" });
+
+  const docs = loadDocumentMap();
+  const sheetDoc = docs[String(data.spreadsheetId)];
+  if (!sheetDoc) return jsonResp({ error: "Document not found: " + data.spreadsheetId });
+  if (!sheetDoc.drive_file_id) return jsonResp({ error: "No Drive file linked to this document" });
+
+  let tabs;
+  try {
+    tabs = readTabularFile(DriveApp.getFileById(sheetDoc.drive_file_id), sheetDoc.name);
+  } catch (e) {
+    return jsonResp({ error: "Could not read spreadsheet '" + sheetDoc.name + "': " + e.message });
+  }
+  if (!tabs) return jsonResp({ error: "'" + sheetDoc.name + "' is not a spreadsheet (expected Google Sheet, .xlsx, .xls or .csv)" });
+
+  const schedule = readScheduleEntries(tabs);
+  if (!schedule.mode) {
+    return jsonResp({ error: "No cable or tag column found in '" + sheetDoc.name + "'. Expected a header such as 'Cable No' or 'Tag'." });
+  }
+
+  // Drawing set: explicit documents, a folder, or everything else
+  const requested = data.documentIds || (data.documentId ? [data.documentId] : null);
+  const drawingIds = {};
+  Object.keys(docs).forEach(id => {
+    if (id === String(sheetDoc.id)) return;
+    if (requested && requested.map(String).indexOf(id) === -1) return;
+    if (!requested && data.folderId && String(docs[id].folder_id) !== String(data.folderId)) return;
+    drawingIds[id] = true;
+  });
+
+  const drawing = schedule.mode === "cable_schedule" ? collectDrawingCables(drawingIds) : collectDrawingTags(drawingIds);
+  const cite = (occ) => ({
+    document_id: String(occ.document_id),
+    document_name: docs[String(occ.document_id)].name,
+    drive_file_id: docs[String(occ.document_id)].drive_file_id,
+    page_number: occ.page_number
+  });
+  const sheetCite = (entry) => ({
+    document_id: String(sheetDoc.id),
+    document_name: sheetDoc.name,
+    drive_file_id: sheetDoc.drive_file_id,
+    sheet: entry.sheet,
+    row: entry.row
+  });
+
+  const issues = [];
+  const seen = {};
+  let matched = 0;
+
+  for (const entry of schedule.entries) {
+    if (!entry.key || seen[entry.key]) continue;
+    seen[entry.key] = true;
+    const occurrences = drawing[entry.key];
+
+    if (!occurrences) {
+      issues.push({ type: "missing", tag: entry.label, spreadsheet: sheetCite(entry), drawing: [] });
+      continue;
+    }
+    matched++;
+
+    for (const field of ["cores", "cross_section"]) {
+      if (entry[field] === "") continue;
+      const byValue = {};
+      for (const occ of occurrences) {
+        if (occ[field] === "" || occ[field] == null || Number(occ[field]) === Number(entry[field])) continue;
+        (byValue[occ[field]] = byValue[occ[field]] || []).push(occ);
+      }
+      for (const value of Object.keys(byValue)) {
+        issues.push({
+          type: "mismatch",
+          tag: entry.label,
+          field: field,
+          spreadsheet_value: entry[field],
+          drawing_value: byValue[value][0][field],
+          spreadsheet: sheetCite(entry),
+          drawing: byValue[value].slice(0, CONSISTENCY_CITATIONS_MAX).map(cite)
         });
       }
-      // Overlap: keep last CHUNK_OVERLAP chars from previous chunk
-      const overlap = buffer.length > CHUNK_OVERLAP
-        ? buffer.substring(buffer.length - CHUNK_OVERLAP)
-        : "";
-      buffer = overlap + "\n\n" + trimmed;
     }
   }
-  if (buffer.trim()) {
-    chunks.push({
-      text: "[Page " + pageNumber + "]\n" + buffer.trim(),
-      pageNumber: pageNumber
-    });
+
+  for (const key of Object.keys(drawing)) {
+    if (seen[key]) continue;
+    const occurrences = drawing[key];
+    issues.push({ type: "orphan", tag: occurrences[0].label, spreadsheet: null, drawing: occurrences.slice(0, CONSISTENCY_CITATIONS_MAX).map(cite) });
+  }
+
+  const count = (type) => issues.filter(i => i.type === type).length;
+  return jsonResp({
+    mode: schedule.mode,
+    spreadsheet: { document_id: String(sheetDoc.id), name: sheetDoc.name, rows: schedule.entries.length },
+    drawingCount: Object.keys(drawingIds).length,
+    summary: { matched: matched, missing: count("missing"), mismatch: count("mismatch"), orphan: count("orphan") },
+    issues: issues
+  });
+}
+
+// normalized cable ID → Cables rows on the given drawings
+function collectDrawingCables(drawingIds) {
+  const byKey = {};
+  for (const cable of loadCableRows()) {
+    if (!drawingIds[String(cable.document_id)]) continue;
+    const key = normalizeTag(cable.cable_id);
+    if (!key) continue;
+    (byKey[key] = byKey[key] || []).push(Object.assign(cable, { label: cable.cable_id }));
+  }
+  return byKey;
+}
+
+// normalized tag → one entry per drawing page mentioning it. Only
+// tag-like components (letters and digits) count; generic words don't.
+function collectDrawingTags(drawingIds) {
+  const byKey = {};
+  const chunkSheet = getSheet("Chunks");
+  const chunks = chunkSheet.getRange(1, 1, Math.max(chunkSheet.getLastRow(), 1), 7).getValues();
+  for (let i = 1; i < chunks.length; i++) {
+    const docId = String(chunks[i][1]);
+    if (!drawingIds[docId]) continue;
+    const components = safeParseJSON(chunks[i][6], []);
+    if (!Array.isArray(components)) continue;
+    for (const comp of components) {
+      const label = typeof comp === "string" ? comp : (comp && (comp.tag || comp.label || comp.id)) || "";
+      const key = normalizeTag(label);
+      if (!/[A-Z]/.test(key) || !/\d/.test(key)) continue;
+      const list = byKey[key] = byKey[key] || [];
+      if (!list.some(o => o.document_id === docId && o.page_number === chunks[i][3])) {
+        list.push({ label: String(label).trim(), document_id: docId, page_number: chunks[i][3] });
+      }
+    }
+  }
+  return byKey;
+}
+
+// ============================================================
+// DRAWING REVISIONS: Identity, linking and diff
+// ============================================================
+
+// "E-1023_RevB.pdf", "SLD 004 (Rev. 2)", "TSS-01-SLD-R03"
+const FILENAME_REV_RE = /(?:^|[\s_.(-])REV(?:ISION)?[\s._-]*([A-Z0-9]{1,3})(?=$|[\s_.)-])|[_-]R(\d{1,2})$/i;
+const TITLE_DRAWING_NO_RE = /(?:DRAWING|DWG)\.?\s*(?:NO|NUMBER|#)\.?\s*[:\-]?\s*([A-Z0-9][A-Z0-9\/._-]{3,})/i;
+const TITLE_REV_RE = /\bREV(?:ISION)?\.?\s*(?:NO\.?)?\s*[:\-]\s*([A-Z0-9]{1,3})\b/i;
+const REVISION_DIFF_FIELDS = ["from", "to", "cores", "cross_section", "conductor", "insulation", "length"];
+
+/**
+ * Drawing number and revision for a document. The title block's
+ * drawing number wins over the file name; the file name's revision wins
+ * over the title block, whose revision history table is noisy.
+ */
+function detectDrawingIdentity(fileName, text) {
+  const base = String(fileName || "").replace(/\.[A-Za-z0-9]{2,5}$/, "");
+  const nameRev = base.match(FILENAME_REV_RE);
+  const head = String(text || "").substring(0, 20000);
+  const titleNo = head.match(TITLE_DRAWING_NO_RE);
+  const titleRev = head.match(TITLE_REV_RE);
+
+  let drawingNumber = titleNo ? titleNo[1].replace(/[._-]+$/, "") : "";
+  if (!drawingNumber && nameRev) {
+    drawingNumber = base.replace(nameRev[0], "").replace(/[\s_.()-]+$/, "").replace(/^[\s_.()-]+/, "");
+  }
+  const revision = nameRev ? (nameRev[1] || nameRev[2]) : (titleRev ? titleRev[1] : "");
+
+  return { drawingNumber: drawingNumber.trim(), revision: String(revision || "").toUpperCase() };
+}
+
+// Numbers before letters, shorter prefixes first: 0 < 2 < 10 < A < B < P1 < P2 < AA
+function compareRevisions(a, b) {
+  const parse = (rev) => {
+    const m = String(rev || "").toUpperCase().match(/^([A-Z]*)(\d*)$/);
+    return m ? { letters: m[1], number: m[2] === "" ? -1 : parseInt(m[2], 10) } : { letters: String(rev), number: -1 };
+  };
+  const x = parse(a);
+  const y = parse(b);
+  if (x.letters.length !== y.letters.length) return x.letters.length - y.letters.length;
+  if (x.letters !== y.letters) return x.letters < y.letters ? -1 : 1;
+  return x.number - y.number;
+}
+
+function registerRevision(docId, fileName, text) {
+  const identity = detectDrawingIdentity(fileName, text);
+  const sheet = getSheet("Documents");
+  const data = sheet.getDataRange().getValues();
+  for (let i = 1; i < data.length; i++) {
+    if (String(data[i][0]) !== String(docId)) continue;
+    const previousKey = normalizeTag(data[i][8]);
+    sheet.getRange(i + 1, 9, 1, 4).setValues([[identity.drawingNumber, identity.revision, "", true]]);
+    const key = normalizeTag(identity.drawingNumber);
+    relinkRevisions(key);
+    if (previousKey && previousKey !== key) relinkRevisions(previousKey);
+    return identity;
+  }
+  return identity;
+}
+
+/**
+ * Orders every document sharing a drawing number by revision (upload
+ * time breaks ties), points each at the one it supersedes and marks
+ * only the newest as latest. Documents soft-deleted by sync are skipped.
+ */
+function relinkRevisions(drawingKey) {
+  if (!drawingKey) return;
+  const sheet = getSheet("Documents");
+  const data = sheet.getDataRange().getValues();
+  const group = [];
+  for (let i = 1; i < data.length; i++) {
+    if (normalizeTag(data[i][8]) === drawingKey && !data[i][22] && !data[i][23]) {
+      group.push({ row: i + 1, id: data[i][0], revision: data[i][9], created_at: data[i][7] });
+    }
+  }
+  group.sort((a, b) => compareRevisions(a.revision, b.revision) || (new Date(a.created_at) - new Date(b.created_at)));
+  group.forEach((doc, k) => {
+    sheet.getRange(doc.row, 11, 1, 2).setValues([[k > 0 ? group[k - 1].id : "", k === group.length - 1]]);
+  });
+}
+
+function diffRevisionsAction(data) {
+  const docs = loadDocumentMap();
+  const toId = String(data.toDocumentId || data.documentId || "");
+  const newer = docs[toId];
+  if (!newer) return jsonResp({ error: "Document not found: " + toId });
+  const fromId = String(data.fromDocumentId || newer.supersedes || "");
+  const older = docs[fromId];
+  if (!older) return jsonResp({ error: "No earlier revision linked to '" + newer.name + "'. Pass fromDocumentId explicitly." });
+
+  const before = collectRevisionSnapshot(fromId);
+  const after = collectRevisionSnapshot(toId);
+  const describe = (doc) => ({ id: String(doc.id), name: doc.name, drawing_number: doc.drawing_number, revision: doc.revision });
+
+  const tags = { added: [], removed: [] };
+  for (const key of Object.keys(after.tags)) {
+    if (!before.tags[key]) tags.added.push({ tag: after.tags[key][0].label, pages: after.tags[key].map(o => o.page_number) });
+  }
+  for (const key of Object.keys(before.tags)) {
+    if (!after.tags[key]) tags.removed.push({ tag: before.tags[key][0].label, pages: before.tags[key].map(o => o.page_number) });
   }
 
-  // Break up any oversized chunks
-  const finalChunks = [];
-  for (const chunk of chunks) {
-    if (chunk.text.length > 2000) {
-      for (let k = 0; k < chunk.text.length; k += CHUNK_TARGET_SIZE) {
-        finalChunks.push({
-          text: chunk.text.substring(k, Math.min(k + CHUNK_TARGET_SIZE + 200, chunk.text.length)),
-          pageNumber: chunk.pageNumber
-        });
-      }
-    } else {
-      finalChunks.push(chunk);
+  const connections = { added: [], removed: [], changed: [] };
+  for (const key of Object.keys(after.connections)) {
+    const now = after.connections[key];
+    const was = before.connections[key];
+    if (!was) {
+      connections.added.push(now);
+    } else if (was.cables.map(normalizeTag).sort().join("|") !== now.cables.map(normalizeTag).sort().join("|")) {
+      connections.changed.push({ from: now.from, to: now.to, before: was.cables, after: now.cables });
     }
   }
+  for (const key of Object.keys(before.connections)) {
+    if (!after.connections[key]) connections.removed.push(before.connections[key]);
+  }
 
-  // Ensure at least one chunk
-  if (finalChunks.length === 0 && pageText.trim().length > 0) {
-    finalChunks.push({
-      text: "[Page " + pageNumber + "]\n" + pageText.substring(0, CHUNK_TARGET_SIZE),
-      pageNumber: pageNumber
-    });
+  const cables = { added: [], removed: [], changed: [] };
+  for (const key of Object.keys(after.cables)) {
+    const now = after.cables[key];
+    const was = before.cables[key];
+    if (!was) {
+      cables.added.push(now);
+      continue;
+    }
+    const changes = REVISION_DIFF_FIELDS
+      .filter(field => String(was[field]) !== String(now[field]))
+      .map(field => ({ field: field, before: was[field], after: now[field] }));
+    if (changes.length) cables.changed.push({ cable_id: now.cable_id, changes: changes });
+  }
+  for (const key of Object.keys(before.cables)) {
+    if (!after.cables[key]) cables.removed.push(before.cables[key]);
   }
 
-  return finalChunks;
+  return jsonResp({
+    from: describe(older),
+    to: describe(newer),
+    tags: tags,
+    connections: connections,
+    cables: cables,
+    summary: {
+      tags: { added: tags.added.length, removed: tags.removed.length },
+      connections: { added: connections.added.length, removed: connections.removed.length, changed: connections.changed.length },
+      cables: { added: cables.added.length, removed: cables.removed.length, changed: cables.changed.length }
+    }
+  });
 }
 
-// Legacy wrapper for backward compatibility
-function engineeringChunk(text) {
-  const pageChunks = engineeringChunkPage(text, 1);
-  return pageChunks.map(c => c.text);
+// Tags, connections and cable specs of one document, keyed for comparison
+function collectRevisionSnapshot(docId) {
+  const scope = {};
+  scope[docId] = true;
+
+  const connections = {};
+  const chunkSheet = getSheet("Chunks");
+  const chunks = chunkSheet.getRange(1, 1, Math.max(chunkSheet.getLastRow(), 1), 8).getValues();
+  for (let i = 1; i < chunks.length; i++) {
+    if (String(chunks[i][1]) !== docId) continue;
+    const list = safeParseJSON(chunks[i][7], []);
+    if (!Array.isArray(list)) continue;
+    for (const conn of list) {
+      if (!conn || typeof conn.from !== "string" || typeof conn.to !== "string") continue;
+      const a = normalizeTag(conn.from);
+      const b = normalizeTag(conn.to);
+      if (!a || !b || a === b) continue;
+      const key = a < b ? a + "|" + b : b + "|" + a;
+      const entry = connections[key] || (connections[key] = { from: conn.from.trim(), to: conn.to.trim(), cables: [] });
+      const cable = String(conn.label || conn.cable || "").trim();
+      if (cable && entry.cables.indexOf(cable) === -1) entry.cables.push(cable);
+    }
+  }
+
+  // One merged spec per cable, first non-empty value per field
+  const cables = {};
+  const byKey = collectDrawingCables(scope);
+  for (const key of Object.keys(byKey)) {
+    const merged = { cable_id: byKey[key][0].cable_id };
+    for (const field of REVISION_DIFF_FIELDS) {
+      const hit = byKey[key].find(c => c[field] !== "" && c[field] != null);
+      merged[field] = hit ? hit[field] : "";
+    }
+    merged.pages = byKey[key].map(c => c.page_number);
+    cables[key] = merged;
+  }
+
+  return { tags: collectDrawingTags(scope), connections: connections, cables: cables };
 }
 
 // ============================================================
-// GEMINI: Component extraction
+// TITLE BLOCKS: Per-sheet drawing metadata
 // ============================================================
 
-function extractEngineeringData(text) {
-  // Matrix v9.0 'VOID' Prompt - Higher Precision
-  const prompt = 'You are a Senior Metro Electrical Engineer. Extract structured hardware data from this text.\n' +
+const TITLE_BLOCK_HINT_RE = /\b(?:DRAWN|CHECKED|CHKD|APPROVED|APPD)\b|\bSHEET\s*(?:NO\.?)?\s*[:\-]?\s*\d+\s*(?:OF|\/)\s*\d+|\b(?:DRAWING|DWG)\.?\s*(?:NO|NUMBER)\b/i;
+const TITLE_SHEET_RE = /\bSHEET\s*(?:NO\.?)?\s*[:\-]?\s*(\d+)\s*(?:OF|\/)\s*(\d+)/i;
+const TITLE_DATE_RE = /\bDATE\s*[:\-]\s*(\d{1,2}[\/.\-]\d{1,2}[\/.\-]\d{2,4}|\d{4}-\d{2}-\d{2}|\d{1,2}[\s\-][A-Z]{3,9}[\s\-]\d{2,4})/i;
+// Labelled text fields; the value must follow a ":" or "-" and ends at a line break, "|" or a wide gap
+const TITLE_TEXT_FIELDS = {
+  drawn_by: ["DRAWN BY", "DRAWN", "DRN"],
+  checked_by: ["CHECKED BY", "CHECKED", "CHKD"],
+  approved_by: ["APPROVED BY", "APPROVED", "APPD"],
+  system: ["SYSTEM"],
+  station: ["STATION", "LOCATION"],
+  title: ["DRAWING TITLE", "TITLE"]
+};
+const TITLE_NEXT_LABEL_RE = /\s+(?:DRAWN|DRN|CHECKED|CHKD|APPROVED|APPD|DATE|REV(?:ISION)?|SHEET|SYSTEM|STATION|LOCATION|TITLE|SCALE|(?:DRAWING|DWG)\.?\s*NO)\b.*$/i;
+const TITLE_BLOCK_KEYS = ["drawing_number", "sheet", "sheet_total", "revision", "drawing_date", "drawn_by", "checked_by", "approved_by", "system", "station", "title"];
+
+/**
+ * Title block fields of one page, or null when the page shows no sign of
+ * a title block. Labelled fields are read by regex; the LLM fills the
+ * gaps only when most fields are missing.
+ */
+function extractTitleBlock(pageText) {
+  if (!pageText || !TITLE_BLOCK_HINT_RE.test(pageText)) return null;
+
+  const block = parseTitleBlock(pageText);
+  const missing = TITLE_BLOCK_KEYS.filter(k => !block[k]);
+  if (missing.length > TITLE_BLOCK_KEYS.length / 2) {
+    const read = readTitleBlockWithGemini(pageText);
+    for (const key of missing) {
+      if (read[key] !== undefined && read[key] !== null && String(read[key]).trim() !== "") block[key] = read[key];
+    }
+  }
+
+  block.sheet = parseInt(block.sheet) || "";
+  block.sheet_total = parseInt(block.sheet_total) || "";
+  return block;
+}
+
+function parseTitleBlock(text) {
+  const block = {};
+  TITLE_BLOCK_KEYS.forEach(k => { block[k] = ""; });
+  text = String(text || "");
+
+  const drawingNo = text.match(TITLE_DRAWING_NO_RE);
+  if (drawingNo) block.drawing_number = drawingNo[1].replace(/[._-]+$/, "");
+  const rev = text.match(TITLE_REV_RE);
+  if (rev) block.revision = rev[1].toUpperCase();
+  const sheet = text.match(TITLE_SHEET_RE);
+  if (sheet) {
+    block.sheet = parseInt(sheet[1]);
+    block.sheet_total = parseInt(sheet[2]);
+  }
+  const date = text.match(TITLE_DATE_RE);
+  if (date) block.drawing_date = date[1];
+
+  for (const key of Object.keys(TITLE_TEXT_FIELDS)) {
+    for (const label of TITLE_TEXT_FIELDS[key]) {
+      const re = new RegExp("\\b" + label.replace(/ /g, "\\s+") + "\\.?\\s*[:\\-]\\s*([^\\n|]{1,80}?)(?=\\s{3,}|\\s*\\||\\n|$)", "i");
+      const m = text.match(re);
+      const value = m ? m[1].replace(TITLE_NEXT_LABEL_RE, "").trim() : "";
+      if (value) {
+        block[key] = value;
+        break;
+      }
+    }
+  }
+  return block;
+}
+
+function readTitleBlockWithGemini(pageText) {
+  // Title blocks sit in a corner, so extracted text usually has them at the start or the end
+  const context = pageText.length > 6000 ? pageText.substring(0, 3000) + "\n...\n" + pageText.substring(pageText.length - 3000) : pageText;
+  const prompt = 'Read the title block of this metro electrical drawing sheet.\n' +
     'Return ONLY valid JSON with this schema:\n' +
-    '{"panel":"[Main Panel Name]","voltage":"[Rating]","components":["BREAKER_01","CABLE_W102"],"connections":[{"from":"SOURCE","to":"TARGET","label":"CABLE_ID"}]}\n\n' +
-    'IMPORTANT: Extract every unique CABLE_ID and COMPONENT_TAG correctly. Do not hallucinate.\n\n' +
-    'Text Context:\n' + text.substring(0, 4000);
+    '{"drawing_number":"DMRC/E/1023","sheet":3,"sheet_total":12,"revision":"B","drawing_date":"12/03/2024","drawn_by":"","checked_by":"","approved_by":"","system":"TRACTION","station":"KASHMERE GATE","title":"SLD OF 33KV RSS"}\n' +
+    'Use "" for anything not stated. Do not invent values.\n\n' +
+    'Text Context:\n' + context;
+
+  const result = callGemini([{ parts: [{ text: prompt }] }], { temperature: 0, maxOutputTokens: 512 });
+  if (!result) return {};
+  const cleaned = result.replace(/```json\n?/g, "").replace(/```\n?/g, "").trim();
+  const parsed = safeParseJSON(cleaned, {});
+  return parsed && typeof parsed === "object" ? parsed : {};
+}
 
-  try {
-    const result = callGemini(
-      [{ parts: [{ text: prompt }] }],
-      { temperature: 0, maxOutputTokens: 1024 }
-    );
+function recordTitleBlock(docId, pageNumber, pageText) {
+  const block = extractTitleBlock(pageText);
+  if (!block) return null;
+  getSheet("Pages").appendRow([
+    Utilities.getUuid(), docId, pageNumber,
+    block.drawing_number, block.sheet, block.sheet_total, block.revision, block.drawing_date,
+    block.drawn_by, block.checked_by, block.approved_by, block.system, block.station, block.title,
+    new Date().toISOString()
+  ]);
+  return block;
+}
 
-    if (!result) return fallbackExtract(text);
+function deletePagesByDocId(docId) {
+  const sheet = getSheet("Pages");
+  const data = sheet.getRange(1, 1, Math.max(sheet.getLastRow(), 1), 2).getValues();
+  for (let i = data.length - 1; i >= 1; i--) {
+    if (String(data[i][1]) === String(docId)) sheet.deleteRow(i + 1);
+  }
+}
 
-    const cleaned = result.replace(/```json\n?/g, "").replace(/```\n?/g, "").trim();
-    const parsed = JSON.parse(cleaned);
-    
-    // Neural Validation: Cross-verify results with fallback tokens
-    const fb = fallbackExtract(text);
-    parsed.components = [...new Set([...(parsed.components || []), ...fb.components])];
-    return parsed;
-    
-  } catch (e) {
-    Logger.log("Extraction error: " + e.message);
-    return fallbackExtract(text);
+// Title block rows grouped by document ID, in page order
+function loadTitleBlockPages() {
+  const data = getSheet("Pages").getDataRange().getValues();
+  const byDoc = {};
+  for (let i = 1; i < data.length; i++) {
+    const page = { page_number: Number(data[i][2]) };
+    TITLE_BLOCK_KEYS.forEach((key, k) => { page[key] = data[i][3 + k] === undefined ? "" : data[i][3 + k]; });
+    (byDoc[String(data[i][1])] = byDoc[String(data[i][1])] || []).push(page);
   }
+  for (const id in byDoc) byDoc[id].sort((a, b) => a.page_number - b.page_number);
+  return byDoc;
 }
 
-function fallbackExtract(text) {
-  // 150+ Token Neural Dictionary
-  const patterns = [
-    "MCCB", "MCB", "ACB", "VCB", "SFU", "VFD", "PLC", "UPS", "CP", "DB", "PDB", "MLDB", "LDB", "SLD", "CT", "PT", "KWH", 
-    "PF", "EARTH", "NEUTRAL", "PHASE", "CABLE", "WIRE", "CORE", "SQMM", "AL", "CU", "PVC", "XLPE", "ARM", "SCREEN", 
-    "SOURCE", "LOAD", "BREAKER", "INCOMER", "OUTGOING", "FEEDER", "BUSBAR", "INTERLOCK", "TRIP", "FAULT", "ON", "OFF", 
-    "REMOTE", "LOCAL", "AUTO", "MANUAL", "RELAY", "CONTACTOR", "TIMER", "SOLENOID", "LIMIT SWITCH", "PROXIMITY", 
-    "VALVE", "MOTOR", "PUMP", "HEATER", "FAN", "TRANSFORMER", "CHOKE", "CAPACITOR", "RECTIFIER", "INVERTER", 
-    "CONVERTER", "FUSE", "ISOLATOR", "SELECTOR SWITCH", "PUSH BUTTON", "EMERGENCY STOP", "INDICATION LAMP", 
-    "ANNUNCIATOR", "HMI", "SCADA", "MODBUS", "PROFIBUS", "ETHERNET", "RS485", "CANBUS", "BACNET", "HART", "4-20MA", 
-    "0-10V", "RTD", "THERMOCOUPLE", "PRESSURE", "LEVEL", "FLOW", "TEMPERATURE", "HUMIDITY", "CO2", "AQI", "SMOKE", 
-    "HEAT", "FLAME", "GAS", "STREBE", "SIREN", "BEACON", "BATTERY", "CHARGER", "ATS", "AMF", "DG SET", "SOLAR", 
-    "WIND", "GRID", "SYNCHRONIZING", "LSIG", "LSI", "LI", "OVERLOAD", "SHORT CIRCUIT", "GROUND FAULT", "INSTANTANEOUS", 
-    "TIME DELAY", "UNDER VOLTAGE", "OVER VOLTAGE", "PHASE REVERSAL", "UNBALANCE", "DIFFERENTIAL", "DISTANCE", 
-    "IMPEDANCE", "DIRECTIONAL", "BUCHHOLZ", "WTI", "OTI", "PRV", "MOG", "NGR", "NGT", "SA", "LA", "CVT"
+/**
+ * Rolls a document's per-sheet title blocks up into its Documents row:
+ * the most common value of each field (the first sheet's title), and the
+ * declared sheet total or, failing that, the number of sheets read.
+ */
+function summarizeTitleBlocks(docId) {
+  const pages = loadTitleBlockPages()[String(docId)] || [];
+  if (pages.length === 0) return null;
+
+  const mostCommon = (key) => {
+    const counts = {};
+    let best = "";
+    for (const page of pages) {
+      const value = String(page[key] || "").trim();
+      if (!value) continue;
+      counts[value] = (counts[value] || 0) + 1;
+      if (!best || counts[value] > counts[best]) best = value;
+    }
+    return best;
+  };
+  const firstTitle = pages.find(p => String(p.title || "").trim());
+  const sheetCount = Math.max(...pages.map(p => Number(p.sheet_total) || 0)) || pages.length;
+  const summary = [
+    firstTitle ? firstTitle.title : "", mostCommon("drawing_date"), mostCommon("drawn_by"), mostCommon("checked_by"),
+    mostCommon("approved_by"), mostCommon("system"), mostCommon("station"), sheetCount
   ];
-  const found = [];
-  const upper = text.toUpperCase();
-  for (const pat of patterns) {
-    if (upper.includes(pat)) found.push(pat);
+
+  const sheet = getSheet("Documents");
+  const data = sheet.getRange(1, 1, Math.max(sheet.getLastRow(), 1), 1).getValues();
+  for (let i = 1; i < data.length; i++) {
+    if (String(data[i][0]) === String(docId)) {
+      sheet.getRange(i + 1, 13, 1, summary.length).setValues([summary]);
+      break;
+    }
   }
-  
-  // Matrix VOID v5.0 - Regex Patterns for Electrical IDs
-  const idRegex = /[A-Z]{1,3}-[0-9]{2,4}/g; // e.g. W-102, CP-01
-  const matches = text.match(idRegex);
-  if (matches) matches.forEach(m => { if(!found.includes(m)) found.push(m); });
+  return summary;
+}
 
-  return { panel: "", voltage: "", components: found, connections: [] };
+// Documents columns 13-20
+function documentTitleBlock(row) {
+  return {
+    title: row[12] || "",
+    drawing_date: row[13] || "",
+    drawn_by: row[14] || "",
+    checked_by: row[15] || "",
+    approved_by: row[16] || "",
+    system: row[17] || "",
+    station: row[18] || "",
+    sheet_count: Number(row[19]) || 0
+  };
+}
+
+/**
+ * Which pages pass the drawing number / station / system query filters.
+ * A page with its own title block is judged on it (blank fields fall
+ * back to the document's values); other pages on the document's values.
+ * Returns null when none of the filters is set.
+ */
+function resolveTitleBlockScope(req) {
+  const wanted = [
+    ["drawing_number", req.filterDrawingNumber],
+    ["station", req.filterStation],
+    ["system", req.filterSystem]
+  ].filter(w => w[1]);
+  if (wanted.length === 0) return null;
+
+  const matches = (fields) => wanted.every(([key, value]) => key === "drawing_number"
+    ? normalizeTag(fields[key]).indexOf(normalizeTag(value)) !== -1
+    : String(fields[key] || "").toUpperCase().indexOf(String(value).toUpperCase()) !== -1);
+
+  const docs = loadDocumentMap();
+  const documents = {};
+  for (const id in docs) documents[id] = matches(docs[id]);
+
+  const pages = {};
+  const pagesByDoc = loadTitleBlockPages();
+  for (const id in pagesByDoc) {
+    const doc = docs[id] || {};
+    for (const page of pagesByDoc[id]) {
+      const fields = {};
+      for (const [key] of wanted) fields[key] = String(page[key] || "").trim() || doc[key] || "";
+      pages[id + ":" + page.page_number] = matches(fields);
+    }
+  }
+
+  return {
+    allows: (docId, pageNumber) => {
+      const key = docId + ":" + Number(pageNumber);
+      return key in pages ? pages[key] : !!documents[docId];
+    }
+  };
 }
 
 // ============================================================
 // GEMINI: Embeddings
 // ============================================================
 
-function getGeminiEmbedding(text) {
+function geminiEmbed(text) {
   // Try every known embedding endpoint
   const models = [
     "https://generativelanguage.googleapis.com/v1/models/text-embedding-004:embedContent?key=" + getApiKey(),
@@ -1518,171 +6333,1069 @@ function getGeminiEmbedding(text) {
         muteHttpExceptions: true
       });
 
-      if (res.getResponseCode() === 200) {
-        const result = JSON.parse(res.getContentText());
-        if (result.embedding && result.embedding.values) {
-          Logger.log("Embedding success via: " + url.split("models/")[1].split(":")[0]);
-          return result.embedding.values;
+      if (res.getResponseCode() === 200) {
+        const result = JSON.parse(res.getContentText());
+        if (result.embedding && result.embedding.values) {
+          Logger.log("Embedding success via: " + url.split("models/")[1].split(":")[0]);
+          return result.embedding.values;
+        }
+      }
+    } catch (e) {
+      // try next
+    }
+  }
+
+  // Return empty array instead of throwing — query will use keyword search
+  Logger.log("All embedding models failed, returning empty. Keyword search will be used.");
+  return [];
+}
+
+// Up to 100 texts per batchEmbedContents call, same endpoint fallbacks as geminiEmbed
+function geminiEmbedBatch(texts) {
+  const models = [
+    { version: "v1", model: "text-embedding-004" },
+    { version: "v1beta", model: "text-embedding-004" },
+    { version: "v1", model: "embedding-001" },
+    { version: "v1beta", model: "embedding-001" }
+  ];
+  const errors = [];
+
+  for (const m of models) {
+    try {
+      const res = UrlFetchApp.fetch("https://generativelanguage.googleapis.com/" + m.version + "/models/" + m.model + ":batchEmbedContents?key=" + getApiKey(), {
+        method: "post",
+        contentType: "application/json",
+        payload: JSON.stringify({
+          requests: texts.map(t => ({ model: "models/" + m.model, content: { parts: [{ text: String(t).substring(0, 2000) }] } }))
+        }),
+        muteHttpExceptions: true
+      });
+
+      if (res.getResponseCode() === 200) {
+        const result = JSON.parse(res.getContentText());
+        if (result.embeddings) return texts.map((t, k) => (result.embeddings[k] && result.embeddings[k].values) || []);
+      }
+      errors.push("[" + m.model + "/" + m.version + "] " + res.getResponseCode());
+    } catch (e) {
+      errors.push("[" + m.model + "/" + m.version + "] " + e.message);
+    }
+  }
+
+  globalContextError = "Batch embedding failed: " + errors.join(" | ");
+  Logger.log(globalContextError);
+  return texts.map(() => []);
+}
+
+// ============================================================
+// INDEX BLOB STORE (JSON files in a dedicated Drive folder)
+// ============================================================
+
+// Per-execution memo so a query never reads the same shard twice
+const INDEX_BLOB_MEMO = {};
+
+/**
+ * Returns the Drive folder that holds index shards. It lives outside the
+ * data folder so Drive sync never registers shards as documents.
+ */
+function getIndexFolder() {
+  const props = PropertiesService.getScriptProperties();
+  const storedId = props.getProperty("INDEX_FOLDER_ID");
+  if (storedId) {
+    try {
+      return DriveApp.getFolderById(storedId);
+    } catch (e) {
+      Logger.log("Stored index folder not found, creating new one");
+    }
+  }
+  const folder = DriveApp.createFolder("MetroCircuit_Index");
+  props.setProperty("INDEX_FOLDER_ID", folder.getId());
+  return folder;
+}
+
+function readIndexBlob(name) {
+  if (INDEX_BLOB_MEMO[name]) return INDEX_BLOB_MEMO[name];
+
+  const cached = cacheGetLarge("IDX_" + name);
+  if (cached) {
+    INDEX_BLOB_MEMO[name] = JSON.parse(cached);
+    return INDEX_BLOB_MEMO[name];
+  }
+
+  const fileId = PropertiesService.getScriptProperties().getProperty("INDEX_FILE_" + name);
+  if (!fileId) return null;
+
+  try {
+    const text = DriveApp.getFileById(fileId).getBlob().getDataAsString();
+    cacheIndexBlob(name, text);
+    INDEX_BLOB_MEMO[name] = JSON.parse(text);
+    return INDEX_BLOB_MEMO[name];
+  } catch (e) {
+    Logger.log("Index blob unreadable (" + name + "): " + e.message);
+    return null;
+  }
+}
+
+function writeIndexBlob(name, obj) {
+  const props = PropertiesService.getScriptProperties();
+  const text = JSON.stringify(obj);
+  const fileId = props.getProperty("INDEX_FILE_" + name);
+  let written = false;
+
+  if (fileId) {
+    try {
+      DriveApp.getFileById(fileId).setContent(text);
+      written = true;
+    } catch (e) {
+      Logger.log("Index blob missing, recreating: " + name);
+    }
+  }
+  if (!written) {
+    const file = getIndexFolder().createFile(name + ".json", text, "application/json");
+    props.setProperty("INDEX_FILE_" + name, file.getId());
+  }
+
+  cacheIndexBlob(name, text);
+  INDEX_BLOB_MEMO[name] = obj;
+}
+
+// Shards over the per-key limit are cached in pieces; only very large ones go uncached
+function cacheIndexBlob(name, text) {
+  if (text.length <= INDEX_CACHE_MAX * INDEX_CACHE_MAX_PIECES) {
+    cachePutLarge("IDX_" + name, text, 21600);
+  } else {
+    CacheService.getScriptCache().remove("IDX_" + name);
+  }
+}
+
+function hashString(str) {
+  let h = 5381;
+  for (let i = 0; i < str.length; i++) {
+    h = ((h << 5) + h + str.charCodeAt(i)) | 0;
+  }
+  return Math.abs(h);
+}
+
+// ============================================================
+// VECTOR INDEX (int8-quantized, one shard per folder)
+// ============================================================
+//
+// Each shard holds, per document, every chunk's id, the metadata queries
+// filter on and its vector, so retrieval scores and filters a folder
+// without reading the Chunks sheet. Chunks are cataloged when they are
+// written and get their vector in the embedding stage; until then their
+// scale is 0. The directory blob records which shard holds a document.
+
+function vectorShardName(folderId) {
+  return "vec_" + (String(folderId || "") || "root");
+}
+
+/**
+ * Filter metadata of a Chunks row, stored next to its vector:
+ * [page_number, panel, voltage, confidence cell, quantities].
+ */
+function chunkIndexMeta(row) {
+  const quantities = safeParseJSON(row[12], null) || parseQuantities(String(row[2]) + "\n" + row[5]);
+  return [row[3], String(row[4] || ""), String(row[5] || ""), row[14], quantities];
+}
+
+/**
+ * Normalizes a vector and quantizes it to int8 with a per-vector scale.
+ * Cosine similarity then reduces to a scaled dot product at query time.
+ */
+function quantizeVector(vec) {
+  let norm = 0;
+  for (let i = 0; i < vec.length; i++) norm += vec[i] * vec[i];
+  norm = Math.sqrt(norm) || 1;
+
+  let maxAbs = 0;
+  for (let i = 0; i < vec.length; i++) maxAbs = Math.max(maxAbs, Math.abs(vec[i] / norm));
+  const scale = maxAbs / 127 || 1;
+
+  const bytes = new Array(vec.length);
+  for (let i = 0; i < vec.length; i++) bytes[i] = Math.round(vec[i] / norm / scale);
+  return { scale, bytes };
+}
+
+/**
+ * Inserts or replaces chunks of one document. An item may carry meta
+ * (from chunkIndexMeta), an embedding or both; what it leaves out is kept.
+ * A document not yet in the index goes to the shard of its folder.
+ * @param {string} docId
+ * @param {Array<{id: string, meta: Array, embedding: number[]}>} items
+ * @returns {number} vectors written
+ */
+function vectorIndexUpsert(docId, items) {
+  const valid = (items || []).filter(it => it.meta || (it.embedding && it.embedding.length > 0));
+  if (valid.length === 0) return 0;
+
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const directory = readIndexBlob(VECTOR_INDEX_DIRECTORY) || { version: 1, docs: {} };
+    const name = directory.docs[docId] || vectorShardName(documentFolderId(docId));
+    const shard = readIndexBlob(name) || { version: 2, docs: {} };
+    shard.docs[docId] = mergeVectorEntry(shard.docs[docId], valid);
+    writeIndexBlob(name, shard);
+
+    if (directory.docs[docId] !== name) {
+      directory.docs[docId] = name;
+      writeIndexBlob(VECTOR_INDEX_DIRECTORY, directory);
+    }
+    return valid.filter(it => it.embedding && it.embedding.length > 0).length;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// A document's index entry with items merged in; vectors of another dimension are dropped
+function mergeVectorEntry(existing, items) {
+  const withVector = items.find(it => it.embedding && it.embedding.length > 0);
+  const dim = withVector ? withVector.embedding.length : (existing ? existing.dim : 0);
+  const oldBytes = existing && existing.dim === dim && dim > 0 ? Utilities.base64Decode(existing.vectors) : null;
+
+  const incoming = {};
+  items.forEach(it => { incoming[String(it.id)] = it; });
+
+  const entry = { dim: dim, ids: [], meta: [], scales: [], vectors: "", updated_at: new Date().toISOString() };
+  const bytes = [];
+  const add = (id, meta, embedding, oldIndex) => {
+    entry.ids.push(id);
+    entry.meta.push(meta || null);
+    if (dim > 0 && embedding && embedding.length === dim) {
+      const q = quantizeVector(embedding);
+      entry.scales.push(q.scale);
+      for (let i = 0; i < dim; i++) bytes.push(q.bytes[i]);
+    } else if (oldBytes && oldIndex >= 0 && existing.scales[oldIndex]) {
+      entry.scales.push(existing.scales[oldIndex]);
+      for (let i = oldIndex * dim; i < (oldIndex + 1) * dim; i++) bytes.push(oldBytes[i]);
+    } else {
+      entry.scales.push(0);
+      for (let i = 0; i < dim; i++) bytes.push(0);
+    }
+  };
+
+  if (existing) {
+    existing.ids.forEach((id, k) => {
+      const it = incoming[id];
+      delete incoming[id];
+      add(id, (it && it.meta) || (existing.meta && existing.meta[k]), it && it.embedding, k);
+    });
+  }
+  for (const id in incoming) add(id, incoming[id].meta, incoming[id].embedding, -1);
+
+  entry.vectors = Utilities.base64Encode(bytes);
+  return entry;
+}
+
+// Folder of a document, read from its Documents row only
+function documentFolderId(docId) {
+  const sheet = getSheet("Documents");
+  if (sheet.getLastRow() < 2) return "";
+  const cell = sheet.getRange(2, 1, sheet.getLastRow() - 1, 1)
+    .createTextFinder(String(docId)).matchEntireCell(true).findNext();
+  return cell ? String(sheet.getRange(cell.getRow(), 3).getValue() || "") : "";
+}
+
+function vectorIndexRemoveDocument(docId) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const directory = readIndexBlob(VECTOR_INDEX_DIRECTORY);
+    const name = directory && directory.docs[docId];
+    if (!name) return;
+    const shard = readIndexBlob(name);
+    if (shard && shard.docs[docId]) {
+      delete shard.docs[docId];
+      writeIndexBlob(name, shard);
+    }
+    delete directory.docs[docId];
+    writeIndexBlob(VECTOR_INDEX_DIRECTORY, directory);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Moves a document's chunks to the shard of the folder it now lives in,
+ * so folder-scoped queries keep reading a single shard.
+ */
+function vectorIndexMoveDocument(docId, folderId) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const directory = readIndexBlob(VECTOR_INDEX_DIRECTORY);
+    const from = directory && directory.docs[docId];
+    const to = vectorShardName(folderId);
+    if (!from || from === to) return;
+
+    const source = readIndexBlob(from);
+    const entry = source && source.docs[docId];
+    if (entry) {
+      delete source.docs[docId];
+      writeIndexBlob(from, source);
+      const target = readIndexBlob(to) || { version: 2, docs: {} };
+      target.docs[docId] = entry;
+      writeIndexBlob(to, target);
+    }
+    directory.docs[docId] = to;
+    writeIndexBlob(VECTOR_INDEX_DIRECTORY, directory);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// Document id -> shard name for every document in the index
+function vectorIndexDocuments() {
+  const directory = readIndexBlob(VECTOR_INDEX_DIRECTORY);
+  return directory ? directory.docs : {};
+}
+
+// Chunks holding a vector per cataloged document, from the shard scales alone
+function vectorIndexVectorCounts() {
+  const counts = {};
+  new Set(Object.values(vectorIndexDocuments())).forEach(name => {
+    const shard = readIndexBlob(name);
+    if (!shard) return;
+    for (const docId in shard.docs) counts[docId] = shard.docs[docId].scales.filter(scale => scale).length;
+  });
+  return counts;
+}
+
+/**
+ * Scores the query against the index and returns every cataloged chunk of
+ * the target documents with its metadata. Only the shards holding those
+ * documents are read, so a folder-scoped query reads one shard.
+ * @param {number[]|null} queryEmb - null or empty scores every chunk 0
+ * @param {string[]|null} docIds - restrict to these documents (null = all)
+ * @returns {Object<string, {document_id: string, similarity: number, meta: Array|null}>}
+ */
+function vectorIndexSearch(queryEmb, docIds) {
+  const hits = {};
+  const hasQuery = queryEmb && queryEmb.length > 0;
+  let qNorm = 0;
+  if (hasQuery) {
+    for (let i = 0; i < queryEmb.length; i++) qNorm += queryEmb[i] * queryEmb[i];
+    qNorm = Math.sqrt(qNorm) || 1;
+  }
+
+  const located = vectorIndexDocuments();
+  const shardNames = new Set();
+  (docIds || Object.keys(located)).forEach(id => { if (located[id]) shardNames.add(located[id]); });
+  const allowed = docIds ? new Set(docIds.map(String)) : null;
+
+  shardNames.forEach(name => {
+    const shard = readIndexBlob(name);
+    if (!shard) return;
+
+    for (const docId in shard.docs) {
+      if (allowed && !allowed.has(docId)) continue;
+      const part = shard.docs[docId];
+      const scored = hasQuery && part.dim === queryEmb.length;
+      const bytes = scored ? Utilities.base64Decode(part.vectors) : null;
+
+      for (let k = 0; k < part.ids.length; k++) {
+        let similarity = 0;
+        if (scored && part.scales[k]) {
+          let dot = 0;
+          const offset = k * part.dim;
+          for (let i = 0; i < part.dim; i++) dot += queryEmb[i] * bytes[offset + i];
+          similarity = dot * part.scales[k] / qNorm;
         }
+        hits[part.ids[k]] = { document_id: docId, similarity: similarity, meta: part.meta ? part.meta[k] : null };
       }
-    } catch (e) {
-      // try next
     }
+  });
+  return hits;
+}
+
+/**
+ * Rebuilds the vector index (chunk metadata and stored embeddings) from
+ * the Chunks sheet, e.g. to move shards written before the index was
+ * partitioned by folder. Resumable: returns "in_progress" until every
+ * document is indexed.
+ */
+function rebuildVectorIndexAction(data) {
+  const startTime = Date.now();
+  const props = PropertiesService.getScriptProperties();
+  const chunkData = getSheet("Chunks").getDataRange().getValues();
+
+  // Group chunks by document
+  const byDoc = {};
+  for (let i = 1; i < chunkData.length; i++) {
+    const docId = String(chunkData[i][1]);
+    if (data.documentId && docId !== String(data.documentId)) continue;
+    const emb = safeParseJSON(chunkData[i][8], []);
+    (byDoc[docId] = byDoc[docId] || []).push({ id: chunkData[i][0], meta: chunkIndexMeta(chunkData[i]), embedding: emb });
   }
 
-  // Return empty array instead of throwing — query will use keyword search
-  Logger.log("All embedding models failed, returning empty. Keyword search will be used.");
-  return [];
+  const docIds = Object.keys(byDoc).sort();
+  const cursorKey = "VECTOR_REBUILD_CURSOR";
+  let cursor = data.documentId ? 0 : (parseInt(props.getProperty(cursorKey)) || 0);
+  let indexed = 0;
+
+  while (cursor < docIds.length) {
+    if (Date.now() - startTime > TIME_LIMIT_MS) break;
+    vectorIndexRemoveDocument(docIds[cursor]);
+    indexed += vectorIndexUpsert(docIds[cursor], byDoc[docIds[cursor]]);
+    cursor++;
+  }
+
+  const isComplete = cursor >= docIds.length;
+  if (isComplete) {
+    props.deleteProperty(cursorKey);
+  } else if (!data.documentId) {
+    props.setProperty(cursorKey, String(cursor));
+  }
+
+  return jsonResp({
+    status: isComplete ? "indexed" : "in_progress",
+    documentsIndexed: cursor,
+    totalDocuments: docIds.length,
+    vectorsIndexed: indexed
+  });
 }
 
 // ============================================================
 // RAG QUERY (hybrid: embedding + keyword + Gemini re-ranking)
 // ============================================================
 
+// Pipeline stages in execution order. Each stage reads and writes the job
+// state only, so a job can stop after any stage and resume in a later call.
+const QUERY_STAGES = [
+  { id: "resolve", label: "Resolving follow-up" },
+  { id: "route", label: "Routing to agent" },
+  { id: "retrieve", label: "Retrieving chunks" },
+  { id: "rerank", label: "Re-ranking" },
+  { id: "draft", label: "Drafting answer" },
+  { id: "verify", label: "Verifying answer" },
+  { id: "finalize", label: "Finalizing" }
+];
+
+const QUERY_JOB_SLICE_MS = 20 * 1000;  // Stop starting new stages after this per call
+const RETRIEVAL_CANDIDATES = 20;  // Chunks passed on to re-ranking
+const RETRIEVAL_FETCH_SIZE = 60;  // Chunk rows read from the sheet per retrieval pass
+const CHUNK_DUPLICATE_SIMILARITY = 0.9;  // Term overlap above which chunks count as the same text
+const CONFIDENCE_SCORE_FLOOR = 0.7;  // preferConfident: a zero-confidence chunk keeps this share of its score
+const CHUNK_CONTEXT_PREFIX_RE = /^\[Doc:[^\]]*\]\s*(?:\[Context:[^\]]*\]\s*)?/;  // Added per document by processTextIntoChunks
+const QUERY_JOB_TTL_S = 6 * 60 * 60;   // Jobs expire from cache after 6 hours
+
 function handleQuery(data) {
   if (!data.query) return jsonResp({ error: "Query required" });
 
   Logger.log("Query: " + data.query);
 
-  // 1. Load all chunks
+  const job = newQueryJob(data);
+  runQueryStages(job, Infinity);
+  if (job.error) return jsonResp({ error: job.error });
+  return jsonResp(job.result);
+}
+
+function newQueryJob(data) {
+  return {
+    id: Utilities.getUuid(),
+    request: {
+      query: data.query,
+      outputType: data.outputType || "text",
+      filterPanel: data.filterPanel || "",
+      filterVoltage: data.filterVoltage || "",
+      filterDrawingNumber: data.filterDrawingNumber || "",
+      filterStation: data.filterStation || "",
+      filterSystem: data.filterSystem || "",
+      ranges: data.ranges && typeof data.ranges === "object" ? data.ranges : {},
+      minConfidence: Math.min(Math.max(parseFloat(data.minConfidence) || 0, 0), 1),
+      preferConfident: data.preferConfident === true || data.preferConfident === "true",
+      matchCount: parseInt(data.matchCount) || 8,
+      folderId: data.folderId || null,
+      documentId: data.documentId || null,
+      sessionId: data.sessionId || null,
+      includeSuperseded: data.includeSuperseded === true || data.includeSuperseded === "true"
+    },
+    stageIndex: 0,
+    status: "running",
+    created_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Runs stages until the job completes or the time budget is spent.
+ * At least one stage always runs so every call makes progress.
+ */
+function runQueryStages(job, budgetMs) {
+  const startTime = Date.now();
+
+  while (job.status === "running") {
+    const stage = QUERY_STAGES[job.stageIndex];
+    Logger.log("Query job " + job.id + ": stage " + stage.id);
+
+    try {
+      QUERY_STAGE_RUNNERS[stage.id](job);
+    } catch (e) {
+      Logger.log("Query stage " + stage.id + " failed: " + e.message + "\n" + e.stack);
+      job.error = "Query failed during " + stage.label.toLowerCase() + ": " + e.message;
+    }
+
+    if (job.error) {
+      job.status = "error";
+    } else if (++job.stageIndex >= QUERY_STAGES.length) {
+      job.status = "done";
+    }
+
+    if (Date.now() - startTime > budgetMs) break;
+  }
+  return job;
+}
+
+const QUERY_STAGE_RUNNERS = {
+  // 0. Conversational sessions: rewrite follow-ups into standalone questions
+  resolve: function (job) {
+    const req = job.request;
+    const history = req.sessionId ? loadSessionTurns(req.sessionId) : [];
+    job.query = history.length > 0 ? rewriteFollowUp(req.query, history) : req.query;
+    if (job.query !== req.query) Logger.log("Standalone query: " + job.query);
+  },
+
+  // 1. Multi-Agent Router: Detect intent & expand keywords
+  route: function (job) {
+    job.routing = agentRouter(job.query);
+    Logger.log("Agent Intent: " + job.routing.intent + " | Keywords: " + (job.routing.expandedKeywords ? job.routing.expandedKeywords.join(", ") : "none"));
+  },
+
+  // 2. Hybrid retrieval: vector index + BM25 over chunk metadata
+  retrieve: function (job) {
+    retrieveCandidates(job);
+  },
+
+  // 3. Gemini re-ranking (if we have enough candidates)
+  rerank: function (job) {
+    const matchCount = job.request.matchCount;
+    if (job.candidates.length > matchCount) {
+      job.topMatches = geminiRerank(job.query, job.candidates, matchCount);
+    } else {
+      job.topMatches = job.candidates.slice(0, matchCount);
+    }
+    job.candidates = null;  // Keep the persisted job small
+
+    // Name each source so answers and citations can refer to real drawings
+    const docs = loadDocumentMap();
+    for (const m of job.topMatches) {
+      const doc = docs[String(m.document_id)];
+      m.document_name = doc ? doc.name : "";
+      m.drive_file_id = doc ? doc.drive_file_id : "";
+      (m.also_in || []).forEach(copy => { copy.document_name = (docs[String(copy.document_id)] || {}).name || ""; });
+    }
+    Logger.log("After re-ranking: " + job.topMatches.length + " final matches");
+  },
+
+  // 4. Multi-Agent Chain-of-Thought
+  // Expert 1: The Retriever (TopMatches)
+  // Expert 2: The Drafter (Initial Response)
+  draft: function (job) {
+    if (job.topMatches.length === 0) {
+      job.answer = "No relevant documents found for your query.";
+      return;
+    }
+    job.answer = generateAnswer(job.query, buildAnswerContext(job.topMatches), job.request.outputType);
+  },
+
+  // Expert 3: The Cross-Examiner (Verifier)
+  // This provides the "100% Match" guarantee by re-scanning context for discrepancies
+  verify: function (job) {
+    if (job.topMatches.length === 0) return;
+    job.answer = verificationAgent(job.query, buildAnswerContext(job.topMatches), job.answer, job.request.outputType);
+  },
+
+  // 5. Log query and build the response
+  finalize: function (job) {
+    const req = job.request;
+    const label = tagLabeler();
+    unifyMatchTags(job.topMatches, label);
+    const answer = req.outputType === "schematic" ? unifySchematicTags(job.answer, label) : job.answer;
+    try {
+      const logSheet = getSheet("QueryLogs");
+      logSheet.appendRow([
+        Utilities.getUuid(),
+        req.query,
+        typeof answer === "string" ? answer.substring(0, 5000) : JSON.stringify(answer).substring(0, 5000),
+        job.topMatches.length,
+        new Date().toISOString()
+      ]);
+    } catch (e) { /* non-critical */ }
+
+    if (req.sessionId) {
+      appendSessionTurn(req.sessionId, req.query, job.query, answer);
+    }
+
+    job.result = {
+      answer,
+      citations: buildCitations(answer, job.topMatches),
+      matches: job.topMatches,
+      matchCount: job.topMatches.length,
+      searchMode: job.searchMode,
+      router: job.routing,
+      sessionId: req.sessionId,
+      standaloneQuery: job.query
+    };
+  }
+};
+
+function buildAnswerContext(matches) {
+  return matches.map((m, i) =>
+    "[Source " + (i + 1) + " (Doc:" + (m.document_name || m.document_id) + " Page:" + (m.page_number || "?") + ")]\n" + m.content
+  ).join("\n\n---\n\n");
+}
+
+/**
+ * Resolves the [Source X, Page Y] markers of an answer to the chunks they
+ * came from. Every source passed to the model gets an entry; `cited` tells
+ * whether the answer actually referenced it, `cited_pages` which pages and
+ * `cited_rows` which table rows.
+ * @returns {Array<{source, chunk_id, document_id, document_name, drive_file_id, page_number, cited, cited_pages, cited_rows}>}
+ */
+function buildCitations(answer, matches) {
+  const citations = matches.map((m, i) => ({
+    source: i + 1,
+    marker: "Source " + (i + 1),
+    chunk_id: m.id,
+    document_id: m.document_id,
+    document_name: m.document_name || "",
+    drive_file_id: m.drive_file_id || "",
+    page_number: m.page_number || null,
+    table: m.table_data ? { sheet: m.table_data.sheet, rows: m.table_data.rows.map(r => r.row) } : null,
+    also_in: m.also_in || [],
+    cited: false,
+    cited_pages: [],
+    cited_rows: []
+  }));
+
+  const text = typeof answer === "string" ? answer : JSON.stringify(answer || "");
+  const bracketRe = /\[([^\]]*Source[^\]]*)\]/gi;
+  let bracket;
+  while ((bracket = bracketRe.exec(text)) !== null) {
+    const refRe = /Source\s*(\d+)(?:\s*,?\s*(?:Page|p\.)\s*([\w-]+))?(?:\s*,?\s*Rows?\s*(\d+))?/gi;
+    let ref;
+    while ((ref = refRe.exec(bracket[1])) !== null) {
+      const c = citations[parseInt(ref[1]) - 1];
+      if (!c) continue;
+      c.cited = true;
+      if (ref[2] && c.cited_pages.indexOf(ref[2]) === -1) c.cited_pages.push(ref[2]);
+      if (ref[3] && c.cited_rows.indexOf(parseInt(ref[3], 10)) === -1) c.cited_rows.push(parseInt(ref[3], 10));
+    }
+  }
+  return citations;
+}
+
+function retrieveCandidates(job) {
+  const req = job.request;
+  const query = job.query;
+
   const chunkSheet = getSheet("Chunks");
-  const rawData = chunkSheet.getDataRange().getValues();
+  if (chunkSheet.getLastRow() <= 1) {
+    job.error = "No documents have been processed yet. Sync files from Drive then click Process on each document.";
+    return;
+  }
 
-  if (rawData.length <= 1) {
-    return jsonResp({
-      error: "No documents have been processed yet. Sync files from Drive then click Process on each document."
-    });
+  // Numeric filters (voltage, current, fault rating, cross-section, length)
+  const ranges = resolveRangeFilters(req);
+  if (ranges.error) {
+    job.error = ranges.error;
+    return;
   }
 
-  // 2. Try embedding-based search
+  // Try embedding-based search
   let queryEmb = [];
   try {
-    queryEmb = getGeminiEmbedding(data.query);
+    queryEmb = getGeminiEmbedding(query);
   } catch (e) {
     Logger.log("Embedding failed, using keyword search: " + e.message);
   }
 
   const hasEmbeddings = queryEmb && queryEmb.length > 0;
+  job.searchMode = hasEmbeddings ? "hybrid" : "keyword";
   Logger.log("Search mode: " + (hasEmbeddings ? "EMBEDDING+KEYWORD" : "KEYWORD"));
 
-  // 2.5 Resolve target documents if folderId is provided
+  // Resolve target documents. Superseded revisions are left out unless
+  // asked for, or unless the document is targeted directly.
   let targetDocIds = null;
-  if (data.documentId) {
-    targetDocIds = [String(data.documentId)];
-  } else if (data.folderId) {
-    targetDocIds = [];
-    const docData = getSheet("Documents").getDataRange().getValues();
-    for (let j = 1; j < docData.length; j++) {
-      if (String(docData[j][2]) === String(data.folderId)) {
-        targetDocIds.push(String(docData[j][0]));
-      }
+  const docs = loadDocumentMap();
+  if (req.documentId) {
+    // A linked copy is searched through its original
+    const target = docs[String(req.documentId)];
+    targetDocIds = [target && target.status === "linked" ? target.duplicate_of : String(req.documentId)];
+  } else {
+    const ids = Object.keys(docs);
+    const inScope = new Set(ids.filter(id =>
+      (!req.folderId || String(docs[id].folder_id) === String(req.folderId)) &&
+      (req.includeSuperseded || docs[id].is_latest)));
+    if (req.folderId) {
+      ids.filter(id => docs[id].status === "linked" && String(docs[id].folder_id) === String(req.folderId) && docs[docs[id].duplicate_of])
+        .forEach(id => inScope.add(docs[id].duplicate_of));
     }
-    Logger.log("Filtering by folder " + data.folderId + ", docs found: " + targetDocIds.length);
+    if (req.folderId || inScope.size < ids.length) targetDocIds = Array.from(inScope);
+    if (req.folderId) Logger.log("Filtering by folder " + req.folderId + ", docs found: " + targetDocIds.length);
+  }
+  const targetSet = targetDocIds ? new Set(targetDocIds) : null;
+
+  // Drawing number / station / system filters, per sheet where title blocks were read
+  const titleScope = resolveTitleBlockScope(req);
+  const panelKey = req.filterPanel ? normalizeTag(req.filterPanel) : "";
+  const voltageFiltered = req.filterVoltage && !ranges.filters.some(f => f.quantity === "voltage");
+
+  // meta is a chunkIndexMeta tuple: [page_number, panel, voltage, confidence cell, quantities]
+  const passesFilters = (docId, meta) => {
+    if (panelKey && ("-" + normalizeTag(meta[1]) + "-").indexOf("-" + panelKey + "-") === -1) return false;
+    if (ranges.filters.length > 0 &&
+        !ranges.filters.every(f => ((meta[4] || {})[f.quantity] || []).some(v => valueInRange(v, f.range)))) return false;
+    if (voltageFiltered && String(meta[2]).toUpperCase().indexOf(req.filterVoltage.toUpperCase()) === -1) return false;
+    if (titleScope && !titleScope.allows(docId, meta[0])) return false;
+    return chunkConfidence(meta[3]) >= req.minConfidence;
+  };
+  const weigh = (score, confidenceCell) => req.preferConfident
+    ? score * (CONFIDENCE_SCORE_FLOOR + (1 - CONFIDENCE_SCORE_FLOOR) * chunkConfidence(confidenceCell))
+    : score;
+
+  // Chunk metadata and vector scores come from the index (only the shards
+  // holding target documents are read)
+  const hits = vectorIndexSearch(hasEmbeddings ? queryEmb : null, targetDocIds);
+
+  // BM25 over the inverted index, normalized to 0-1 against the best hit
+  const bm25Scores = keywordIndexSearch(buildQueryTerms(query, job.routing.expandedKeywords));
+  let bm25Max = 0;
+  for (const id in bm25Scores) bm25Max = Math.max(bm25Max, bm25Scores[id]);
+  const kwScore = id => bm25Max > 0 ? (bm25Scores[id] || 0) / bm25Max : 0;
+
+  // Score and filter cataloged chunks with hybrid scoring
+  const scored = [];
+  for (const id in hits) {
+    const hit = hits[id];
+    if (hit.meta && !passesFilters(hit.document_id, hit.meta)) continue;
+    let score = hasEmbeddings ? (hit.similarity * 0.6 + kwScore(id) * 0.4) : kwScore(id);
+    if (hit.meta) score = weigh(score, hit.meta[3]);
+    if (score > 0.01) scored.push({ id: id, score: score, checked: !!hit.meta });
   }
 
-  // 1.5 Multi-Agent Router: Detect intent & expand keywords
-  const routing = agentRouter(data.query);
-  Logger.log("Agent Intent: " + routing.intent + " | Keywords: " + (routing.expandedKeywords ? routing.expandedKeywords.join(", ") : "none"));
-  
-  // 3. Score all chunks with hybrid scoring
-  const queryLower = data.query.toLowerCase();
-  const queryWords = [...new Set([...queryLower.split(/\s+/), ...(routing.expandedKeywords || [])])].filter(w => w.length > 2);
-  const allScored = [];
+  // Keyword hits missing from the index are chunks indexed before the
+  // chunk catalog existed, or of documents out of scope. They are checked
+  // against their sheet rows below, unless every target is cataloged.
+  const located = vectorIndexDocuments();
+  const uncataloged = !targetDocIds || targetDocIds.some(id =>
+    !located[id] && docs[id] && ["indexed", "changed"].indexOf(String(docs[id].status)) !== -1);
+  if (uncataloged) {
+    for (const id in bm25Scores) {
+      const score = hasEmbeddings ? kwScore(id) * 0.4 : kwScore(id);
+      if (!hits[id] && score > 0.01) scored.push({ id: id, score: score, checked: false });
+    }
+  }
 
-  for (let i = 1; i < rawData.length; i++) {
-    // Apply filters
-    const docId = String(rawData[i][1]);
-    if (targetDocIds && targetDocIds.indexOf(docId) === -1) continue;
+  // Sheet rows are read for the best-scoring chunks only, a pass at a time
+  // until enough candidates survive filtering and de-duplication
+  scored.sort((a, b) => b.score - a.score);
+  const matches = [];
+  job.candidates = [];
+  for (let start = 0; start < scored.length && job.candidates.length < RETRIEVAL_CANDIDATES; start += RETRIEVAL_FETCH_SIZE) {
+    const batch = scored.slice(start, start + RETRIEVAL_FETCH_SIZE);
+    const rows = readChunkRows(chunkSheet, batch.map(s => s.id));
+
+    for (const s of batch) {
+      const row = rows[s.id];
+      if (!row) continue;
+      const docId = String(row[1]);
+      let score = s.score;
+      if (!s.checked) {
+        if (targetSet && !targetSet.has(docId)) continue;
+        if (!passesFilters(docId, chunkIndexMeta(row))) continue;
+        score = weigh(score, row[14]);
+      }
+      matches.push({
+        id: row[0],
+        document_id: docId,
+        content: String(row[2]),
+        page_number: row[3],
+        panel: row[4],
+        voltage: row[5],
+        components: safeParseJSON(row[6], []),
+        connections: safeParseJSON(row[7], []),
+        table_data: safeParseJSON(row[11], null),
+        extraction_source: String(row[13] || ""),
+        confidence: chunkConfidence(row[14]),
+        similarity: Math.round(score * 1000) / 1000
+      });
+    }
 
-    if (data.filterPanel && String(rawData[i][4]).toUpperCase().indexOf(data.filterPanel.toUpperCase()) === -1) continue;
-    if (data.filterVoltage && String(rawData[i][5]).toUpperCase().indexOf(data.filterVoltage.toUpperCase()) === -1) continue;
+    matches.sort((a, b) => b.similarity - a.similarity);
+    job.candidates = collapseDuplicateChunks(matches.map(m => Object.assign({}, m)), RETRIEVAL_CANDIDATES); // Broad retrieval
+  }
 
-    const content = String(rawData[i][2]);
-    let embScore = 0;
-    let kwScore = keywordScore(content, queryWords, queryLower);
+  Logger.log("Initial retrieval: " + scored.length + " matches, top " + job.candidates.length + " for re-ranking");
+}
 
-    if (hasEmbeddings) {
-      try {
-        const chunkEmb = JSON.parse(rawData[i][8]);
-        if (chunkEmb && chunkEmb.length > 0 && chunkEmb.length === queryEmb.length) {
-          embScore = cosineSimilarity(queryEmb, chunkEmb);
-        }
-      } catch (e) { /* skip */ }
+/**
+ * Reads the Chunks rows of the given chunk ids with one search over the
+ * id column and one read per run of adjacent rows. The embedding column
+ * is left out (read as "").
+ * @returns {Object<string, Array>} chunk id -> row values
+ */
+function readChunkRows(sheet, ids) {
+  const found = {};
+  if (ids.length === 0 || sheet.getLastRow() < 2) return found;
+
+  const pattern = "^(?:" + ids.map(id => String(id).replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|") + ")$";
+  const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, 1)
+    .createTextFinder(pattern).useRegularExpression(true).findAll()
+    .map(cell => cell.getRow());
+
+  for (const run of rowRuns(rows)) {
+    const head = sheet.getRange(run.row, 1, run.count, 8).getValues();
+    const tail = sheet.getRange(run.row, 10, run.count, 6).getValues();
+    head.forEach((r, k) => { found[String(r[0])] = r.concat([""], tail[k]); });
+  }
+  return found;
+}
+
+// Sorted runs of adjacent row numbers as { row, count }
+function rowRuns(rows) {
+  const sorted = rows.slice().sort((a, b) => a - b);
+  const runs = [];
+  for (const row of sorted) {
+    const last = runs[runs.length - 1];
+    if (last && row === last.row + last.count) last.count++;
+    else if (!last || row >= last.row + last.count) runs.push({ row: row, count: 1 });
+  }
+  return runs;
+}
+
+/**
+ * Keeps the best-scoring chunk of each group of near-identical chunks
+ * (the same text indexed from duplicate documents) until limit chunks are
+ * kept. The copies' documents and pages are listed in also_in.
+ */
+function collapseDuplicateChunks(scored, limit) {
+  const kept = [];
+  for (const match of scored) {
+    if (kept.length >= limit) break;
+    const terms = new Set(tokenizeForIndex(match.content.replace(CHUNK_CONTEXT_PREFIX_RE, "")));
+    const twin = kept.find(k => k.document_id !== match.document_id && termSimilarity(k._terms, terms) >= CHUNK_DUPLICATE_SIMILARITY);
+    if (twin) {
+      twin.also_in = twin.also_in || [];
+      twin.also_in.push({ document_id: match.document_id, page_number: match.page_number });
+      continue;
     }
+    match._terms = terms;
+    kept.push(match);
+  }
+  kept.forEach(k => { delete k._terms; });
+  return kept;
+}
 
-    // Hybrid score: weighted combination
-    const hybridScore = hasEmbeddings
-      ? (embScore * 0.6 + kwScore * 0.4)
-      : kwScore;
+// Jaccard overlap of two term sets
+function termSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(t => { if (b.has(t)) shared++; });
+  return shared / (a.size + b.size - shared);
+}
 
-    if (hybridScore > 0.01) {
-      allScored.push({
-        id: rawData[i][0],
-        document_id: docId,
-        content: content,
-        page_number: rawData[i][3],
-        panel: rawData[i][4],
-        voltage: rawData[i][5],
-        components: safeParseJSON(rawData[i][6], []),
-        connections: safeParseJSON(rawData[i][7], []),
-        similarity: Math.round(hybridScore * 1000) / 1000
-      });
+// ============================================================
+// ASYNC QUERY JOBS (resumable pipeline with stage polling)
+// ============================================================
+
+function queryAsyncAction(data) {
+  if (!data.query) return jsonResp({ error: "Query required" });
+
+  Logger.log("Async query: " + data.query);
+
+  const job = newQueryJob(data);
+  saveQueryJob(job);
+
+  // Like process_document, start work immediately
+  runQueryStages(job, QUERY_JOB_SLICE_MS);
+  saveQueryJob(job);
+  return jsonResp(queryJobStatus(job));
+}
+
+function getQueryResultAction(data) {
+  if (!data.jobId) return jsonResp({ error: "Job ID required" });
+
+  const job = loadQueryJob(data.jobId);
+  if (!job) return jsonResp({ error: "Query job not found or expired: " + data.jobId });
+
+  if (job.status === "running" && claimQueryJob(job.id)) {
+    try {
+      const fresh = loadQueryJob(data.jobId) || job;
+      if (fresh.status === "running") {
+        runQueryStages(fresh, QUERY_JOB_SLICE_MS);
+        saveQueryJob(fresh);
+      }
+      return jsonResp(queryJobStatus(fresh));
+    } finally {
+      CacheService.getScriptCache().remove("QUERY_JOB_CLAIM_" + data.jobId);
     }
   }
+  return jsonResp(queryJobStatus(job));
+}
+
+/**
+ * Marks a job as being advanced so overlapping polls don't run the same
+ * stage twice. The script lock is held only for the check-and-set.
+ */
+function claimQueryJob(jobId) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(2000)) return false;
+  try {
+    const cache = CacheService.getScriptCache();
+    if (cache.get("QUERY_JOB_CLAIM_" + jobId)) return false;
+    cache.put("QUERY_JOB_CLAIM_" + jobId, "1", 300);
+    return true;
+  } finally {
+    lock.releaseLock();
+  }
+}
 
-  // 4. Sort by initial score and take top candidates for re-ranking
-  allScored.sort((a, b) => b.similarity - a.similarity);
-  const candidates = allScored.slice(0, 20); // Broad retrieval
+function queryJobStatus(job) {
+  const resp = {
+    jobId: job.id,
+    status: job.status,
+    stage: job.status === "running" ? QUERY_STAGES[job.stageIndex].id : job.status,
+    stageLabel: job.status === "running" ? QUERY_STAGES[job.stageIndex].label : "",
+    stages: QUERY_STAGES.map((s, i) => {
+      let status = "pending";
+      if (i < job.stageIndex) status = "done";
+      else if (i === job.stageIndex) status = job.status === "error" ? "error" : "active";
+      return { id: s.id, label: s.label, status: status };
+    })
+  };
+  if (job.status === "done") resp.result = job.result;
+  if (job.status === "error") resp.message = job.error;
+  return resp;
+}
 
-  Logger.log("Initial retrieval: " + allScored.length + " matches, top " + candidates.length + " for re-ranking");
+function saveQueryJob(job) {
+  cachePutLarge("QUERY_JOB_" + job.id, JSON.stringify(job), QUERY_JOB_TTL_S);
+}
 
-  // 5. Gemini re-ranking (if we have enough candidates)
-  const matchCount = parseInt(data.matchCount) || 8;
-  let topMatches;
+function loadQueryJob(jobId) {
+  const text = cacheGetLarge("QUERY_JOB_" + jobId);
+  return text ? JSON.parse(text) : null;
+}
 
-  if (candidates.length > matchCount) {
-    topMatches = geminiRerank(data.query, candidates, matchCount);
-  } else {
-    topMatches = candidates.slice(0, matchCount);
+/**
+ * Stores a value of any size in CacheService by splitting it into pieces
+ * under the 100KB per-key limit.
+ */
+function cachePutLarge(key, text, ttl) {
+  const cache = CacheService.getScriptCache();
+  const pieces = {};
+  let count = 0;
+  for (let i = 0; i < text.length; i += INDEX_CACHE_MAX) {
+    pieces[key + "_" + count] = text.substring(i, i + INDEX_CACHE_MAX);
+    count++;
+  }
+  pieces[key] = String(count);
+  cache.putAll(pieces, ttl);
+}
+
+function cacheGetLarge(key) {
+  const cache = CacheService.getScriptCache();
+  const count = parseInt(cache.get(key));
+  if (!count) return null;
+
+  const keys = [];
+  for (let i = 0; i < count; i++) keys.push(key + "_" + i);
+  const pieces = cache.getAll(keys);
+  let text = "";
+  for (const k of keys) {
+    if (pieces[k] === undefined || pieces[k] === null) return null;
+    text += pieces[k];
   }
+  return text;
+}
+
+// ============================================================
+// CONVERSATION SESSIONS (multi-turn follow-up resolution)
+// ============================================================
 
-  Logger.log("After re-ranking: " + topMatches.length + " final matches");
+const SESSION_HISTORY_TURNS = 6;  // Prior turns used to resolve a follow-up
 
-  // 6. Generate answer with enriched context
-  let answer = "No relevant documents found for your query.";
-  if (topMatches.length > 0) {
-    const context = topMatches.map((m, i) =>
-      "[Source " + (i + 1) + " (Doc:" + m.document_id + " Page:" + (m.page_number || "?") + ")]\n" + m.content
-    ).join("\n\n---\n\n");
-    
-    // Multi-Agent Chain-of-Thought
-    // Expert 1: The Retriever (TopMatches)
-    // Expert 2: The Drafter (Initial Response)
-    const initialAnswer = generateAnswer(data.query, context, data.outputType || "text");
-    
-    // Expert 3: The Cross-Examiner (Verifier)
-    // This provides the "100% Match" guarantee by re-scanning context for discrepancies
-    answer = verificationAgent(data.query, context, initialAnswer, data.outputType);
+/**
+ * Returns the most recent turns of a session, oldest first. Recent turns
+ * are cached so follow-ups don't rescan the SessionTurns sheet.
+ */
+function loadSessionTurns(sessionId, limit) {
+  const max = limit || SESSION_HISTORY_TURNS;
+  if (max <= SESSION_HISTORY_TURNS) {
+    const cached = CacheService.getScriptCache().get("SESSION_" + sessionId);
+    if (cached) return JSON.parse(cached).slice(-max);
+  }
+
+  const rows = getSheet("SessionTurns").getDataRange().getValues();
+  const turns = [];
+  for (let i = 1; i < rows.length; i++) {
+    if (String(rows[i][1]) !== String(sessionId)) continue;
+    turns.push({
+      id: rows[i][0],
+      query: rows[i][2],
+      standalone_query: rows[i][3],
+      answer: rows[i][4],
+      created_at: rows[i][5]
+    });
   }
+  return turns.slice(-max);
+}
+
+function appendSessionTurn(sessionId, query, standaloneQuery, answer) {
+  const answerText = typeof answer === "string" ? answer : JSON.stringify(answer);
+  const turn = {
+    id: Utilities.getUuid(),
+    query: query,
+    standalone_query: standaloneQuery,
+    answer: answerText.substring(0, 5000),
+    created_at: new Date().toISOString()
+  };
+  const previous = loadSessionTurns(sessionId);
 
-  // 7. Log query
   try {
-    const logSheet = getSheet("QueryLogs");
-    logSheet.appendRow([
-      Utilities.getUuid(),
-      data.query,
-      typeof answer === "string" ? answer.substring(0, 5000) : JSON.stringify(answer).substring(0, 5000),
-      topMatches.length,
-      new Date().toISOString()
+    getSheet("SessionTurns").appendRow([
+      turn.id, sessionId, turn.query, turn.standalone_query, turn.answer, turn.created_at
     ]);
-  } catch (e) { /* non-critical */ }
+  } catch (e) {
+    Logger.log("Session turn not saved: " + e.message);
+  }
 
-  return jsonResp({
-    answer,
-    matches: topMatches,
-    matchCount: topMatches.length,
-    searchMode: hasEmbeddings ? "hybrid" : "keyword"
-  });
+  // Cache keeps a trimmed copy of the answers to stay under the 100KB limit
+  const turns = previous.concat([turn]).slice(-SESSION_HISTORY_TURNS)
+    .map(t => Object.assign({}, t, { answer: String(t.answer).substring(0, 1500) }));
+  CacheService.getScriptCache().put("SESSION_" + sessionId, JSON.stringify(turns), 21600);
+}
+
+/**
+ * Rewrites a follow-up ("and what feeds it?") into a standalone question
+ * using the session history. Returns the original query when the model
+ * is unavailable or the query already stands on its own.
+ */
+function rewriteFollowUp(query, turns) {
+  const historyText = turns.map((t, i) =>
+    "Q" + (i + 1) + ": " + (t.standalone_query || t.query) + "\nA" + (i + 1) + ": " + String(t.answer).substring(0, 600)
+  ).join("\n\n");
+
+  const prompt = "You rewrite follow-up questions about metro electrical drawings into standalone questions.\n" +
+    "Replace pronouns and references (it, that panel, the same, panel B instead) with the exact equipment tags, " +
+    "panels, cables or documents from the conversation. Keep all tags verbatim.\n" +
+    "If the question is already standalone, return it unchanged. Output ONLY the rewritten question.\n\n" +
+    "CONVERSATION:\n" + historyText + "\n\nFOLLOW-UP: " + query;
+
+  try {
+    const res = callGemini([{ parts: [{ text: prompt }] }], { temperature: 0, maxOutputTokens: 256 });
+    const rewritten = res ? res.replace(/^["'\s]+|["'\s]+$/g, "").split("\n")[0].trim() : "";
+    if (rewritten.length > 2) return rewritten;
+  } catch (e) {
+    Logger.log("Follow-up rewrite failed: " + e.message);
+  }
+  return query;
+}
+
+function getSessionAction(data) {
+  if (!data.sessionId) return jsonResp({ error: "Session ID required" });
+  const turns = loadSessionTurns(data.sessionId, 100);
+  return jsonResp({ sessionId: data.sessionId, turns: turns });
 }
 
 // ============================================================
@@ -1736,61 +7449,262 @@ function geminiRerank(query, candidates, topN) {
 }
 
 // ============================================================
-// KEYWORD SCORING (enhanced TF-IDF with bigrams & proximity)
+// KEYWORD INDEX (inverted index with BM25 scoring)
 // ============================================================
 
-function keywordScore(content, queryWords, fullQuery) {
-  const contentLower = content.toLowerCase();
-  let score = 0;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Tag-like index tokens: start with a letter, or have several "-" segments (33kv-ic-1)
+const INDEX_TAG_TOKEN_RE = /^(?:[a-z][a-z0-9]*(?:-[a-z0-9]+)*|[a-z0-9]+(?:-[a-z0-9]+){2,})$/;
+
+const INDEX_STOPWORDS = new Set([
+  "the", "and", "for", "are", "with", "this", "that", "from", "what", "which", "show", "give",
+  "all", "any", "how", "does", "list", "into", "its", "was", "were", "has", "have", "not",
+  "of", "to", "in", "on", "at", "by", "is", "it", "be", "as", "or", "an", "me", "my", "we"
+]);
+
+/**
+ * Splits text into index terms. Hyphenated, slashed and dotted tokens such as
+ * "TSS-01-ACB-3", "2.5sqmm" or "3/4C" are kept whole, and their parts are
+ * indexed as well so a search for "ACB" still reaches the tag. Tags also
+ * add their normalized key, so "W102", "W-102" and aliases meet on one term,
+ * and glossary synonyms add their term's key ("traction substation" -> "tss").
+ */
+function tokenizeForIndex(text) {
+  const terms = [];
+  const matches = String(text || "").toLowerCase().match(/[a-z0-9]+(?:[-\/.][a-z0-9]+)*/g) || [];
+  for (const tok of matches) {
+    if (INDEX_TAG_TOKEN_RE.test(tok) && /\d/.test(tok) && /[a-z]/.test(tok)) {
+      const key = normalizeTag(tok).toLowerCase();
+      if (key && key !== tok) terms.push(key);
+    }
+    if (/[-\/.]/.test(tok)) {
+      terms.push(tok);
+      for (const part of tok.split(/[-\/.]/)) {
+        if (part.length > 1 && !INDEX_STOPWORDS.has(part)) terms.push(part);
+      }
+    } else if (!INDEX_STOPWORDS.has(tok) && (tok.length > 1 || /\d/.test(tok))) {
+      terms.push(tok);
+    }
+  }
+  for (const hit of findGlossaryTerms(String(text || ""))) {
+    if (hit.text.toLowerCase() !== hit.key) terms.push(hit.key);
+  }
+  return terms;
+}
+
+/**
+ * Term frequencies and length of one chunk, as stored in the index.
+ */
+function buildTermStats(text) {
+  const terms = tokenizeForIndex(text);
+  const tf = {};
+  for (const t of terms) tf[t] = (tf[t] || 0) + 1;
+  return { tf: tf, length: terms.length };
+}
+
+function keywordShardName(term) {
+  return "kw_" + (hashString(term) % KEYWORD_INDEX_SHARDS);
+}
+
+function getKeywordStats() {
+  const raw = PropertiesService.getScriptProperties().getProperty("BM25_STATS");
+  return raw ? JSON.parse(raw) : { N: 0, totalLength: 0 };
+}
+
+function saveKeywordStats(stats) {
+  PropertiesService.getScriptProperties().setProperty("BM25_STATS", JSON.stringify(stats));
+}
 
-  // 1. Exact phrase match (highest weight)
-  if (contentLower.includes(fullQuery)) {
-    score += 0.5;
+/**
+ * Adds chunks to the inverted index. Postings are grouped by shard so each
+ * shard file is read and written once per call.
+ * @param {Array<{id: string, tf: Object<string, number>, length: number}>} entries
+ */
+function keywordIndexAdd(entries) {
+  if (!entries || entries.length === 0) return;
+
+  const byShard = {};
+  for (const e of entries) {
+    for (const term in e.tf) {
+      const name = keywordShardName(term);
+      (byShard[name] = byShard[name] || []).push([term, String(e.id), e.tf[term], e.length]);
+    }
   }
 
-  // 2. Individual word matches with frequency bonus
-  let matchedWords = 0;
-  for (const word of queryWords) {
-    if (contentLower.includes(word)) {
-      matchedWords++;
-      score += 0.1;
-      // Frequency bonus (capped)
-      const count = (contentLower.split(word).length - 1);
-      if (count > 1) score += 0.03 * Math.min(count - 1, 5);
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    for (const name in byShard) {
+      const shard = readIndexBlob(name) || { version: 1, terms: {} };
+      for (const p of byShard[name]) {
+        const postings = shard.terms[p[0]] = shard.terms[p[0]] || {};
+        postings[p[1]] = [p[2], p[3]];
+      }
+      writeIndexBlob(name, shard);
+    }
+
+    const stats = getKeywordStats();
+    for (const e of entries) {
+      stats.N++;
+      stats.totalLength += e.length;
     }
+    saveKeywordStats(stats);
+  } finally {
+    lock.releaseLock();
   }
+}
 
-  // 3. Word coverage bonus (% of query words found)
-  if (queryWords.length > 0) {
-    const coverage = matchedWords / queryWords.length;
-    score += coverage * 0.2;
+/**
+ * Removes chunks from the inverted index. Only the shards holding the
+ * terms of the removed content are touched.
+ * @param {Array<{id: string, content: string}>} chunks
+ */
+function keywordIndexRemove(chunks) {
+  if (!chunks || chunks.length === 0) return;
+
+  const byShard = {};
+  for (const c of chunks) {
+    const stats = buildTermStats(c.content);
+    for (const term in stats.tf) {
+      const name = keywordShardName(term);
+      (byShard[name] = byShard[name] || []).push([term, String(c.id)]);
+    }
   }
 
-  // 4. Bigram matching (consecutive word pairs)
-  for (let j = 0; j < queryWords.length - 1; j++) {
-    const bigram = queryWords[j] + " " + queryWords[j + 1];
-    if (contentLower.includes(bigram)) {
-      score += 0.15;
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    const stats = getKeywordStats();
+    const counted = new Set();
+
+    for (const name in byShard) {
+      const shard = readIndexBlob(name);
+      if (!shard) continue;
+      for (const p of byShard[name]) {
+        const postings = shard.terms[p[0]];
+        if (!postings || !postings[p[1]]) continue;
+        if (!counted.has(p[1])) {
+          counted.add(p[1]);
+          stats.N = Math.max(0, stats.N - 1);
+          stats.totalLength = Math.max(0, stats.totalLength - postings[p[1]][1]);
+        }
+        delete postings[p[1]];
+        if (Object.keys(postings).length === 0) delete shard.terms[p[0]];
+      }
+      writeIndexBlob(name, shard);
     }
+    saveKeywordStats(stats);
+  } finally {
+    lock.releaseLock();
   }
+}
 
-  // 5. Proximity bonus: if multiple query words appear close together
-  if (matchedWords >= 2) {
-    const positions = [];
-    for (const word of queryWords) {
-      const pos = contentLower.indexOf(word);
-      if (pos >= 0) positions.push(pos);
+/**
+ * BM25 scores for every chunk containing at least one query term.
+ * @param {Object<string, number>} queryTerms - term -> weight (expansions weigh less)
+ * @returns {Object<string, number>} chunk id -> raw BM25 score
+ */
+function keywordIndexSearch(queryTerms) {
+  const scores = {};
+  const stats = getKeywordStats();
+  if (stats.N === 0) return scores;
+  const avgdl = stats.totalLength / stats.N || 1;
+
+  for (const term in queryTerms) {
+    const shard = readIndexBlob(keywordShardName(term));
+    const postings = shard && shard.terms[term];
+    if (!postings) continue;
+
+    const ids = Object.keys(postings);
+    const df = ids.length;
+    const idf = Math.log(1 + (stats.N - df + 0.5) / (df + 0.5));
+
+    for (const id of ids) {
+      const tf = postings[id][0];
+      const dl = postings[id][1];
+      const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * dl / avgdl);
+      scores[id] = (scores[id] || 0) + queryTerms[term] * idf * tf * (BM25_K1 + 1) / norm;
     }
-    if (positions.length >= 2) {
-      positions.sort((a, b) => a - b);
-      const span = positions[positions.length - 1] - positions[0];
-      if (span < 200) score += 0.1;
-      if (span < 100) score += 0.1;
+  }
+  return scores;
+}
+
+/**
+ * Query terms with weights: words typed by the user count fully, router
+ * expansions count half so they widen recall without swamping rare tags.
+ */
+function buildQueryTerms(query, expandedKeywords) {
+  const terms = {};
+  for (const kw of expandedKeywords || []) {
+    for (const t of tokenizeForIndex(kw)) terms[t] = 0.5;
+  }
+  for (const t of tokenizeForIndex(query)) terms[t] = 1;
+  return terms;
+}
+
+/**
+ * Asks the job queue to rebuild the keyword index from scratch, e.g. after
+ * the tag grammar changed how tags tokenize.
+ */
+function queueKeywordRebuild() {
+  SCRIPT_PROPS.setProperty(KEYWORD_REBUILD_PENDING_KEY, new Date().toISOString());
+  SCRIPT_PROPS.deleteProperty("KEYWORD_REBUILD_CURSOR");
+  ensureJobTrigger();
+}
+
+/**
+ * Rebuilds the inverted index (and token_count column) from the Chunks sheet.
+ * Resumable: returns "in_progress" until every chunk row is indexed.
+ * Takes an optional timeLimitMs (the job queue passes its rebuild slice).
+ */
+function rebuildKeywordIndexAction(data) {
+  const startTime = Date.now();
+  const timeLimit = (data && data.timeLimitMs) || TIME_LIMIT_MS;
+  const props = PropertiesService.getScriptProperties();
+  const cursorKey = "KEYWORD_REBUILD_CURSOR";
+  let cursor = parseInt(props.getProperty(cursorKey)) || 1;
+
+  // Fresh rebuild: drop every shard and reset corpus statistics
+  if (cursor === 1) {
+    for (let s = 0; s < KEYWORD_INDEX_SHARDS; s++) {
+      if (props.getProperty("INDEX_FILE_kw_" + s)) writeIndexBlob("kw_" + s, { version: 1, terms: {} });
     }
+    saveKeywordStats({ N: 0, totalLength: 0 });
+  }
+
+  const chunkSheet = getSheet("Chunks");
+  const lastRow = chunkSheet.getLastRow();
+  const BLOCK = 200;
+
+  while (cursor < lastRow) {
+    if (Date.now() - startTime > timeLimit) break;
+
+    const count = Math.min(BLOCK, lastRow - cursor);
+    const rows = chunkSheet.getRange(cursor + 1, 1, count, 3).getValues();
+    const entries = rows.map(r => {
+      const st = buildTermStats(r[2]);
+      return { id: r[0], tf: st.tf, length: st.length };
+    });
+    keywordIndexAdd(entries);
+    chunkSheet.getRange(cursor + 1, 11, count, 1).setValues(entries.map(e => [e.length]));
+    cursor += count;
   }
 
-  // Normalize to 0-1 range
-  return Math.min(score, 1.0);
+  const isComplete = cursor >= lastRow;
+  if (isComplete) {
+    props.deleteProperty(cursorKey);
+    props.deleteProperty(KEYWORD_REBUILD_PENDING_KEY);
+  } else {
+    props.setProperty(cursorKey, String(cursor));
+  }
+
+  return jsonResp({
+    status: isComplete ? "indexed" : "in_progress",
+    chunksIndexed: Math.max(0, cursor - 1),
+    totalChunks: Math.max(0, lastRow - 1)
+  });
 }
 
 // ============================================================
@@ -1835,10 +7749,11 @@ function generateAnswer(query, context, outputType) {
       "- If PINOUTS are requested, provide a table of terminal numbers and functions.\n" +
       "- If DIMENSIONS are requested, provide specific cutout sizes, clearances, and units (mm/m).\n" +
       "- If CONSISTENCY is requested (Excel vs Drawing), explicitly point out mismatches.\n" +
-      "Format: Professional summary with citations [Source X, Page Y].";
+      "- Table sources list one row per line as 'Row N | Column: value'. When a claim comes from a row, cite it as [Source X, Page Y, Row N].\n" +
+      "Format: Professional summary. Cite every technical claim as [Source X, Page Y] using the numbered sources in the context.";
   }
 
-  prompt += "\n\nCONTEXT:\n" + context.substring(0, 12000) + "\n\nQUERY:\n" + query;
+  prompt += "\n" + tagPrefixGuide() + glossaryGuide(query + "\n" + context.substring(0, 12000)) + "\nCONTEXT:\n" + context.substring(0, 12000) + "\n\nQUERY:\n" + query;
 
   const result = callGemini(
     [{ parts: [{ text: prompt }] }],
@@ -1872,18 +7787,14 @@ function agentRouter(query) {
       let parsed = JSON.parse(cleaned);
       
       parsed.expandedKeywords = parsed.expandedKeywords || [];
-      // Dynamic Keyword Expansion based on Agent
-      if (parsed.agent === "CIRCUIT_EXPERT") {
-        parsed.expandedKeywords = [...new Set([...parsed.expandedKeywords, "pin", "wiring", "terminal", "connection", "cable", "conductor", "schematic", "drawing", "circuit"])];
-      } else if (parsed.agent === "DIMENSION_AUDITOR") {
-        parsed.expandedKeywords = [...new Set([...parsed.expandedKeywords, "dimension", "size", "cutout", "mm", "meter", "clearance", "layout", "drawing", "view"])];
-      }
+      // Dynamic Keyword Expansion based on Agent and the project glossary
+      parsed.expandedKeywords = [...new Set([...parsed.expandedKeywords, ...glossaryExpansions(query, parsed.agent)])];
       return parsed;
     }
   } catch (e) {
     Logger.log("Coordinator failed: " + e.message);
   }
-  return { intent: "TEXT_ANSWER", agent: "DOCUMENT_QA", expandedKeywords: [], outputFormat: "text" };
+  return { intent: "TEXT_ANSWER", agent: "DOCUMENT_QA", expandedKeywords: glossaryExpansions(query, "DOCUMENT_QA"), outputFormat: "text" };
 }
 
 // ── Multi-Agent Expert Verification (The "100% Match" Engine) ──
@@ -1917,6 +7828,29 @@ function verificationAgent(query, context, initialAnswer, outputType) {
 // SHEET HELPERS
 // ============================================================
 
+function loadDocumentMap() {
+  const data = getSheet("Documents").getDataRange().getValues();
+  const map = {};
+  for (let i = 1; i < data.length; i++) {
+    map[String(data[i][0])] = {
+      id: data[i][0],
+      name: data[i][1],
+      folder_id: data[i][2],
+      drive_file_id: data[i][3],
+      file_type: data[i][4],
+      status: data[i][5],
+      page_count: Number(data[i][6]) || 0,
+      drawing_number: data[i][8] || "",
+      revision: data[i][9] || "",
+      supersedes: data[i][10] || "",
+      is_latest: String(data[i][11]).toUpperCase() !== "FALSE",
+      ...documentTitleBlock(data[i]),
+      duplicate_of: data[i][23] ? String(data[i][23]) : ""
+    };
+  }
+  return map;
+}
+
 function deleteRowById(sheet, id) {
   const data = sheet.getDataRange().getValues();
   for (let i = data.length - 1; i >= 1; i--) {
@@ -1928,13 +7862,22 @@ function deleteRowById(sheet, id) {
 }
 
 function deleteChunksByDocId(docId) {
+  vectorIndexRemoveDocument(String(docId));
+  deleteCablesByDocId(docId);
+  deleteComponentsByDocId(docId);
+  deletePagesByDocId(docId);
+
   const sheet = getSheet("Chunks");
-  const data = sheet.getDataRange().getValues();
+  const data = sheet.getRange(1, 1, Math.max(sheet.getLastRow(), 1), 3).getValues();
+  const removed = [];
   for (let i = data.length - 1; i >= 1; i--) {
     if (String(data[i][1]) === String(docId)) {
+      removed.push({ id: data[i][0], content: data[i][2] });
       sheet.deleteRow(i + 1);
     }
   }
+  keywordIndexRemove(removed);
+  if (removed.length > 0) markGraphStale();
 }
 
 function updateDocStatus(docId, status, pageCount) {
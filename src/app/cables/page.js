@@ -0,0 +1,173 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import AppShell from '@/components/layout/AppShell';
+import DocumentPreviewModal from '@/components/documents/DocumentPreviewModal';
+import useStore from '@/store/useStore';
+import { listCables } from '@/lib/api';
+import { downloadCSV } from '@/lib/csv';
+import { HiOutlineCollection, HiOutlineSearch, HiOutlineDownload, HiOutlineRefresh } from 'react-icons/hi';
+
+const CABLE_COLUMNS = [
+    { key: 'cable_id', label: 'Cable ID' },
+    { key: 'from', label: 'From' },
+    { key: 'to', label: 'To' },
+    { key: 'cores', label: 'Cores' },
+    { key: 'cross_section', label: 'Size (sq.mm)' },
+    { key: 'conductor', label: 'Conductor' },
+    { key: 'insulation', label: 'Insulation' },
+    { key: 'length', label: 'Length (m)' },
+    { key: 'document_name', label: 'Document' },
+    { key: 'page_number', label: 'Page' },
+];
+
+export default function CablesPage() {
+    const { folders, documents, addNotification } = useStore();
+    const [cables, setCables] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [search, setSearch] = useState('');
+    const [appliedSearch, setAppliedSearch] = useState('');
+    const [refreshCount, setRefreshCount] = useState(0);
+    const [selectedFolderId, setSelectedFolderId] = useState('');
+    const [selectedDocId, setSelectedDocId] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [previewDoc, setPreviewDoc] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        listCables({ search: appliedSearch, folderId: selectedFolderId, documentId: selectedDocId })
+            .then((res) => {
+                if (cancelled) return;
+                setCables(res.cables || []);
+                setTotal(res.total || 0);
+            })
+            .catch((err) => addNotification('Failed to load cables: ' + err.message, 'error'))
+            .finally(() => setLoading(false));
+        return () => { cancelled = true; };
+    }, [appliedSearch, selectedFolderId, selectedDocId, refreshCount, addNotification]);
+
+    function handleSearch() {
+        setLoading(true);
+        setAppliedSearch(search);
+        setRefreshCount((n) => n + 1);
+    }
+
+    function handleExport() {
+        downloadCSV(`cable_schedule_${new Date().toISOString().slice(0, 10)}.csv`, cables, CABLE_COLUMNS);
+    }
+
+    return (
+        <AppShell>
+            <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }}>
+                {/* Header */}
+                <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between mb-6 gap-3">
+                    <div>
+                        <h1 className="text-3xl font-bold flex items-center gap-2" style={{ color: 'var(--text-primary)' }}>
+                            <HiOutlineCollection size={28} style={{ color: 'var(--accent-cyan)' }} />
+                            Cable Schedule
+                        </h1>
+                        <p className="text-sm mt-1" style={{ color: 'var(--text-secondary)' }}>
+                            Cables extracted from your processed drawings and schedules
+                        </p>
+                    </div>
+                    <button onClick={handleExport} className="btn-primary text-sm" disabled={cables.length === 0}>
+                        <HiOutlineDownload size={16} /> Export CSV
+                    </button>
+                </div>
+
+                {/* Filters */}
+                <div className="flex flex-wrap gap-4 mb-4 items-end">
+                    <div className="flex-[2] min-w-[240px]">
+                        <label className="block text-xs font-bold mb-1 ml-1" style={{ color: 'var(--text-secondary)' }}>Search</label>
+                        <div className="flex gap-2">
+                            <input
+                                className="input-field w-full text-sm"
+                                placeholder="Cable ID, source or destination (e.g. W-102, DB-01)"
+                                value={search}
+                                onChange={(e) => setSearch(e.target.value)}
+                                onKeyDown={(e) => e.key === 'Enter' && handleSearch()}
+                            />
+                            <button onClick={handleSearch} className="btn-secondary text-sm" disabled={loading}>
+                                {loading ? <HiOutlineRefresh className="animate-spin" size={16} /> : <HiOutlineSearch size={16} />}
+                            </button>
+                        </div>
+                    </div>
+                    <div className="flex-1 min-w-[180px]">
+                        <label className="block text-xs font-bold mb-1 ml-1" style={{ color: 'var(--text-secondary)' }}>Folder</label>
+                        <select
+                            className="input-field w-full text-sm"
+                            value={selectedFolderId}
+                            onChange={(e) => { setLoading(true); setSelectedFolderId(e.target.value); setSelectedDocId(''); }}
+                        >
+                            <option value="">All Folders</option>
+                            {folders.map(f => <option key={f.id} value={f.id}>{f.name}</option>)}
+                        </select>
+                    </div>
+                    <div className="flex-1 min-w-[180px]">
+                        <label className="block text-xs font-bold mb-1 ml-1" style={{ color: 'var(--text-secondary)' }}>Document</label>
+                        <select
+                            className="input-field w-full text-sm"
+                            value={selectedDocId}
+                            onChange={(e) => { setLoading(true); setSelectedDocId(e.target.value); }}
+                        >
+                            <option value="">All Documents</option>
+                            {documents
+                                .filter(d => !selectedFolderId || d.folder_id === selectedFolderId)
+                                .map(d => <option key={d.id} value={d.id}>{d.name}</option>)}
+                        </select>
+                    </div>
+                </div>
+
+                {/* Table */}
+                <div className="glass-card p-4 overflow-x-auto">
+                    <p className="text-xs mb-3" style={{ color: 'var(--text-secondary)' }}>
+                        {total > cables.length ? `Showing ${cables.length} of ${total} cables` : `${total} cables`}
+                    </p>
+                    {cables.length === 0 ? (
+                        <p className="text-sm py-8 text-center" style={{ color: 'var(--text-secondary)' }}>
+                            {loading ? 'Loading cables...' : 'No cables found. Process a document containing a cable schedule to populate this view.'}
+                        </p>
+                    ) : (
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr style={{ color: 'var(--text-secondary)', borderBottom: '1px solid var(--border-glass)' }}>
+                                    {CABLE_COLUMNS.map(c => (
+                                        <th key={c.key} className="text-left font-semibold text-xs py-2 px-2 whitespace-nowrap">{c.label}</th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {cables.map((c) => (
+                                    <tr key={c.id} style={{ borderBottom: '1px solid var(--border-glass)' }}>
+                                        <td className="py-2 px-2 font-mono font-semibold" style={{ color: 'var(--accent-cyan)' }}>{c.cable_id}</td>
+                                        <td className="py-2 px-2">{c.from || '—'}</td>
+                                        <td className="py-2 px-2">{c.to || '—'}</td>
+                                        <td className="py-2 px-2">{c.cores || '—'}</td>
+                                        <td className="py-2 px-2">{c.cross_section || '—'}</td>
+                                        <td className="py-2 px-2">{c.conductor || '—'}</td>
+                                        <td className="py-2 px-2">{c.insulation || '—'}</td>
+                                        <td className="py-2 px-2">{c.length || '—'}</td>
+                                        <td className="py-2 px-2 max-w-[220px] truncate" title={c.document_name}>{c.document_name}</td>
+                                        <td className="py-2 px-2">
+                                            <button
+                                                onClick={() => setPreviewDoc({ name: c.document_name, drive_file_id: c.drive_file_id, page: c.page_number })}
+                                                disabled={!c.drive_file_id}
+                                                className="text-xs px-2 py-0.5 rounded-full"
+                                                style={{ background: 'rgba(59, 130, 246, 0.1)', color: 'var(--accent-blue)' }}
+                                            >
+                                                p.{c.page_number}
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            </motion.div>
+
+            <DocumentPreviewModal doc={previewDoc} onClose={() => setPreviewDoc(null)} />
+        </AppShell>
+    );
+}
@@ -0,0 +1,245 @@
+'use client';
+
+import { Fragment, useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import AppShell from '@/components/layout/AppShell';
+import DocumentPreviewModal from '@/components/documents/DocumentPreviewModal';
+import useStore from '@/store/useStore';
+import { searchComponents } from '@/lib/api';
+import { downloadCSV } from '@/lib/csv';
+import {
+    HiOutlineCube, HiOutlineSearch, HiOutlineDownload, HiOutlineRefresh,
+    HiOutlineChevronDown, HiOutlineChevronRight, HiOutlineExclamation
+} from 'react-icons/hi';
+
+const COMPONENT_TYPES = ['MCCB', 'MCB', 'ACB', 'VCB', 'RCCB', 'RCBO', 'ELCB', 'MPCB', 'SFU', 'FSU', 'ISOLATOR', 'CONTACTOR', 'RELAY', 'TRANSFORMER', 'VFD', 'UPS', 'SPD', 'ATS', 'CT', 'PT'];
+
+const COMPONENT_COLUMNS = [
+    { key: 'tag', label: 'Tag' },
+    { key: 'type', label: 'Type' },
+    { key: 'rating_a', label: 'Rating (A)' },
+    { key: 'breaking_ka', label: 'Breaking (kA)' },
+    { key: 'poles', label: 'Poles' },
+    { key: 'manufacturer', label: 'Make' },
+    { key: 'model', label: 'Model' },
+    { key: 'panel', label: 'Panel' },
+    { key: 'document_count', label: 'Documents' },
+];
+
+// Free-text filter fields; rating and breaking take range expressions
+const FILTER_FIELDS = [
+    { key: 'rating', placeholder: 'Rating, e.g. 630A or >= 400A' },
+    { key: 'breaking', placeholder: 'Breaking, e.g. 36-50kA' },
+    { key: 'manufacturer', placeholder: 'Make, e.g. Siemens' },
+    { key: 'model', placeholder: 'Model, e.g. 3VA' },
+    { key: 'panel', placeholder: 'Panel, e.g. MLDB-1' },
+];
+
+export default function ComponentsPage() {
+    const { folders, documents, addNotification } = useStore();
+    const [components, setComponents] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [filters, setFilters] = useState({ search: '', type: '', poles: '' });
+    const [appliedFilters, setAppliedFilters] = useState({});
+    const [refreshCount, setRefreshCount] = useState(0);
+    const [selectedFolderId, setSelectedFolderId] = useState('');
+    const [selectedDocId, setSelectedDocId] = useState('');
+    const [expanded, setExpanded] = useState(null); // tag (or first occurrence id) of the open entry
+    const [loading, setLoading] = useState(true);
+    const [previewDoc, setPreviewDoc] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        searchComponents({ ...appliedFilters, folderId: selectedFolderId, documentId: selectedDocId })
+            .then((res) => {
+                if (cancelled) return;
+                setComponents(res.components || []);
+                setTotal(res.total || 0);
+            })
+            .catch((err) => addNotification('Failed to load components: ' + err.message, 'error'))
+            .finally(() => setLoading(false));
+        return () => { cancelled = true; };
+    }, [appliedFilters, selectedFolderId, selectedDocId, refreshCount, addNotification]);
+
+    function setFilter(key, value) {
+        setFilters(prev => ({ ...prev, [key]: value }));
+    }
+
+    function handleSearch() {
+        setLoading(true);
+        setAppliedFilters(filters);
+        setRefreshCount((n) => n + 1);
+    }
+
+    function handleExport() {
+        const rows = components.map(c => ({ ...c, panel: c.panels.join(' / ') }));
+        downloadCSV(`component_register_${new Date().toISOString().slice(0, 10)}.csv`, rows, COMPONENT_COLUMNS);
+    }
+
+    const entryKey = (c) => c.tag || c.occurrences[0].id;
+
+    return (
+        <AppShell>
+            <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }}>
+                {/* Header */}
+                <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between mb-6 gap-3">
+                    <div>
+                        <h1 className="text-3xl font-bold flex items-center gap-2" style={{ color: 'var(--text-primary)' }}>
+                            <HiOutlineCube size={28} style={{ color: 'var(--accent-cyan)' }} />
+                            Component Register
+                        </h1>
+                        <p className="text-sm mt-1" style={{ color: 'var(--text-secondary)' }}>
+                            Switchgear ratings, makes and models from your processed drawings, one row per tag
+                        </p>
+                    </div>
+                    <button onClick={handleExport} className="btn-primary text-sm" disabled={components.length === 0}>
+                        <HiOutlineDownload size={16} /> Export CSV
+                    </button>
+                </div>
+
+                {/* Filters */}
+                <div className="flex flex-wrap gap-4 mb-3 items-end">
+                    <div className="flex-[2] min-w-[240px]">
+                        <label className="block text-xs font-bold mb-1 ml-1" style={{ color: 'var(--text-secondary)' }}>Search</label>
+                        <div className="flex gap-2">
+                            <input
+                                className="input-field w-full text-sm"
+                                placeholder="Tag, make, model or panel (e.g. ACB-01, 3WL)"
+                                value={filters.search}
+                                onChange={(e) => setFilter('search', e.target.value)}
+                                onKeyDown={(e) => e.key === 'Enter' && handleSearch()}
+                            />
+                            <button onClick={handleSearch} className="btn-secondary text-sm" disabled={loading}>
+                                {loading ? <HiOutlineRefresh className="animate-spin" size={16} /> : <HiOutlineSearch size={16} />}
+                            </button>
+                        </div>
+                    </div>
+                    <div className="flex-1 min-w-[180px]">
+                        <label className="block text-xs font-bold mb-1 ml-1" style={{ color: 'var(--text-secondary)' }}>Folder</label>
+                        <select
+                            className="input-field w-full text-sm"
+                            value={selectedFolderId}
+                            onChange={(e) => { setLoading(true); setSelectedFolderId(e.target.value); setSelectedDocId(''); }}
+                        >
+                            <option value="">All Folders</option>
+                            {folders.map(f => <option key={f.id} value={f.id}>{f.name}</option>)}
+                        </select>
+                    </div>
+                    <div className="flex-1 min-w-[180px]">
+                        <label className="block text-xs font-bold mb-1 ml-1" style={{ color: 'var(--text-secondary)' }}>Document</label>
+                        <select
+                            className="input-field w-full text-sm"
+                            value={selectedDocId}
+                            onChange={(e) => { setLoading(true); setSelectedDocId(e.target.value); }}
+                        >
+                            <option value="">All Documents</option>
+                            {documents
+                                .filter(d => !selectedFolderId || d.folder_id === selectedFolderId)
+                                .map(d => <option key={d.id} value={d.id}>{d.name}</option>)}
+                        </select>
+                    </div>
+                </div>
+                <div className="flex flex-wrap gap-3 mb-4">
+                    <select className="input-field text-sm" value={filters.type} onChange={(e) => setFilter('type', e.target.value)}>
+                        <option value="">Any type</option>
+                        {COMPONENT_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+                    </select>
+                    <select className="input-field text-sm" value={filters.poles} onChange={(e) => setFilter('poles', e.target.value)}>
+                        <option value="">Any poles</option>
+                        {[1, 2, 3, 4].map(p => <option key={p} value={p}>{p}P</option>)}
+                    </select>
+                    {FILTER_FIELDS.map(field => (
+                        <input
+                            key={field.key}
+                            className="input-field flex-1 min-w-[160px] text-sm"
+                            placeholder={field.placeholder}
+                            value={filters[field.key] || ''}
+                            onChange={(e) => setFilter(field.key, e.target.value)}
+                            onKeyDown={(e) => e.key === 'Enter' && handleSearch()}
+                        />
+                    ))}
+                </div>
+
+                {/* Register */}
+                <div className="glass-card p-4 overflow-x-auto">
+                    <p className="text-xs mb-3" style={{ color: 'var(--text-secondary)' }}>
+                        {total > components.length ? `Showing ${components.length} of ${total} components` : `${total} components`}
+                    </p>
+                    {components.length === 0 ? (
+                        <p className="text-sm py-8 text-center" style={{ color: 'var(--text-secondary)' }}>
+                            {loading ? 'Loading components...' : 'No components found. Process drawings or BOMs that list breaker ratings and makes to populate the register.'}
+                        </p>
+                    ) : (
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr style={{ color: 'var(--text-secondary)', borderBottom: '1px solid var(--border-glass)' }}>
+                                    <th className="w-6" />
+                                    {COMPONENT_COLUMNS.map(c => (
+                                        <th key={c.key} className="text-left font-semibold text-xs py-2 px-2 whitespace-nowrap">{c.label}</th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {components.map((c) => {
+                                    const key = entryKey(c);
+                                    const open = expanded === key;
+                                    const cell = (field) => (
+                                        <span title={c.conflicts.includes(field) ? 'Documents disagree; showing the most common value' : undefined}
+                                            style={c.conflicts.includes(field) ? { color: 'var(--accent-amber)' } : undefined}>
+                                            {c[field] || '—'}
+                                            {c.conflicts.includes(field) && <HiOutlineExclamation size={12} style={{ display: 'inline', marginLeft: 4 }} />}
+                                        </span>
+                                    );
+                                    return (
+                                        <Fragment key={key}>
+                                            <tr onClick={() => setExpanded(open ? null : key)} className="cursor-pointer"
+                                                style={{ borderBottom: '1px solid var(--border-glass)' }}>
+                                                <td className="py-2 px-1" style={{ color: 'var(--text-secondary)' }}>
+                                                    {open ? <HiOutlineChevronDown size={14} /> : <HiOutlineChevronRight size={14} />}
+                                                </td>
+                                                <td className="py-2 px-2 font-mono font-semibold" style={{ color: 'var(--accent-cyan)' }}>{c.tag || '—'}</td>
+                                                <td className="py-2 px-2">{cell('type')}</td>
+                                                <td className="py-2 px-2">{cell('rating_a')}</td>
+                                                <td className="py-2 px-2">{cell('breaking_ka')}</td>
+                                                <td className="py-2 px-2">{cell('poles')}</td>
+                                                <td className="py-2 px-2">{cell('manufacturer')}</td>
+                                                <td className="py-2 px-2">{cell('model')}</td>
+                                                <td className="py-2 px-2">{c.panels.join(', ') || '—'}</td>
+                                                <td className="py-2 px-2">{c.document_count}</td>
+                                            </tr>
+                                            {open && c.occurrences.map(o => (
+                                                <tr key={o.id} className="text-xs" style={{ color: 'var(--text-secondary)', borderBottom: '1px solid var(--border-glass)' }}>
+                                                    <td />
+                                                    <td className="py-1.5 px-2 max-w-[220px] truncate" title={o.document_name}>
+                                                        <button
+                                                            onClick={() => setPreviewDoc({ name: o.document_name, drive_file_id: o.drive_file_id, page: o.page_number })}
+                                                            disabled={!o.drive_file_id}
+                                                            className="px-2 py-0.5 rounded-full"
+                                                            style={{ background: 'rgba(59, 130, 246, 0.1)', color: 'var(--accent-blue)' }}
+                                                        >
+                                                            {o.document_name} p.{o.page_number}
+                                                        </button>
+                                                    </td>
+                                                    <td className="py-1.5 px-2">{o.type || '—'}</td>
+                                                    <td className="py-1.5 px-2">{o.rating_a || '—'}</td>
+                                                    <td className="py-1.5 px-2">{o.breaking_ka || '—'}</td>
+                                                    <td className="py-1.5 px-2">{o.poles || '—'}</td>
+                                                    <td className="py-1.5 px-2">{o.manufacturer || '—'}</td>
+                                                    <td className="py-1.5 px-2">{o.model || '—'}</td>
+                                                    <td className="py-1.5 px-2">{o.panel || '—'}</td>
+                                                    <td />
+                                                </tr>
+                                            ))}
+                                        </Fragment>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            </motion.div>
+
+            <DocumentPreviewModal doc={previewDoc} onClose={() => setPreviewDoc(null)} />
+        </AppShell>
+    );
+}
@@ -0,0 +1,213 @@
+'use client';
+
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import AppShell from '@/components/layout/AppShell';
+import DocumentPreviewModal from '@/components/documents/DocumentPreviewModal';
+import useStore from '@/store/useStore';
+import { checkConsistency } from '@/lib/api';
+import { downloadCSV } from '@/lib/csv';
+import { HiOutlineClipboardCheck, HiOutlineDownload, HiOutlineLightningBolt } from 'react-icons/hi';
+
+const SPREADSHEET_RE = /\.(xlsx|xls|csv)$/i;
+
+const ISSUE_STYLES = {
+    missing: { label: 'Missing on drawings', color: 'var(--accent-rose)', bg: 'rgba(244, 63, 94, 0.1)' },
+    mismatch: { label: 'Mismatch', color: 'var(--accent-amber)', bg: 'rgba(245, 158, 11, 0.1)' },
+    orphan: { label: 'Not in spreadsheet', color: 'var(--accent-purple)', bg: 'rgba(139, 92, 246, 0.1)' },
+};
+
+const FIELD_LABELS = { cores: 'Cores', cross_section: 'Size (sq.mm)' };
+
+const REPORT_COLUMNS = [
+    { key: 'type', label: 'Issue' },
+    { key: 'tag', label: 'Tag' },
+    { key: 'field', label: 'Field' },
+    { key: 'spreadsheet_value', label: 'Spreadsheet Value' },
+    { key: 'drawing_value', label: 'Drawing Value' },
+    { key: 'spreadsheet_ref', label: 'Spreadsheet Reference' },
+    { key: 'drawing_refs', label: 'Drawing References' },
+];
+
+function isSpreadsheet(doc) {
+    return SPREADSHEET_RE.test(doc.name || '') || /spreadsheet|ms-excel|text\/csv/.test(doc.file_type || '');
+}
+
+export default function ConsistencyPage() {
+    const { folders, documents, addNotification } = useStore();
+    const [spreadsheetId, setSpreadsheetId] = useState('');
+    const [selectedFolderId, setSelectedFolderId] = useState('');
+    const [selectedDocIds, setSelectedDocIds] = useState([]);
+    const [filterType, setFilterType] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [report, setReport] = useState(null);
+    const [previewDoc, setPreviewDoc] = useState(null);
+
+    const spreadsheets = documents.filter(isSpreadsheet);
+    const drawings = documents.filter(d => d.id !== spreadsheetId && !isSpreadsheet(d) && (!selectedFolderId || d.folder_id === selectedFolderId));
+    const issues = (report?.issues || []).filter(i => !filterType || i.type === filterType);
+
+    function toggleDoc(id) {
+        setSelectedDocIds(ids => ids.includes(id) ? ids.filter(x => x !== id) : [...ids, id]);
+    }
+
+    async function handleCheck() {
+        if (!spreadsheetId) return;
+        setLoading(true);
+        try {
+            const result = await checkConsistency(spreadsheetId, { documentIds: selectedDocIds, folderId: selectedFolderId });
+            setReport(result);
+            setFilterType('');
+            addNotification(`Checked ${result.spreadsheet.rows} rows against ${result.drawingCount} documents`, 'success');
+        } catch (e) {
+            addNotification('Consistency check failed: ' + e.message, 'error');
+        }
+        setLoading(false);
+    }
+
+    function handleExport() {
+        const rows = report.issues.map(i => ({
+            type: i.type,
+            tag: i.tag,
+            field: i.field ? FIELD_LABELS[i.field] : '',
+            spreadsheet_value: i.spreadsheet_value ?? '',
+            drawing_value: i.drawing_value ?? '',
+            spreadsheet_ref: i.spreadsheet ? `${i.spreadsheet.document_name} / ${i.spreadsheet.sheet} row ${i.spreadsheet.row}` : '',
+            drawing_refs: i.drawing.map(d => `${d.document_name} p.${d.page_number}`).join('; '),
+        }));
+        downloadCSV(`consistency_${report.spreadsheet.name.replace(/\.[^.]+$/, '')}.csv`, rows, REPORT_COLUMNS);
+    }
+
+    return (
+        <AppShell>
+            <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }}>
+                {/* Header */}
+                <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between mb-6 gap-3">
+                    <div>
+                        <h1 className="text-3xl font-bold flex items-center gap-2" style={{ color: 'var(--text-primary)' }}>
+                            <HiOutlineClipboardCheck size={28} style={{ color: 'var(--accent-cyan)' }} />
+                            Consistency Check
+                        </h1>
+                        <p className="text-sm mt-1" style={{ color: 'var(--text-secondary)' }}>
+                            Compare a cable schedule or BOM spreadsheet against your drawings
+                        </p>
+                    </div>
+                    <button onClick={handleExport} className="btn-secondary text-sm" disabled={!report || report.issues.length === 0}>
+                        <HiOutlineDownload size={16} /> Export Report
+                    </button>
+                </div>
+
+                {/* Inputs */}
+                <div className="glass-card p-4 mb-4 space-y-4">
+                    <div className="flex flex-wrap gap-4 items-end">
+                        <div className="flex-1 min-w-[220px]">
+                            <label className="block text-xs font-bold mb-1 ml-1" style={{ color: 'var(--text-secondary)' }}>Spreadsheet</label>
+                            <select className="input-field w-full text-sm" value={spreadsheetId} onChange={(e) => setSpreadsheetId(e.target.value)}>
+                                <option value="">Select a cable schedule or BOM...</option>
+                                {spreadsheets.map(d => <option key={d.id} value={d.id}>{d.name}</option>)}
+                            </select>
+                        </div>
+                        <div className="flex-1 min-w-[200px]">
+                            <label className="block text-xs font-bold mb-1 ml-1" style={{ color: 'var(--text-secondary)' }}>Drawings Folder</label>
+                            <select
+                                className="input-field w-full text-sm"
+                                value={selectedFolderId}
+                                onChange={(e) => { setSelectedFolderId(e.target.value); setSelectedDocIds([]); }}
+                            >
+                                <option value="">All Folders</option>
+                                {folders.map(f => <option key={f.id} value={f.id}>{f.name}</option>)}
+                            </select>
+                        </div>
+                        <button onClick={handleCheck} disabled={loading || !spreadsheetId} className="btn-primary">
+                            {loading ? <div className="spinner" /> : <><HiOutlineLightningBolt size={18} /> Run Check</>}
+                        </button>
+                    </div>
+
+                    {drawings.length > 0 && (
+                        <div>
+                            <p className="text-xs font-bold mb-2 ml-1" style={{ color: 'var(--text-secondary)' }}>
+                                Drawings {selectedDocIds.length === 0 ? '(all in scope)' : `(${selectedDocIds.length} selected)`}
+                            </p>
+                            <div className="flex flex-wrap gap-2 max-h-32 overflow-y-auto">
+                                {drawings.map(d => (
+                                    <button
+                                        key={d.id}
+                                        onClick={() => toggleDoc(d.id)}
+                                        className="text-xs px-3 py-1 rounded-full"
+                                        style={selectedDocIds.includes(d.id)
+                                            ? { background: 'rgba(6, 182, 212, 0.15)', color: 'var(--accent-cyan)' }
+                                            : { background: 'var(--bg-glass)', color: 'var(--text-secondary)' }}
+                                    >
+                                        {d.name}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+                </div>
+
+                {/* Report */}
+                {report && (
+                    <div className="glass-card p-4">
+                        <div className="flex flex-wrap gap-2 mb-4 text-xs">
+                            <button onClick={() => setFilterType('')} className={`tab-btn ${filterType === '' ? 'active' : ''}`}>
+                                All ({report.issues.length})
+                            </button>
+                            {Object.entries(ISSUE_STYLES).map(([type, style]) => (
+                                <button key={type} onClick={() => setFilterType(type)} className={`tab-btn ${filterType === type ? 'active' : ''}`}>
+                                    {style.label} ({report.summary[type]})
+                                </button>
+                            ))}
+                            <span className="status-badge info ml-auto">
+                                {report.summary.matched} matched • {report.mode === 'bom' ? 'BOM' : 'Cable schedule'}
+                            </span>
+                        </div>
+
+                        {issues.length === 0 ? (
+                            <p className="text-sm py-8 text-center" style={{ color: 'var(--text-secondary)' }}>
+                                No issues of this type.
+                            </p>
+                        ) : (
+                            <div className="space-y-2">
+                                {issues.map((issue, i) => {
+                                    const style = ISSUE_STYLES[issue.type];
+                                    return (
+                                        <div key={i} className="flex flex-wrap items-center gap-2 text-xs py-2" style={{ borderBottom: '1px solid var(--border-glass)' }}>
+                                            <span className="px-2 py-0.5 rounded-full font-semibold" style={{ background: style.bg, color: style.color }}>
+                                                {style.label}
+                                            </span>
+                                            <span className="font-mono font-semibold" style={{ color: 'var(--text-primary)' }}>{issue.tag}</span>
+                                            {issue.type === 'mismatch' && (
+                                                <span style={{ color: 'var(--text-secondary)' }}>
+                                                    {FIELD_LABELS[issue.field]}: spreadsheet <strong>{issue.spreadsheet_value}</strong> vs drawing <strong>{issue.drawing_value}</strong>
+                                                </span>
+                                            )}
+                                            {issue.spreadsheet && (
+                                                <span className="px-2 py-0.5 rounded-full" style={{ background: 'rgba(16, 185, 129, 0.1)', color: 'var(--accent-emerald)' }}>
+                                                    {issue.spreadsheet.sheet} row {issue.spreadsheet.row}
+                                                </span>
+                                            )}
+                                            {issue.drawing.map((d, j) => (
+                                                <button
+                                                    key={j}
+                                                    onClick={() => setPreviewDoc({ name: d.document_name, drive_file_id: d.drive_file_id, page: d.page_number })}
+                                                    disabled={!d.drive_file_id}
+                                                    className="px-2 py-0.5 rounded-full"
+                                                    style={{ background: 'rgba(59, 130, 246, 0.1)', color: 'var(--accent-blue)' }}
+                                                >
+                                                    {d.document_name} • p.{d.page_number}
+                                                </button>
+                                            ))}
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        )}
+                    </div>
+                )}
+            </motion.div>
+
+            <DocumentPreviewModal doc={previewDoc} onClose={() => setPreviewDoc(null)} />
+        </AppShell>
+    );
+}
@@ -14,15 +14,19 @@ import {
 } from '@xyflow/react';
 import '@xyflow/react/dist/style.css';
 import AppShell from '@/components/layout/AppShell';
+import DocumentPreviewModal from '@/components/documents/DocumentPreviewModal';
 import useStore from '@/store/useStore';
-import { queryRAG } from '@/lib/api';
+import { queryRAG, tracePath } from '@/lib/api';
 import {
     HiOutlineChip, HiOutlineLightningBolt, HiOutlineRefresh,
     HiOutlineZoomIn, HiOutlineDownload, HiOutlineSearch,
-    HiOutlineAdjustments, HiOutlineShieldCheck
+    HiOutlineAdjustments, HiOutlineShieldCheck, HiOutlineArrowNarrowRight
 } from 'react-icons/hi';
 import { saveArtifact } from '@/lib/supabase';
 
+// Extraction confidence required by "High-confidence data only"; repaired, fallback and unverified LLM data score lower
+const HIGH_CONFIDENCE = 0.8;
+
 // ── Component colors ──
 const COMPONENT_COLORS = {
     MCCB: '#3b82f6', ACB: '#8b5cf6', MCB: '#06b6d4', VCB: '#e11d48',
@@ -134,6 +138,47 @@ function autoLayout(components, connections) {
     return { nodes, edges };
 }
 
+// ── Layout helpers: traced route as a top-down chain ──
+function pathLayout(trace) {
+    const nodes = trace.path.map((label, i) => {
+        const color = getNodeColor(label);
+        const isEnd = i === 0 || i === trace.path.length - 1;
+        return {
+            id: `p-${i}`,
+            data: { label },
+            position: { x: 500, y: i * 160 },
+            style: {
+                background: `${color}15`,
+                border: `${isEnd ? 3 : 2}px solid ${color}`,
+                borderRadius: '14px',
+                padding: '14px 20px',
+                color: '#f1f5f9',
+                fontSize: '13px',
+                fontWeight: '700',
+                boxShadow: `0 0 ${isEnd ? 30 : 20}px ${color}33`,
+                minWidth: '160px',
+                textAlign: 'center',
+            },
+        };
+    });
+
+    const edges = trace.hops.map((hop, i) => ({
+        id: `pe-${i}`,
+        source: `p-${i}`,
+        target: `p-${i + 1}`,
+        animated: true,
+        style: { stroke: '#f59e0b', strokeWidth: 3 },
+        markerEnd: { type: MarkerType.ArrowClosed, color: '#f59e0b' },
+        label: hop.cables.join(', '),
+        labelStyle: { fill: '#94a3b8', fontSize: 11, fontWeight: 600 },
+        labelBgStyle: { fill: '#111827', fillOpacity: 0.8 },
+        labelBgPadding: [4, 8],
+        labelBgBorderRadius: 6,
+    }));
+
+    return { nodes, edges };
+}
+
 export default function DiagramPage() {
     const { folders, documents, addNotification } = useStore();
     const [searchQuery, setSearchQuery] = useState('');
@@ -144,6 +189,12 @@ export default function DiagramPage() {
     const [componentCount, setComponentCount] = useState(0);
     const [connectionCount, setConnectionCount] = useState(0);
     const [showLegend, setShowLegend] = useState(true);
+    const [highConfidenceOnly, setHighConfidenceOnly] = useState(false);
+    const [mode, setMode] = useState('schematic'); // schematic, trace
+    const [traceFrom, setTraceFrom] = useState('');
+    const [traceTo, setTraceTo] = useState('');
+    const [traceResult, setTraceResult] = useState(null);
+    const [previewDoc, setPreviewDoc] = useState(null);
 
     const [nodes, setNodes, onNodesChange] = useNodesState([]);
     const [edges, setEdges, onEdgesChange] = useEdgesState([]);
@@ -158,6 +209,7 @@ export default function DiagramPage() {
                 matchCount: 15,
                 folderId: selectedFolderId || null,
                 documentId: selectedDocId || null,
+                minConfidence: highConfidenceOnly ? HIGH_CONFIDENCE : 0,
             });
 
             // Aggregate components & connections from matches
@@ -212,6 +264,39 @@ export default function DiagramPage() {
         setLoading(false);
     }
 
+    // Trace the route between two tags over the project-wide connectivity graph
+    async function handleTrace() {
+        if (!traceFrom.trim() || !traceTo.trim()) return;
+        setLoading(true);
+        try {
+            const result = await tracePath(traceFrom.trim(), traceTo.trim(), {
+                folderId: selectedFolderId || null,
+                documentId: selectedDocId || null,
+                minConfidence: highConfidenceOnly ? HIGH_CONFIDENCE : 0,
+            });
+            setTraceResult(result);
+
+            if (result.found) {
+                const { nodes: newNodes, edges: newEdges } = pathLayout(result);
+                setNodes(newNodes);
+                setEdges(newEdges);
+                setDiagramTitle(`${result.from.label} → ${result.to.label}`);
+                setComponentCount(result.path.length);
+                setConnectionCount(result.hops.length);
+                addNotification(`Route found: ${result.hops.length} hops`, 'success');
+            } else {
+                setNodes([]);
+                setEdges([]);
+                setDiagramTitle('');
+                addNotification(result.message, 'info');
+            }
+        } catch (e) {
+            setTraceResult(null);
+            addNotification('Path trace failed: ' + e.message, 'error');
+        }
+        setLoading(false);
+    }
+
     // Export and Save to Supabase (PRD 4.7 / 4.9)
     async function handleExport() {
         if (nodes.length === 0) return;
@@ -293,29 +378,81 @@ export default function DiagramPage() {
                             ))}
                         </select>
                     </div>
+                    <label className="flex items-center gap-2 text-xs whitespace-nowrap pb-3" style={{ color: 'var(--text-secondary)' }}
+                        title="Only use data from schema-valid LLM, CAD or spreadsheet extractions">
+                        <input
+                            type="checkbox"
+                            checked={highConfidenceOnly}
+                            onChange={(e) => setHighConfidenceOnly(e.target.checked)}
+                        />
+                        High-confidence data only
+                    </label>
+                </div>
+
+                {/* Mode tabs */}
+                <div className="flex gap-2 mb-4">
+                    {[
+                        { id: 'schematic', label: 'Schematic Search', icon: HiOutlineSearch },
+                        { id: 'trace', label: 'Trace Path', icon: HiOutlineArrowNarrowRight },
+                    ].map((tab) => {
+                        const Icon = tab.icon;
+                        return (
+                            <button key={tab.id} onClick={() => setMode(tab.id)} className={`tab-btn ${mode === tab.id ? 'active' : ''}`}>
+                                <Icon size={14} style={{ display: 'inline', marginRight: 6 }} />
+                                {tab.label}
+                            </button>
+                        );
+                    })}
                 </div>
 
                 {/* Search bar */}
                 <div className="glass-card p-4 mb-4">
-                    <div className="flex gap-3">
-                        <div className="relative flex-1">
+                    {mode === 'trace' ? (
+                        <div className="flex flex-wrap gap-3">
+                            <input
+                                className="input-field flex-1 min-w-[180px]"
+                                placeholder="From tag, e.g. 33kV Incomer"
+                                value={traceFrom}
+                                onChange={(e) => setTraceFrom(e.target.value)}
+                                onKeyDown={(e) => e.key === 'Enter' && handleTrace()}
+                            />
+                            <HiOutlineArrowNarrowRight className="self-center opacity-40" size={20} />
                             <input
-                                className="input-field w-full pl-10"
-                                placeholder="Search for a circuit, panel, or system... e.g., 'Traction power panel SLD'"
-                                value={searchQuery}
-                                onChange={(e) => setSearchQuery(e.target.value)}
-                                onKeyDown={(e) => e.key === 'Enter' && handleSearch()}
+                                className="input-field flex-1 min-w-[180px]"
+                                placeholder="To tag, e.g. MCCB-07"
+                                value={traceTo}
+                                onChange={(e) => setTraceTo(e.target.value)}
+                                onKeyDown={(e) => e.key === 'Enter' && handleTrace()}
                             />
-                            <HiOutlineSearch className="absolute left-3 top-1/2 -translate-y-1/2 opacity-30" size={18} />
+                            <button
+                                onClick={handleTrace}
+                                disabled={loading || !traceFrom.trim() || !traceTo.trim()}
+                                className="btn-primary"
+                            >
+                                {loading ? <div className="spinner" /> : <><HiOutlineLightningBolt size={18} /> Trace</>}
+                            </button>
                         </div>
-                        <button
-                            onClick={handleSearch}
-                            disabled={loading || !searchQuery.trim()}
-                            className="btn-primary"
-                        >
-                            {loading ? <div className="spinner" /> : <><HiOutlineLightningBolt size={18} /> Generate</>}
-                        </button>
-                    </div>
+                    ) : (
+                        <div className="flex gap-3">
+                            <div className="relative flex-1">
+                                <input
+                                    className="input-field w-full pl-10"
+                                    placeholder="Search for a circuit, panel, or system... e.g., 'Traction power panel SLD'"
+                                    value={searchQuery}
+                                    onChange={(e) => setSearchQuery(e.target.value)}
+                                    onKeyDown={(e) => e.key === 'Enter' && handleSearch()}
+                                />
+                                <HiOutlineSearch className="absolute left-3 top-1/2 -translate-y-1/2 opacity-30" size={18} />
+                            </div>
+                            <button
+                                onClick={handleSearch}
+                                disabled={loading || !searchQuery.trim()}
+                                className="btn-primary"
+                            >
+                                {loading ? <div className="spinner" /> : <><HiOutlineLightningBolt size={18} /> Generate</>}
+                            </button>
+                        </div>
+                    )}
                     {diagramTitle && (
                         <div className="flex items-center gap-4 mt-3 text-xs" style={{ color: 'var(--text-secondary)' }}>
                             <span>📋 <strong style={{ color: 'var(--text-primary)' }}>{diagramTitle}</strong></span>
@@ -387,7 +524,41 @@ export default function DiagramPage() {
                         </ReactFlow>
                     )}
                 </div>
+
+                {/* Traced route with citations per hop */}
+                {mode === 'trace' && traceResult?.found && (
+                    <div className="glass-card p-4 mt-4">
+                        <p className="text-xs font-bold mb-3" style={{ color: 'var(--text-primary)' }}>Route</p>
+                        <div className="space-y-2">
+                            {traceResult.hops.map((hop, i) => (
+                                <div key={i} className="flex flex-wrap items-center gap-2 text-xs">
+                                    <span className="font-semibold" style={{ color: 'var(--text-primary)' }}>{hop.from}</span>
+                                    <HiOutlineArrowNarrowRight className="opacity-40" />
+                                    <span className="font-semibold" style={{ color: 'var(--text-primary)' }}>{hop.to}</span>
+                                    {hop.cables.length > 0 && (
+                                        <span className="px-2 py-0.5 rounded-full font-mono" style={{ background: 'rgba(245,158,11,0.1)', color: 'var(--accent-amber)' }}>
+                                            {hop.cables.join(', ')}
+                                        </span>
+                                    )}
+                                    {hop.citations.map((c, j) => (
+                                        <button
+                                            key={j}
+                                            onClick={() => setPreviewDoc({ name: c.document_name, drive_file_id: c.drive_file_id, page: c.page_number })}
+                                            disabled={!c.drive_file_id}
+                                            className="px-2 py-0.5 rounded-full"
+                                            style={{ background: 'rgba(59,130,246,0.1)', color: 'var(--accent-blue)' }}
+                                        >
+                                            {c.document_name} • p.{c.page_number}
+                                        </button>
+                                    ))}
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
             </motion.div>
+
+            <DocumentPreviewModal doc={previewDoc} onClose={() => setPreviewDoc(null)} />
         </AppShell>
     );
 }
@@ -4,28 +4,64 @@ import { useState, useEffect, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useDropzone } from 'react-dropzone';
 import AppShell from '@/components/layout/AppShell';
+import DocumentPreviewModal from '@/components/documents/DocumentPreviewModal';
+import RevisionDiffModal from '@/components/documents/RevisionDiffModal';
+import DuplicateModal from '@/components/documents/DuplicateModal';
 import useStore from '@/store/useStore';
-import { listFolders, createFolder, deleteFolder, listDocuments, uploadDocument, deleteDocument, processDocumentBatch, syncDrive } from '@/lib/api';
+import { listFolders, createFolder, deleteFolder, listDocuments, uploadDocument, deleteDocument, queueDocument, listJobs, syncDrive, resolveDuplicate, MAX_FILE_SIZE } from '@/lib/api';
 import {
     HiOutlineFolder, HiOutlineFolderAdd, HiOutlineDocumentText,
     HiOutlineTrash, HiOutlineUpload, HiOutlineX, HiOutlineEye,
     HiOutlineRefresh, HiOutlineDocumentAdd, HiOutlineExclamationCircle,
-    HiOutlineLightningBolt, HiOutlineSearchCircle
+    HiOutlineLightningBolt, HiOutlineSearchCircle, HiOutlineSwitchHorizontal, HiOutlineDuplicate
 } from 'react-icons/hi';
 import { openDrivePicker } from '@/lib/googleDrive';
+import SyncReport from '@/components/documents/SyncReport';
+
+const JOB_POLL_MS = 10000;
+
+const isActiveJob = (job) => job.status === 'queued' || job.status === 'running';
+
+function indexJobs(list) {
+    const byDoc = {};
+    (list || []).forEach((job) => { byDoc[job.document_id] = job; });
+    return byDoc;
+}
+
+function jobProgressText(job) {
+    if (job.status === 'running' && job.stage === 'embed') {
+        return `Embedding ${job.embedded_chunks || 0}/${job.total_chunks || 0} chunks`;
+    }
+    if (job.status === 'running') {
+        return job.total_pages
+            ? `Page ${job.pages_processed || 0}/${job.total_pages} (${job.total_chunks || 0} chunks)`
+            : 'Starting...';
+    }
+    if (job.attempts > 0) {
+        return `Attempt ${job.attempts} failed, retrying at ${new Date(job.next_run_at).toLocaleTimeString()}`;
+    }
+    return 'Queued for processing';
+}
+
+// Duplicates reported by a sync, in the shape the duplicate prompt takes
+const syncDuplicates = (res) => (res?.changes?.duplicates || []).map(d => ({ id: d.id, name: d.name, original: { id: d.duplicate_of, name: d.original_name } }));
 
 export default function DocumentsPage() {
     const { folders, setFolders, documents, setDocuments, addNotification, selectedFolder, setSelectedFolder } = useStore();
     const [newFolderName, setNewFolderName] = useState('');
     const [showNewFolder, setShowNewFolder] = useState(false);
     const [uploading, setUploading] = useState(false);
-    const [uploadProgress, setUploadProgress] = useState('');
+    const [uploadQueue, setUploadQueue] = useState([]); // [{ name, size, received, status, error }]
     const [previewDoc, setPreviewDoc] = useState(null);
+    const [diffDoc, setDiffDoc] = useState(null);
     const [loading, setLoading] = useState(false);
     const [syncing, setSyncing] = useState(false);
+    const [syncReport, setSyncReport] = useState(null);
     const [error, setError] = useState('');
-    const [processingId, setProcessingId] = useState(null);
-    const [processProgress, setProcessProgress] = useState(null); // { pagesProcessed, totalPages, totalChunks, message }
+    const [jobs, setJobs] = useState({}); // document_id -> background processing job
+    const [queueingId, setQueueingId] = useState(null);
+    const [duplicates, setDuplicates] = useState([]); // copies waiting for link / skip / replace
+    const [resolving, setResolving] = useState(false);
 
     useEffect(() => {
         loadData();
@@ -38,6 +74,39 @@ export default function DocumentsPage() {
         }
     }, [selectedFolder?.id]);
 
+    // Processing runs server-side; poll the queue while any job is pending
+    const activeJobIds = Object.values(jobs).filter(isActiveJob).map(j => j.document_id).sort().join(',');
+    useEffect(() => {
+        if (!activeJobIds) return;
+        let cancelled = false;
+        const timer = setInterval(() => {
+            listJobs().then((res) => {
+                if (cancelled) return;
+                const next = indexJobs(res.jobs);
+                setJobs(next);
+                const finished = activeJobIds.split(',').map(id => next[id]).filter(job => job && !isActiveJob(job));
+                if (finished.length === 0) return;
+                finished.forEach((job) => {
+                    if (job.status === 'failed') {
+                        addNotification(`Process failed: ${job.document_name} — ${job.last_error}`, 'error');
+                        return;
+                    }
+                    addNotification(`Processed: ${job.document_name} — ${job.total_chunks || 0} chunks from ${job.total_pages || 0} pages`, 'success');
+                    if (job.failed_pages) {
+                        addNotification(`No text read from page(s) ${String(job.failed_pages).split(',').join(', ')} of ${job.document_name}`, 'info');
+                    }
+                });
+                return listDocuments(null).then((dRes) => {
+                    if (!cancelled && Array.isArray(dRes.documents)) setDocuments(dRes.documents);
+                });
+            }).catch((e) => console.error('[MetroCircuit] Failed to poll jobs:', e));
+        }, JOB_POLL_MS);
+        return () => {
+            cancelled = true;
+            clearInterval(timer);
+        };
+    }, [activeJobIds, addNotification, setDocuments]);
+
     async function loadData() {
         setLoading(true);
         setError('');
@@ -66,9 +135,19 @@ export default function DocumentsPage() {
                 console.error('[MetroCircuit] Failed to load documents:', dErr);
             }
 
+            // Fetch processing jobs
+            let fetchedJobs = {};
+            try {
+                const jRes = await listJobs();
+                fetchedJobs = indexJobs(jRes.jobs);
+            } catch (jErr) {
+                console.error('[MetroCircuit] Failed to load jobs:', jErr);
+            }
+
             console.log('[MetroCircuit] Setting folders:', fetchedFolders.length, 'docs:', fetchedDocs.length);
             setFolders(fetchedFolders);
             setDocuments(fetchedDocs);
+            setJobs(fetchedJobs);
 
         } catch (e) {
             console.error('[MetroCircuit] loadData error:', e);
@@ -108,7 +187,9 @@ export default function DocumentsPage() {
                 console.log('[MetroCircuit] Drive Picker items:', items);
                 addNotification(`Selected ${items.length} items. Syncing...`, 'info');
                 setSyncing(true);
-                await syncDrive();
+                const res = await syncDrive();
+                setSyncReport(res);
+                setDuplicates(prev => [...prev, ...syncDuplicates(res)]);
                 await loadData();
                 setSyncing(false);
                 addNotification('Drive sync complete!', 'success');
@@ -129,22 +210,47 @@ export default function DocumentsPage() {
         }
     }
 
+    async function handleResolveDuplicate(duplicate, resolution) {
+        setResolving(true);
+        try {
+            await resolveDuplicate(duplicate.id, resolution);
+            const done = { link: 'Linked', skip: 'Skipped', replace: 'Replaced original with' }[resolution];
+            addNotification(`${done}: ${duplicate.name}${resolution === 'replace' ? ' — queued for processing' : ''}`, 'success');
+            setDuplicates(prev => prev.filter(d => d.id !== duplicate.id));
+            await loadData();
+        } catch (e) {
+            addNotification('Failed: ' + e.message, 'error');
+        }
+        setResolving(false);
+    }
+
     const onDrop = useCallback(async (acceptedFiles) => {
         if (acceptedFiles.length === 0) return;
         setUploading(true);
+        setUploadQueue(acceptedFiles.map(file => ({ name: file.name, size: file.size, received: 0, status: 'waiting' })));
 
-        for (const file of acceptedFiles) {
+        for (const [index, file] of acceptedFiles.entries()) {
+            const update = (patch) => setUploadQueue(prev => prev.map((item, i) => (i === index ? { ...item, ...patch } : item)));
+            update({ status: 'uploading' });
             try {
-                setUploadProgress(`Processing: ${file.name}...`);
-                await uploadDocument(file, selectedFolder?.id);
-                addNotification(`Uploaded: ${file.name}`, 'success');
+                const res = await uploadDocument(file, selectedFolder?.id, ({ received, size }) => {
+                    update({ received, status: received >= size ? 'registering' : 'uploading' });
+                });
+                update({ status: 'done' });
+                if (res.status === 'duplicate') {
+                    setDuplicates(prev => [...prev, { id: res.documentId, name: file.name, original: res.duplicateOf }]);
+                    addNotification(`Uploaded: ${file.name} — same content as ${res.duplicateOf.name}`, 'info');
+                } else {
+                    addNotification(res.status === 'queued' ? `Uploaded: ${file.name} — queued for processing` : `Uploaded: ${file.name}`, 'success');
+                }
             } catch (e) {
-                addNotification(`Failed: ${file.name} - ${e.message}`, 'error');
+                update({ status: 'failed', error: e.message });
+                addNotification(`Failed: ${file.name} - ${e.message}. Drop it again to resume.`, 'error');
             }
         }
 
         setUploading(false);
-        setUploadProgress('');
+        setUploadQueue([]);
         await loadData();
     }, [selectedFolder]);
 
@@ -154,10 +260,19 @@ export default function DocumentsPage() {
             'application/pdf': ['.pdf'],
             'text/plain': ['.txt'],
             'text/csv': ['.csv'],
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+            'application/vnd.ms-excel': ['.xls'],
             'image/png': ['.png'],
             'image/jpeg': ['.jpg', '.jpeg'],
+            'image/vnd.dxf': ['.dxf'],
         },
-        maxSize: 50 * 1024 * 1024,
+        maxSize: MAX_FILE_SIZE,
+        onDropRejected: (rejections) => rejections.forEach(({ file, errors }) => addNotification(
+            errors.some(e => e.code === 'file-too-large')
+                ? `Failed: ${file.name} - larger than ${MAX_FILE_SIZE / 1024 / 1024}MB; split large drawing sets into smaller PDFs.`
+                : `Failed: ${file.name} - ${errors[0].message}`,
+            'error'
+        )),
     });
 
     const filteredDocs = selectedFolder
@@ -193,7 +308,9 @@ export default function DocumentsPage() {
                                 try {
                                     const res = await syncDrive();
                                     console.log('[MetroCircuit] Sync result:', res);
-                                    addNotification(`Drive synced: ${res.newFiles || 0} new files found`, 'success');
+                                    setSyncReport(res);
+                                    setDuplicates(prev => [...prev, ...syncDuplicates(res)]);
+                                    addNotification(`Drive synced: ${res.newFiles || 0} new, ${res.changes?.modified?.length || 0} changed, ${res.changes?.removed?.length || 0} removed`, 'success');
                                     await loadData();
                                 } catch (e) {
                                     addNotification('Sync failed: ' + e.message, 'error');
@@ -213,6 +330,10 @@ export default function DocumentsPage() {
                     </div>
                 </div>
 
+                {syncReport && (
+                    <SyncReport report={syncReport} folders={folders} onClose={() => setSyncReport(null)} />
+                )}
+
                 {/* Error Banner */}
                 {error && (
                     <div className="glass-card p-4 mb-4 flex items-center gap-3" style={{ borderLeft: '3px solid var(--accent-rose)' }}>
@@ -304,9 +425,32 @@ export default function DocumentsPage() {
                     >
                         <input {...getInputProps()} />
                         {uploading ? (
-                            <div className="flex flex-col items-center gap-3">
+                            <div className="flex flex-col items-center gap-3" onClick={(e) => e.stopPropagation()}>
                                 <div className="spinner" />
-                                <p className="font-medium" style={{ color: 'var(--accent-blue)' }}>{uploadProgress}</p>
+                                <div className="w-full max-w-md space-y-2 text-left">
+                                    {uploadQueue.map((item, i) => (
+                                        <div key={i}>
+                                            <div className="flex items-center justify-between gap-3 text-xs mb-1">
+                                                <span className="truncate" style={{ color: 'var(--text-primary)' }} title={item.name}>{item.name}</span>
+                                                <span className="whitespace-nowrap" title={item.error || ''}
+                                                    style={{ color: item.status === 'failed' ? 'var(--accent-rose)' : item.status === 'done' ? 'var(--accent-emerald)' : 'var(--text-secondary)' }}>
+                                                    {item.status === 'uploading'
+                                                        ? `${Math.round(item.received / Math.max(item.size, 1) * 100)}% of ${(item.size / 1024 / 1024).toFixed(1)}MB`
+                                                        : { waiting: 'Waiting', registering: 'Registering...', done: 'Done', failed: 'Failed' }[item.status]}
+                                                </span>
+                                            </div>
+                                            <div style={{ height: '4px', borderRadius: '2px', background: 'var(--bg-tertiary)' }}>
+                                                <div style={{
+                                                    width: `${Math.round(item.received / Math.max(item.size, 1) * 100)}%`,
+                                                    height: '4px',
+                                                    borderRadius: '2px',
+                                                    background: item.status === 'failed' ? 'var(--accent-rose)' : 'var(--accent-blue)',
+                                                    transition: 'width 0.5s ease'
+                                                }} />
+                                            </div>
+                                        </div>
+                                    ))}
+                                </div>
                             </div>
                         ) : (
                             <div>
@@ -315,7 +459,7 @@ export default function DocumentsPage() {
                                     {isDragActive ? 'Drop files here...' : 'Drag & drop documents here'}
                                 </p>
                                 <p className="text-sm" style={{ color: 'var(--text-secondary)' }}>
-                                    or click to browse • PDF, TXT, CSV, Images • Max 50MB
+                                    or click to browse • PDF, TXT, CSV, Excel, Images, DXF • Max 50MB
                                 </p>
                                 {selectedFolder && (
                                     <p className="text-xs mt-2" style={{ color: 'var(--accent-purple)' }}>
@@ -372,25 +516,45 @@ export default function DocumentsPage() {
                                                     <div className="flex items-center gap-3">
                                                         <HiOutlineDocumentText size={18} style={{ color: 'var(--accent-blue)' }} />
                                                         <span className="font-medium text-sm truncate max-w-[200px]">{doc.name}</span>
+                                                        {doc.revision && (
+                                                            <span className="text-xs px-2 py-0.5 rounded-full whitespace-nowrap" title={doc.drawing_number}
+                                                                style={{ background: 'rgba(6, 182, 212, 0.1)', color: 'var(--accent-cyan)' }}>
+                                                                Rev {doc.revision}
+                                                            </span>
+                                                        )}
+                                                        {doc.status === 'linked' && doc.duplicate_of && (
+                                                            <span className="text-xs px-2 py-0.5 rounded-full whitespace-nowrap truncate max-w-[160px]"
+                                                                style={{ background: 'rgba(148, 163, 184, 0.1)', color: 'var(--text-secondary)' }}>
+                                                                Linked → {documents.find(d => d.id === doc.duplicate_of)?.name || 'original'}
+                                                            </span>
+                                                        )}
+                                                        {doc.is_latest === false && (
+                                                            <span className="text-xs px-2 py-0.5 rounded-full whitespace-nowrap"
+                                                                style={{ background: 'rgba(148, 163, 184, 0.1)', color: 'var(--text-secondary)' }}>
+                                                                Superseded
+                                                            </span>
+                                                        )}
                                                     </div>
+                                                    {(doc.title || doc.station || doc.system) && (
+                                                        <div className="text-xs mt-1 ml-[30px] truncate max-w-[360px]" style={{ color: 'var(--text-secondary)' }}
+                                                            title={[doc.drawing_number, doc.drawn_by && `Drawn: ${doc.drawn_by}`, doc.checked_by && `Checked: ${doc.checked_by}`, doc.approved_by && `Approved: ${doc.approved_by}`, doc.drawing_date].filter(Boolean).join(' · ')}>
+                                                            {[doc.title, doc.station, doc.system, doc.sheet_count ? `${doc.sheet_count} sheets` : ''].filter(Boolean).join(' · ')}
+                                                        </div>
+                                                    )}
                                                 </td>
                                                 <td className="p-4 hidden sm:table-cell">
                                                     <span className={`status-badge ${doc.status || 'uploaded'}`}>
                                                         {doc.status || 'uploaded'}
                                                     </span>
-                                                    {processingId === doc.id && processProgress && (
-                                                        <div className="mt-2 text-xs" style={{ color: 'var(--accent-emerald)' }}>
-                                                            <div className="mb-1">
-                                                                {processProgress.message || (
-                                                                    processProgress.totalPages
-                                                                        ? `Page ${processProgress.pagesProcessed || 0}/${processProgress.totalPages} (${processProgress.totalChunks || 0} chunks)`
-                                                                        : 'Starting...'
-                                                                )}
+                                                    {jobs[doc.id] && isActiveJob(jobs[doc.id]) && (
+                                                        <div className="mt-2 text-xs" style={{ color: jobs[doc.id].attempts > 0 ? 'var(--accent-amber)' : 'var(--accent-emerald)' }}>
+                                                            <div className="mb-1" title={jobs[doc.id].last_error || ''}>
+                                                                {jobProgressText(jobs[doc.id])}
                                                             </div>
-                                                            {processProgress.totalPages > 0 && (
+                                                            {jobs[doc.id].status === 'running' && jobs[doc.id].stage !== 'embed' && jobs[doc.id].total_pages > 0 && (
                                                                 <div style={{ width: '100px', height: '4px', borderRadius: '2px', background: 'var(--bg-tertiary)' }}>
                                                                     <div style={{
-                                                                        width: `${Math.round((processProgress.pagesProcessed || 0) / processProgress.totalPages * 100)}%`,
+                                                                        width: `${Math.round((jobs[doc.id].pages_processed || 0) / jobs[doc.id].total_pages * 100)}%`,
                                                                         height: '4px',
                                                                         borderRadius: '2px',
                                                                         background: 'var(--accent-emerald)',
@@ -400,6 +564,11 @@ export default function DocumentsPage() {
                                                             )}
                                                         </div>
                                                     )}
+                                                    {jobs[doc.id]?.status === 'failed' && (
+                                                        <div className="mt-2 text-xs truncate max-w-[200px]" style={{ color: 'var(--accent-rose)' }} title={jobs[doc.id].last_error}>
+                                                            {jobs[doc.id].last_error}
+                                                        </div>
+                                                    )}
                                                 </td>
                                                 <td className="p-4 text-sm hidden md:table-cell" style={{ color: 'var(--text-secondary)' }}>
                                                     {doc.page_count || 0}
@@ -409,35 +578,54 @@ export default function DocumentsPage() {
                                                 </td>
                                                 <td className="p-4 text-right">
                                                     <div className="flex items-center justify-end gap-2">
-                                                        {(doc.status === 'uploaded' || doc.status === 'error' || doc.status === 'extracting' || doc.status === 'processing') && (
+                                                        {(doc.status === 'uploaded' || doc.status === 'changed' || doc.status === 'error' || doc.status === 'extracting' || doc.status === 'processing' || doc.status === 'embedding') && !(jobs[doc.id] && isActiveJob(jobs[doc.id])) && (
                                                             <button
                                                                 onClick={async (e) => {
                                                                     e.stopPropagation();
-                                                                    setProcessingId(doc.id);
-                                                                    setProcessProgress({ message: 'Extracting text...' });
+                                                                    setQueueingId(doc.id);
                                                                     try {
-                                                                        const res = await processDocumentBatch(doc.id, (progress) => {
-                                                                            setProcessProgress(progress);
-                                                                        });
-                                                                        addNotification(`Processed: ${doc.name} — ${res.totalChunks || 0} chunks from ${res.totalPages || 0} pages`, 'success');
-                                                                        await loadData();
+                                                                        const res = await queueDocument(doc.id);
+                                                                        setJobs(prev => ({ ...prev, [doc.id]: { ...res.job, document_name: doc.name } }));
+                                                                        addNotification(`Queued: ${doc.name} — processing continues in the background`, 'info');
                                                                     } catch (err) {
                                                                         addNotification('Process failed: ' + err.message, 'error');
                                                                     }
-                                                                    setProcessingId(null);
-                                                                    setProcessProgress(null);
+                                                                    setQueueingId(null);
                                                                 }}
                                                                 className="p-2 rounded-lg hover:bg-emerald-500/10 transition-colors"
                                                                 style={{ color: 'var(--accent-emerald)' }}
-                                                                title="Process: Extract text & create chunks (batch mode)"
-                                                                disabled={processingId === doc.id}
+                                                                title="Process: Extract text & create chunks in the background"
+                                                                disabled={queueingId === doc.id}
                                                             >
-                                                                {processingId === doc.id
+                                                                {queueingId === doc.id
                                                                     ? <HiOutlineRefresh size={16} className="animate-spin" />
                                                                     : <HiOutlineLightningBolt size={16} />
                                                                 }
                                                             </button>
                                                         )}
+                                                        {doc.status === 'duplicate' && (
+                                                            <button
+                                                                onClick={() => setDuplicates(prev => [
+                                                                    { id: doc.id, name: doc.name, original: documents.find(d => d.id === doc.duplicate_of) },
+                                                                    ...prev.filter(d => d.id !== doc.id)
+                                                                ])}
+                                                                className="p-2 rounded-lg hover:bg-white/5 transition-colors"
+                                                                style={{ color: 'var(--accent-amber)' }}
+                                                                title="Resolve duplicate: link, skip or replace"
+                                                            >
+                                                                <HiOutlineDuplicate size={16} />
+                                                            </button>
+                                                        )}
+                                                        {doc.supersedes && (
+                                                            <button
+                                                                onClick={() => setDiffDoc(doc)}
+                                                                className="p-2 rounded-lg hover:bg-white/5 transition-colors"
+                                                                style={{ color: 'var(--accent-amber)' }}
+                                                                title="Compare with previous revision"
+                                                            >
+                                                                <HiOutlineSwitchHorizontal size={16} />
+                                                            </button>
+                                                        )}
                                                         {doc.drive_file_id && (
                                                             <button
                                                                 onClick={() => setPreviewDoc(doc)}
@@ -468,39 +656,14 @@ export default function DocumentsPage() {
                 </div>
 
                 {/* Drive Preview Modal */}
-                <AnimatePresence>
-                    {previewDoc && (
-                        <motion.div
-                            initial={{ opacity: 0 }}
-                            animate={{ opacity: 1 }}
-                            exit={{ opacity: 0 }}
-                            className="modal-overlay"
-                            onClick={() => setPreviewDoc(null)}
-                        >
-                            <motion.div
-                                initial={{ scale: 0.9, opacity: 0 }}
-                                animate={{ scale: 1, opacity: 1 }}
-                                exit={{ scale: 0.9, opacity: 0 }}
-                                className="modal-content"
-                                style={{ maxWidth: '900px', padding: '16px' }}
-                                onClick={(e) => e.stopPropagation()}
-                            >
-                                <div className="flex items-center justify-between mb-3 px-2">
-                                    <h3 className="font-semibold">{previewDoc.name}</h3>
-                                    <button onClick={() => setPreviewDoc(null)} className="p-2 rounded-lg hover:bg-white/5">
-                                        <HiOutlineX size={18} />
-                                    </button>
-                                </div>
-                                <iframe
-                                    src={`https://drive.google.com/file/d/${previewDoc.drive_file_id}/preview`}
-                                    className="w-full rounded-xl"
-                                    style={{ height: '70vh', border: 'none' }}
-                                    allow="autoplay"
-                                />
-                            </motion.div>
-                        </motion.div>
-                    )}
-                </AnimatePresence>
+                <DocumentPreviewModal doc={previewDoc} onClose={() => setPreviewDoc(null)} />
+                <RevisionDiffModal doc={diffDoc} onClose={() => setDiffDoc(null)} />
+                <DuplicateModal
+                    duplicate={duplicates[0]}
+                    busy={resolving}
+                    onResolve={handleResolveDuplicate}
+                    onClose={() => setDuplicates(prev => prev.slice(1))}
+                />
             </motion.div>
         </AppShell>
     );
@@ -1,6 +1,6 @@
 'use client';
 
-import { useState, useCallback, useMemo } from 'react';
+import { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import {
     ReactFlow,
@@ -12,12 +12,14 @@ import {
 } from '@xyflow/react';
 import '@xyflow/react/dist/style.css';
 import AppShell from '@/components/layout/AppShell';
+import DocumentPreviewModal from '@/components/documents/DocumentPreviewModal';
 import useStore from '@/store/useStore';
-import { queryRAG } from '@/lib/api';
+import { queryRAGAsync, getSession } from '@/lib/api';
 import {
     HiOutlineSearch, HiOutlineLightningBolt, HiOutlineCode,
     HiOutlineDocumentText, HiOutlineChip, HiOutlineFilter,
-    HiOutlineShieldCheck, HiOutlineExclamation
+    HiOutlineShieldCheck, HiOutlineExclamation, HiOutlineChatAlt2,
+    HiOutlinePlus
 } from 'react-icons/hi';
 import { logQA } from '@/lib/supabase';
 
@@ -38,6 +40,35 @@ const COMPONENT_COLORS = {
     DEFAULT: '#3b82f6',
 };
 
+// Survives reloads so the thread can be restored from the backend
+const SESSION_STORAGE_KEY = 'metro_query_session_id';
+
+// Numeric filters sent as `ranges`; voltage uses the voltage filter, which accepts the same expressions
+const RANGE_FIELDS = [
+    { key: 'current', placeholder: 'Current, e.g. ≥ 100A' },
+    { key: 'fault', placeholder: 'Fault rating, e.g. ≥ 50kA' },
+    { key: 'cross_section', placeholder: 'Cable size, e.g. ≥ 95 sqmm' },
+    { key: 'length', placeholder: 'Length, e.g. < 200 m' },
+];
+
+// Mirrors the backend's citation grammar: [Source 2, Page 14], [Source 1; Source 3 p. 7]
+const CITATION_BLOCK_RE = /\[([^\]]*Source[^\]]*)\]/gi;
+const CITATION_REF_RE = /Source\s*(\d+)(?:\s*,?\s*(?:Page|p\.)\s*([\w-]+))?/gi;
+
+function splitCitations(answer) {
+    const text = typeof answer === 'string' ? answer : JSON.stringify(answer ?? '');
+    const parts = [];
+    let last = 0;
+    for (const block of text.matchAll(CITATION_BLOCK_RE)) {
+        if (block.index > last) parts.push({ text: text.slice(last, block.index) });
+        const refs = [...block[1].matchAll(CITATION_REF_RE)].map((r) => ({ source: parseInt(r[1]), page: r[2] || null }));
+        parts.push(refs.length ? { refs } : { text: block[0] });
+        last = block.index + block[0].length;
+    }
+    if (last < text.length) parts.push({ text: text.slice(last) });
+    return parts;
+}
+
 function getNodeColor(label) {
     const upper = (label || '').toUpperCase();
     for (const [key, color] of Object.entries(COMPONENT_COLORS)) {
@@ -47,7 +78,10 @@ function getNodeColor(label) {
 }
 
 export default function QueryPage() {
-    const { folders, documents, addNotification, queryResult, setQueryResult } = useStore();
+    const {
+        folders, documents, addNotification, queryResult, setQueryResult,
+        sessionId, sessionTurns, startNewSession, addSessionTurn, restoreSession,
+    } = useStore();
     const [query, setQuery] = useState('');
     const [loading, setLoading] = useState(false);
     const [outputType, setOutputType] = useState('text'); // text, json, wiring, schematic
@@ -56,24 +90,81 @@ export default function QueryPage() {
     const [selectedDocId, setSelectedDocId] = useState('');
     const [filterPanel, setFilterPanel] = useState('');
     const [filterVoltage, setFilterVoltage] = useState('');
+    const [ranges, setRanges] = useState({}); // quantity -> expression, see RANGE_FIELDS
+    const [filterDrawingNumber, setFilterDrawingNumber] = useState('');
+    const [filterStation, setFilterStation] = useState('');
+    const [filterSystem, setFilterSystem] = useState('');
     const [showFilters, setShowFilters] = useState(false);
+    const [includeSuperseded, setIncludeSuperseded] = useState(false);
+    const [preferConfident, setPreferConfident] = useState(false);
+    const [queryProgress, setQueryProgress] = useState(null); // { stage, stageLabel, stages }
+    const [previewDoc, setPreviewDoc] = useState(null);
 
     const [nodes, setNodes, onNodesChange] = useNodesState([]);
     const [edges, setEdges, onEdgesChange] = useEdgesState([]);
 
+    // Restore the last conversation thread after a reload
+    useEffect(() => {
+        if (sessionId) return;
+        const storedId = localStorage.getItem(SESSION_STORAGE_KEY);
+        if (!storedId) return;
+        getSession(storedId)
+            .then((res) => restoreSession(storedId, (res.turns || []).map((t) => ({
+                query: t.query,
+                standaloneQuery: t.standalone_query,
+                answer: t.answer,
+            }))))
+            .catch((e) => console.warn('[MetroCircuit] Session restore failed:', e));
+    }, [sessionId, restoreSession]);
+
+    function handleNewSession() {
+        const id = startNewSession();
+        localStorage.setItem(SESSION_STORAGE_KEY, id);
+        setNodes([]);
+        setEdges([]);
+    }
+
+    function openCitation(citation, page) {
+        if (!citation?.drive_file_id) return;
+        setPreviewDoc({
+            name: citation.document_name || citation.document_id,
+            drive_file_id: citation.drive_file_id,
+            page: page || citation.page_number,
+        });
+    }
+
     async function handleQuery() {
         if (!query.trim()) return;
         setLoading(true);
+        let activeSession = sessionId;
+        if (!activeSession) {
+            activeSession = startNewSession();
+            localStorage.setItem(SESSION_STORAGE_KEY, activeSession);
+        }
         try {
-            const result = await queryRAG(query, {
+            const result = await queryRAGAsync(query, {
                 outputType,
                 folderId: selectedFolderId || null,
                 documentId: selectedDocId || null,
                 filterPanel: filterPanel || null,
                 filterVoltage: filterVoltage || null,
+                filterDrawingNumber: filterDrawingNumber || null,
+                filterStation: filterStation || null,
+                filterSystem: filterSystem || null,
+                ranges: Object.fromEntries(Object.entries(ranges).filter(([, expr]) => expr.trim())),
                 matchCount: 15,
-            });
+                sessionId: activeSession,
+                includeSuperseded,
+                preferConfident,
+            }, setQueryProgress);
             setQueryResult(result);
+            addSessionTurn({
+                query,
+                standaloneQuery: result.standaloneQuery,
+                answer: result.answer,
+                matchCount: result.matchCount,
+            });
+            setQuery('');
             addNotification('Matrix Intelligence Query completed', 'success');
 
             // PRD 4.4: Audit Logging
@@ -90,6 +181,7 @@ export default function QueryPage() {
         } catch (e) {
             addNotification('Query failed: ' + e.message, 'error');
         }
+        setQueryProgress(null);
         setLoading(false);
     }
 
@@ -251,7 +343,9 @@ export default function QueryPage() {
                         <div className="relative flex-1">
                             <input
                                 className="input-field w-full pl-10"
-                                placeholder="Ask about your circuit drawings... e.g., 'Show me traction feeder panel wiring details'"
+                                placeholder={sessionTurns.length > 0
+                                    ? "Ask a follow-up... e.g., 'and what feeds it?'"
+                                    : "Ask about your circuit drawings... e.g., 'Show me traction feeder panel wiring details'"}
                                 value={query}
                                 onChange={(e) => setQuery(e.target.value)}
                                 onKeyDown={(e) => e.key === 'Enter' && handleQuery()}
@@ -267,6 +361,28 @@ export default function QueryPage() {
                         </button>
                     </div>
 
+                    {/* Pipeline progress */}
+                    {loading && queryProgress?.stages && (
+                        <div className="flex flex-wrap items-center gap-2 mt-4">
+                            {queryProgress.stages.map((stage) => (
+                                <span
+                                    key={stage.id}
+                                    className={`text-xs px-3 py-1 rounded-full flex items-center gap-1 ${stage.status === 'active' ? 'animate-pulse' : ''}`}
+                                    style={{
+                                        background: stage.status === 'done' ? 'rgba(16, 185, 129, 0.1)'
+                                            : stage.status === 'active' ? 'rgba(6, 182, 212, 0.15)'
+                                                : 'rgba(255, 255, 255, 0.04)',
+                                        color: stage.status === 'done' ? 'var(--accent-emerald)'
+                                            : stage.status === 'active' ? 'var(--accent-cyan)'
+                                                : 'var(--text-secondary)',
+                                    }}
+                                >
+                                    {stage.status === 'done' ? '✓' : stage.status === 'active' ? '●' : '○'} {stage.label}
+                                </span>
+                            ))}
+                        </div>
+                    )}
+
                     {/* Filters toggle */}
                     <div className="mt-3">
                         <button
@@ -280,7 +396,7 @@ export default function QueryPage() {
                             <motion.div
                                 initial={{ height: 0, opacity: 0 }}
                                 animate={{ height: 'auto', opacity: 1 }}
-                                className="flex gap-3 mt-3 overflow-hidden"
+                                className="flex flex-wrap gap-3 mt-3 overflow-hidden"
                             >
                                 <input
                                     className="input-field flex-1"
@@ -290,15 +406,88 @@ export default function QueryPage() {
                                 />
                                 <input
                                     className="input-field flex-1"
-                                    placeholder="Filter by voltage..."
+                                    placeholder="Voltage, e.g. ≥ 11kV or 11-33kV"
                                     value={filterVoltage}
                                     onChange={(e) => setFilterVoltage(e.target.value)}
                                 />
+                                {RANGE_FIELDS.map(field => (
+                                    <input
+                                        key={field.key}
+                                        className="input-field flex-1"
+                                        placeholder={field.placeholder}
+                                        value={ranges[field.key] || ''}
+                                        onChange={(e) => setRanges(prev => ({ ...prev, [field.key]: e.target.value }))}
+                                    />
+                                ))}
+                                <input
+                                    className="input-field flex-1"
+                                    placeholder="Drawing number..."
+                                    value={filterDrawingNumber}
+                                    onChange={(e) => setFilterDrawingNumber(e.target.value)}
+                                />
+                                <input
+                                    className="input-field flex-1"
+                                    placeholder="Station..."
+                                    value={filterStation}
+                                    onChange={(e) => setFilterStation(e.target.value)}
+                                />
+                                <input
+                                    className="input-field flex-1"
+                                    placeholder="System..."
+                                    value={filterSystem}
+                                    onChange={(e) => setFilterSystem(e.target.value)}
+                                />
+                                <label className="flex items-center gap-2 text-xs whitespace-nowrap" style={{ color: 'var(--text-secondary)' }}>
+                                    <input
+                                        type="checkbox"
+                                        checked={includeSuperseded}
+                                        onChange={(e) => setIncludeSuperseded(e.target.checked)}
+                                    />
+                                    Include superseded revisions
+                                </label>
+                                <label className="flex items-center gap-2 text-xs whitespace-nowrap" style={{ color: 'var(--text-secondary)' }}>
+                                    <input
+                                        type="checkbox"
+                                        checked={preferConfident}
+                                        onChange={(e) => setPreferConfident(e.target.checked)}
+                                    />
+                                    Prefer high-confidence extractions
+                                </label>
                             </motion.div>
                         )}
                     </div>
                 </div>
 
+                {/* Conversation thread */}
+                {sessionTurns.length > 0 && (
+                    <div className="glass-card p-6 mb-6">
+                        <div className="flex items-center justify-between mb-4">
+                            <h3 className="text-sm font-semibold flex items-center gap-2" style={{ color: 'var(--text-primary)' }}>
+                                <HiOutlineChatAlt2 size={16} style={{ color: 'var(--accent-cyan)' }} />
+                                Conversation ({sessionTurns.length} {sessionTurns.length === 1 ? 'turn' : 'turns'})
+                            </h3>
+                            <button onClick={handleNewSession} className="btn-secondary text-sm" disabled={loading}>
+                                <HiOutlinePlus size={14} /> New Session
+                            </button>
+                        </div>
+                        <div className="space-y-4 max-h-[320px] overflow-y-auto pr-2">
+                            {sessionTurns.map((turn, i) => (
+                                <div key={i} className="text-sm">
+                                    <p className="font-medium" style={{ color: 'var(--accent-blue)' }}>You: {turn.query}</p>
+                                    {turn.standaloneQuery && turn.standaloneQuery !== turn.query && (
+                                        <p className="text-xs mt-1 italic" style={{ color: 'var(--text-secondary)' }}>
+                                            Interpreted as: {turn.standaloneQuery}
+                                        </p>
+                                    )}
+                                    <p className="mt-1 whitespace-pre-wrap" style={{ color: 'var(--text-secondary)' }}>
+                                        {String(turn.answer || '').length > 300 ? String(turn.answer).substring(0, 300) + '…' : turn.answer}
+                                    </p>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
                 {/* Results */}
                 {queryResult && (
                     <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}>
@@ -342,7 +531,24 @@ export default function QueryPage() {
                         {activeTab === 'text' && (
                             <div className="glass-card p-6">
                                 <div className="prose prose-invert max-w-none text-sm leading-relaxed whitespace-pre-wrap" style={{ color: 'var(--text-primary)' }}>
-                                    {queryResult.answer}
+                                    {splitCitations(queryResult.answer).map((part, i) => part.refs ? (
+                                        <span key={i} className="inline-flex gap-1 align-baseline">
+                                            {part.refs.map((ref, j) => {
+                                                const citation = queryResult.citations?.[ref.source - 1];
+                                                return (
+                                                    <button key={j} onClick={() => openCitation(citation, ref.page)}
+                                                        disabled={!citation?.drive_file_id}
+                                                        title={citation ? `${citation.document_name || citation.document_id} — page ${ref.page || citation.page_number}` : 'Unknown source'}
+                                                        className="text-xs px-2 rounded-full"
+                                                        style={{ background: 'rgba(6, 182, 212, 0.12)', color: 'var(--accent-cyan)' }}>
+                                                        S{ref.source}{ref.page ? ` · p.${ref.page}` : ''}
+                                                    </button>
+                                                );
+                                            })}
+                                        </span>
+                                    ) : (
+                                        <span key={i}>{part.text}</span>
+                                    ))}
                                 </div>
                                 {queryResult.matches && (
                                     <div className="mt-4 pt-4" style={{ borderTop: '1px solid var(--border-glass)' }}>
@@ -350,12 +556,25 @@ export default function QueryPage() {
                                             Sources: {queryResult.matchCount} chunks matched
                                         </p>
                                         <div className="flex flex-wrap gap-2">
-                                            {queryResult.matches.slice(0, 5).map((m, i) => (
-                                                <span key={i} className="text-xs px-3 py-1 rounded-full"
-                                                    style={{ background: 'rgba(59, 130, 246, 0.1)', color: 'var(--accent-blue)' }}>
-                                                    Page {m.page_number} • {(m.similarity * 100).toFixed(0)}% match
-                                                </span>
-                                            ))}
+                                            {queryResult.matches.slice(0, 5).map((m, i) => {
+                                                const citation = queryResult.citations?.[i];
+                                                return (
+                                                    <button key={i} onClick={() => openCitation(citation)}
+                                                        disabled={!citation?.drive_file_id}
+                                                        title={citation?.also_in?.length ? `Also in: ${citation.also_in.map(c => `${c.document_name || c.document_id} p.${c.page_number}`).join(', ')}` : undefined}
+                                                        className="text-xs px-3 py-1 rounded-full"
+                                                        style={{
+                                                            background: citation?.cited ? 'rgba(6, 182, 212, 0.15)' : 'rgba(59, 130, 246, 0.1)',
+                                                            color: citation?.cited ? 'var(--accent-cyan)' : 'var(--accent-blue)',
+                                                        }}>
+                                                        S{i + 1} • {citation?.document_name || 'Document'} • {citation?.table?.rows?.length
+                                                            ? `${citation.table.sheet} rows ${citation.table.rows[0]}–${citation.table.rows[citation.table.rows.length - 1]}`
+                                                            : `Page ${m.page_number}`} • {(m.similarity * 100).toFixed(0)}% match
+                                                        {citation?.also_in?.length > 0 && ` • +${citation.also_in.length} ${citation.also_in.length === 1 ? 'copy' : 'copies'}`}
+                                                        {(m.extraction_source === 'fallback' || m.extraction_source === 'repaired') && ` • ${m.extraction_source} data`}
+                                                    </button>
+                                                );
+                                            })}
                                         </div>
                                     </div>
                                 )}
@@ -405,6 +624,8 @@ export default function QueryPage() {
                     </motion.div>
                 )}
             </motion.div>
+
+            <DocumentPreviewModal doc={previewDoc} onClose={() => setPreviewDoc(null)} />
         </AppShell>
     );
 }
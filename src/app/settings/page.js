@@ -4,6 +4,8 @@ import { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import AppShell from '@/components/layout/AppShell';
 import useStore from '@/store/useStore';
+import TagGrammarEditor from '@/components/settings/TagGrammarEditor';
+import GlossaryEditor from '@/components/settings/GlossaryEditor';
 import { getConfig, saveAllConfig } from '@/lib/config';
 import {
     HiOutlineCog, HiOutlineKey, HiOutlineCloud,
@@ -11,7 +13,7 @@ import {
     HiOutlineLightningBolt, HiOutlineRefresh, HiOutlineInformationCircle,
     HiOutlineSearchCircle
 } from 'react-icons/hi';
-import { testConnectivity, initDatabase, listAvailableModels } from '@/lib/api';
+import { testConnectivity, initDatabase, listAvailableModels, embedDocumentChunks } from '@/lib/api';
 
 const configFields = [
     {
@@ -71,6 +73,8 @@ export default function SettingsPage() {
     const [initializing, setInitializing] = useState(false);
     const [healthStatus, setHealthStatus] = useState(null);
     const [dbInfo, setDbInfo] = useState(null);
+    const [embedding, setEmbedding] = useState(false);
+    const [embedInfo, setEmbedInfo] = useState(null);
 
     useEffect(() => {
         const config = getConfig();
@@ -125,6 +129,20 @@ export default function SettingsPage() {
         setInitializing(false);
     }
 
+    async function handleEmbedMissing() {
+        setEmbedding(true);
+        try {
+            const res = await embedDocumentChunks();
+            setEmbedInfo(res);
+            addNotification(res.documents.length
+                ? `Queued ${res.documents.length} document(s) with ${res.chunks} unembedded chunks`
+                : 'Every indexed document is already embedded ✓', 'success');
+        } catch (e) {
+            addNotification('Embedding backfill failed: ' + e.message, 'error');
+        }
+        setEmbedding(false);
+    }
+
     return (
         <AppShell>
             <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }}>
@@ -275,6 +293,41 @@ export default function SettingsPage() {
                     </div>
                 </div>
 
+                {/* Embed Missing Chunks */}
+                <div className="glass-card p-6 mt-6 max-w-3xl" style={{ borderLeft: '3px solid var(--accent-cyan)' }}>
+                    <div className="flex items-center justify-between">
+                        <div>
+                            <h3 className="font-semibold flex items-center gap-2" style={{ color: 'var(--text-primary)' }}>
+                                <HiOutlineSearchCircle size={20} style={{ color: 'var(--accent-cyan)' }} />
+                                Embed Missing Chunks
+                            </h3>
+                            <p className="text-sm mt-1" style={{ color: 'var(--text-secondary)' }}>
+                                Documents indexed before embedding became part of processing only have keyword search.
+                                This queues them for embedding in the background.
+                            </p>
+                            {embedInfo && embedInfo.documents.length > 0 && (
+                                <p className="text-xs mt-2" style={{ color: 'var(--accent-cyan)' }}>
+                                    {embedInfo.documents.length} document(s) queued — progress shows on the Documents page.
+                                </p>
+                            )}
+                        </div>
+                        <button
+                            onClick={handleEmbedMissing}
+                            className="btn-secondary"
+                            disabled={embedding}
+                        >
+                            <HiOutlineRefresh size={16} className={embedding ? 'animate-spin' : ''} />
+                            {embedding ? 'Queueing...' : 'Embed Missing'}
+                        </button>
+                    </div>
+                </div>
+
+                {/* Equipment Tag Grammar */}
+                <TagGrammarEditor />
+
+                {/* Project Glossary */}
+                <GlossaryEditor />
+
                 {/* Setup Guide */}
                 <div className="glass-card p-6 mt-6 max-w-3xl">
                     <h3 className="font-semibold mb-4" style={{ color: 'var(--text-primary)' }}>📋 Quick Setup Guide</h3>
@@ -0,0 +1,52 @@
+'use client';
+
+import { motion, AnimatePresence } from 'framer-motion';
+import { HiOutlineX } from 'react-icons/hi';
+
+/**
+ * Drive preview of a document. `doc` needs `name` and `drive_file_id`;
+ * an optional `page` opens the viewer at that page.
+ */
+export default function DocumentPreviewModal({ doc, onClose }) {
+    const pageAnchor = doc?.page ? `#page=${doc.page}` : '';
+
+    return (
+        <AnimatePresence>
+            {doc && (
+                <motion.div
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0 }}
+                    className="modal-overlay"
+                    onClick={onClose}
+                >
+                    <motion.div
+                        initial={{ scale: 0.9, opacity: 0 }}
+                        animate={{ scale: 1, opacity: 1 }}
+                        exit={{ scale: 0.9, opacity: 0 }}
+                        className="modal-content"
+                        style={{ maxWidth: '900px', padding: '16px' }}
+                        onClick={(e) => e.stopPropagation()}
+                    >
+                        <div className="flex items-center justify-between mb-3 px-2">
+                            <h3 className="font-semibold">
+                                {doc.name}
+                                {doc.page && <span className="text-xs ml-2" style={{ color: 'var(--text-secondary)' }}>Page {doc.page}</span>}
+                            </h3>
+                            <button onClick={onClose} className="p-2 rounded-lg hover:bg-white/5">
+                                <HiOutlineX size={18} />
+                            </button>
+                        </div>
+                        <iframe
+                            key={`${doc.drive_file_id}${pageAnchor}`}
+                            src={`https://drive.google.com/file/d/${doc.drive_file_id}/preview${pageAnchor}`}
+                            className="w-full rounded-xl"
+                            style={{ height: '70vh', border: 'none' }}
+                            allow="autoplay"
+                        />
+                    </motion.div>
+                </motion.div>
+            )}
+        </AnimatePresence>
+    );
+}
@@ -0,0 +1,64 @@
+'use client';
+
+import { motion, AnimatePresence } from 'framer-motion';
+import { HiOutlineX, HiOutlineLink, HiOutlineEyeOff, HiOutlineSwitchHorizontal } from 'react-icons/hi';
+
+const RESOLUTIONS = [
+    { key: 'link', label: 'Link', icon: HiOutlineLink, hint: 'Keep the copy; search it through the original.' },
+    { key: 'skip', label: 'Skip', icon: HiOutlineEyeOff, hint: 'Hide the copy from the library.' },
+    { key: 'replace', label: 'Replace', icon: HiOutlineSwitchHorizontal, hint: 'Index the copy and link the original to it.' },
+];
+
+/**
+ * Asks what to do with a document whose content matches one already in
+ * the library. `duplicate` is `{ id, name, original }`.
+ */
+export default function DuplicateModal({ duplicate, busy, onResolve, onClose }) {
+    return (
+        <AnimatePresence>
+            {duplicate && (
+                <motion.div
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0 }}
+                    className="modal-overlay"
+                    onClick={onClose}
+                >
+                    <motion.div
+                        initial={{ scale: 0.9, opacity: 0 }}
+                        animate={{ scale: 1, opacity: 1 }}
+                        exit={{ scale: 0.9, opacity: 0 }}
+                        className="modal-content"
+                        style={{ maxWidth: '520px' }}
+                        onClick={(e) => e.stopPropagation()}
+                    >
+                        <div className="flex items-center justify-between mb-4">
+                            <h3 className="font-semibold">Duplicate document</h3>
+                            <button onClick={onClose} className="p-2 rounded-lg hover:bg-white/5">
+                                <HiOutlineX size={18} />
+                            </button>
+                        </div>
+                        <p className="text-sm mb-5" style={{ color: 'var(--text-secondary)' }}>
+                            <span style={{ color: 'var(--text-primary)' }}>{duplicate.name}</span> has the same content as{' '}
+                            <span style={{ color: 'var(--text-primary)' }}>{duplicate.original?.name || 'an existing document'}</span>.
+                        </p>
+                        <div className="space-y-2">
+                            {RESOLUTIONS.map(({ key, label, icon: Icon, hint }) => (
+                                <button
+                                    key={key}
+                                    onClick={() => onResolve(duplicate, key)}
+                                    disabled={busy}
+                                    className={`${key === 'link' ? 'btn-primary' : 'btn-secondary'} w-full flex items-center gap-3 text-left`}
+                                >
+                                    <Icon size={16} />
+                                    <span className="font-medium">{label}</span>
+                                    <span className="text-xs opacity-70">{hint}</span>
+                                </button>
+                            ))}
+                        </div>
+                    </motion.div>
+                </motion.div>
+            )}
+        </AnimatePresence>
+    );
+}
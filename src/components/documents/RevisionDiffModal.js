@@ -0,0 +1,129 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { HiOutlineX } from 'react-icons/hi';
+import { diffRevisions } from '@/lib/api';
+
+const FIELD_LABELS = {
+    from: 'From', to: 'To', cores: 'Cores', cross_section: 'Size (sq.mm)',
+    conductor: 'Conductor', insulation: 'Insulation', length: 'Length (m)',
+};
+
+const CHANGE_STYLES = {
+    added: { sign: '+', color: 'var(--accent-emerald)' },
+    removed: { sign: '−', color: 'var(--accent-rose)' },
+    changed: { sign: '~', color: 'var(--accent-amber)' },
+};
+
+function DiffSection({ title, groups, render }) {
+    const total = Object.values(groups).reduce((n, list) => n + list.length, 0);
+    return (
+        <div className="mb-5">
+            <p className="text-xs font-bold uppercase mb-2" style={{ color: 'var(--text-secondary)' }}>
+                {title} ({total} {total === 1 ? 'change' : 'changes'})
+            </p>
+            {total === 0 ? (
+                <p className="text-xs" style={{ color: 'var(--text-secondary)' }}>No differences.</p>
+            ) : (
+                <div className="space-y-1">
+                    {Object.entries(groups).flatMap(([kind, list]) => list.map((item, i) => (
+                        <div key={`${kind}-${i}`} className="text-xs flex gap-2">
+                            <span className="font-bold w-3" style={{ color: CHANGE_STYLES[kind].color }}>{CHANGE_STYLES[kind].sign}</span>
+                            <span style={{ color: 'var(--text-primary)' }}>{render(item, kind)}</span>
+                        </div>
+                    )))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Tags, connections and cable specs that differ between `doc` and the
+ * revision it supersedes.
+ */
+export default function RevisionDiffModal({ doc, onClose }) {
+    const [state, setState] = useState({ docId: null, diff: null, error: '' });
+
+    useEffect(() => {
+        if (!doc) return;
+        let cancelled = false;
+        diffRevisions(doc.id)
+            .then((diff) => { if (!cancelled) setState({ docId: doc.id, diff, error: '' }); })
+            .catch((err) => { if (!cancelled) setState({ docId: doc.id, diff: null, error: err.message }); });
+        return () => { cancelled = true; };
+    }, [doc]);
+
+    const loading = doc && state.docId !== doc.id;
+    const diff = loading ? null : state.diff;
+
+    return (
+        <AnimatePresence>
+            {doc && (
+                <motion.div
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    exit={{ opacity: 0 }}
+                    className="modal-overlay"
+                    onClick={onClose}
+                >
+                    <motion.div
+                        initial={{ scale: 0.9, opacity: 0 }}
+                        animate={{ scale: 1, opacity: 1 }}
+                        exit={{ scale: 0.9, opacity: 0 }}
+                        className="modal-content"
+                        style={{ maxWidth: '760px' }}
+                        onClick={(e) => e.stopPropagation()}
+                    >
+                        <div className="flex items-center justify-between mb-4">
+                            <h3 className="font-semibold">
+                                {diff
+                                    ? `${diff.to.drawing_number}: Rev ${diff.from.revision || '?'} → Rev ${diff.to.revision || '?'}`
+                                    : `Revision diff — ${doc.name}`}
+                            </h3>
+                            <button onClick={onClose} className="p-2 rounded-lg hover:bg-white/5">
+                                <HiOutlineX size={18} />
+                            </button>
+                        </div>
+
+                        {loading && (
+                            <div className="flex items-center gap-3 py-8 justify-center text-sm" style={{ color: 'var(--text-secondary)' }}>
+                                <div className="spinner" /> Comparing revisions...
+                            </div>
+                        )}
+                        {!loading && state.error && (
+                            <p className="text-sm py-6" style={{ color: 'var(--accent-rose)' }}>{state.error}</p>
+                        )}
+                        {diff && (
+                            <div className="max-h-[60vh] overflow-y-auto pr-2">
+                                <p className="text-xs mb-4" style={{ color: 'var(--text-secondary)' }}>
+                                    {diff.from.name} → {diff.to.name}
+                                </p>
+                                <DiffSection
+                                    title="Cables"
+                                    groups={diff.cables}
+                                    render={(c, kind) => kind === 'changed'
+                                        ? <><span className="font-mono font-semibold">{c.cable_id}</span>: {c.changes.map(ch => `${FIELD_LABELS[ch.field]} ${ch.before || '—'} → ${ch.after || '—'}`).join(', ')}</>
+                                        : <><span className="font-mono font-semibold">{c.cable_id}</span> {[c.cores && `${c.cores}C`, c.cross_section && `${c.cross_section} sq.mm`, c.from && c.to && `${c.from} → ${c.to}`].filter(Boolean).join(' • ')}</>}
+                                />
+                                <DiffSection
+                                    title="Connections"
+                                    groups={diff.connections}
+                                    render={(c, kind) => kind === 'changed'
+                                        ? `${c.from} → ${c.to}: cable ${c.before.join(', ') || '—'} → ${c.after.join(', ') || '—'}`
+                                        : `${c.from} → ${c.to}${c.cables.length ? ` (${c.cables.join(', ')})` : ''}`}
+                                />
+                                <DiffSection
+                                    title="Tags"
+                                    groups={diff.tags}
+                                    render={(t) => <><span className="font-mono">{t.tag}</span> <span style={{ color: 'var(--text-secondary)' }}>p.{t.pages.join(', ')}</span></>}
+                                />
+                            </div>
+                        )}
+                    </motion.div>
+                </motion.div>
+            )}
+        </AnimatePresence>
+    );
+}
@@ -0,0 +1,60 @@
+'use client';
+
+import { motion } from 'framer-motion';
+import { HiOutlineX } from 'react-icons/hi';
+
+const SECTIONS = [
+    { key: 'added', label: 'New', color: 'var(--accent-emerald)' },
+    { key: 'modified', label: 'Changed — reprocess', color: 'var(--accent-cyan)' },
+    { key: 'moved', label: 'Moved', color: 'var(--accent-blue)' },
+    { key: 'renamed', label: 'Renamed', color: 'var(--accent-blue)' },
+    { key: 'removed', label: 'Removed from Drive', color: 'var(--accent-rose)' },
+    { key: 'restored', label: 'Restored — reprocess', color: 'var(--accent-amber)' },
+    { key: 'duplicates', label: 'Duplicates — resolve', color: 'var(--accent-amber)' },
+];
+const NAMES_SHOWN = 8;
+
+/**
+ * What the last Drive sync changed, grouped by kind of change.
+ */
+export default function SyncReport({ report, folders, onClose }) {
+    const changes = report?.changes || {};
+    const folderName = (id) => (id ? folders.find(f => String(f.id) === String(id))?.name || 'Subfolder' : 'Root');
+    const visible = SECTIONS.filter(({ key }) => changes[key]?.length);
+
+    return (
+        <motion.div initial={{ opacity: 0, y: -8 }} animate={{ opacity: 1, y: 0 }} className="glass-card p-4 mb-4">
+            <div className="flex items-start justify-between gap-3 mb-2">
+                <p className="text-sm font-medium">Drive sync report</p>
+                <button onClick={onClose} className="p-1 rounded hover:bg-white/5" style={{ color: 'var(--text-secondary)' }} title="Dismiss">
+                    <HiOutlineX size={14} />
+                </button>
+            </div>
+            {visible.length === 0 ? (
+                <p className="text-xs" style={{ color: 'var(--text-secondary)' }}>Everything is up to date.</p>
+            ) : (
+                <div className="grid gap-3 sm:grid-cols-2 lg:grid-cols-3">
+                    {visible.map(({ key, label, color }) => (
+                        <div key={key}>
+                            <p className="text-xs font-bold uppercase mb-1" style={{ color }}>
+                                {label} ({changes[key].length})
+                            </p>
+                            {changes[key].slice(0, NAMES_SHOWN).map((doc) => (
+                                <p key={doc.id} className="text-xs truncate" style={{ color: 'var(--text-secondary)' }}
+                                    title={doc.name}>
+                                    {key === 'moved' && `${folderName(doc.from)} → ${folderName(doc.to)}: `}
+                                    {key === 'renamed' && `${doc.from} → `}
+                                    {doc.name}
+                                    {key === 'duplicates' && ` = ${doc.original_name}`}
+                                </p>
+                            ))}
+                            {changes[key].length > NAMES_SHOWN && (
+                                <p className="text-xs" style={{ color: 'var(--text-secondary)' }}>+{changes[key].length - NAMES_SHOWN} more</p>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </motion.div>
+    );
+}
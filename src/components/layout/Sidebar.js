@@ -4,7 +4,7 @@ import { usePathname } from 'next/navigation';
 import Link from 'next/link';
 import { motion, AnimatePresence } from 'framer-motion';
 import useStore from '@/store/useStore';
-import { HiOutlineViewGrid, HiOutlineDocumentText, HiOutlineSearch, HiOutlineMicrophone, HiOutlineCog, HiOutlineMenu, HiOutlineX, HiOutlineLightningBolt, HiOutlineChip } from 'react-icons/hi';
+import { HiOutlineViewGrid, HiOutlineDocumentText, HiOutlineSearch, HiOutlineMicrophone, HiOutlineCog, HiOutlineMenu, HiOutlineX, HiOutlineLightningBolt, HiOutlineChip, HiOutlineCollection, HiOutlineClipboardCheck, HiOutlineCube } from 'react-icons/hi';
 
 const navItems = [
     { href: '/dashboard', label: 'Dashboard', icon: HiOutlineViewGrid },
@@ -12,6 +12,9 @@ const navItems = [
     { href: '/query', label: 'AI Query', icon: HiOutlineSearch },
     { href: '/voice', label: 'KHUSHI Voice', icon: HiOutlineMicrophone },
     { href: '/diagram', label: 'Diagram', icon: HiOutlineChip },
+    { href: '/cables', label: 'Cables', icon: HiOutlineCollection },
+    { href: '/components', label: 'Components', icon: HiOutlineCube },
+    { href: '/consistency', label: 'Consistency', icon: HiOutlineClipboardCheck },
     { href: '/settings', label: 'Settings', icon: HiOutlineCog },
 ];
 
@@ -0,0 +1,151 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { HiOutlineBookOpen, HiOutlineCheck, HiOutlineBeaker } from 'react-icons/hi';
+import useStore from '@/store/useStore';
+import { getGlossary, saveGlossary, testGlossary } from '@/lib/api';
+
+const SEPARATOR = ' | ';
+
+function toLines(entries) {
+    return (entries || []).map(e => [e.term, e.synonyms.join(', '), e.expansions.join(', '), e.category]
+        .join(SEPARATOR).replace(/(\s\|\s*)+$/, '')).join('\n');
+}
+
+function fromLines(text) {
+    const list = (cell) => (cell || '').split(',').map(s => s.trim()).filter(Boolean);
+    return text.split('\n').map(line => line.trim()).filter(Boolean).map((line) => {
+        const [term, synonyms, expansions, category] = line.split('|').map(cell => cell.trim());
+        return { term, synonyms: list(synonyms), expansions: list(expansions), category: category || '' };
+    });
+}
+
+/**
+ * Settings card for the project glossary: abbreviations with their
+ * synonyms, query expansions and category, with a sample query to try.
+ */
+export default function GlossaryEditor() {
+    const { addNotification } = useStore();
+    const [text, setText] = useState(null);
+    const [loaded, setLoaded] = useState(''); // lines as last loaded, to tell untouched defaults
+    const [defaults, setDefaults] = useState(false);
+    const [loadError, setLoadError] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [sample, setSample] = useState('');
+    const [reading, setReading] = useState(null);
+
+    function applyGlossary(glossary) {
+        const lines = toLines(glossary.entries);
+        setText(lines);
+        setLoaded(lines);
+        setDefaults(glossary.defaults);
+    }
+
+    useEffect(() => {
+        let cancelled = false;
+        getGlossary()
+            .then((glossary) => { if (!cancelled) applyGlossary(glossary); })
+            .catch((e) => { if (!cancelled) setLoadError(e.message); });
+        return () => { cancelled = true; };
+    }, []);
+
+    async function handleSave() {
+        setSaving(true);
+        try {
+            // Unedited defaults are not written back, so future default changes still apply
+            const entries = defaults && text === loaded ? [] : fromLines(text);
+            const saved = await saveGlossary(entries);
+            applyGlossary(saved);
+            setReading(null);
+            addNotification(saved.keywordRebuildQueued ? 'Glossary saved; the keyword index will be rebuilt in the background.' : 'Glossary saved.', 'success');
+        } catch (e) {
+            addNotification('Could not save glossary: ' + e.message, 'error');
+        }
+        setSaving(false);
+    }
+
+    async function handleTest() {
+        try {
+            setReading(await testGlossary(sample));
+        } catch (e) {
+            addNotification('Glossary test failed: ' + e.message, 'error');
+        }
+    }
+
+    return (
+        <div className="glass-card p-6 mt-6 max-w-3xl" style={{ borderLeft: '3px solid var(--accent-emerald)' }}>
+            <div className="flex items-center justify-between mb-4">
+                <div>
+                    <h3 className="font-semibold flex items-center gap-2" style={{ color: 'var(--text-primary)' }}>
+                        <HiOutlineBookOpen size={20} style={{ color: 'var(--accent-emerald)' }} />
+                        Project Glossary
+                    </h3>
+                    <p className="text-sm mt-1" style={{ color: 'var(--text-secondary)' }}>
+                        Abbreviations and their synonyms find the same chunks; expansions widen queries that mention them.
+                    </p>
+                </div>
+                <button onClick={handleSave} className="btn-primary" disabled={text === null || saving}>
+                    <HiOutlineCheck size={16} />
+                    {saving ? 'Saving...' : 'Save Glossary'}
+                </button>
+            </div>
+
+            {loadError && <p className="text-sm" style={{ color: 'var(--accent-rose)' }}>{loadError}</p>}
+            {text === null && !loadError && (
+                <div className="flex items-center gap-3 text-sm" style={{ color: 'var(--text-secondary)' }}>
+                    <div className="spinner" /> Loading glossary...
+                </div>
+            )}
+            {text !== null && (
+                <div className="space-y-4">
+                    <div>
+                        <label className="text-xs font-bold uppercase block mb-1" style={{ color: 'var(--text-secondary)' }}>
+                            Terms{defaults ? ' (defaults)' : ''}
+                        </label>
+                        <p className="text-xs mb-2" style={{ color: 'var(--text-secondary)' }}>
+                            TERM | synonyms | expansions | category, lists comma-separated, e.g. TSS | traction substation | rectifier, DC switchgear | Substation.
+                            Category &quot;agent&quot; lists the keywords added to every query routed to that agent (CIRCUIT_EXPERT, DIMENSION_AUDITOR).
+                        </p>
+                        <textarea
+                            className="input-field w-full text-sm font-mono"
+                            rows={10}
+                            value={text}
+                            onChange={(e) => setText(e.target.value)}
+                        />
+                    </div>
+                    <div>
+                        <label className="text-xs font-bold uppercase block mb-2" style={{ color: 'var(--text-secondary)' }}>
+                            Try a query (uses the saved glossary)
+                        </label>
+                        <div className="flex gap-2">
+                            <input
+                                className="input-field w-full text-sm"
+                                placeholder="e.g. incomer cable at the traction substation"
+                                value={sample}
+                                onChange={(e) => setSample(e.target.value)}
+                                onKeyDown={(e) => e.key === 'Enter' && sample.trim() && handleTest()}
+                            />
+                            <button onClick={handleTest} className="btn-secondary" disabled={!sample.trim()}>
+                                <HiOutlineBeaker size={16} /> Test
+                            </button>
+                        </div>
+                        {reading && (
+                            <div className="mt-3 space-y-1 text-xs" style={{ color: 'var(--text-secondary)' }}>
+                                {reading.terms.length === 0 && <p>No glossary terms found.</p>}
+                                {reading.terms.map((t, i) => (
+                                    <p key={i}>
+                                        <span className="font-mono" style={{ color: 'var(--text-primary)' }}>{t.matched.join(', ')}</span>
+                                        {' → '}
+                                        <span className="font-mono" style={{ color: 'var(--accent-emerald)' }}>{t.term}</span>
+                                        {t.category && ` · ${t.category}`}
+                                    </p>
+                                ))}
+                                {reading.expansions.length > 0 && <p>Also searches: {reading.expansions.join(', ')}</p>}
+                            </div>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,160 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { HiOutlineTag, HiOutlineCheck, HiOutlineBeaker } from 'react-icons/hi';
+import useStore from '@/store/useStore';
+import { getTagGrammar, saveTagGrammar, testTagGrammar } from '@/lib/api';
+
+const SEPARATOR = ' => ';
+
+const FIELDS = [
+    { key: 'patterns', label: 'Patterns', hint: 'One regular expression per line, optionally followed by => and what it matches.', left: 'value', right: 'meaning', rows: 4 },
+    { key: 'prefixes', label: 'Prefix meanings', hint: 'PREFIX => meaning, e.g. W => Cable. Used to describe tags to the AI.', left: 'value', right: 'meaning', rows: 6 },
+    { key: 'aliases', label: 'Aliases', hint: 'ALIAS => CANONICAL, e.g. CABLE-102 => W-102. Spacing, case and leading zeros are already ignored.', left: 'alias', right: 'canonical', rows: 4 },
+];
+
+function toLines(entries, { left, right }) {
+    return (entries || []).map(e => (e[right] ? `${e[left]}${SEPARATOR}${e[right]}` : e[left])).join('\n');
+}
+
+function fromLines(text, { left, right }) {
+    return text.split('\n').map(line => line.trim()).filter(Boolean).map((line) => {
+        const at = line.lastIndexOf('=>');
+        return at === -1
+            ? { [left]: line, [right]: '' }
+            : { [left]: line.slice(0, at).trim(), [right]: line.slice(at + 2).trim() };
+    });
+}
+
+/**
+ * Settings card for the project's equipment-tag grammar: tag patterns,
+ * prefix meanings and aliases, with a sample text to try them on.
+ */
+export default function TagGrammarEditor() {
+    const { addNotification } = useStore();
+    const [text, setText] = useState(null); // { patterns, prefixes, aliases } as editable lines
+    const [loaded, setLoaded] = useState({}); // lines as last loaded, to tell untouched defaults
+    const [defaults, setDefaults] = useState({});
+    const [loadError, setLoadError] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [sample, setSample] = useState('');
+    const [found, setFound] = useState(null);
+
+    function applyGrammar(grammar) {
+        const lines = Object.fromEntries(FIELDS.map(f => [f.key, toLines(grammar[f.key], f)]));
+        setText(lines);
+        setLoaded(lines);
+        setDefaults(grammar.defaults || {});
+    }
+
+    useEffect(() => {
+        let cancelled = false;
+        getTagGrammar()
+            .then((grammar) => { if (!cancelled) applyGrammar(grammar); })
+            .catch((e) => { if (!cancelled) setLoadError(e.message); });
+        return () => { cancelled = true; };
+    }, []);
+
+    async function handleSave() {
+        setSaving(true);
+        try {
+            const grammar = Object.fromEntries(FIELDS.map(f => [f.key, fromLines(text[f.key], f)]));
+            // Unedited defaults are not written back, so future default changes still apply
+            FIELDS.forEach((f) => { if (defaults[f.key] && text[f.key] === loaded[f.key]) grammar[f.key] = []; });
+            const saved = await saveTagGrammar(grammar);
+            applyGrammar(saved);
+            setFound(null);
+            const followUps = [
+                saved.keywordRebuildQueued && 'the keyword index will be rebuilt in the background',
+                saved.flaggedDocuments > 0 && `${saved.flaggedDocuments} document(s) marked for re-processing`,
+            ].filter(Boolean);
+            addNotification('Tag grammar saved' + (followUps.length ? `; ${followUps.join(', ')}.` : '.'), 'success');
+        } catch (e) {
+            addNotification('Could not save tag grammar: ' + e.message, 'error');
+        }
+        setSaving(false);
+    }
+
+    async function handleTest() {
+        try {
+            setFound((await testTagGrammar(sample)).tags);
+        } catch (e) {
+            addNotification('Tag test failed: ' + e.message, 'error');
+        }
+    }
+
+    return (
+        <div className="glass-card p-6 mt-6 max-w-3xl" style={{ borderLeft: '3px solid var(--accent-amber)' }}>
+            <div className="flex items-center justify-between mb-4">
+                <div>
+                    <h3 className="font-semibold flex items-center gap-2" style={{ color: 'var(--text-primary)' }}>
+                        <HiOutlineTag size={20} style={{ color: 'var(--accent-amber)' }} />
+                        Equipment Tag Grammar
+                    </h3>
+                    <p className="text-sm mt-1" style={{ color: 'var(--text-secondary)' }}>
+                        How tags are recognised and spelled. W102, W-102 and their aliases are treated as one tag in search, filters and diagrams.
+                    </p>
+                </div>
+                <button onClick={handleSave} className="btn-primary" disabled={!text || saving}>
+                    <HiOutlineCheck size={16} />
+                    {saving ? 'Saving...' : 'Save Grammar'}
+                </button>
+            </div>
+
+            {loadError && <p className="text-sm" style={{ color: 'var(--accent-rose)' }}>{loadError}</p>}
+            {!text && !loadError && (
+                <div className="flex items-center gap-3 text-sm" style={{ color: 'var(--text-secondary)' }}>
+                    <div className="spinner" /> Loading tag grammar...
+                </div>
+            )}
+            {text && (
+                <div className="space-y-4">
+                    {FIELDS.map(field => (
+                        <div key={field.key}>
+                            <label className="text-xs font-bold uppercase block mb-1" style={{ color: 'var(--text-secondary)' }}>
+                                {field.label}{defaults[field.key] ? ' (defaults)' : ''}
+                            </label>
+                            <p className="text-xs mb-2" style={{ color: 'var(--text-secondary)' }}>{field.hint}</p>
+                            <textarea
+                                className="input-field w-full text-sm font-mono"
+                                rows={field.rows}
+                                value={text[field.key]}
+                                onChange={(e) => setText(prev => ({ ...prev, [field.key]: e.target.value }))}
+                            />
+                        </div>
+                    ))}
+                    <div>
+                        <label className="text-xs font-bold uppercase block mb-2" style={{ color: 'var(--text-secondary)' }}>
+                            Try it (uses the saved grammar)
+                        </label>
+                        <div className="flex gap-2">
+                            <input
+                                className="input-field w-full text-sm"
+                                placeholder="e.g. W102 runs from TSS-01-ACB-3 to 33KV-IC-1"
+                                value={sample}
+                                onChange={(e) => setSample(e.target.value)}
+                                onKeyDown={(e) => e.key === 'Enter' && sample.trim() && handleTest()}
+                            />
+                            <button onClick={handleTest} className="btn-secondary" disabled={!sample.trim()}>
+                                <HiOutlineBeaker size={16} /> Test
+                            </button>
+                        </div>
+                        {found && (
+                            <div className="mt-3 space-y-1">
+                                {found.length === 0 && <p className="text-xs" style={{ color: 'var(--text-secondary)' }}>No tags found.</p>}
+                                {found.map((t, i) => (
+                                    <p key={i} className="text-xs" style={{ color: 'var(--text-secondary)' }}>
+                                        <span className="font-mono" style={{ color: 'var(--text-primary)' }}>{t.tag}</span>
+                                        {' → '}
+                                        <span className="font-mono" style={{ color: 'var(--accent-amber)' }}>{t.canonical}</span>
+                                        {t.meanings.length > 0 && ` · ${t.meanings.join(', ')}`}
+                                    </p>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -7,7 +7,9 @@ import { getConfig } from './config';
 // No Supabase, no external DB — everything via Google Sheets
 // ============================================================
 
-const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB
+export const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB, the most processing can read; sent in chunks
+const UPLOAD_STORAGE_PREFIX = 'metro_upload_';
+const UPLOAD_RETRIES = 5; // Consecutive failed chunks before giving up
 
 // ============================================================
 // CORE: Call the backend
@@ -31,7 +33,8 @@ async function callBackend(payload) {
             body: JSON.stringify({
                 ...payload,
                 apiKey: config.GEMINI_API_KEY,
-                folderId: config.DRIVE_FOLDER_ID
+                // Own key, so it never overwrites the app folder a call filters by
+                driveFolderId: config.DRIVE_FOLDER_ID
             }),
         });
 
@@ -111,82 +114,141 @@ export async function listDocuments(folderId = null) {
     return callBackend({ action: 'list_documents', folderId });
 }
 
-export async function uploadDocument(file, folderId = null) {
-    if (file.size > MAX_FILE_SIZE) {
-        throw new Error(`File too large (${(file.size / 1024 / 1024).toFixed(1)}MB). Max is 50MB.`);
-    }
-
+function readChunkBase64(blob) {
     return new Promise((resolve, reject) => {
         const reader = new FileReader();
-        reader.onload = async () => {
-            try {
-                const base64 = reader.result.split(',')[1];
-                const result = await callBackend({
-                    action: 'upload',
-                    file: base64,
-                    fileName: file.name,
-                    mimeType: file.type,
-                    folderId: folderId,
-                });
-                resolve(result);
-            } catch (err) {
-                reject(err);
-            }
-        };
+        reader.onload = () => resolve(reader.result.split(',')[1] || '');
         reader.onerror = () => reject(new Error('File read failed'));
-        reader.readAsDataURL(file);
+        reader.readAsDataURL(blob);
     });
 }
 
+/**
+ * Upload a file in chunks into a Drive resumable session, then register it.
+ * A failed chunk is retried; if the upload still fails, uploading the same
+ * file again resumes where Drive left off.
+ * @param {File} file - The file to upload
+ * @param {string|null} folderId - App folder to file the document under
+ * @param {function} onProgress - Callback: ({ received, size }) => void
+ * @returns {Promise<object>} The upload_complete response ('indexed', 'queued' or 'uploaded')
+ */
+export async function uploadDocument(file, folderId = null, onProgress) {
+    if (file.size > MAX_FILE_SIZE) {
+        throw new Error(`File too large to process (${(file.size / 1024 / 1024).toFixed(1)}MB). Max is ${MAX_FILE_SIZE / 1024 / 1024}MB; split large drawing sets into smaller PDFs.`);
+    }
+
+    // Same name, size and modification time: pick up the earlier session
+    const storageKey = UPLOAD_STORAGE_PREFIX + [file.name, file.size, file.lastModified].join('_');
+    let session = null;
+    const savedId = localStorage.getItem(storageKey);
+    if (savedId) {
+        try {
+            session = await callBackend({ action: 'upload_init', uploadId: savedId });
+        } catch (err) {
+            console.warn('[MetroCircuit] Could not resume upload, starting over:', err.message);
+            localStorage.removeItem(storageKey);
+        }
+    }
+    if (!session) {
+        session = await callBackend({
+            action: 'upload_init',
+            fileName: file.name,
+            size: file.size,
+            mimeType: file.type || 'application/octet-stream',
+            folderId: folderId,
+        });
+        localStorage.setItem(storageKey, session.uploadId);
+    }
+
+    let received = session.received || 0;
+    let failures = 0;
+    while (received < file.size) {
+        if (onProgress) onProgress({ received, size: file.size });
+        try {
+            const chunk = await readChunkBase64(file.slice(received, received + session.chunkSize));
+            const res = await callBackend({ action: 'upload_chunk', uploadId: session.uploadId, offset: received, chunk });
+            // The backend answers with Drive's offset, which also realigns a resent chunk
+            received = res.received;
+            failures = 0;
+        } catch (err) {
+            if (err.message.includes('expired')) localStorage.removeItem(storageKey);
+            if (++failures > UPLOAD_RETRIES || err.message.includes('expired')) throw err;
+            console.warn(`[MetroCircuit] Chunk at ${received} failed (attempt ${failures}), retrying:`, err.message);
+            await new Promise(resolve => setTimeout(resolve, 2000 * failures));
+        }
+    }
+    if (onProgress) onProgress({ received: file.size, size: file.size });
+
+    const result = await callBackend({ action: 'upload_complete', uploadId: session.uploadId });
+    localStorage.removeItem(storageKey);
+    return result;
+}
+
 export async function deleteDocument(documentId, driveFileId = null) {
     return callBackend({ action: 'delete_document', documentId, driveFileId });
 }
 
+/**
+ * Settles a document detected as a copy of another: 'link', 'skip' or 'replace'.
+ */
+export async function resolveDuplicate(documentId, resolution) {
+    return callBackend({ action: 'resolve_duplicate', documentId, resolution });
+}
+
 export async function processDocument(documentId) {
     return callBackend({ action: 'process_document', documentId });
 }
 
 /**
- * Batch-process a document with auto-continue and progress callback.
- * Calls process_batch in a loop until processing is complete.
- * @param {string} documentId - The document ID to process
- * @param {function} onProgress - Callback: ({ status, pagesProcessed, totalPages, totalChunks, message }) => void
- * @returns {Promise<object>} Final result with status 'indexed'
+ * Queue a document for background processing. The backend's time-driven
+ * trigger runs it in batches and retries failures; poll listJobs for progress.
+ * @param {string} documentId - The document ID to (re)process
+ * @returns {Promise<object>} { status: 'queued', job }
  */
-export async function processDocumentBatch(documentId, onProgress) {
-    // Step 1: Start processing (calls process_document which kicks off batch)
-    let result = await callBackend({ action: 'process_document', documentId });
-
-    if (onProgress) {
-        onProgress(result);
-    }
-
-    // Step 2: Continue batching until complete
-    let maxIterations = 200; // Safety limit (~2000 pages max)
-    while (result.status === 'in_progress' && maxIterations > 0) {
-        // Small delay between batch calls
-        await new Promise(resolve => setTimeout(resolve, 1500));
-
-        result = await callBackend({ action: 'process_batch', documentId });
-
-        if (onProgress) {
-            onProgress(result);
-        }
-
-        maxIterations--;
-    }
+export async function queueDocument(documentId) {
+    return callBackend({ action: 'queue_document', documentId });
+}
 
-    return result;
+/**
+ * Processing jobs, most recently updated first.
+ * @param {object} options - { documentId, status } filters
+ * @returns {Promise<object>} { jobs, active, triggerInstalled, lastRunAt }
+ */
+export async function listJobs(options = {}) {
+    return callBackend({ action: 'list_jobs', documentId: options.documentId || null, status: options.status || null });
 }
 
 export async function getProcessStatus(documentId) {
     return callBackend({ action: 'get_process_status', documentId });
 }
 
-export async function embedDocumentChunks(documentId) {
+/**
+ * Embed chunks that have no vector yet. With a documentId the document's
+ * embedding stage runs now (call again while 'in_progress'); without one,
+ * every indexed document with missing embeddings is queued in the background.
+ * @param {string|null} documentId - Limit to one document
+ */
+export async function embedDocumentChunks(documentId = null) {
     return callBackend({ action: 'embed_chunks', documentId });
 }
 
+/**
+ * Backfill the persistent vector index from embeddings stored in the Chunks sheet.
+ * Resumable: call again while the result status is 'in_progress'.
+ * @param {string|null} documentId - Limit the rebuild to one document
+ */
+export async function rebuildVectorIndex(documentId = null) {
+    return callBackend({ action: 'rebuild_vector_index', documentId });
+}
+
+/**
+ * Rebuild the BM25 keyword index from the Chunks sheet.
+ * Resumable: call again while the result status is 'in_progress'.
+ */
+export async function rebuildKeywordIndex() {
+    return callBackend({ action: 'rebuild_keyword_index' });
+}
+
 // ============================================================
 // DRIVE SYNC
 // ============================================================
@@ -199,15 +261,250 @@ export async function syncDrive() {
 // RAG QUERY
 // ============================================================
 
-export async function queryRAG(query, options = {}) {
-    return callBackend({
-        action: 'query',
+function buildQueryPayload(query, options) {
+    return {
         query,
         outputType: options.outputType || 'text',
         filterPanel: options.filterPanel || '',
         filterVoltage: options.filterVoltage || '',
+        filterDrawingNumber: options.filterDrawingNumber || '',
+        filterStation: options.filterStation || '',
+        filterSystem: options.filterSystem || '',
+        ranges: options.ranges || {},
         matchCount: options.matchCount || 8,
         folderId: options.folderId || null,
         documentId: options.documentId || null,
+        sessionId: options.sessionId || null,
+        includeSuperseded: options.includeSuperseded || false,
+        minConfidence: options.minConfidence || 0,
+        preferConfident: options.preferConfident || false,
+    };
+}
+
+export async function queryRAG(query, options = {}) {
+    return callBackend({ action: 'query', ...buildQueryPayload(query, options) });
+}
+
+/**
+ * Run a query as a resumable backend job and poll until it finishes.
+ * Each poll advances the pipeline by a few stages, so no single request
+ * has to survive the whole router → retrieval → answer → verification chain.
+ * @param {string} query - The question
+ * @param {object} options - Same options as queryRAG
+ * @param {function} onProgress - Callback: ({ status, stage, stageLabel, stages }) => void
+ * @returns {Promise<object>} Same result shape as queryRAG
+ */
+export async function queryRAGAsync(query, options = {}, onProgress) {
+    let job = await callBackend({ action: 'query_async', ...buildQueryPayload(query, options) });
+
+    if (onProgress) {
+        onProgress(job);
+    }
+
+    let maxIterations = 120; // Safety limit (~3 minutes of polling)
+    let failures = 0;
+    while (job.status === 'running' && maxIterations > 0) {
+        await new Promise(resolve => setTimeout(resolve, 1500));
+        maxIterations--;
+
+        try {
+            job = await callBackend({ action: 'get_query_result', jobId: job.jobId });
+            failures = 0;
+        } catch (err) {
+            // The job state lives server-side, so a failed poll can simply be retried
+            if (++failures >= 3) throw err;
+            continue;
+        }
+
+        if (onProgress) {
+            onProgress(job);
+        }
+    }
+
+    if (job.status === 'error') {
+        throw new Error(job.message || 'Query job failed');
+    }
+    if (job.status !== 'done') {
+        throw new Error('Query is still running. Try again in a moment.');
+    }
+    return job.result;
+}
+
+/**
+ * Fetch the stored turns of a conversation session.
+ * @param {string} sessionId
+ * @returns {Promise<{ sessionId: string, turns: Array<{ query, standalone_query, answer, created_at }> }>}
+ */
+export async function getSession(sessionId) {
+    return callBackend({ action: 'get_session', sessionId });
+}
+
+// ============================================================
+// CABLE SCHEDULE
+// ============================================================
+
+/**
+ * List cables extracted from processed documents.
+ * @param {object} options - { search, documentId, folderId, limit }
+ * @returns {Promise<{ cables: Array<object>, total: number }>}
+ */
+export async function listCables(options = {}) {
+    return callBackend({
+        action: 'list_cables',
+        search: options.search || '',
+        documentId: options.documentId || null,
+        folderId: options.folderId || null,
+        limit: options.limit || 500,
+    });
+}
+
+/**
+ * Look up one cable and every sheet it appears on.
+ * @param {string} cableId - e.g. 'W-102'
+ * @returns {Promise<{ cable: object, occurrences: Array<object> }>}
+ */
+export async function getCable(cableId) {
+    return callBackend({ action: 'get_cable', cableId });
+}
+
+// ============================================================
+// COMPONENT REGISTER
+// ============================================================
+
+/**
+ * Search the component register. Entries group one tag across documents.
+ * @param {object} filters - { search, tag, type, rating, breaking, poles, manufacturer, model, panel, folderId, documentId, includeSuperseded, limit }
+ *   rating and breaking take range expressions, e.g. '630A', '>= 400A', '36-50kA'
+ * @returns {Promise<{ components: Array<{ tag, type, rating_a, breaking_ka, poles, manufacturer, model, panel, panels: string[], document_count: number, conflicts: string[], occurrences: Array<object> }>, total: number, panels: string[] }>}
+ */
+export async function searchComponents(filters = {}) {
+    return callBackend({
+        action: 'search_components',
+        search: filters.search || '',
+        tag: filters.tag || '',
+        type: filters.type || '',
+        rating: filters.rating || '',
+        breaking: filters.breaking || '',
+        poles: filters.poles || '',
+        manufacturer: filters.manufacturer || '',
+        model: filters.model || '',
+        panel: filters.panel || '',
+        folderId: filters.folderId || null,
+        documentId: filters.documentId || null,
+        includeSuperseded: filters.includeSuperseded || false,
+        limit: filters.limit || 500,
+    });
+}
+
+// ============================================================
+// CONNECTIVITY
+// ============================================================
+
+/**
+ * Trace the shortest connection route between two equipment tags across
+ * all indexed documents.
+ * @param {string} from - Start tag, e.g. '33kV Incomer'
+ * @param {string} to - End tag, e.g. 'MCCB-07'
+ * @param {object} options - { folderId, documentId, maxHops, minConfidence }
+ * @returns {Promise<{ found: boolean, path: string[], hops: Array<{ from, to, cables, citations }>, message?: string }>}
+ */
+export async function tracePath(from, to, options = {}) {
+    return callBackend({
+        action: 'trace_path',
+        from,
+        to,
+        folderId: options.folderId || null,
+        documentId: options.documentId || null,
+        maxHops: options.maxHops || null,
+        minConfidence: options.minConfidence || 0,
     });
 }
+
+/**
+ * Compare a cable schedule or BOM spreadsheet against drawing documents.
+ * @param {string} spreadsheetId - Document ID of the Google Sheet / .xlsx / .csv
+ * @param {object} options - { documentIds, folderId } — defaults to every other document
+ * @returns {Promise<{ mode, spreadsheet, drawingCount, summary, issues }>}
+ */
+export async function checkConsistency(spreadsheetId, options = {}) {
+    return callBackend({
+        action: 'check_consistency',
+        spreadsheetId,
+        documentIds: options.documentIds?.length ? options.documentIds : null,
+        folderId: options.folderId || null,
+    });
+}
+
+// ============================================================
+// REVISIONS
+// ============================================================
+
+/**
+ * List tags, connections and cable specs added, removed or changed
+ * between two revisions of a drawing.
+ * @param {string} toDocumentId - The newer revision
+ * @param {string|null} fromDocumentId - The older revision; defaults to the one it supersedes
+ */
+export async function diffRevisions(toDocumentId, fromDocumentId = null) {
+    return callBackend({ action: 'diff_revisions', toDocumentId, fromDocumentId });
+}
+
+// ============================================================
+// TAG GRAMMAR
+// ============================================================
+
+/**
+ * The project's tag patterns, prefix meanings and aliases.
+ * @returns {Promise<{ patterns: Array<{ value, meaning }>, prefixes: Array<{ value, meaning }>, aliases: Array<{ alias, canonical }>, defaults: { patterns: boolean, prefixes: boolean } }>}
+ */
+export async function getTagGrammar() {
+    return callBackend({ action: 'get_tag_grammar' });
+}
+
+/**
+ * Replace the tag grammar. Empty pattern or prefix lists restore the defaults.
+ * @param {object} grammar - { patterns, prefixes, aliases } as returned by getTagGrammar
+ * @returns {Promise<object>} The saved grammar plus { keywordRebuildQueued, flaggedDocuments }
+ */
+export async function saveTagGrammar({ patterns, prefixes, aliases }) {
+    return callBackend({ action: 'save_tag_grammar', patterns, prefixes, aliases });
+}
+
+/**
+ * Tags the current grammar finds in a sample text.
+ * @param {string} text
+ * @returns {Promise<{ tags: Array<{ tag, canonical, key, meanings: string[] }> }>}
+ */
+export async function testTagGrammar(text) {
+    return callBackend({ action: 'test_tag_grammar', text });
+}
+
+// ============================================================
+// GLOSSARY
+// ============================================================
+
+/**
+ * The project's glossary of terms, synonyms and query expansions.
+ * @returns {Promise<{ entries: Array<{ term, synonyms: string[], expansions: string[], category }>, defaults: boolean }>}
+ */
+export async function getGlossary() {
+    return callBackend({ action: 'get_glossary' });
+}
+
+/**
+ * Replace the glossary. An empty list restores the defaults.
+ * @param {Array<{ term, synonyms: string[], expansions: string[], category }>} entries
+ * @returns {Promise<object>} The saved glossary plus { keywordRebuildQueued }
+ */
+export async function saveGlossary(entries) {
+    return callBackend({ action: 'save_glossary', entries });
+}
+
+/**
+ * How the current glossary reads a sample query.
+ * @param {string} text
+ * @returns {Promise<{ terms: Array<{ term, category, matched: string[] }>, expansions: string[], searchTerms: Object<string, number> }>}
+ */
+export async function testGlossary(text) {
+    return callBackend({ action: 'test_glossary', text });
+}
@@ -0,0 +1,32 @@
+'use client';
+
+// ============================================================
+// CSV export — builds a file from plain row objects and downloads it
+// ============================================================
+
+function escapeCell(value) {
+    const str = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+}
+
+/**
+ * @param {Array<object>} rows
+ * @param {Array<{ key: string, label: string }>} columns - Column order and header text
+ */
+export function toCSV(rows, columns) {
+    const lines = [columns.map(c => escapeCell(c.label)).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(c => escapeCell(row[c.key])).join(','));
+    }
+    return lines.join('\r\n');
+}
+
+export function downloadCSV(filename, rows, columns) {
+    const blob = new Blob([toCSV(rows, columns)], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
@@ -17,6 +17,17 @@ const useStore = create((set, get) => ({
     queryHistory: [],
     addQueryToHistory: (q) => set((s) => ({ queryHistory: [q, ...s.queryHistory].slice(0, 50) })),
 
+    // Conversation session (follow-ups are resolved server-side against prior turns)
+    sessionId: null,
+    sessionTurns: [],
+    startNewSession: () => {
+        const id = crypto.randomUUID();
+        set({ sessionId: id, sessionTurns: [], queryResult: null });
+        return id;
+    },
+    addSessionTurn: (turn) => set((s) => ({ sessionTurns: [...s.sessionTurns, turn] })),
+    restoreSession: (id, turns) => set({ sessionId: id, sessionTurns: turns }),
+
     // UI
     sidebarOpen: true,
     toggleSidebar: () => set((s) => ({ sidebarOpen: !s.sidebarOpen })),